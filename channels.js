@@ -0,0 +1,55 @@
+// channels.js
+// Outgoing message channels (SMS, email, push) used by reminders and other notices.
+// Every channel exposes the same method:
+//
+//   send({ to, subject, body, meta }) -> Promise<{ id }>   (throws on failure)
+//
+// Only local drivers ship here: "file" appends one JSON line per message to
+// <CHANNEL_OUTBOX_DIR>/<channel>.log (handy for tests and development), and
+// "console" prints it. A real provider is added by writing a driver with the same
+// send() and selecting it through SMS_DRIVER / EMAIL_DRIVER / PUSH_DRIVER.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export function createFileChannel(name, dir) {
+  const file = path.resolve(dir, `${name}.log`);
+  return {
+    name,
+    async send({ to, subject, body, meta }) {
+      if (!to) throw new Error(`${name}: no recipient`);
+      const id = crypto.randomUUID();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const line = JSON.stringify({ id, channel: name, to, subject, body, meta, sent_at: new Date().toISOString() });
+      await fs.promises.appendFile(file, line + "\n");
+      return { id };
+    },
+  };
+}
+
+export function createConsoleChannel(name) {
+  return {
+    name,
+    async send({ to, subject, body }) {
+      if (!to) throw new Error(`${name}: no recipient`);
+      const id = crypto.randomUUID();
+      console.log(`[${name}] to=${to}${subject ? ` subject=${JSON.stringify(subject)}` : ""} ${body}`);
+      return { id };
+    },
+  };
+}
+
+function createChannel(name, driver, env) {
+  if (driver === "file") return createFileChannel(name, env.CHANNEL_OUTBOX_DIR || "./outbox");
+  if (driver === "console") return createConsoleChannel(name);
+  throw new Error(`Unknown ${name.toUpperCase()}_DRIVER: ${driver}`);
+}
+
+export function createChannels(env = process.env) {
+  return {
+    sms: createChannel("sms", env.SMS_DRIVER || "file", env),
+    email: createChannel("email", env.EMAIL_DRIVER || "file", env),
+    push: createChannel("push", env.PUSH_DRIVER || "file", env),
+  };
+}
@@ -0,0 +1,44 @@
+// File: check-locales.js
+// Usage:
+//   node check-locales.js        (or: npm run check:locales)
+// Fails (exit 1) when a translation is missing, empty, has keys English does not, or uses
+// different placeholders than English, and when server code refers to a message code that
+// is not in locales/en.json. Codes built at runtime (e.g. `${spec.code}_added`) are not
+// seen by the source scan; the catalog comparison still covers them.
+
+import fs from "fs";
+import { loadCatalogs, checkCatalogs, DEFAULT_LOCALE } from "./i18n.js";
+
+const SOURCES = ["server.js"];
+const CODE_REFERENCES = [
+  /\bcode: "([a-z0-9_.-]+)"/g,
+  /\bfail\(\d+, "([a-z0-9_]+)"/g,
+  /\bt\("([a-z0-9_.-]+)"/g,
+  /"((?:notification|reminder|validation|otp|password_reset)\.[a-z0-9_.-]+)"/g,
+];
+// code values that are not message codes (HEALTH_LISTS kinds)
+const NOT_MESSAGES = new Set(["allergy", "condition", "medication"]);
+
+const catalogs = loadCatalogs();
+const problems = checkCatalogs(catalogs);
+
+for (const file of SOURCES) {
+  if (!fs.existsSync(file)) continue;
+  const source = fs.readFileSync(file, "utf8");
+  const referenced = new Set();
+  for (const pattern of CODE_REFERENCES) {
+    for (const [, code] of source.matchAll(pattern)) referenced.add(code);
+  }
+  for (const code of referenced) {
+    if (!NOT_MESSAGES.has(code) && !(code in catalogs[DEFAULT_LOCALE])) {
+      problems.push(`${file}: "${code}" is not in the ${DEFAULT_LOCALE} catalog`);
+    }
+  }
+}
+
+if (problems.length) {
+  console.error(problems.join("\n"));
+  console.error(`${problems.length} problem(s) in ${Object.keys(catalogs).join(", ")}`);
+  process.exit(1);
+}
+console.log(`Catalogs OK: ${Object.keys(catalogs).join(", ")} (${Object.keys(catalogs[DEFAULT_LOCALE]).length} messages)`);
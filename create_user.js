@@ -1,6 +1,7 @@
 // File: create_user.js
 // Usage:
 //   node create_user.js "+919000000001" "patientpass123" "1990-01-01" "Test Patient" "patient" "unspecified"
+//   node create_user.js "admin@example.com" "adminpass123" "1980-01-01" "Admin" "admin"   (admins can only be created here)
 // Environment variables required: DB_HOST, DB_USER, DB_PASSWORD, DB_NAME, (optional) DB_PORT, BCRYPT_ROUNDS
 
 import mysql from 'mysql2/promise';
@@ -0,0 +1,124 @@
+// i18n.js
+// Message catalogs for everything the API says to people: response messages, in-app
+// notifications and reminders. Catalogs are flat JSON maps in locales/<locale>.json keyed
+// by stable message codes (the same codes error responses carry in error.code). English
+// is the reference catalog and the fallback for keys a translation does not have yet.
+//
+// Text may contain placeholders: {name} inserts params.name as is, while {name, date},
+// {name, time} and {name, datetime} format a Date or "YYYY-MM-DD[ HH:MM:SS]" value the
+// way the locale writes dates.
+//
+//   loadCatalogs(dir?)                     -> { en: {...}, hi: {...}, pa: {...} }
+//   createI18n(catalogs, { fallback? })    -> { locales, fallback, has(code), t(locale, code, params?) }
+//   negotiateLocale(acceptLanguage, locales) -> best supported locale for the header, or null
+//   formatDate(value, locale, style)       -> string; style is "date", "time" or "datetime"
+//   checkCatalogs(catalogs, { reference? }) -> problems: missing or extra keys, placeholder mismatches
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const DEFAULT_LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "locales");
+export const DEFAULT_LOCALE = "en";
+
+// Regional tags for Intl so dates follow Indian conventions in every language
+const INTL_LOCALES = { en: "en-IN", hi: "hi-IN", pa: "pa-IN" };
+const DATE_STYLES = {
+  date: { dateStyle: "medium" },
+  time: { timeStyle: "short" },
+  datetime: { dateStyle: "medium", timeStyle: "short" },
+};
+const PLACEHOLDER = /\{(\w+)(?:,\s*(date|time|datetime))?\}/g;
+
+export function loadCatalogs(dir = DEFAULT_LOCALES_DIR) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith(".json")) continue;
+    catalogs[path.basename(file, ".json")] = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+  }
+  return catalogs;
+}
+
+// Date objects pass through; SQL-style strings are read as server-local time
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value));
+  if (!m) return null;
+  const [, y, mo, d, h = 0, mi = 0, s = 0] = m;
+  return new Date(+y, +mo - 1, +d, +h, +mi, +s);
+}
+
+export function formatDate(value, locale, style = "datetime") {
+  const date = toDate(value);
+  if (!date || Number.isNaN(date.getTime())) return String(value);
+  return new Intl.DateTimeFormat(INTL_LOCALES[locale] || locale, DATE_STYLES[style]).format(date);
+}
+
+export function createI18n(catalogs, { fallback = DEFAULT_LOCALE } = {}) {
+  if (!catalogs[fallback]) throw new Error(`No catalog for the fallback locale "${fallback}"`);
+
+  function t(locale, code, params = {}) {
+    const text = (catalogs[locale] && catalogs[locale][code]) || catalogs[fallback][code];
+    if (text === undefined) return code;
+    const used = catalogs[locale] && catalogs[locale][code] ? locale : fallback;
+    return text.replace(PLACEHOLDER, (match, name, style) => {
+      if (params[name] === undefined || params[name] === null) return match;
+      return style ? formatDate(params[name], used, style) : String(params[name]);
+    });
+  }
+
+  return {
+    locales: Object.keys(catalogs),
+    fallback,
+    has: (code) => Object.prototype.hasOwnProperty.call(catalogs[fallback], code),
+    t,
+  };
+}
+
+// "pa-IN,pa;q=0.9,hi;q=0.8,en;q=0.5" -> "pa" (exact tag first, then its primary language)
+export function negotiateLocale(acceptLanguage, locales) {
+  if (!acceptLanguage) return null;
+  const ranges = String(acceptLanguage)
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...attrs] = part.trim().split(";");
+      const q = attrs.map((a) => a.trim()).find((a) => a.startsWith("q="));
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter((r) => r.tag && r.tag !== "*" && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+
+  for (const { tag } of ranges) {
+    if (locales.includes(tag)) return tag;
+    const primary = tag.split("-")[0];
+    if (locales.includes(primary)) return primary;
+  }
+  return null;
+}
+
+function placeholders(text) {
+  return [...String(text).matchAll(PLACEHOLDER)].map((m) => m[1]).sort().join(",");
+}
+
+export function checkCatalogs(catalogs, { reference = DEFAULT_LOCALE } = {}) {
+  const base = catalogs[reference];
+  if (!base) return [`no catalog for the reference locale "${reference}"`];
+  const problems = [];
+  for (const [code, text] of Object.entries(base)) {
+    if (typeof text !== "string" || !text.trim()) problems.push(`${reference}: "${code}" is empty`);
+  }
+  for (const [locale, catalog] of Object.entries(catalogs)) {
+    if (locale === reference) continue;
+    for (const code of Object.keys(base)) {
+      if (!(code in catalog)) problems.push(`${locale}: missing "${code}"`);
+      else if (typeof catalog[code] !== "string" || !catalog[code].trim()) problems.push(`${locale}: "${code}" is empty`);
+      else if (placeholders(catalog[code]) !== placeholders(base[code])) {
+        problems.push(`${locale}: "${code}" uses placeholders {${placeholders(catalog[code])}}, ${reference} uses {${placeholders(base[code])}}`);
+      }
+    }
+    for (const code of Object.keys(catalog)) {
+      if (!(code in base)) problems.push(`${locale}: "${code}" is not in the ${reference} catalog`);
+    }
+  }
+  return problems;
+}
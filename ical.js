@@ -0,0 +1,205 @@
+// ical.js
+// Minimal RFC 5545 (iCalendar) writer and reader used by the calendar feed and import.
+//
+// buildCalendar({ name, prodId, events }) -> string
+//   events: [{ uid, summary, description?, location?, status?, start, end?, allDay? }]
+//   start/end are Date objects for timed events (written in UTC) or "YYYY-MM-DD"
+//   strings for all-day events (allDay: true; end is exclusive and defaults to start + 1 day).
+//
+// parseCalendar(text) -> { events: [{ uid, summary, description, start, end, allDay }], invalid }
+//   start/end come back as local "YYYY-MM-DD HH:MM:SS" strings (end may be null).
+//   Events that cannot be stored are left out and listed in invalid as { uid, summary, reason }:
+//   reason is "start_invalid" (DTSTART missing or not a real date/time), "end_invalid" or
+//   "end_before_start".
+
+const CRLF = "\r\n";
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function escapeText(value) {
+  return String(value == null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1), never splitting a UTF-8 sequence
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, "utf8");
+    const max = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + size > max) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+function formatUtc(date) {
+  return (
+    `${date.getUTCFullYear()}${pad2(date.getUTCMonth() + 1)}${pad2(date.getUTCDate())}` +
+    `T${pad2(date.getUTCHours())}${pad2(date.getUTCMinutes())}${pad2(date.getUTCSeconds())}Z`
+  );
+}
+
+function formatDateValue(isoDate) {
+  return isoDate.replace(/-/g, "");
+}
+
+function nextDay(isoDate) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + 1));
+  return `${next.getUTCFullYear()}-${pad2(next.getUTCMonth() + 1)}-${pad2(next.getUTCDate())}`;
+}
+
+export function buildCalendar({ name, prodId = "-//healthcare-app//calendar//EN", events }) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${prodId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const ev of events) {
+    lines.push("BEGIN:VEVENT", `UID:${ev.uid}`, `DTSTAMP:${stamp}`);
+    if (ev.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDateValue(ev.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDateValue(ev.end || nextDay(ev.start))}`);
+    } else {
+      lines.push(`DTSTART:${formatUtc(ev.start)}`);
+      if (ev.end) lines.push(`DTEND:${formatUtc(ev.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(ev.summary)}`);
+    if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+    if (ev.location) lines.push(`LOCATION:${escapeText(ev.location)}`);
+    if (ev.status) lines.push(`STATUS:${ev.status}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+// Does y-mo-d h:mi:s exist on the calendar (no month 13, February 30th or 25 o'clock)?
+function isRealDateTime(y, mo, d, h = 0, mi = 0, s = 0) {
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  return (
+    y >= 1000 && date.getUTCFullYear() === y && date.getUTCMonth() === mo - 1 && date.getUTCDate() === d &&
+    h <= 23 && mi <= 59 && s <= 59
+  );
+}
+
+// "20250101T090000Z" | "20250101T090000" | "20250101" -> local "YYYY-MM-DD HH:MM:SS";
+// null when the value is malformed or not a real date and time
+function parseDateValue(value, params) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+  if (!isRealDateTime(+y, +mo, +d, +(h || 0), +(mi || 0), +(s || 0))) return null;
+  if (!h) return { value: `${y}-${mo}-${d} 00:00:00`, allDay: true };
+  if (z) {
+    const date = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+    return {
+      value:
+        `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ` +
+        `${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`,
+      allDay: false,
+    };
+  }
+  // floating time or TZID=...: taken as server-local wall-clock time
+  return { value: `${y}-${mo}-${d} ${h}:${mi}:${s}`, allDay: params.VALUE === "DATE" };
+}
+
+export function parseCalendar(text) {
+  const unfolded = String(text).replace(/\r?\n[ \t]/g, "");
+  const events = [];
+  const invalid = [];
+  let current = null;
+
+  for (const rawLine of unfolded.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    if (!line) continue;
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current) {
+        const reason = eventProblem(current);
+        const uid = current.uid || null;
+        const summary = current.summary || null;
+        if (reason) {
+          invalid.push({ uid, summary, reason });
+        } else {
+          events.push({
+            uid,
+            summary,
+            description: current.description || null,
+            start: current.start.value,
+            end: current.end ? current.end.value : null,
+            allDay: current.start.allDay,
+          });
+        }
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const [name, ...paramParts] = line.slice(0, colon).split(";");
+    const params = Object.fromEntries(paramParts.map((p) => p.split("=")).map(([k, v]) => [k.toUpperCase(), v]));
+    const value = line.slice(colon + 1);
+
+    switch (name.toUpperCase()) {
+      case "UID":
+        current.uid = value.trim();
+        break;
+      case "SUMMARY":
+        current.summary = unescapeText(value);
+        break;
+      case "DESCRIPTION":
+        current.description = unescapeText(value);
+        break;
+      case "DTSTART":
+        current.start = parseDateValue(value, params);
+        break;
+      case "DTEND":
+        current.end = parseDateValue(value, params);
+        break;
+      default:
+        break;
+    }
+  }
+  return { events, invalid };
+}
+
+// Why a parsed VEVENT cannot be imported, or null. DTEND is parsed as null when present
+// but unreadable, so it is told apart from a missing DTEND by the property being set.
+function eventProblem(ev) {
+  if (!ev.start) return "start_invalid";
+  if (ev.end === null) return "end_invalid";
+  if (ev.end && ev.end.value < ev.start.value) return "end_before_start";
+  return null;
+}
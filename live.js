@@ -0,0 +1,31 @@
+// live.js
+// In-process publish/subscribe hub behind the real-time endpoints (GET /live/events).
+//
+//   publish(topic, type, data)        -> void
+//   subscribe(topic, listener)        -> unsubscribe()
+//   listener receives { type, data, at }
+//
+// Topics used by the server:
+//   "doctor-slots:<doctorId>"  slot.created / slot.removed / slot.booked / slot.freed /
+//                              slot.held / slot.released / slots.changed
+//   "user:<userId>"            appointment.status, waitlist.offer
+//
+// Events only reach clients connected to this process. Running several instances needs a
+// shared broker (e.g. Redis pub/sub) behind the same two methods.
+
+import { EventEmitter } from "events";
+
+export function createLiveHub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(topic, type, data) {
+      emitter.emit(topic, { type, data, at: new Date().toISOString() });
+    },
+    subscribe(topic, listener) {
+      emitter.on(topic, listener);
+      return () => emitter.off(topic, listener);
+    },
+  };
+}
@@ -0,0 +1,74 @@
+// File: migrate.js
+// Usage:
+//   node migrate.js status                     (or: npm run migrate -- status)
+//   node migrate.js up [--to 3]                apply pending migrations (up to version 3)
+//   node migrate.js down [--steps 2 | --to 1]  revert the newest migration(s)
+// Environment variables required: DB_HOST, DB_USER, DB_PASSWORD, DB_NAME, (optional) DB_PORT
+
+import mysql from "mysql2/promise";
+import dotenv from "dotenv";
+import { loadMigrations, migrationStatus, migrateUp, migrateDown } from "./migrations.js";
+
+dotenv.config();
+
+const [command, ...rest] = process.argv.slice(2);
+
+function option(name) {
+  const i = rest.indexOf(`--${name}`);
+  if (i === -1) return undefined;
+  const value = Number(rest[i + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`--${name} needs a non-negative number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+function label(m) {
+  return `${String(m.version).padStart(3, "0")}_${m.name}`;
+}
+
+(async () => {
+  if (!["status", "up", "down"].includes(command)) {
+    console.error("Usage: node migrate.js status | up [--to N] | down [--steps N | --to N]");
+    process.exit(1);
+  }
+
+  let conn;
+  try {
+    conn = await mysql.createConnection({
+      host: process.env.DB_HOST || "localhost",
+      user: process.env.DB_USER || "root",
+      password: process.env.DB_PASSWORD || "",
+      database: process.env.DB_NAME || "medicine_app",
+      port: process.env.DB_PORT ? Number(process.env.DB_PORT) : 3306,
+      multipleStatements: true,
+    });
+    const migrations = await loadMigrations();
+
+    if (command === "status") {
+      const { applied, pending, unknown, changed } = await migrationStatus(conn, migrations);
+      const changedVersions = new Set(changed.map((row) => row.version));
+      for (const row of applied) {
+        const state = changedVersions.has(row.version) ? "CHANGED" : unknown.includes(row) ? "UNKNOWN" : "applied";
+        console.log(`${label(row)}  ${state}  ${new Date(row.applied_at).toISOString()}`);
+      }
+      for (const m of pending) console.log(`${label(m)}  pending`);
+      if (!applied.length && !pending.length) console.log("No migrations found");
+    } else if (command === "up") {
+      const done = await migrateUp(conn, migrations, { to: option("to") });
+      done.forEach((m) => console.log(`applied  ${label(m)}`));
+      console.log(done.length ? `${done.length} migration(s) applied` : "Already up to date");
+    } else {
+      const done = await migrateDown(conn, migrations, { steps: option("steps"), to: option("to") });
+      done.forEach((m) => console.log(`reverted ${label(m)}`));
+      console.log(done.length ? `${done.length} migration(s) reverted` : "Nothing to revert");
+    }
+    await conn.end();
+    process.exit(0);
+  } catch (err) {
+    console.error("MIGRATE ERR:", err && (err.message || err));
+    if (conn) await conn.end().catch(() => {});
+    process.exit(1);
+  }
+})();
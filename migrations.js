@@ -0,0 +1,181 @@
+// migrations.js
+// Versioned schema migrations. Files in ./migrations are named NNN_description and are
+// either a pair of SQL files (NNN_name.up.sql + NNN_name.down.sql) or one ES module
+// (NNN_name.js) exporting async up(db) and down(db) for changes that need logic.
+// Applied versions are recorded in schema_migrations together with a SHA-256 checksum
+// of the migration source, so editing an applied migration is detected.
+//
+//   loadMigrations(dir)                          -> Promise<[{ version, name, checksum, up, down }]>
+//   migrationStatus(db, migrations)              -> Promise<{ applied, pending, unknown, changed }>
+//   migrateUp(db, migrations, { to })            -> Promise<[migration]>   (applied, in order)
+//   migrateDown(db, migrations, { steps, to })   -> Promise<[migration]>   (reverted, newest first)
+//   checkSchema(db, migrations, expectedColumns) -> Promise<[string]>      (problems; empty when in sync)
+//
+// migrateUp/migrateDown need a single connection created with multipleStatements: true
+// (SQL files are sent in one round trip). MySQL commits DDL implicitly, so a migration
+// that fails halfway is not rolled back: fix the cause, repair by hand if needed, rerun.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+
+export const DEFAULT_MIGRATIONS_DIR = fileURLToPath(new URL("./migrations/", import.meta.url));
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up\.sql|down\.sql|js)$/;
+const LOCK_NAME = "schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// line endings are normalized so a Windows checkout has the same checksum
+function checksum(text) {
+  return crypto.createHash("sha256").update(text.replace(/\r\n/g, "\n")).digest("hex");
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+}
+
+export async function loadMigrations(dir = DEFAULT_MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of (await fs.promises.readdir(dir)).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, rawVersion, name, kind] = match;
+    const version = Number(rawVersion);
+    const entry = byVersion.get(version) || { version, name, sources: {} };
+    if (entry.name !== name) throw new Error(`Migrations ${entry.name} and ${name} share version ${version}`);
+    const full = path.join(dir, file);
+    entry.sources[kind] = { file: full, text: await fs.promises.readFile(full, "utf8") };
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [];
+  for (const { version, name, sources } of [...byVersion.values()].sort((a, b) => a.version - b.version)) {
+    const migration = { version, name };
+    if (sources.js) {
+      if (sources["up.sql"] || sources["down.sql"]) throw new Error(`Migration ${label(migration)} mixes .js and .sql files`);
+      const mod = await import(pathToFileURL(sources.js.file).href);
+      if (typeof mod.up !== "function" || typeof mod.down !== "function") {
+        throw new Error(`Migration ${label(migration)} must export up(db) and down(db)`);
+      }
+      migration.up = mod.up;
+      migration.down = mod.down;
+      migration.checksum = checksum(sources.js.text);
+    } else {
+      const up = sources["up.sql"];
+      const down = sources["down.sql"];
+      if (!up || !down) throw new Error(`Migration ${label(migration)} needs both .up.sql and .down.sql`);
+      migration.up = (db) => db.query(up.text);
+      migration.down = (db) => db.query(down.text);
+      migration.checksum = checksum(`${up.text}\n-- down --\n${down.text}`);
+    }
+    migrations.push(migration);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INT UNSIGNED NOT NULL,
+       name VARCHAR(255) NOT NULL,
+       checksum CHAR(64) NOT NULL,
+       applied_at DATETIME NOT NULL,
+       execution_ms INT UNSIGNED NOT NULL DEFAULT '0',
+       PRIMARY KEY (version)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci`
+  );
+}
+
+// Only one migrator at a time (e.g. two deploys starting together)
+async function withLock(db, fn) {
+  const [[{ acquired }]] = await db.query("SELECT GET_LOCK(?, ?) AS acquired", [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (acquired !== 1) throw new Error("Another migration is running (could not get the schema_migrations lock)");
+  try {
+    return await fn();
+  } finally {
+    await db.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+  }
+}
+
+export async function migrationStatus(db, migrations) {
+  let applied = [];
+  try {
+    [applied] = await db.query("SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations ORDER BY version");
+  } catch (err) {
+    if (err.code !== "ER_NO_SUCH_TABLE") throw err;
+  }
+  const known = new Map(migrations.map((m) => [m.version, m]));
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  return {
+    applied,
+    pending: migrations.filter((m) => !appliedVersions.has(m.version)),
+    unknown: applied.filter((row) => !known.has(row.version)),
+    changed: applied.filter((row) => known.has(row.version) && known.get(row.version).checksum !== row.checksum),
+  };
+}
+
+export async function migrateUp(db, migrations, { to } = {}) {
+  await ensureMigrationsTable(db);
+  return withLock(db, async () => {
+    const { pending, changed } = await migrationStatus(db, migrations);
+    if (changed.length) {
+      throw new Error(`Applied migrations were edited: ${changed.map(label).join(", ")}. Restore them and add a new migration instead.`);
+    }
+    const done = [];
+    for (const migration of pending.filter((m) => to === undefined || m.version <= to)) {
+      const started = Date.now();
+      await migration.up(db);
+      await db.query(
+        "INSERT INTO schema_migrations (version, name, checksum, applied_at, execution_ms) VALUES (?, ?, ?, NOW(), ?)",
+        [migration.version, migration.name, migration.checksum, Date.now() - started]
+      );
+      done.push(migration);
+    }
+    return done;
+  });
+}
+
+// Reverts the newest `steps` applied migrations, or everything above version `to`
+export async function migrateDown(db, migrations, { steps = 1, to } = {}) {
+  await ensureMigrationsTable(db);
+  return withLock(db, async () => {
+    const { applied } = await migrationStatus(db, migrations);
+    const newestFirst = [...applied].reverse();
+    const targets = to !== undefined ? newestFirst.filter((row) => row.version > to) : newestFirst.slice(0, steps);
+    const known = new Map(migrations.map((m) => [m.version, m]));
+    const done = [];
+    for (const row of targets) {
+      const migration = known.get(row.version);
+      if (!migration) throw new Error(`Migration ${label(row)} is not in this codebase, cannot revert it`);
+      if (migration.checksum !== row.checksum) throw new Error(`Migration ${label(row)} was edited after being applied, refusing to revert it`);
+      await migration.down(db);
+      await db.query("DELETE FROM schema_migrations WHERE version = ?", [row.version]);
+      done.push(migration);
+    }
+    return done;
+  });
+}
+
+// expectedColumns: { table: [column, ...] } that the code cannot run without
+export async function checkSchema(db, migrations, expectedColumns = {}) {
+  const problems = [];
+  const { pending, unknown, changed } = await migrationStatus(db, migrations);
+  if (pending.length) problems.push(`database is behind, pending migrations: ${pending.map(label).join(", ")}`);
+  if (unknown.length) problems.push(`database has migrations this code does not know: ${unknown.map(label).join(", ")}`);
+  if (changed.length) problems.push(`applied migrations differ from the files: ${changed.map(label).join(", ")}`);
+
+  const tables = Object.keys(expectedColumns);
+  if (tables.length) {
+    const [rows] = await db.query(
+      `SELECT table_name AS table_name, column_name AS column_name
+       FROM information_schema.columns
+       WHERE table_schema = DATABASE() AND table_name IN (?)`,
+      [tables]
+    );
+    const present = new Set(rows.map((row) => `${row.table_name}.${row.column_name}`));
+    const missing = tables.flatMap((table) => expectedColumns[table].map((column) => `${table}.${column}`)).filter((c) => !present.has(c));
+    if (missing.length) problems.push(`missing columns: ${missing.join(", ")}`);
+  }
+  return problems;
+}
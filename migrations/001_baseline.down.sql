@@ -0,0 +1,12 @@
+-- 001_baseline.down.sql
+-- Drops the baseline tables (all data is lost).
+
+SET FOREIGN_KEY_CHECKS = 0;
+DROP TABLE IF EXISTS calendar_events;
+DROP TABLE IF EXISTS lab_tests;
+DROP TABLE IF EXISTS appointments;
+DROP TABLE IF EXISTS doctor_slots;
+DROP TABLE IF EXISTS doctors;
+DROP TABLE IF EXISTS patients;
+DROP TABLE IF EXISTS users;
+SET FOREIGN_KEY_CHECKS = 1;
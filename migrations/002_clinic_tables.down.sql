@@ -0,0 +1,37 @@
+-- 002_clinic_tables.down.sql
+-- Drops the tables created by 002 (their data is lost).
+
+SET FOREIGN_KEY_CHECKS = 0;
+DROP TABLE IF EXISTS consultation_attendance;
+DROP TABLE IF EXISTS message_thread_reads;
+DROP TABLE IF EXISTS message_attachments;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS message_threads;
+DROP TABLE IF EXISTS medication_dose_logs;
+DROP TABLE IF EXISTS medication_schedules;
+DROP TABLE IF EXISTS vitals;
+DROP TABLE IF EXISTS patient_medications;
+DROP TABLE IF EXISTS patient_conditions;
+DROP TABLE IF EXISTS patient_allergies;
+DROP TABLE IF EXISTS patient_consents;
+DROP TABLE IF EXISTS audit_chain_head;
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS reminder_outbox;
+DROP TABLE IF EXISTS notification_preferences;
+DROP TABLE IF EXISTS calendar_feed_tokens;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS lab_results;
+DROP TABLE IF EXISTS lab_test_files;
+DROP TABLE IF EXISTS prescription_items;
+DROP TABLE IF EXISTS prescriptions;
+DROP TABLE IF EXISTS consultation_notes;
+DROP TABLE IF EXISTS slot_holds;
+DROP TABLE IF EXISTS waitlist_entries;
+DROP TABLE IF EXISTS availability_exceptions;
+DROP TABLE IF EXISTS availability_rules;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS auth_sessions;
+DROP TABLE IF EXISTS appointment_status_history;
+DROP TRIGGER IF EXISTS audit_log_no_update;
+DROP TRIGGER IF EXISTS audit_log_no_delete;
+SET FOREIGN_KEY_CHECKS = 1;
@@ -0,0 +1,517 @@
+-- 002_clinic_tables.up.sql
+-- Tables added after the baseline: sessions, availability, waitlist, clinical notes and
+-- prescriptions, lab files and results, notifications and reminders, audit log, consents,
+-- health profile, vitals, medication schedules, messaging and consultation attendance.
+-- New columns on the baseline tables are added by 003.
+
+-- ---------------- APPOINTMENT STATUS HISTORY ----------------
+CREATE TABLE IF NOT EXISTS appointment_status_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  appointment_id BIGINT UNSIGNED NOT NULL,
+  from_status VARCHAR(32) DEFAULT NULL,
+  to_status VARCHAR(32) NOT NULL,
+  changed_by_user_id INT DEFAULT NULL,
+  changed_by_role VARCHAR(16) NOT NULL,
+  reason VARCHAR(255) DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY appointment_id (appointment_id),
+  CONSTRAINT appointment_status_history_ibfk_1 FOREIGN KEY (appointment_id) REFERENCES appointments (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- AUTH SESSIONS ----------------
+-- One row per login (device); revoking it invalidates its access and refresh tokens.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  user_agent VARCHAR(255) DEFAULT NULL,
+  ip VARCHAR(45) DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL DEFAULT NULL,
+  revoked_at TIMESTAMP NULL DEFAULT NULL,
+  revoked_reason VARCHAR(64) DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY user_id (user_id),
+  CONSTRAINT auth_sessions_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- REFRESH TOKENS ----------------
+-- Rotated on every refresh; used_at marks a token that must never be presented again.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  session_id BIGINT UNSIGNED NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY ux_refresh_token_hash (token_hash),
+  KEY session_id (session_id),
+  CONSTRAINT refresh_tokens_ibfk_1 FOREIGN KEY (session_id) REFERENCES auth_sessions (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- AVAILABILITY RULES ----------------
+-- Weekly templates; weekdays is a comma list of ISO weekdays (1 = Monday ... 7 = Sunday).
+-- doctor_slots.rule_id points back here for generated slots.
+CREATE TABLE IF NOT EXISTS availability_rules (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  doctor_user_id INT NOT NULL,
+  weekdays VARCHAR(20) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  slot_minutes SMALLINT UNSIGNED NOT NULL,
+  effective_from DATE NOT NULL,
+  effective_to DATE DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY doctor_user_id (doctor_user_id),
+  CONSTRAINT availability_rules_ibfk_1 FOREIGN KEY (doctor_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- AVAILABILITY EXCEPTIONS ----------------
+-- Leave days / holidays; NULL start_time and end_time means the whole day.
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  doctor_user_id INT NOT NULL,
+  exception_date DATE NOT NULL,
+  start_time TIME DEFAULT NULL,
+  end_time TIME DEFAULT NULL,
+  kind VARCHAR(16) NOT NULL DEFAULT 'leave',
+  reason VARCHAR(255) DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY ix_doctor_exception_date (doctor_user_id, exception_date),
+  CONSTRAINT availability_exceptions_ibfk_1 FOREIGN KEY (doctor_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- WAITLIST ----------------
+-- status: waiting -> offered -> fulfilled, or cancelled by the patient
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  doctor_user_id INT NOT NULL,
+  preferred_from DATE DEFAULT NULL,
+  preferred_to DATE DEFAULT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'waiting',
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY ix_waitlist_doctor_status (doctor_user_id, status, created_at),
+  KEY patient_user_id (patient_user_id),
+  CONSTRAINT waitlist_entries_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT waitlist_entries_ibfk_2 FOREIGN KEY (doctor_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- SLOT HOLDS ----------------
+-- Time-limited offers of a free slot to a waitlisted patient.
+-- status: pending, accepted, declined, expired
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  slot_id BIGINT UNSIGNED NOT NULL,
+  waitlist_entry_id BIGINT UNSIGNED NOT NULL,
+  patient_user_id INT NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  expires_at DATETIME NOT NULL,
+  appointment_id BIGINT UNSIGNED DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY ix_slot_holds_status (status, expires_at),
+  KEY slot_id (slot_id),
+  KEY waitlist_entry_id (waitlist_entry_id),
+  CONSTRAINT slot_holds_ibfk_1 FOREIGN KEY (slot_id) REFERENCES doctor_slots (id) ON DELETE CASCADE,
+  CONSTRAINT slot_holds_ibfk_2 FOREIGN KEY (waitlist_entry_id) REFERENCES waitlist_entries (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- CONSULTATION NOTES ----------------
+CREATE TABLE IF NOT EXISTS consultation_notes (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  appointment_id BIGINT UNSIGNED NOT NULL,
+  doctor_user_id INT NOT NULL,
+  patient_user_id INT NOT NULL,
+  chief_complaint TEXT,
+  diagnosis TEXT,
+  advice TEXT,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY ux_notes_appointment (appointment_id),
+  KEY patient_user_id (patient_user_id),
+  CONSTRAINT consultation_notes_ibfk_1 FOREIGN KEY (appointment_id) REFERENCES appointments (id) ON DELETE CASCADE,
+  CONSTRAINT consultation_notes_ibfk_2 FOREIGN KEY (doctor_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT consultation_notes_ibfk_3 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- PRESCRIPTIONS ----------------
+CREATE TABLE IF NOT EXISTS prescriptions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  appointment_id BIGINT UNSIGNED NOT NULL,
+  doctor_user_id INT NOT NULL,
+  patient_user_id INT NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY appointment_id (appointment_id),
+  KEY patient_user_id (patient_user_id),
+  CONSTRAINT prescriptions_ibfk_1 FOREIGN KEY (appointment_id) REFERENCES appointments (id) ON DELETE CASCADE,
+  CONSTRAINT prescriptions_ibfk_2 FOREIGN KEY (doctor_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT prescriptions_ibfk_3 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS prescription_items (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  prescription_id BIGINT UNSIGNED NOT NULL,
+  drug VARCHAR(255) NOT NULL,
+  strength VARCHAR(64) DEFAULT NULL,
+  dose VARCHAR(64) NOT NULL,
+  frequency VARCHAR(64) NOT NULL,
+  duration VARCHAR(64) NOT NULL,
+  instructions VARCHAR(500) DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY prescription_id (prescription_id),
+  CONSTRAINT prescription_items_ibfk_1 FOREIGN KEY (prescription_id) REFERENCES prescriptions (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- LAB TEST FILES ----------------
+-- Uploaded report files; storage_key points into the storage driver (see storage.js).
+CREATE TABLE IF NOT EXISTS lab_test_files (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  lab_test_id INT NOT NULL,
+  uploaded_by_user_id INT NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  content_type VARCHAR(64) NOT NULL,
+  size_bytes INT UNSIGNED NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  storage_key VARCHAR(512) NOT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY lab_test_id (lab_test_id),
+  CONSTRAINT lab_test_files_ibfk_1 FOREIGN KEY (lab_test_id) REFERENCES lab_tests (id) ON DELETE CASCADE,
+  CONSTRAINT lab_test_files_ibfk_2 FOREIGN KEY (uploaded_by_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- LAB RESULTS ----------------
+-- One row per analyte; flag is computed on entry: normal, low, high, critical_low, critical_high
+CREATE TABLE IF NOT EXISTS lab_results (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  lab_test_id INT NOT NULL,
+  analyte VARCHAR(100) NOT NULL,
+  value DECIMAL(14,4) NOT NULL,
+  unit VARCHAR(32) DEFAULT NULL,
+  ref_low DECIMAL(14,4) DEFAULT NULL,
+  ref_high DECIMAL(14,4) DEFAULT NULL,
+  critical_low DECIMAL(14,4) DEFAULT NULL,
+  critical_high DECIMAL(14,4) DEFAULT NULL,
+  flag VARCHAR(16) NOT NULL DEFAULT 'normal',
+  recorded_by_user_id INT DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY lab_test_id (lab_test_id),
+  KEY analyte (analyte),
+  CONSTRAINT lab_results_ibfk_1 FOREIGN KEY (lab_test_id) REFERENCES lab_tests (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- NOTIFICATIONS ----------------
+-- In-app inbox; data holds a small JSON payload (ids the app can link to)
+CREATE TABLE IF NOT EXISTS notifications (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  type VARCHAR(64) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  data JSON DEFAULT NULL,
+  read_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY ix_notifications_user (user_id, read_at),
+  CONSTRAINT notifications_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- CALENDAR FEED TOKENS ----------------
+-- Secret iCalendar subscription URLs; only the SHA-256 of the token is stored.
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  last_fetched_at DATETIME DEFAULT NULL,
+  revoked_at DATETIME DEFAULT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY ux_feed_token_hash (token_hash),
+  KEY user_id (user_id),
+  CONSTRAINT calendar_feed_tokens_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- NOTIFICATION PREFERENCES ----------------
+-- Missing row = defaults (email on, SMS and push off, no quiet hours)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INT NOT NULL,
+  sms_enabled TINYINT(1) NOT NULL DEFAULT '0',
+  email_enabled TINYINT(1) NOT NULL DEFAULT '1',
+  push_enabled TINYINT(1) NOT NULL DEFAULT '0',
+  phone VARCHAR(30) DEFAULT NULL,
+  push_token VARCHAR(512) DEFAULT NULL,
+  quiet_start TIME DEFAULT NULL,
+  quiet_end TIME DEFAULT NULL,
+  updated_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (user_id),
+  CONSTRAINT notification_preferences_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- REMINDER OUTBOX ----------------
+-- status: pending, sending, sent, failed, skipped, cancelled
+-- target_at is the appointment/lab time the reminder was planned for; a moved appointment
+-- gets new rows and the old ones are cancelled.
+CREATE TABLE IF NOT EXISTS reminder_outbox (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  channel VARCHAR(16) NOT NULL,
+  kind VARCHAR(32) NOT NULL,
+  related_type VARCHAR(32) NOT NULL,
+  related_id BIGINT UNSIGNED NOT NULL,
+  target_at DATETIME NOT NULL,
+  send_at DATETIME NOT NULL,
+  subject VARCHAR(255) DEFAULT NULL,
+  body TEXT NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  attempts TINYINT UNSIGNED NOT NULL DEFAULT '0',
+  next_attempt_at DATETIME DEFAULT NULL,
+  claimed_at DATETIME DEFAULT NULL,
+  last_error VARCHAR(500) DEFAULT NULL,
+  provider_message_id VARCHAR(128) DEFAULT NULL,
+  sent_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY ux_reminder (user_id, channel, kind, related_type, related_id, target_at),
+  KEY ix_reminder_due (status, send_at),
+  CONSTRAINT reminder_outbox_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- AUDIT LOG ----------------
+-- Append-only record of reads and writes of patient data. No foreign keys on purpose:
+-- entries must outlive the users they mention. hash = SHA-256 over prev_hash and the
+-- row's own fields (see recordAudit in server.js); audit_chain_head keeps the latest hash.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  actor_user_id INT DEFAULT NULL,
+  actor_role VARCHAR(16) DEFAULT NULL,
+  action VARCHAR(16) NOT NULL,
+  resource_type VARCHAR(32) NOT NULL,
+  resource_id VARCHAR(64) DEFAULT NULL,
+  patient_user_id INT DEFAULT NULL,
+  ip VARCHAR(45) DEFAULT NULL,
+  route VARCHAR(255) DEFAULT NULL,
+  created_at DATETIME NOT NULL,
+  prev_hash CHAR(64) DEFAULT NULL,
+  hash CHAR(64) NOT NULL,
+  PRIMARY KEY (id),
+  KEY ix_audit_patient (patient_user_id, created_at),
+  KEY ix_audit_actor (actor_user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS audit_chain_head (
+  id TINYINT UNSIGNED NOT NULL,
+  last_hash CHAR(64) DEFAULT NULL,
+  PRIMARY KEY (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+INSERT IGNORE INTO audit_chain_head (id, last_hash) VALUES (1, NULL);
+
+DROP TRIGGER IF EXISTS audit_log_no_update;
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+DROP TRIGGER IF EXISTS audit_log_no_delete;
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
+-- ---------------- PATIENT CONSENTS ----------------
+-- Time-limited read access to a patient's records granted to one doctor; ends at
+-- expires_at or when the patient revokes it.
+CREATE TABLE IF NOT EXISTS patient_consents (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  doctor_user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY ix_consent_doctor_patient (doctor_user_id, patient_user_id, expires_at),
+  KEY ix_consent_patient (patient_user_id),
+  CONSTRAINT patient_consents_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT patient_consents_ibfk_2 FOREIGN KEY (doctor_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- HEALTH PROFILE ----------------
+CREATE TABLE IF NOT EXISTS patient_allergies (
+  id INT NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  allergen VARCHAR(150) NOT NULL,
+  reaction VARCHAR(255) DEFAULT NULL,
+  severity ENUM('mild','moderate','severe','life_threatening') NOT NULL,
+  noted_on DATE DEFAULT NULL,
+  created_by_user_id INT DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY patient_user_id (patient_user_id),
+  CONSTRAINT patient_allergies_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT patient_allergies_ibfk_2 FOREIGN KEY (created_by_user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS patient_conditions (
+  id INT NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  name VARCHAR(150) NOT NULL,
+  status ENUM('active','in_remission','resolved') NOT NULL DEFAULT 'active',
+  diagnosed_on DATE DEFAULT NULL,
+  notes TEXT,
+  created_by_user_id INT DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY patient_user_id (patient_user_id),
+  CONSTRAINT patient_conditions_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT patient_conditions_ibfk_2 FOREIGN KEY (created_by_user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS patient_medications (
+  id INT NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  drug VARCHAR(150) NOT NULL,
+  strength VARCHAR(50) DEFAULT NULL,
+  dose VARCHAR(50) DEFAULT NULL,
+  frequency VARCHAR(100) DEFAULT NULL,
+  started_on DATE DEFAULT NULL,
+  ended_on DATE DEFAULT NULL,
+  notes TEXT,
+  created_by_user_id INT DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY patient_user_id (patient_user_id),
+  CONSTRAINT patient_medications_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT patient_medications_ibfk_2 FOREIGN KEY (created_by_user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- VITALS ----------------
+-- value is in the canonical unit for the type (mmHg, bpm, kg, mg/dL, %);
+-- blood_pressure stores systolic in value and diastolic in value_secondary.
+CREATE TABLE IF NOT EXISTS vitals (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  value DECIMAL(8,2) NOT NULL,
+  value_secondary DECIMAL(8,2) DEFAULT NULL,
+  unit VARCHAR(10) NOT NULL,
+  measured_at DATETIME NOT NULL,
+  note VARCHAR(255) DEFAULT NULL,
+  recorded_by_user_id INT DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY ix_vitals_patient_type (patient_user_id, type, measured_at),
+  CONSTRAINT vitals_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT vitals_ibfk_2 FOREIGN KEY (recorded_by_user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- MEDICATION SCHEDULES ----------------
+-- times_of_day: JSON array of "HH:MM". Dose events live in calendar_events
+-- (event_type 'medication_dose', related_type 'medication_schedule').
+CREATE TABLE IF NOT EXISTS medication_schedules (
+  id INT NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  created_by_user_id INT DEFAULT NULL,
+  prescription_item_id BIGINT UNSIGNED DEFAULT NULL,
+  drug VARCHAR(150) NOT NULL,
+  dose VARCHAR(50) NOT NULL,
+  times_of_day JSON NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE DEFAULT NULL,
+  instructions VARCHAR(255) DEFAULT NULL,
+  active TINYINT(1) NOT NULL DEFAULT '1',
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY ix_med_schedule_patient (patient_user_id, active),
+  CONSTRAINT medication_schedules_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT medication_schedules_ibfk_2 FOREIGN KEY (created_by_user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS medication_dose_logs (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  schedule_id INT NOT NULL,
+  patient_user_id INT NOT NULL,
+  scheduled_for DATETIME NOT NULL,
+  status ENUM('taken','skipped','late') NOT NULL,
+  taken_at DATETIME DEFAULT NULL,
+  note VARCHAR(255) DEFAULT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY ux_dose_log (schedule_id, scheduled_for),
+  CONSTRAINT medication_dose_logs_ibfk_1 FOREIGN KEY (schedule_id) REFERENCES medication_schedules (id) ON DELETE CASCADE,
+  CONSTRAINT medication_dose_logs_ibfk_2 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- MESSAGING ----------------
+CREATE TABLE IF NOT EXISTS message_threads (
+  id INT NOT NULL AUTO_INCREMENT,
+  patient_user_id INT NOT NULL,
+  doctor_user_id INT NOT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  last_message_at DATETIME DEFAULT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY ux_thread_pair (patient_user_id, doctor_user_id),
+  KEY doctor_user_id (doctor_user_id),
+  CONSTRAINT message_threads_ibfk_1 FOREIGN KEY (patient_user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT message_threads_ibfk_2 FOREIGN KEY (doctor_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS messages (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT NOT NULL,
+  sender_user_id INT NOT NULL,
+  body TEXT,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY ix_messages_thread (thread_id, id),
+  CONSTRAINT messages_ibfk_1 FOREIGN KEY (thread_id) REFERENCES message_threads (id) ON DELETE CASCADE,
+  CONSTRAINT messages_ibfk_2 FOREIGN KEY (sender_user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS message_attachments (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  message_id BIGINT UNSIGNED NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes INT UNSIGNED NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  storage_key VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY message_id (message_id),
+  CONSTRAINT message_attachments_ibfk_1 FOREIGN KEY (message_id) REFERENCES messages (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Read receipts: everything up to last_read_message_id has been seen by user_id
+CREATE TABLE IF NOT EXISTS message_thread_reads (
+  thread_id INT NOT NULL,
+  user_id INT NOT NULL,
+  last_read_message_id BIGINT UNSIGNED NOT NULL DEFAULT '0',
+  read_at DATETIME DEFAULT NULL,
+  PRIMARY KEY (thread_id, user_id),
+  CONSTRAINT message_thread_reads_ibfk_1 FOREIGN KEY (thread_id) REFERENCES message_threads (id) ON DELETE CASCADE,
+  CONSTRAINT message_thread_reads_ibfk_2 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- ---------------- VIDEO CONSULTATIONS ----------------
+-- One row per signaling connection; left_at stays NULL while connected (or if the server died)
+CREATE TABLE IF NOT EXISTS consultation_attendance (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  appointment_id BIGINT UNSIGNED NOT NULL,
+  user_id INT NOT NULL,
+  role VARCHAR(16) NOT NULL,
+  joined_at DATETIME NOT NULL,
+  left_at DATETIME DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY ix_attendance_appt (appointment_id, user_id),
+  CONSTRAINT consultation_attendance_ibfk_1 FOREIGN KEY (appointment_id) REFERENCES appointments (id) ON DELETE CASCADE,
+  CONSTRAINT consultation_attendance_ibfk_2 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
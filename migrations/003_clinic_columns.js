@@ -0,0 +1,130 @@
+// 003_clinic_columns.js
+// Columns and keys added to the baseline tables by the later features: admin role and
+// suspension on users, health details on patients, verification on doctors, rule and
+// hold tracking on doctor_slots, cancellation/reschedule/no-show data on appointments
+// (with active_slot_at, so a cancelled time can be booked again), ordering doctor and
+// results on lab_tests, and external_uid for imported calendar events.
+// Each change is skipped when the database already has it (databases created from a newer
+// schema.sql). Doctors that existed before verification was introduced are marked
+// approved; otherwise every one of them would be locked out until an admin reviewed them.
+
+const COLUMNS = [
+  ["users", "status", "ENUM('active','suspended') NOT NULL DEFAULT 'active' AFTER date_of_birth"],
+  ["users", "suspended_at", "DATETIME DEFAULT NULL AFTER status"],
+  ["users", "suspension_reason", "VARCHAR(255) DEFAULT NULL AFTER suspended_at"],
+  ["patients", "blood_group", "VARCHAR(3) DEFAULT NULL AFTER user_id"],
+  ["patients", "emergency_contact_name", "VARCHAR(100) DEFAULT NULL AFTER blood_group"],
+  ["patients", "emergency_contact_phone", "VARCHAR(30) DEFAULT NULL AFTER emergency_contact_name"],
+  ["patients", "emergency_contact_relation", "VARCHAR(50) DEFAULT NULL AFTER emergency_contact_phone"],
+  ["patients", "updated_at", "TIMESTAMP NULL DEFAULT NULL AFTER emergency_contact_relation"],
+  ["doctors", "verification_status", "ENUM('pending','approved','rejected') NOT NULL DEFAULT 'pending' AFTER specialization"],
+  ["doctors", "verified_at", "DATETIME DEFAULT NULL AFTER verification_status"],
+  ["doctors", "verified_by_user_id", "INT DEFAULT NULL AFTER verified_at"],
+  ["doctors", "rejection_reason", "VARCHAR(255) DEFAULT NULL AFTER verified_by_user_id"],
+  ["doctor_slots", "rule_id", "BIGINT UNSIGNED DEFAULT NULL AFTER is_booked"],
+  ["doctor_slots", "held_by_user_id", "INT DEFAULT NULL AFTER rule_id"],
+  ["doctor_slots", "held_until", "DATETIME DEFAULT NULL AFTER held_by_user_id"],
+  ["appointments", "cancellation_reason", "VARCHAR(255) DEFAULT NULL AFTER status"],
+  ["appointments", "reschedule_count", "TINYINT UNSIGNED NOT NULL DEFAULT '0' AFTER cancellation_reason"],
+  ["appointments", "no_show_party", "VARCHAR(16) DEFAULT NULL AFTER reschedule_count"],
+  [
+    "appointments",
+    "active_slot_at",
+    "DATETIME GENERATED ALWAYS AS (IF(status LIKE 'cancelled%', NULL, scheduled_at)) STORED AFTER no_show_party",
+  ],
+  ["lab_tests", "ordered_by_doctor_id", "INT DEFAULT NULL AFTER report_url"],
+  ["lab_tests", "appointment_id", "BIGINT UNSIGNED DEFAULT NULL AFTER ordered_by_doctor_id"],
+  ["lab_tests", "results_at", "DATETIME DEFAULT NULL AFTER appointment_id"],
+  ["calendar_events", "external_uid", "VARCHAR(255) DEFAULT NULL AFTER color"],
+];
+
+async function hasColumn(db, table, column) {
+  const [[row]] = await db.query(
+    `SELECT COUNT(*) AS n FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+    [table, column]
+  );
+  return row.n > 0;
+}
+
+// index columns in order, e.g. "doctor_user_id,active_slot_at"; null when there is no such index
+async function indexColumns(db, table, index) {
+  const [[row]] = await db.query(
+    `SELECT GROUP_CONCAT(column_name ORDER BY seq_in_index) AS columns FROM information_schema.statistics
+     WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?`,
+    [table, index]
+  );
+  return row.columns || null;
+}
+
+async function hasConstraint(db, table, constraint) {
+  const [[row]] = await db.query(
+    `SELECT COUNT(*) AS n FROM information_schema.table_constraints
+     WHERE table_schema = DATABASE() AND table_name = ? AND constraint_name = ?`,
+    [table, constraint]
+  );
+  return row.n > 0;
+}
+
+export async function up(db) {
+  await db.query("ALTER TABLE users MODIFY role ENUM('patient','doctor','admin') NOT NULL");
+
+  const verificationExisted = await hasColumn(db, "doctors", "verification_status");
+  for (const [table, column, definition] of COLUMNS) {
+    if (!(await hasColumn(db, table, column))) await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+  if (!verificationExisted) await db.query("UPDATE doctors SET verification_status = 'approved'");
+
+  if (!(await indexColumns(db, "doctor_slots", "rule_id"))) await db.query("ALTER TABLE doctor_slots ADD KEY rule_id (rule_id)");
+
+  // one live booking per doctor and time; cancelled rows no longer block the slot
+  if ((await indexColumns(db, "appointments", "ux_appt_doctor_time")) !== "doctor_user_id,active_slot_at") {
+    await db.query(
+      `ALTER TABLE appointments DROP INDEX ux_appt_doctor_time,
+       ADD UNIQUE KEY ux_appt_doctor_time (doctor_user_id, active_slot_at)`
+    );
+  }
+
+  if (!(await indexColumns(db, "lab_tests", "ordered_by_doctor_id"))) {
+    await db.query("ALTER TABLE lab_tests ADD KEY ordered_by_doctor_id (ordered_by_doctor_id)");
+  }
+  if (!(await hasConstraint(db, "lab_tests", "lab_tests_ibfk_2"))) {
+    await db.query(
+      "ALTER TABLE lab_tests ADD CONSTRAINT lab_tests_ibfk_2 FOREIGN KEY (ordered_by_doctor_id) REFERENCES users (id) ON DELETE SET NULL"
+    );
+  }
+  if (!(await hasConstraint(db, "lab_tests", "lab_tests_ibfk_3"))) {
+    await db.query(
+      "ALTER TABLE lab_tests ADD CONSTRAINT lab_tests_ibfk_3 FOREIGN KEY (appointment_id) REFERENCES appointments (id) ON DELETE SET NULL"
+    );
+  }
+
+  if (!(await indexColumns(db, "calendar_events", "ux_calendar_event_uid"))) {
+    await db.query("ALTER TABLE calendar_events ADD UNIQUE KEY ux_calendar_event_uid (user_id, external_uid)");
+  }
+}
+
+export async function down(db) {
+  // the baseline has neither admins nor more than one booking row per doctor and time
+  const [[{ admins }]] = await db.query("SELECT COUNT(*) AS admins FROM users WHERE role = 'admin'");
+  if (admins > 0) throw new Error(`${admins} admin users exist; the baseline role column cannot hold them`);
+  const [[{ clashes }]] = await db.query(
+    `SELECT COUNT(*) AS clashes FROM (
+       SELECT 1 FROM appointments GROUP BY doctor_user_id, scheduled_at HAVING COUNT(*) > 1
+     ) AS dup`
+  );
+  if (clashes > 0) throw new Error(`${clashes} doctor/time pairs have more than one appointment (cancelled and rebooked)`);
+
+  await db.query("ALTER TABLE calendar_events DROP INDEX ux_calendar_event_uid");
+  await db.query("ALTER TABLE lab_tests DROP FOREIGN KEY lab_tests_ibfk_3, DROP FOREIGN KEY lab_tests_ibfk_2");
+  await db.query("ALTER TABLE lab_tests DROP INDEX ordered_by_doctor_id");
+  await db.query(
+    `ALTER TABLE appointments DROP INDEX ux_appt_doctor_time,
+     ADD UNIQUE KEY ux_appt_doctor_time (doctor_user_id, scheduled_at)`
+  );
+  await db.query("ALTER TABLE doctor_slots DROP INDEX rule_id");
+  for (const [table, column] of [...COLUMNS].reverse()) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+  await db.query("ALTER TABLE users MODIFY role ENUM('patient','doctor') NOT NULL");
+}
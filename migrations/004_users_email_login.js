@@ -0,0 +1,37 @@
+// 004_users_email_login.js
+// Signup, login and create_user.js identify users by users.email, but the original schema
+// only had a NOT NULL phone_number, so fresh databases could not sign anyone up. Add a
+// unique, nullable email next to phone_number and make phone_number optional, so an
+// account can have either. Emails that ended up in phone_number are moved across.
+// Databases that had already drifted to an email column keep it as it is.
+
+async function usersColumn(db, column) {
+  const [[row]] = await db.query(
+    `SELECT is_nullable AS is_nullable
+     FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = ?`,
+    [column]
+  );
+  return row || null;
+}
+
+export async function up(db) {
+  if (!(await usersColumn(db, "email"))) {
+    await db.query("ALTER TABLE users ADD COLUMN email VARCHAR(255) DEFAULT NULL AFTER id, ADD UNIQUE KEY email (email)");
+  }
+  const phone = await usersColumn(db, "phone_number");
+  if (!phone) {
+    await db.query("ALTER TABLE users ADD COLUMN phone_number VARCHAR(30) DEFAULT NULL AFTER email, ADD UNIQUE KEY phone_number (phone_number)");
+  } else if (phone.is_nullable === "NO") {
+    await db.query("ALTER TABLE users MODIFY phone_number VARCHAR(30) DEFAULT NULL");
+  }
+  await db.query("UPDATE users SET email = phone_number, phone_number = NULL WHERE email IS NULL AND phone_number LIKE '%@%'");
+}
+
+export async function down(db) {
+  // phone_number becomes the only (NOT NULL) login again; fails if an email does not fit
+  await db.query("UPDATE users SET phone_number = email WHERE phone_number IS NULL");
+  const [[{ missing }]] = await db.query("SELECT COUNT(*) AS missing FROM users WHERE phone_number IS NULL");
+  if (missing > 0) throw new Error(`${missing} users have neither phone_number nor email`);
+  await db.query("ALTER TABLE users MODIFY phone_number VARCHAR(30) NOT NULL, DROP INDEX email, DROP COLUMN email");
+}
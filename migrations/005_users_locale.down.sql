@@ -0,0 +1,4 @@
+-- 005_users_locale.down.sql
+-- Drops the stored language preference.
+
+ALTER TABLE users DROP COLUMN locale;
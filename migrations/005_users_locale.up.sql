@@ -0,0 +1,5 @@
+-- 005_users_locale.up.sql
+-- Preferred language for API messages, notifications and reminders ("en", "hi", "pa").
+-- NULL means follow the request's Accept-Language header.
+
+ALTER TABLE users ADD COLUMN locale VARCHAR(8) DEFAULT NULL AFTER suspension_reason;
@@ -0,0 +1,29 @@
+// 006_phone_otp.js
+// Passwordless sign-up and login by phone: users created that way have no password, and
+// one-time codes live in phone_otps (HMAC of the code, never the code itself) with their
+// expiry, attempt count and the time they were used.
+
+export async function up(db) {
+  await db.query("ALTER TABLE users MODIFY password VARCHAR(255) DEFAULT NULL");
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS phone_otps (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      phone_number VARCHAR(30) NOT NULL,
+      purpose ENUM('signup','login') NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      expires_at DATETIME NOT NULL,
+      consumed_at DATETIME DEFAULT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY ix_phone_otps_phone (phone_number, purpose, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci`);
+}
+
+export async function down(db) {
+  // password becomes NOT NULL again; fails while phone-only accounts exist
+  const [[{ missing }]] = await db.query("SELECT COUNT(*) AS missing FROM users WHERE password IS NULL");
+  if (missing > 0) throw new Error(`${missing} users have no password (phone sign-in only)`);
+  await db.query("DROP TABLE IF EXISTS phone_otps");
+  await db.query("ALTER TABLE users MODIFY password VARCHAR(255) NOT NULL");
+}
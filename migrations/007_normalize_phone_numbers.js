@@ -0,0 +1,43 @@
+// 007_normalize_phone_numbers.js
+// Phone sign-in looks numbers up in E.164 form (see otp.js), but numbers stored before it
+// were saved as typed ("098765 43210", "+91-98765-43210", ...), so their owners could not
+// get a login code and /signup/phone could register the same number a second time.
+// Rewrite them with normalizePhone, using PHONE_DEFAULT_COUNTRY_CODE like the server.
+// Numbers that would end up identical are a decision for a person (which account keeps the
+// number?): they are listed and nothing is changed until they are resolved. Numbers that
+// cannot be read as a phone number are listed and left as they are.
+
+import { normalizePhone } from "../otp.js";
+
+export async function up(db) {
+  const defaultCountryCode = String(process.env.PHONE_DEFAULT_COUNTRY_CODE || "91");
+  const [users] = await db.query("SELECT id, phone_number FROM users WHERE phone_number IS NOT NULL ORDER BY id");
+
+  const owners = new Map(); // normalized number -> [user ids]
+  const changes = [];
+  const unreadable = [];
+  for (const { id, phone_number: phone } of users) {
+    const normalized = normalizePhone(phone, { defaultCountryCode });
+    if (!normalized) {
+      unreadable.push(`user ${id}: ${JSON.stringify(phone)}`);
+      continue;
+    }
+    owners.set(normalized, [...(owners.get(normalized) || []), id]);
+    if (normalized !== phone) changes.push([normalized, id]);
+  }
+
+  const collisions = [...owners].filter(([, ids]) => ids.length > 1);
+  if (collisions.length) {
+    const list = collisions.map(([phone, ids]) => `${phone}: users ${ids.join(", ")}`).join("\n  ");
+    throw new Error(`Phone numbers shared by more than one account; change or clear all but one, then rerun:\n  ${list}`);
+  }
+  if (unreadable.length) console.warn(`Phone numbers left unchanged (not a valid number):\n  ${unreadable.join("\n  ")}`);
+
+  for (const [normalized, id] of changes) {
+    await db.query("UPDATE users SET phone_number = ? WHERE id = ?", [normalized, id]);
+  }
+}
+
+export async function down() {
+  // the numbers as originally typed are not kept; E.164 works with the older code too
+}
@@ -0,0 +1,4 @@
+-- 008_password_reset_tokens.down.sql
+-- Drops the forgot-password tokens; links already sent stop working.
+
+DROP TABLE IF EXISTS password_reset_tokens;
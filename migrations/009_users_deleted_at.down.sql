@@ -0,0 +1,4 @@
+-- 009_users_deleted_at.down.sql
+-- Closed doctor accounts stay suspended; only the marker is dropped.
+
+ALTER TABLE users DROP COLUMN deleted_at;
@@ -0,0 +1,5 @@
+-- 009_users_deleted_at.up.sql
+-- When a doctor closed their account. The row stays (suspended, without contact details or
+-- password) because patients' appointments, notes and prescriptions refer to it.
+
+ALTER TABLE users ADD COLUMN deleted_at DATETIME DEFAULT NULL AFTER locale;
@@ -0,0 +1,188 @@
+// openapi.js
+// Builds the OpenAPI 3 document from the routes registered on the Express app, and a
+// plain HTML page to browse it (no scripts, so it works under the default helmet CSP).
+//
+// buildOpenApi(app, { info, authMiddleware }) -> OpenAPI document
+//   Every route is listed. Parameters and request bodies come from the schema attached by
+//   validateRequest (validation.js); a route is marked as needing a bearer token when
+//   authMiddleware is in its stack, and roles come from a middleware's `roles` property.
+//
+// renderDocsPage(doc) -> HTML string
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["error", "message"],
+  properties: {
+    error: {
+      type: "object",
+      required: ["code", "message"],
+      properties: {
+        code: { type: "string", example: "validation_failed" },
+        message: { type: "string" },
+        details: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              in: { type: "string", enum: ["params", "query", "body"] },
+              field: { type: "string", example: "date_of_birth" },
+              code: { type: "string", example: "format" },
+              message: { type: "string", example: "must be YYYY-MM-DD" },
+            },
+          },
+        },
+      },
+    },
+    message: { type: "string", description: "Same as error.message" },
+  },
+};
+
+// Express "/patients/:id/vitals" -> OpenAPI "/patients/{id}/vitals"
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function pathParamNames(path) {
+  return [...path.matchAll(/:(\w+)/g)].map((m) => m[1]);
+}
+
+function parametersFor(path, spec) {
+  const params = spec.params || {};
+  const query = spec.query || {};
+  return [
+    ...pathParamNames(path).map((name) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: (params.properties || {})[name] || { type: "string" },
+    })),
+    ...Object.entries(query.properties || {}).map(([name, schema]) => ({
+      name,
+      in: "query",
+      required: (query.required || []).includes(name),
+      ...(schema.description ? { description: schema.description } : {}),
+      schema,
+    })),
+  ];
+}
+
+export function buildOpenApi(app, { info, authMiddleware }) {
+  const paths = {};
+  const tags = new Set();
+
+  for (const layer of app.router.stack) {
+    const route = layer.route;
+    if (!route || typeof route.path !== "string") continue;
+    const handles = route.stack.map((l) => l.handle);
+    const spec = (handles.find((h) => h.requestSchema) || {}).requestSchema || {};
+    const roles = (handles.find((h) => Array.isArray(h.roles)) || {}).roles;
+    const secured = handles.includes(authMiddleware);
+    const tag = spec.tag || route.path.split("/")[1] || "root";
+    tags.add(tag);
+
+    for (const method of Object.keys(route.methods)) {
+      if (method === "_all") continue;
+      const description = [spec.description, roles ? `Roles: ${roles.join(", ")}.` : null].filter(Boolean).join("\n\n");
+      const operation = {
+        tags: [tag],
+        ...(spec.summary ? { summary: spec.summary } : {}),
+        ...(description ? { description } : {}),
+        operationId: `${method}${route.path.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ""))}`,
+        parameters: parametersFor(route.path, spec),
+        responses: {
+          "2XX": { description: "Success" },
+          "4XX": { description: "Client error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+          "5XX": { description: "Server error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+        },
+        ...(secured ? { security: [{ bearerAuth: [] }] } : {}),
+      };
+      if (spec.body) {
+        const contentType = spec.multipart ? "multipart/form-data" : "application/json";
+        operation.requestBody = {
+          required: Boolean((spec.body.required || []).length),
+          content: { [contentType]: { schema: { type: "object", ...spec.body } } },
+        };
+      }
+      const openApiPath = toOpenApiPath(route.path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = operation;
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info,
+    tags: [...tags].sort().map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+      schemas: { Error: ERROR_SCHEMA },
+    },
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderParameters(parameters) {
+  if (!parameters.length) return "";
+  const rows = parameters
+    .map(
+      (p) =>
+        `<tr><td><code>${escapeHtml(p.name)}</code></td><td>${p.in}</td><td>${p.required ? "yes" : ""}</td>` +
+        `<td><code>${escapeHtml(JSON.stringify(p.schema))}</code></td></tr>`
+    )
+    .join("");
+  return `<table><tr><th>Name</th><th>In</th><th>Required</th><th>Schema</th></tr>${rows}</table>`;
+}
+
+export function renderDocsPage(doc) {
+  const byTag = new Map();
+  for (const [path, methods] of Object.entries(doc.paths)) {
+    for (const [method, op] of Object.entries(methods)) {
+      const list = byTag.get(op.tags[0]) || [];
+      list.push({ path, method, op });
+      byTag.set(op.tags[0], list);
+    }
+  }
+
+  const sections = [...byTag.keys()].sort().map((tag) => {
+    const ops = byTag.get(tag).map(({ path, method, op }) => {
+      const body = op.requestBody
+        ? Object.entries(op.requestBody.content)
+            .map(([type, { schema }]) => `<p>Body (${type})</p><pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>`)
+            .join("")
+        : "";
+      return (
+        `<details><summary><span class="m ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code>` +
+        `${op.summary ? ` &ndash; ${escapeHtml(op.summary)}` : ""}${op.security ? " &#128274;" : ""}</summary>` +
+        `${op.description ? `<p>${escapeHtml(op.description).replace(/\n\n/g, "<br>")}</p>` : ""}` +
+        `${renderParameters(op.parameters)}${body}</details>`
+      );
+    });
+    return `<h2>${escapeHtml(tag)}</h2>${ops.join("")}`;
+  });
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(doc.info.title)}</title>
+<style>
+body{font-family:system-ui,sans-serif;max-width:60rem;margin:2rem auto;padding:0 1rem;color:#222}
+details{border:1px solid #ddd;border-radius:4px;margin:.4rem 0;padding:.4rem .6rem}
+summary{cursor:pointer}
+.m{display:inline-block;min-width:4.5rem;font-weight:bold}
+.get{color:#2471a3}.post{color:#1e8449}.put,.patch{color:#b9770e}.delete{color:#c0392b}
+table{border-collapse:collapse;margin:.5rem 0}td,th{border:1px solid #ddd;padding:.2rem .5rem;text-align:left;font-size:.9rem}
+pre{background:#f6f6f6;padding:.5rem;overflow:auto;font-size:.85rem}
+</style></head><body>
+<h1>${escapeHtml(doc.info.title)} <small>${escapeHtml(doc.info.version)}</small></h1>
+<p>Machine-readable spec: <a href="/openapi.json">/openapi.json</a>. &#128274; marks routes that need
+<code>Authorization: Bearer &lt;access token&gt;</code>. Errors use the <code>Error</code> shape:
+<code>{ "error": { "code", "message", "details"? }, "message" }</code>.</p>
+${sections.join("\n")}
+</body></html>`;
+}
@@ -0,0 +1,46 @@
+// otp.js
+// Phone numbers and one-time codes for passwordless sign-up and login.
+//
+//   normalizePhone(input, { defaultCountryCode? }) -> "+<country><number>" (E.164) or null
+//     Spaces, dashes, dots and brackets are ignored; "00" works like "+". Numbers without a
+//     country code get defaultCountryCode (India, 91, unless configured), and a leading
+//     trunk "0" is dropped first: "098765 43210" -> "+919876543210".
+//   generateOtp(length?)                           -> string of random digits
+//   hashOtp(secret, { phone, purpose, code })      -> hex HMAC-SHA256
+//   otpMatches(secret, hash, { phone, purpose, code }) -> boolean (constant time)
+//
+// Codes are short, so they are stored as an HMAC keyed with a server secret rather than a
+// plain hash: a leaked table cannot be brute-forced without the key. The phone number and
+// purpose are part of the MAC, so a code only ever works for what it was sent for.
+
+import crypto from "crypto";
+
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+export function normalizePhone(input, { defaultCountryCode = "91" } = {}) {
+  if (typeof input !== "string") return null;
+  let value = input.trim().replace(/[\s\-.()]/g, "");
+  if (value.startsWith("00")) value = `+${value.slice(2)}`;
+  if (!value.startsWith("+")) {
+    if (!/^\d+$/.test(value)) return null;
+    value = value.replace(/^0+/, "");
+    // already carries the default country code, e.g. "919876543210"
+    const national = value.startsWith(defaultCountryCode) && value.length > 10 ? value.slice(defaultCountryCode.length) : value;
+    value = `+${defaultCountryCode}${national}`;
+  }
+  return E164.test(value) ? value : null;
+}
+
+export function generateOtp(length = 6) {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, "0");
+}
+
+export function hashOtp(secret, { phone, purpose, code }) {
+  return crypto.createHmac("sha256", secret).update(`${purpose}:${phone}:${code}`).digest("hex");
+}
+
+export function otpMatches(secret, hash, attempt) {
+  const expected = Buffer.from(hashOtp(secret, attempt), "hex");
+  const actual = Buffer.from(String(hash), "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
@@ -10,6 +10,22 @@ import dotenv from "dotenv";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import cors from 'cors';
+import cookieParser from "cookie-parser";
+import crypto from "crypto";
+import fs from "fs";
+import PDFDocument from "pdfkit";
+import multer from "multer";
+import path from "path";
+import { createStorage } from "./storage.js";
+import { buildCalendar, parseCalendar } from "./ical.js";
+import { createChannels } from "./channels.js";
+import { createLiveHub } from "./live.js";
+import { attachSignaling } from "./signaling.js";
+import { loadMigrations, checkSchema, DEFAULT_MIGRATIONS_DIR } from "./migrations.js";
+import { validateRequest, errorEnvelope } from "./validation.js";
+import { buildOpenApi, renderDocsPage } from "./openapi.js";
+import { loadCatalogs, createI18n, negotiateLocale, formatDate } from "./i18n.js";
+import { normalizePhone, generateOtp, hashOtp, otpMatches } from "./otp.js";
 
 
 dotenv.config();
@@ -24,6 +40,41 @@ const {
   BCRYPT_ROUNDS = 10,
   RATE_LIMIT_WINDOW_MS = 60_000,
   RATE_LIMIT_MAX = 100,
+  ACCESS_TOKEN_TTL = "15m",
+  REFRESH_TOKEN_TTL_DAYS = 30,
+  SLOT_HORIZON_DAYS = 28,
+  SLOT_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000,
+  RESCHEDULE_CUTOFF_MINUTES = 120,
+  MAX_RESCHEDULES = 2,
+  WAITLIST_HOLD_MINUTES = 30,
+  REPORT_MAX_BYTES = 10 * 1024 * 1024,
+  REPORT_MAX_FILES = 5,
+  APPOINTMENT_DURATION_MINUTES = 30,
+  ICAL_UID_DOMAIN = "healthcare-app.local",
+  REMINDER_INTERVAL_MS = 60_000,
+  REMINDER_MAX_ATTEMPTS = 5,
+  REMINDER_LAB_HOUR = 7,
+  MEDICATION_HORIZON_DAYS = 14,
+  DOSE_LATE_MINUTES = 60,
+  MESSAGE_THREAD_OPEN_DAYS = 7,
+  MESSAGE_MAX_LENGTH = 4000,
+  LIVE_HEARTBEAT_MS = 25_000,
+  CONSULT_JOIN_EARLY_MINUTES = 10,
+  CONSULT_JOIN_LATE_MINUTES = 30,
+  CONSULT_TOKEN_TTL_SECONDS = 120,
+  OTP_SECRET,
+  OTP_LENGTH = 6,
+  OTP_TTL_MINUTES = 5,
+  OTP_MAX_ATTEMPTS = 5,
+  OTP_RESEND_SECONDS = 60,
+  OTP_MAX_PER_HOUR = 5,
+  PHONE_DEFAULT_COUNTRY_CODE = "91",
+  PASSWORD_RESET_TTL_MINUTES = 30,
+  PASSWORD_RESET_RESEND_SECONDS = 60,
+  PASSWORD_RESET_URL,
+  ICE_SERVERS,
+  SCHEMA_CHECK,
+  NODE_ENV,
 } = process.env;
 
 if (!JWT_SECRET) {
@@ -31,9 +82,45 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
+const i18n = createI18n(loadCatalogs());
+
+// Handlers answer with a message code ({ code, params? }); the text is filled in here in the
+// caller's language: the account's saved locale once authenticated, else Accept-Language.
+// Validation details are translated one by one from their validation.* entries.
+function localizeDetail(locale, detail) {
+  const { params, ...rest } = detail;
+  const key = detail.code === "type" || detail.code === "format"
+    ? `validation.${detail.code}.${params && (params.expected || params.format)}`
+    : `validation.${detail.code}`;
+  return i18n.has(key) ? { ...rest, message: i18n.t(locale, key, params) } : rest;
+}
+
+function localizeBody(locale, body) {
+  if (!body || typeof body !== "object" || typeof body.code !== "string" || !i18n.has(body.code)) return body;
+  const { params, ...rest } = body;
+  if (Array.isArray(body.details)) {
+    const details = body.details.map((d) => localizeDetail(locale, d));
+    return { ...rest, message: details.map((d) => `${d.field} ${d.message}`).join("; "), details };
+  }
+  return { ...rest, message: i18n.t(locale, body.code, params) };
+}
+
 const app = express();
 app.set('trust proxy', 1);
+// every error response (status >= 400) is wrapped in the shared envelope from validation.js
+app.use((req, res, next) => {
+  req.locale = negotiateLocale(req.headers["accept-language"], i18n.locales) || i18n.fallback;
+  req.t = (code, params) => i18n.t(req.locale, code, params);
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const localized = localizeBody(req.locale, body);
+    res.set("Content-Language", req.locale);
+    return json(res.statusCode >= 400 ? errorEnvelope(res.statusCode, localized) : localized);
+  };
+  next();
+});
 app.use(express.json());
+app.use(cookieParser());
 app.use(helmet());
 
 const authLimiter = rateLimit({
@@ -41,8 +128,13 @@ const authLimiter = rateLimit({
   max: Number(RATE_LIMIT_MAX),
   standardHeaders: true,
   legacyHeaders: false,
+  message: { code: "rate_limited" },
 });
 
+const storage = createStorage();
+const channels = createChannels();
+const live = createLiveHub();
+
 const pool = mysql.createPool({
   host: DB_HOST || "localhost",
   user: DB_USER || "root",
@@ -54,20 +146,137 @@ const pool = mysql.createPool({
 });
 
 // ----------------- Helpers -----------------
-function validateDateISO(dateStr) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(dateStr);
-}
-
 function validateDateTimeSQL(dt) {
   return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(dt);
 }
 
+// Read ?page=&limit= into { page, limit, offset } with sane bounds
+function parsePagination(query, defaultLimit = 20, maxLimit = 100) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// Building blocks for validateRequest schemas (see validation.js)
+const ID_SCHEMA = { type: "integer", minimum: 1 };
+const DATE_SCHEMA = { type: "string", format: "date" };
+const DATETIME_SCHEMA = { type: "string", format: "sql-datetime" };
+const TIME_SCHEMA = { type: "string", format: "time" };
+const PAGINATION_QUERY = { page: { type: "integer", minimum: 1 }, limit: { type: "integer", minimum: 1 } };
+const LANGUAGE_SCHEMA = { type: "string", enum: i18n.locales, nullable: true, description: "Preferred language" };
+
+function idParams(...names) {
+  return { required: names, properties: Object.fromEntries(names.map((name) => [name, ID_SCHEMA])) };
+}
+
+// ----------------- Sessions & refresh tokens -----------------
+// Each login creates a row in auth_sessions (one per device). Refresh tokens are
+// random strings stored only as SHA-256 hashes in refresh_tokens and rotated on
+// every use; presenting an already-used token revokes the whole session.
+const REFRESH_COOKIE = "refresh_token";
+const REFRESH_TOKEN_BODY = {
+  properties: { refresh_token: { type: "string", description: "For native clients; browsers send the HttpOnly cookie" } },
+};
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function refreshCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/auth",
+    maxAge: Number(REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000,
+  };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Insert a refresh token for an existing session and return the plain value
+async function createRefreshToken(conn, sessionId) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await conn.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at, created_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+    [sessionId, hashToken(token), Number(REFRESH_TOKEN_TTL_DAYS)]
+  );
+  return token;
+}
+
+// Start a new session for user and return { accessToken, refreshToken, sessionId }
+async function startSession(user, req) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [sessRes] = await conn.query(
+      `INSERT INTO auth_sessions (user_id, user_agent, ip, created_at, last_used_at)
+       VALUES (?, ?, ?, NOW(), NOW())`,
+      [user.id, (req.get("user-agent") || "").slice(0, 255), req.ip || null]
+    );
+    const sessionId = sessRes.insertId;
+    const refreshToken = await createRefreshToken(conn, sessionId);
+    await conn.commit();
+    return { accessToken: signAccessToken(user, sessionId), refreshToken, sessionId };
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Revoke sessions matching `where` (e.g. "id = ?" or "user_id = ?"); returns affected count
+async function revokeSessions(db, where, params, reason) {
+  const [result] = await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE ${where} AND revoked_at IS NULL`,
+    [reason, ...params]
+  );
+  return result.affectedRows;
+}
+
+// Send tokens to the client: cookie for browsers, plus body for native clients
+function sendSessionTokens(req, res, tokens, status = 200) {
+  res.cookie(REFRESH_COOKIE, tokens.refreshToken, refreshCookieOptions());
+  const body = { token: tokens.accessToken, expires_in: ACCESS_TOKEN_TTL };
+  if (req.body && req.body.client === "native") body.refresh_token = tokens.refreshToken;
+  return res.status(status).json(body);
+}
+
+function readRefreshToken(req) {
+  return (req.body && req.body.refresh_token) || (req.cookies && req.cookies[REFRESH_COOKIE]) || null;
+}
+
 // ----------------- Auth: Signup & Login -----------------
 
 // Signup — inserts into users + patients OR doctors tables based on role.
-// Required columns per your schema: users(phone_number, password, role, name, sex, date_of_birth)
+// Required columns per your schema: users(email, password, role, name, sex, date_of_birth)
 // doctors(user_id, license_number, specialization), patients(user_id)
-app.post("/signup", authLimiter, async (req, res) => {
+app.post("/signup", authLimiter, validateRequest({
+  summary: "Register a patient or doctor",
+  body: {
+    required: ["email", "password", "role", "name", "sex", "date_of_birth"],
+    properties: {
+      email: { type: "string", maxLength: 255 },
+      password: { type: "string" },
+      role: { type: "string", enum: ["patient", "doctor"] },
+      name: { type: "string", maxLength: 100 },
+      sex: { type: "string", maxLength: 10 },
+      date_of_birth: DATE_SCHEMA,
+      license_number: { type: "string", maxLength: 50, description: "Required for doctors" },
+      specialization: { type: "string", maxLength: 100, description: "Required for doctors" },
+      language: LANGUAGE_SCHEMA,
+    },
+  },
+}), async (req, res) => {
   const {
     email,
     password,
@@ -77,26 +286,12 @@ app.post("/signup", authLimiter, async (req, res) => {
     date_of_birth,
     license_number,
     specialization,
+    language,
   } = req.body;
 
-  if (!email || !password || !role || !name || !sex || !date_of_birth) {
-    return res.status(400).json({
-      message:
-        "email, password, role, name, sex, and date_of_birth are required",
-    });
-  }
-
-  if (!["patient", "doctor"].includes(role)) {
-    return res.status(400).json({ message: "role must be 'patient' or 'doctor'" });
-  }
-
-  if (!validateDateISO(date_of_birth)) {
-    return res.status(400).json({ message: "date_of_birth must be YYYY-MM-DD" });
-  }
-
   if (role === "doctor" && (!license_number || !specialization)) {
     return res.status(400).json({
-      message: "license_number and specialization are required for doctors",
+      code: "doctor_fields_required",
     });
   }
 
@@ -104,14 +299,14 @@ app.post("/signup", authLimiter, async (req, res) => {
   try {
     await conn.beginTransaction();
 
-    // Ensure phone_number unique
+    // Ensure email unique
     const [existing] = await conn.query(
       "SELECT id FROM users WHERE email = ? LIMIT 1",
       [email]
     );
     if (existing.length > 0) {
       await conn.rollback();
-      return res.status(400).json({ message: "User already exists" });
+      return res.status(400).json({ code: "user_exists" });
     }
 
     // Hash password
@@ -120,9 +315,9 @@ app.post("/signup", authLimiter, async (req, res) => {
 
     // Insert into users table
     const [userResult] = await conn.query(
-      `INSERT INTO users (email, password, role, name, sex, date_of_birth, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-      [email, hashed, role, name, sex, date_of_birth]
+      `INSERT INTO users (email, password, role, name, sex, date_of_birth, locale, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [email, hashed, role, name, sex, date_of_birth, language || null]
     );
 
     const userId = userResult.insertId;
@@ -138,7 +333,9 @@ app.post("/signup", authLimiter, async (req, res) => {
     }
 
     await conn.commit();
-    res.status(201).json({ message: "User registered successfully" });
+    res.status(201).json({
+      code: role === "doctor" ? "signup_doctor_pending" : "signup_success",
+    });
     } catch (err) {
     // DEBUG: print useful DB error props and environment (NOT secrets)
     try {
@@ -154,7 +351,7 @@ app.post("/signup", authLimiter, async (req, res) => {
     console.error("DB_HOST from env:", process.env.DB_HOST);
     console.error("DB_USER from env:", process.env.DB_USER);
 
-    res.status(500).json({ message: "Login error" });
+    res.status(500).json({ code: "login_failed" });
   }
 
  finally {
@@ -195,22 +392,25 @@ app.post("/signup", authLimiter, async (req, res) => {
 });*/
 
 // ---- traced login (temporary debug) ----
-app.post("/login", authLimiter, async (req, res) => {
+app.post("/login", authLimiter, validateRequest({
+  summary: "Log in with email and password",
+  body: { required: ["email", "password"], properties: { email: { type: "string" }, password: { type: "string" } } },
+}), async (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password) {
-    return res.status(400).json({ message: "email and password required" });
-  }
 
   try {
     // checkpoint 1: can we query the user?
     const [rows] = await pool.query(
-      "SELECT id, email, password, role, name FROM users WHERE email = ? LIMIT 1",
+      "SELECT id, email, password, role, name, status FROM users WHERE email = ? LIMIT 1",
       [email]
     );
     const user = rows && rows[0];
     console.error("LOGIN DBG: checkpoint=1 userFound=", !!user);
 
-    if (!user) return res.status(400).json({ message: "Invalid email or password" });
+    if (!user) return res.status(400).json({ code: "invalid_credentials" });
+
+    // accounts created by phone have no password
+    if (!user.password) return res.status(400).json({ code: "invalid_credentials" });
 
     // checkpoint 2: compare password
     let ok = false;
@@ -222,25 +422,22 @@ app.post("/login", authLimiter, async (req, res) => {
       throw e;
     }
 
-    if (!ok) return res.status(400).json({ message: "Invalid email or password" });
+    if (!ok) return res.status(400).json({ code: "invalid_credentials" });
+    if (user.status === "suspended") return res.status(403).json({ code: "account_suspended" });
 
     // checkpoint 3: JWT secret presence
     console.error("LOGIN DBG: checkpoint=3 JWT_SECRET_present=", !!JWT_SECRET);
 
-    let token;
+    let tokens;
     try {
-      token = jwt.sign(
-        { id: user.id, email: user.email, role: user.role },
-        JWT_SECRET,
-        { expiresIn: "1h" }
-      );
-      console.error("LOGIN DBG: checkpoint=4 token_created_len=", token && token.length);
+      tokens = await startSession(user, req);
+      console.error("LOGIN DBG: checkpoint=4 session_created=", tokens.sessionId);
     } catch (e) {
-      console.error("LOGIN DBG: checkpoint=3 jwt.sign threw:", e && (e.message || e));
+      console.error("LOGIN DBG: checkpoint=3 startSession threw:", e && (e.message || e));
       throw e;
     }
 
-    return res.json({ token });
+    return sendSessionTokens(req, res, tokens);
   } catch (err) {
     // keep the richer error logging we added earlier
     try {
@@ -254,479 +451,5751 @@ app.post("/login", authLimiter, async (req, res) => {
     }
     console.error("DB_HOST from env:", process.env.DB_HOST);
     console.error("DB_USER from env:", process.env.DB_USER);
-    res.status(500).json({ message: "Login error" });
+    res.status(500).json({ code: "login_failed" });
   }
 });
 // ---- end traced login ----
 
+// ----------------- Auth: phone number + one-time code -----------------
+// For people without an email address or password. POST /auth/otp texts a code through
+// channels.sms (the file/console drivers stand in during development); /signup/phone and
+// /login/phone trade it for a session. A code expires after OTP_TTL_MINUTES and allows
+// OTP_MAX_ATTEMPTS guesses; a new one can be requested every OTP_RESEND_SECONDS, at most
+// OTP_MAX_PER_HOUR times per number, on top of authLimiter. Numbers are stored as E.164.
+const OTP_KEY = OTP_SECRET || JWT_SECRET;
+const PHONE_SCHEMA = { type: "string", maxLength: 30, description: "E.164, or a national number", example: "+919876543210" };
+const OTP_SCHEMA = { type: "string", pattern: "^\\d{4,8}$", description: "Code received by SMS" };
 
-// ----------------- Middleware -----------------
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "No token provided" });
-
-  jwt.verify(token, JWT_SECRET, (err, payload) => {
-    if (err) return res.status(403).json({ message: "Invalid token" });
-    req.user = payload; // { id, email, role }
-    next();
-  });
+function toE164(phone) {
+  return normalizePhone(phone, { defaultCountryCode: String(PHONE_DEFAULT_COUNTRY_CODE) });
 }
 
-function authorizeRoles(...allowedRoles) {
-  return (req, res, next) => {
-    if (!req.user || !allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ message: "Access denied: insufficient role" });
-    }
-    next();
-  };
+// Use up the newest code sent to phone for purpose: null when it matches, otherwise
+// { status, code } saying why not. The attempt is counted before the comparison so
+// parallel guesses cannot get past OTP_MAX_ATTEMPTS.
+async function consumeOtp(phone, purpose, code) {
+  const [[otp]] = await pool.query(
+    `SELECT id, code_hash, expires_at < NOW() AS expired
+     FROM phone_otps
+     WHERE phone_number = ? AND purpose = ? AND consumed_at IS NULL
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [phone, purpose]
+  );
+  if (!otp || otp.expired) return { status: 400, code: "otp_expired" };
+
+  const [claim] = await pool.query(
+    "UPDATE phone_otps SET attempts = attempts + 1 WHERE id = ? AND attempts < ?",
+    [otp.id, Number(OTP_MAX_ATTEMPTS)]
+  );
+  if (claim.affectedRows === 0) return { status: 429, code: "otp_attempts_exceeded" };
+  if (!otpMatches(OTP_KEY, otp.code_hash, { phone, purpose, code })) return { status: 400, code: "otp_invalid" };
+
+  const [used] = await pool.query("UPDATE phone_otps SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL", [otp.id]);
+  return used.affectedRows ? null : { status: 400, code: "otp_expired" };
 }
 
-// ----------------- Profiles -----------------
-// /profile returns users.id, email, role, name, sex, date_of_birth
-app.get("/profile", authenticateToken, async (req, res) => {
+// body: { phone, purpose: "signup" | "login" }
+app.post("/auth/otp", authLimiter, validateRequest({
+  summary: "Text a one-time sign-up or login code",
+  body: {
+    required: ["phone", "purpose"],
+    properties: { phone: PHONE_SCHEMA, purpose: { type: "string", enum: ["signup", "login"] } },
+  },
+}), async (req, res) => {
+  const phone = toE164(req.body.phone);
+  if (!phone) return res.status(400).json({ code: "phone_invalid" });
+  const { purpose } = req.body;
+
   try {
-    const [rows] = await pool.query(
-      `SELECT id, email, role, name, sex, date_of_birth, created_at
-       FROM users WHERE id = ? LIMIT 1`,
-      [req.user.id]
+    const [[account]] = await pool.query("SELECT id, locale FROM users WHERE phone_number = ? LIMIT 1", [phone]);
+    if (purpose === "signup" && account) return res.status(409).json({ code: "phone_exists" });
+
+    const [[recent]] = await pool.query(
+      `SELECT COUNT(*) AS sent, MAX(created_at) + INTERVAL ? SECOND > NOW() AS cooling_down,
+              TIMESTAMPDIFF(SECOND, NOW(), MAX(created_at) + INTERVAL ? SECOND) AS wait_seconds
+       FROM phone_otps
+       WHERE phone_number = ? AND purpose = ? AND created_at > NOW() - INTERVAL 1 HOUR`,
+      [Number(OTP_RESEND_SECONDS), Number(OTP_RESEND_SECONDS), phone, purpose]
     );
-    const user = rows[0];
-    if (!user) return res.status(404).json({ message: "User not found" });
-    res.json(user);
+    if (recent.cooling_down) {
+      return res.status(429).json({ code: "otp_resend_cooldown", params: { seconds: Math.max(1, Number(recent.wait_seconds)) } });
+    }
+    if (Number(recent.sent) >= Number(OTP_MAX_PER_HOUR)) return res.status(429).json({ code: "otp_too_many" });
+
+    const code = generateOtp(Number(OTP_LENGTH));
+    const [result] = await pool.query(
+      `INSERT INTO phone_otps (phone_number, purpose, code_hash, expires_at, created_at)
+       VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE, NOW())`,
+      [phone, purpose, hashOtp(OTP_KEY, { phone, purpose, code }), Number(OTP_TTL_MINUTES)]
+    );
+
+    // a login code for a number without an account is recorded (so cooldowns behave the
+    // same) but never sent: the reply must not reveal which numbers are registered
+    if (purpose === "signup" || account) {
+      const locale = account && account.locale && i18n.locales.includes(account.locale) ? account.locale : req.locale;
+      try {
+        await channels.sms.send({
+          to: phone,
+          body: i18n.t(locale, "otp.sms", { code, minutes: Number(OTP_TTL_MINUTES) }),
+          meta: { kind: "otp", purpose },
+        });
+      } catch (err) {
+        await pool.query("DELETE FROM phone_otps WHERE id = ?", [result.insertId]);
+        console.error("OTP SEND ERR:", err && err.stack ? err.stack : err);
+        return res.status(502).json({ code: "otp_send_failed" });
+      }
+    }
+
+    res.status(202).json({
+      code: "otp_sent",
+      phone,
+      expires_in: Number(OTP_TTL_MINUTES) * 60,
+      resend_after: Number(OTP_RESEND_SECONDS),
+    });
   } catch (err) {
-    console.error("PROFILE ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Error fetching profile" });
+    console.error("REQUEST OTP ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "otp_request_failed" });
   }
 });
 
-// Patient profile (/patients/me)
-app.get(
-  "/patients/me",
-  authenticateToken,
-  authorizeRoles("patient"),
-  async (req, res) => {
-    try {
-      const [rows] = await pool.query(
-        `SELECT u.id, u.email, u.role, u.name, u.sex, u.date_of_birth, u.created_at
-         FROM users u
-         JOIN patients p ON u.id = p.user_id
-         WHERE u.id = ? LIMIT 1`,
-        [req.user.id]
-      );
-      if (!rows[0]) return res.status(404).json({ message: "No profile found" });
-      res.json(rows[0]);
-    } catch (err) {
-      console.error("PATIENT PROFILE ERR:", err && err.stack ? err.stack : err);
-      res.status(500).json({ message: "Failed to fetch patient profile" });
-    }
+// Register with a texted code instead of email + password; responds like /login
+app.post("/signup/phone", authLimiter, validateRequest({
+  summary: "Register with a phone number and a texted code",
+  body: {
+    required: ["phone", "otp", "name", "sex", "date_of_birth"],
+    properties: {
+      phone: PHONE_SCHEMA,
+      otp: OTP_SCHEMA,
+      role: { type: "string", enum: ["patient", "doctor"], description: "Defaults to patient" },
+      name: { type: "string", maxLength: 100 },
+      sex: { type: "string", maxLength: 10 },
+      date_of_birth: DATE_SCHEMA,
+      license_number: { type: "string", maxLength: 50, description: "Required for doctors" },
+      specialization: { type: "string", maxLength: 100, description: "Required for doctors" },
+      language: LANGUAGE_SCHEMA,
+    },
+  },
+}), async (req, res) => {
+  const phone = toE164(req.body.phone);
+  if (!phone) return res.status(400).json({ code: "phone_invalid" });
+  const { otp, role = "patient", name, sex, date_of_birth, license_number, specialization, language } = req.body;
+  if (role === "doctor" && (!license_number || !specialization)) {
+    return res.status(400).json({ code: "doctor_fields_required" });
   }
-);
 
-// Doctor profile (/doctors/me)
-app.get(
-  "/doctors/me",
-  authenticateToken,
-  authorizeRoles("doctor"),
-  async (req, res) => {
-    try {
-      const [rows] = await pool.query(
-        `SELECT u.id, u.email, u.role, u.name, u.sex, u.date_of_birth, u.created_at,
-                d.license_number, d.specialization
-         FROM users u
-         JOIN doctors d ON u.id = d.user_id
-         WHERE u.id = ? LIMIT 1`,
-        [req.user.id]
+  let conn;
+  try {
+    const refused = await consumeOtp(phone, "signup", otp);
+    if (refused) return res.status(refused.status).json({ code: refused.code });
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const [userResult] = await conn.query(
+      `INSERT INTO users (phone_number, password, role, name, sex, date_of_birth, locale, created_at)
+       VALUES (?, NULL, ?, ?, ?, ?, ?, NOW())`,
+      [phone, role, name, sex, date_of_birth, language || null]
+    );
+    const userId = userResult.insertId;
+    if (role === "patient") {
+      await conn.query("INSERT INTO patients (user_id) VALUES (?)", [userId]);
+    } else {
+      await conn.query(
+        "INSERT INTO doctors (user_id, license_number, specialization) VALUES (?, ?, ?)",
+        [userId, license_number, specialization]
       );
-      if (!rows[0]) return res.status(404).json({ message: "No profile found" });
-      res.json(rows[0]);
-    } catch (err) {
-      console.error("DOCTOR PROFILE ERR:", err && err.stack ? err.stack : err);
-      res.status(500).json({ message: "Failed to fetch doctor profile" });
     }
-  }
-);
+    await conn.commit();
 
+    const tokens = await startSession({ id: userId, email: null, role }, req);
+    return sendSessionTokens(req, res, tokens, 201);
+  } catch (err) {
+    if (conn) await conn.rollback().catch(() => {});
+    if (err && err.code === "ER_DUP_ENTRY") return res.status(409).json({ code: "phone_exists" });
+    console.error("PHONE SIGNUP ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "phone_signup_failed" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
 
-// Patient books by selecting a doctor slot id
-app.post("/appointments", authenticateToken, authorizeRoles("patient"), async (req, res) => {
-  const { doctorSlotId } = req.body;
-  if (!doctorSlotId) return res.status(400).json({ message: "doctorSlotId is required" });
+// body: { phone, otp } -> same tokens as /login
+app.post("/login/phone", authLimiter, validateRequest({
+  summary: "Log in with a phone number and a texted code",
+  body: { required: ["phone", "otp"], properties: { phone: PHONE_SCHEMA, otp: OTP_SCHEMA } },
+}), async (req, res) => {
+  const phone = toE164(req.body.phone);
+  if (!phone) return res.status(400).json({ code: "phone_invalid" });
 
   try {
-    const [[slot]] = await pool.query(
-      `SELECT ds.id, ds.slot_at, ds.doctor_user_id, ds.is_booked
-       FROM doctor_slots ds
-       JOIN users u ON u.id = ds.doctor_user_id AND u.role = 'doctor'
-       WHERE ds.id = ?`,
-      [doctorSlotId]
-    );
+    const refused = await consumeOtp(phone, "login", req.body.otp);
+    if (refused) return res.status(refused.status).json({ code: refused.code });
 
-    if (!slot) return res.status(404).json({ message: "Slot not found" });
-    if (slot.is_booked) return res.status(409).json({ message: "Slot already booked" });
+    const [[user]] = await pool.query("SELECT id, email, role, status FROM users WHERE phone_number = ? LIMIT 1", [phone]);
+    if (!user) return res.status(400).json({ code: "otp_invalid" });
+    if (user.status === "suspended") return res.status(403).json({ code: "account_suspended" });
 
-    const patientId = req.user.id;
-    const doctorId = slot.doctor_user_id;
-    const scheduledAt = slot.slot_at;
+    return sendSessionTokens(req, res, await startSession(user, req));
+  } catch (err) {
+    console.error("PHONE LOGIN ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "login_failed" });
+  }
+});
 
-    const conn = await pool.getConnection();
-    try {
-      await conn.beginTransaction();
+// ----------------- Auth: forgotten password -----------------
+// POST /auth/password/forgot sends a reset token by email, or by SMS when the account is
+// looked up by phone number, through channels.js. POST /auth/password/reset trades it for a
+// new password and signs out every session. Tokens are single-use, expire after
+// PASSWORD_RESET_TTL_MINUTES and are stored hashed; asking again voids the previous one.
+// With PASSWORD_RESET_URL set the message carries "<url>?token=..." instead of the token.
+const PASSWORD_SCHEMA = { type: "string", minLength: 8, maxLength: 128 };
 
-      // Atomically mark the slot booked
-      const [upd] = await conn.query(
-        "UPDATE doctor_slots SET is_booked = 1 WHERE id = ? AND is_booked = 0",
-        [doctorSlotId]
-      );
-      if (upd.affectedRows === 0) {
-        await conn.rollback();
-        return res.status(409).json({ message: "Slot already booked (race)" });
-      }
+// body: { email } or { phone }. The reply is the same whether or not an account exists.
+app.post("/auth/password/forgot", authLimiter, validateRequest({
+  summary: "Send a password reset token",
+  body: { properties: { email: { type: "string", format: "email", maxLength: 255 }, phone: PHONE_SCHEMA } },
+}), async (req, res) => {
+  const { email } = req.body;
+  if (!email && !req.body.phone) return res.status(400).json({ code: "email_or_phone_required" });
+  const phone = email ? null : toE164(req.body.phone);
+  if (!email && !phone) return res.status(400).json({ code: "phone_invalid" });
+  const channel = email ? "email" : "sms";
 
-      // Insert appointment
-      const [insertRes] = await conn.query(
-        "INSERT INTO appointments (patient_user_id, doctor_user_id, scheduled_at, status, created_at) VALUES (?, ?, ?, ?, NOW())",
-        [patientId, doctorId, scheduledAt, "booked"]
+  try {
+    const [[user]] = await pool.query(
+      `SELECT id, locale, status,
+              (SELECT MAX(created_at) FROM password_reset_tokens WHERE user_id = users.id) + INTERVAL ? SECOND > NOW() AS cooling_down
+       FROM users WHERE ${email ? "email" : "phone_number"} = ? LIMIT 1`,
+      [Number(PASSWORD_RESET_RESEND_SECONDS), email || phone]
+    );
+
+    // unknown, suspended and just-asked accounts get the same answer, minus the message
+    if (user && user.status === "active" && !user.cooling_down) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      await pool.query("DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL", [user.id]);
+      const [result] = await pool.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, channel, expires_at, created_at)
+         VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE, NOW())`,
+        [user.id, hashToken(token), channel, Number(PASSWORD_RESET_TTL_MINUTES)]
       );
 
-      await conn.commit();
-      return res.status(201).json({
-        id: insertRes.insertId,
-        patient_user_id: patientId,
-        doctor_user_id: doctorId,
-        scheduled_at: scheduledAt,
-        slot_id: doctorSlotId,
-      });
-    } catch (txErr) {
-      await conn.rollback().catch(() => {});
-      console.error("BOOKING TX ERR:", txErr && txErr.stack ? txErr.stack : txErr);
-      return res.status(500).json({ message: "Failed to book slot" });
-    } finally {
-      conn.release();
+      const locale = user.locale && i18n.locales.includes(user.locale) ? user.locale : req.locale;
+      const params = {
+        link: PASSWORD_RESET_URL ? `${PASSWORD_RESET_URL}?token=${token}` : token,
+        minutes: Number(PASSWORD_RESET_TTL_MINUTES),
+      };
+      try {
+        await channels[channel].send({
+          to: email || phone,
+          subject: channel === "email" ? i18n.t(locale, "password_reset.subject") : undefined,
+          body: i18n.t(locale, "password_reset.body", params),
+          meta: { kind: "password_reset", user_id: user.id },
+        });
+      } catch (err) {
+        // not reported to the caller, which would reveal that the account exists
+        await pool.query("DELETE FROM password_reset_tokens WHERE id = ?", [result.insertId]);
+        console.error("PASSWORD RESET SEND ERR:", err && err.stack ? err.stack : err);
+      }
     }
-  } catch (err) {
-    console.error("BOOK APPT ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Server error" });
-  }
-});
 
-// Doctor: view own appointments
-app.get("/appointments", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      `SELECT a.id, a.patient_user_id, pu.name AS patient_name, pu.email AS patient_phone,
-              a.doctor_user_id, du.name AS doctor_name,
-              a.scheduled_at, a.status, a.created_at
-       FROM appointments a
-       JOIN users pu ON pu.id = a.patient_user_id
-       JOIN users du ON du.id = a.doctor_user_id
-       WHERE a.doctor_user_id = ?
-       ORDER BY a.scheduled_at DESC`,
-      [req.user.id]
-    );
-    res.json(rows);
+    res.status(202).json({ code: "password_reset_sent", expires_in: Number(PASSWORD_RESET_TTL_MINUTES) * 60 });
   } catch (err) {
-    console.error("FETCH DOC APPTS ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to fetch appointments" });
+    console.error("FORGOT PASSWORD ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "password_reset_request_failed" });
   }
 });
 
-// Patient: view own appointments
-app.get("/appointments/me", authenticateToken, authorizeRoles("patient"), async (req, res) => {
+// body: { token, new_password }
+app.post("/auth/password/reset", authLimiter, validateRequest({
+  summary: "Set a new password with a reset token",
+  body: {
+    required: ["token", "new_password"],
+    properties: { token: { type: "string", maxLength: 255 }, new_password: PASSWORD_SCHEMA },
+  },
+}), async (req, res) => {
+  const conn = await pool.getConnection();
   try {
-    const [rows] = await pool.query(
-      `SELECT a.id, a.patient_user_id, pu.name AS patient_name,
-              a.doctor_user_id, du.name AS doctor_name, du.email AS doctor_phone,
-              a.scheduled_at, a.status, a.created_at
-       FROM appointments a
-       JOIN users pu ON pu.id = a.patient_user_id
-       JOIN users du ON du.id = a.doctor_user_id
-       WHERE a.patient_user_id = ?
-       ORDER BY a.scheduled_at DESC`,
-      [req.user.id]
+    const hashed = await bcrypt.hash(req.body.new_password, Number(BCRYPT_ROUNDS) || 10);
+    await conn.beginTransaction();
+    const [[reset]] = await conn.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       LIMIT 1 FOR UPDATE`,
+      [hashToken(req.body.token)]
     );
-    res.json(rows);
+    if (!reset) {
+      await conn.rollback();
+      return res.status(400).json({ code: "password_reset_token_invalid" });
+    }
+
+    await conn.query("UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?", [reset.id]);
+    await conn.query("UPDATE users SET password = ? WHERE id = ?", [hashed, reset.user_id]);
+    const revoked = await revokeSessions(conn, "user_id = ?", [reset.user_id], "password_reset");
+    await conn.commit();
+    res.json({ code: "password_reset_done", revoked });
   } catch (err) {
-    console.error("FETCH PAT APPTS ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to fetch appointments" });
+    await conn.rollback().catch(() => {});
+    console.error("RESET PASSWORD ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "password_reset_failed" });
+  } finally {
+    conn.release();
   }
 });
 
-// Patient: view doctor's public slots by email or username fallback
-app.get("/doctors/:username/slots", authenticateToken, authorizeRoles("patient"), async (req, res) => {
-  const doctorUsername = req.params.username;
-  try {
-    // First try email (your login email)
-    const [[doctorByPhone]] = await pool.query(
-      "SELECT id FROM users WHERE email = ? AND role = 'doctor' LIMIT 1",
-      [doctorUsername]
-    );
-
-    let doctorId = doctorByPhone && doctorByPhone.id ? doctorByPhone.id : null;
-
-    // fallback to username column if present
-    if (!doctorId) {
-      const [[docByUsername]] = await pool.query(
-        "SELECT id FROM users WHERE username = ? AND role = 'doctor' LIMIT 1",
-        [doctorUsername]
-      );
-      if (docByUsername && docByUsername.id) doctorId = docByUsername.id;
-    }
 
-    if (!doctorId) return res.status(404).json({ message: "Doctor not found" });
+// ----------------- Middleware -----------------
+// Verify an access token and its session -> { user } or { error: { status, code } }.
+// Shared by authenticateToken and the live-update stream.
+async function verifyAccessToken(token) {
+  if (!token) return { error: { status: 401, code: "token_missing" } };
 
-    const [rows] = await pool.query(
-      `SELECT id AS slot_id, slot_at, is_booked
-       FROM doctor_slots
-       WHERE doctor_user_id = ? AND slot_at >= NOW()
-       ORDER BY slot_at ASC`,
-      [doctorId]
-    );
-    res.json(rows);
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
-    console.error("FETCH DOCTOR SLOTS ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to fetch doctor slots" });
+    return { error: { status: 403, code: "token_invalid" } };
   }
-});
+  if (!payload.sid) return { error: { status: 401, code: "session_expired" } };
 
-// Doctor: create multiple slots (array of "YYYY-MM-DD HH:MM:SS")
-app.post("/doctor/slots", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
-  const { slots } = req.body;
-  if (!Array.isArray(slots) || slots.length === 0) {
-    return res.status(400).json({ message: "slots (array) required" });
-  }
+  // reject tokens whose session was logged out or revoked, or whose user is suspended
+  const [[session]] = await pool.query(
+    `SELECT s.id, u.status, u.locale FROM auth_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL LIMIT 1`,
+    [payload.sid, payload.id]
+  );
+  if (!session) return { error: { status: 401, code: "session_revoked" } };
+  if (session.status === "suspended") return { error: { status: 403, code: "account_suspended" } };
+  return { user: { ...payload, locale: session.locale || null } }; // { id, email, role, sid, locale }
+}
 
-  for (const s of slots) {
-    if (typeof s !== "string" || !validateDateTimeSQL(s)) {
-      return res.status(400).json({ message: `Invalid slot format: ${s}. Use "YYYY-MM-DD HH:MM:SS"` });
-    }
-  }
+async function authenticateToken(req, res, next) {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
 
-  const doctorId = req.user.id;
   try {
-    const values = slots.map((s) => [doctorId, s]);
-    const [result] = await pool.query("INSERT IGNORE INTO doctor_slots (doctor_user_id, slot_at) VALUES ?", [values]);
-    res.status(201).json({ inserted: result.affectedRows });
+    const { user, error } = await verifyAccessToken(token);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    req.user = user;
+    if (user.locale && i18n.locales.includes(user.locale)) req.locale = user.locale;
   } catch (err) {
-    console.error("CREATE SLOTS ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to create slots" });
+    console.error("AUTH SESSION ERR:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ code: "server_error" });
   }
-});
+  next();
+}
+
+// Doctors must also be verified by an admin, unless the route opted out with allowUnverifiedDoctor
+function authorizeRoles(...allowedRoles) {
+  const middleware = async (req, res, next) => {
+    if (!req.user || !allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ code: "insufficient_role" });
+    }
+    if (req.user.role === "doctor" && !req.allowUnverifiedDoctor) {
+      try {
+        const [[doctor]] = await pool.query(
+          "SELECT verification_status FROM doctors WHERE user_id = ? LIMIT 1",
+          [req.user.id]
+        );
+        if (!doctor || doctor.verification_status !== "approved") {
+          return res.status(403).json({
+            code: "doctor_not_verified",
+            verification_status: doctor ? doctor.verification_status : null,
+          });
+        }
+      } catch (err) {
+        console.error("AUTHORIZE DOCTOR ERR:", err && err.stack ? err.stack : err);
+        return res.status(500).json({ code: "server_error" });
+      }
+    }
+    next();
+  };
+  middleware.roles = allowedRoles; // read by the OpenAPI generator
+  return middleware;
+}
+
+// For doctor routes that must work before verification (e.g. checking one's own status)
+function allowUnverifiedDoctor(req, res, next) {
+  req.allowUnverifiedDoctor = true;
+  next();
+}
+
+// Doctor visible to patients: approved and not suspended
+async function isListedDoctor(doctorId) {
+  const [[row]] = await pool.query(
+    `SELECT u.id FROM users u
+     JOIN doctors d ON d.user_id = u.id
+     WHERE u.id = ? AND u.role = 'doctor' AND u.status = 'active' AND d.verification_status = 'approved'
+     LIMIT 1`,
+    [doctorId]
+  );
+  return !!row;
+}
+
+// ----------------- Audit trail -----------------
+// Append-only log of every read and write of patient data. Routes opt in with
+// auditAccess(resourceType); an entry per affected patient is written once the response
+// has been sent successfully. By default a patient's request is about themselves; handlers
+// serving other users' data call setAuditContext(res, patientIds, resourceId).
+// Each row stores the SHA-256 of the previous row's hash plus its own fields, so any
+// edited or deleted row breaks the chain (see GET /admin/audit/verify).
+
+const AUDIT_ACTIONS = { GET: "read", POST: "create", PUT: "update", PATCH: "update", DELETE: "delete" };
+const AUDIT_HASH_FIELDS = [
+  "actor_user_id",
+  "actor_role",
+  "action",
+  "resource_type",
+  "resource_id",
+  "patient_user_id",
+  "ip",
+  "route",
+  "created_at",
+];
+
+function auditHash(prevHash, entry) {
+  const payload = JSON.stringify([prevHash, ...AUDIT_HASH_FIELDS.map((f) => (entry[f] == null ? null : entry[f]))]);
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+// Append entries to the chain. audit_chain_head holds the latest hash and is locked so
+// concurrent writers extend the chain one after another.
+async function recordAudit(entries) {
+  if (entries.length === 0) return;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[head]] = await conn.query("SELECT last_hash FROM audit_chain_head WHERE id = 1 FOR UPDATE");
+    let prevHash = head ? head.last_hash : null;
+    const createdAt = formatDateTimeSQL(new Date());
+    for (const entry of entries) {
+      const row = { ...entry, resource_id: entry.resource_id == null ? null : String(entry.resource_id), created_at: createdAt };
+      const hash = auditHash(prevHash, row);
+      await conn.query(
+        `INSERT INTO audit_log (${AUDIT_HASH_FIELDS.join(", ")}, prev_hash, hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [...AUDIT_HASH_FIELDS.map((f) => row[f]), prevHash, hash]
+      );
+      prevHash = hash;
+    }
+    await conn.query(
+      "INSERT INTO audit_chain_head (id, last_hash) VALUES (1, ?) ON DUPLICATE KEY UPDATE last_hash = VALUES(last_hash)",
+      [prevHash]
+    );
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+function setAuditContext(res, patientIds, resourceId) {
+  res.locals.audit = {
+    patientIds: [...new Set(patientIds.filter((id) => id != null).map(Number))],
+    resourceId,
+  };
+}
+
+// Middleware: audit this route as resourceType; action defaults from the HTTP method
+function auditAccess(resourceType, action) {
+  return (req, res, next) => {
+    res.on("finish", () => {
+      if (!req.user || res.statusCode >= 400) return;
+      const context = res.locals.audit || {};
+      const patientIds = context.patientIds || (req.user.role === "patient" ? [req.user.id] : []);
+      const resourceId = context.resourceId !== undefined ? context.resourceId : req.params.id;
+      const entries = patientIds.map((patientId) => ({
+        actor_user_id: req.user.id,
+        actor_role: req.user.role,
+        action: action || AUDIT_ACTIONS[req.method] || "read",
+        resource_type: resourceType,
+        resource_id: resourceId,
+        patient_user_id: patientId,
+        ip: req.ip || null,
+        route: `${req.method} ${req.originalUrl}`.slice(0, 255),
+      }));
+      recordAudit(entries).catch((err) => console.error("AUDIT WRITE ERR:", err && err.stack ? err.stack : err));
+    });
+    next();
+  };
+}
+
+// ----------------- Auth: refresh, logout & sessions -----------------
+
+// Rotate a refresh token (cookie or body.refresh_token) and issue a new access token
+app.post("/auth/refresh", authLimiter, validateRequest({ summary: "Rotate the refresh token and get a new access token", body: REFRESH_TOKEN_BODY }), async (req, res) => {
+  const presented = readRefreshToken(req);
+  if (!presented) return res.status(401).json({ code: "refresh_token_missing" });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[row]] = await conn.query(
+      `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() AS expired,
+              s.revoked_at, u.id AS user_id, u.email, u.role
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = ? LIMIT 1 FOR UPDATE`,
+      [hashToken(presented)]
+    );
+
+    if (!row) {
+      await conn.rollback();
+      res.clearCookie(REFRESH_COOKIE, { path: "/auth" });
+      return res.status(401).json({ code: "refresh_token_invalid" });
+    }
+
+    // A rotated token came back: someone holds a copy, so kill the whole session
+    if (row.used_at) {
+      await revokeSessions(conn, "id = ?", [row.session_id], "refresh_token_reuse");
+      await conn.commit();
+      console.warn("REFRESH TOKEN REUSE: session revoked", row.session_id);
+      res.clearCookie(REFRESH_COOKIE, { path: "/auth" });
+      return res.status(401).json({ code: "refresh_token_reused" });
+    }
+
+    if (row.revoked_at || row.expired) {
+      await conn.rollback();
+      res.clearCookie(REFRESH_COOKIE, { path: "/auth" });
+      return res.status(401).json({ code: "session_expired" });
+    }
+
+    await conn.query("UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?", [row.id]);
+    const refreshToken = await createRefreshToken(conn, row.session_id);
+    await conn.query("UPDATE auth_sessions SET last_used_at = NOW() WHERE id = ?", [row.session_id]);
+    await conn.commit();
+
+    const user = { id: row.user_id, email: row.email, role: row.role };
+    return sendSessionTokens(req, res, {
+      accessToken: signAccessToken(user, row.session_id),
+      refreshToken,
+    });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("REFRESH ERR:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ code: "session_refresh_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Log out the current device. Works with the refresh token or an (even expired) access token.
+app.post("/auth/logout", validateRequest({ summary: "Log out the current device", body: REFRESH_TOKEN_BODY }), async (req, res) => {
+  try {
+    let sessionId = null;
+    const presented = readRefreshToken(req);
+    if (presented) {
+      const [[row]] = await pool.query(
+        "SELECT session_id FROM refresh_tokens WHERE token_hash = ? LIMIT 1",
+        [hashToken(presented)]
+      );
+      if (row) sessionId = row.session_id;
+    } else {
+      const authHeader = req.headers["authorization"];
+      const token = authHeader && authHeader.split(" ")[1];
+      if (token) {
+        try {
+          sessionId = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid || null;
+        } catch (e) {
+          sessionId = null;
+        }
+      }
+    }
+
+    if (sessionId) await revokeSessions(pool, "id = ?", [sessionId], "logout");
+    res.clearCookie(REFRESH_COOKIE, { path: "/auth" });
+    res.json({ code: "logged_out" });
+  } catch (err) {
+    console.error("LOGOUT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "logout_failed" });
+  }
+});
+
+// Log out all devices of the current user
+app.post("/auth/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool, "user_id = ?", [req.user.id], "logout_all");
+    res.clearCookie(REFRESH_COOKIE, { path: "/auth" });
+    res.json({ code: "logged_out_all", revoked });
+  } catch (err) {
+    console.error("LOGOUT ALL ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "logout_all_failed" });
+  }
+});
+
+// List active sessions (devices) of the current user
+app.get("/auth/sessions", authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, user_agent, ip, created_at, last_used_at
+       FROM auth_sessions
+       WHERE user_id = ? AND revoked_at IS NULL
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+    res.json(rows.map((r) => ({ ...r, current: r.id === req.user.sid })));
+  } catch (err) {
+    console.error("LIST SESSIONS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "sessions_fetch_failed" });
+  }
+});
+
+// Revoke one session (e.g. a lost or stolen device)
+app.delete("/auth/sessions/:id", authenticateToken, validateRequest({ summary: "Revoke one session", params: idParams("id") }), async (req, res) => {
+  const sessionId = Number(req.params.id);
+  try {
+    const revoked = await revokeSessions(pool, "id = ? AND user_id = ?", [sessionId, req.user.id], "revoked_by_user");
+    if (revoked === 0) return res.status(404).json({ code: "session_not_found" });
+    res.json({ code: "session_revoked" });
+  } catch (err) {
+    console.error("REVOKE SESSION ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "session_revoke_failed" });
+  }
+});
+
+// ----------------- Profiles -----------------
+// /profile returns users.id, email, phone_number, role, name, sex, date_of_birth, locale
+app.get("/profile", authenticateToken, auditAccess("profile"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, email, phone_number, role, name, sex, date_of_birth, locale, created_at
+       FROM users WHERE id = ? LIMIT 1`,
+      [req.user.id]
+    );
+    const user = rows[0];
+    if (!user) return res.status(404).json({ code: "user_not_found" });
+    res.json(user);
+  } catch (err) {
+    console.error("PROFILE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "profile_fetch_failed" });
+  }
+});
+
+// Preferred language for messages, notifications and reminders; null goes back to
+// following Accept-Language. body: { language: "en" | "hi" | "pa" | null }
+app.put("/profile/language", authenticateToken, validateRequest({
+  summary: "Set my preferred language",
+  body: { required: ["language"], properties: { language: LANGUAGE_SCHEMA } },
+}), async (req, res) => {
+  const { language } = req.body;
+  try {
+    await pool.query("UPDATE users SET locale = ? WHERE id = ?", [language, req.user.id]);
+    req.locale = language || negotiateLocale(req.headers["accept-language"], i18n.locales) || i18n.fallback;
+    res.json({ locale: language, code: "language_updated" });
+  } catch (err) {
+    console.error("UPDATE LANGUAGE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "language_update_failed" });
+  }
+});
+
+// Editable columns of users, plus doctors' specialization and license_number. A new
+// license number sends the doctor back to verification_status = 'pending'. A new email
+// (where password reset links go) needs current_password, or otp for phone accounts, and
+// signs out every other session, like a password change.
+const PROFILE_FIELDS = ["name", "sex", "date_of_birth", "email"];
+const DOCTOR_PROFILE_FIELDS = ["specialization", "license_number"];
+
+app.patch("/profile", authenticateToken, authLimiter, auditAccess("profile"), validateRequest({
+  summary: "Update my profile",
+  body: {
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 100 },
+      sex: { type: "string", minLength: 1, maxLength: 10 },
+      date_of_birth: DATE_SCHEMA,
+      email: { type: "string", format: "email", maxLength: 255 },
+      current_password: { type: "string", description: "Required to change email" },
+      otp: { ...OTP_SCHEMA, description: "Instead of current_password for phone accounts" },
+      language: LANGUAGE_SCHEMA,
+      specialization: { type: "string", minLength: 1, maxLength: 100, description: "Doctors only" },
+      license_number: { type: "string", minLength: 1, maxLength: 50, description: "Doctors only" },
+    },
+  },
+}), async (req, res) => {
+  const body = req.body || {};
+  const userFields = PROFILE_FIELDS.filter((field) => body[field] !== undefined);
+  const doctorFields = DOCTOR_PROFILE_FIELDS.filter((field) => body[field] !== undefined);
+  if (doctorFields.length && req.user.role !== "doctor") {
+    return res.status(403).json({ code: "profile_doctor_fields_forbidden" });
+  }
+
+  const sets = userFields.map((field) => `${field} = ?`);
+  const params = userFields.map((field) => body[field]);
+  if (body.language !== undefined) {
+    sets.push("locale = ?");
+    params.push(body.language);
+  }
+  if (sets.length === 0 && doctorFields.length === 0) return res.status(400).json({ code: "nothing_to_update" });
+
+  const conn = await pool.getConnection();
+  try {
+    let emailChanged = false;
+    if (body.email !== undefined) {
+      const [[account]] = await conn.query("SELECT id, email, password, phone_number FROM users WHERE id = ? LIMIT 1", [req.user.id]);
+      if (!account) return res.status(404).json({ code: "user_not_found" });
+      emailChanged = body.email !== account.email;
+      if (emailChanged) {
+        const refused = await confirmIdentity(account, { password: body.current_password, otp: body.otp });
+        if (refused) return res.status(refused.status).json({ code: refused.code });
+      }
+    }
+
+    await conn.beginTransaction();
+    if (sets.length) await conn.query(`UPDATE users SET ${sets.join(", ")} WHERE id = ?`, [...params, req.user.id]);
+
+    let reverification = false;
+    if (doctorFields.length) {
+      const [[doctor]] = await conn.query("SELECT license_number FROM doctors WHERE user_id = ? LIMIT 1 FOR UPDATE", [req.user.id]);
+      if (!doctor) {
+        await conn.rollback();
+        return res.status(404).json({ code: "doctor_not_found" });
+      }
+      reverification = body.license_number !== undefined && body.license_number !== doctor.license_number;
+      const doctorSets = doctorFields.map((field) => `${field} = ?`);
+      if (reverification) {
+        doctorSets.push("verification_status = 'pending'", "verified_at = NULL", "verified_by_user_id = NULL", "rejection_reason = NULL");
+      }
+      await conn.query(
+        `UPDATE doctors SET ${doctorSets.join(", ")} WHERE user_id = ?`,
+        [...doctorFields.map((field) => body[field]), req.user.id]
+      );
+    }
+    if (emailChanged) {
+      await revokeSessions(conn, "user_id = ? AND id <> ?", [req.user.id, req.user.sid], "email_changed");
+      await conn.query("UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL", [req.user.id]);
+    }
+    await conn.commit();
+
+    if (body.language !== undefined) {
+      req.locale = body.language || negotiateLocale(req.headers["accept-language"], i18n.locales) || i18n.fallback;
+    }
+    const [[profile]] = await pool.query(
+      `SELECT u.id, u.email, u.phone_number, u.role, u.name, u.sex, u.date_of_birth, u.locale, u.created_at,
+              d.specialization, d.license_number, d.verification_status
+       FROM users u LEFT JOIN doctors d ON d.user_id = u.id
+       WHERE u.id = ? LIMIT 1`,
+      [req.user.id]
+    );
+    if (req.user.role !== "doctor") {
+      delete profile.specialization;
+      delete profile.license_number;
+      delete profile.verification_status;
+    }
+    res.json({ code: reverification ? "profile_updated_reverification" : "profile_updated", profile });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    if (err && err.code === "ER_DUP_ENTRY") return res.status(409).json({ code: "email_taken" });
+    console.error("UPDATE PROFILE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "profile_update_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Check the caller's password before a sensitive change. Accounts created by phone have
+// none and confirm with a login code from POST /auth/otp instead. Returns null when
+// confirmed, otherwise { status, code }.
+async function confirmIdentity(account, { password, otp }) {
+  if (account.password) {
+    if (!password) return { status: 400, code: "password_required" };
+    const ok = await bcrypt.compare(password, account.password);
+    return ok ? null : { status: 403, code: "password_incorrect" };
+  }
+  if (!otp || !account.phone_number) return { status: 400, code: "otp_required" };
+  return consumeOtp(account.phone_number, "login", otp);
+}
+
+// body: { current_password, new_password } (or { otp, new_password } to set a first
+// password on a phone account). Every other session of the user is signed out.
+app.put("/profile/password", authenticateToken, authLimiter, validateRequest({
+  summary: "Change my password",
+  body: {
+    required: ["new_password"],
+    properties: { current_password: { type: "string" }, otp: OTP_SCHEMA, new_password: PASSWORD_SCHEMA },
+  },
+}), async (req, res) => {
+  const { current_password, otp, new_password } = req.body;
+  try {
+    const [[account]] = await pool.query("SELECT id, password, phone_number FROM users WHERE id = ? LIMIT 1", [req.user.id]);
+    if (!account) return res.status(404).json({ code: "user_not_found" });
+    const refused = await confirmIdentity(account, { password: current_password, otp });
+    if (refused) return res.status(refused.status).json({ code: refused.code });
+
+    const hashed = await bcrypt.hash(new_password, Number(BCRYPT_ROUNDS) || 10);
+    await pool.query("UPDATE users SET password = ? WHERE id = ?", [hashed, req.user.id]);
+    const revoked = await revokeSessions(pool, "user_id = ? AND id <> ?", [req.user.id, req.user.sid], "password_changed");
+    res.json({ code: "password_changed", revoked });
+  } catch (err) {
+    console.error("CHANGE PASSWORD ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "password_change_failed" });
+  }
+});
+
+// A doctor's users row is kept: appointments, consultation notes, prescriptions and
+// message threads hang off it (ON DELETE CASCADE) and are part of their patients' records.
+// Instead the account is closed for good: contact details and password are cleared, it is
+// suspended with deleted_at set (so it cannot be reactivated), sessions are revoked, and
+// the doctor's availability, open slots, waitlist, consents and personal settings go.
+async function closeDoctorAccount(conn, doctorId) {
+  await conn.query(
+    `UPDATE users SET email = NULL, phone_number = NULL, password = NULL, locale = NULL,
+            status = 'suspended', suspended_at = NOW(), suspension_reason = 'Account deleted', deleted_at = NOW()
+     WHERE id = ?`,
+    [doctorId]
+  );
+  await revokeSessions(conn, "user_id = ?", [doctorId], "account_deleted");
+  await conn.query("DELETE FROM doctor_slots WHERE doctor_user_id = ? AND is_booked = 0 AND slot_at > NOW()", [doctorId]);
+  await conn.query("DELETE FROM availability_rules WHERE doctor_user_id = ?", [doctorId]);
+  await conn.query("DELETE FROM availability_exceptions WHERE doctor_user_id = ?", [doctorId]);
+  await conn.query("UPDATE waitlist_entries SET status = 'cancelled' WHERE doctor_user_id = ? AND status IN ('waiting', 'offered')", [doctorId]);
+  await conn.query("UPDATE patient_consents SET revoked_at = NOW() WHERE doctor_user_id = ? AND revoked_at IS NULL", [doctorId]);
+  await conn.query("UPDATE reminder_outbox SET status = 'cancelled' WHERE user_id = ? AND status = 'pending'", [doctorId]);
+  for (const table of ["calendar_events", "calendar_feed_tokens", "notification_preferences", "password_reset_tokens"]) {
+    await conn.query(`DELETE FROM ${table} WHERE user_id = ?`, [doctorId]);
+  }
+}
+
+// Close the account. body: { password } (or { otp } for phone accounts, as above).
+// Upcoming booked/confirmed appointments are cancelled first so their slots are freed and
+// the other side hears about it. Patients and admins are then deleted, with the rest of
+// their data (ON DELETE CASCADE); files of the patient's lab tests and message threads are
+// removed from storage afterwards. Doctors are closed with closeDoctorAccount instead.
+// Refused while one of the user's visits is checked in, and for the last active admin.
+app.delete("/profile", authenticateToken, authLimiter, auditAccess("profile"), validateRequest({
+  summary: "Delete my account",
+  body: { properties: { password: { type: "string" }, otp: OTP_SCHEMA } },
+}), async (req, res) => {
+  const body = req.body || {};
+  const conn = await pool.getConnection();
+  try {
+    const [[account]] = await conn.query("SELECT id, role, password, phone_number FROM users WHERE id = ? LIMIT 1", [req.user.id]);
+    if (!account) return res.status(404).json({ code: "user_not_found" });
+    const refused = await confirmIdentity(account, body);
+    if (refused) return res.status(refused.status).json({ code: refused.code });
+
+    await conn.beginTransaction();
+    if (account.role === "admin") {
+      // locked so two admins closing their accounts at once cannot both pass the check
+      const [admins] = await conn.query("SELECT id FROM users WHERE role = 'admin' AND status = 'active' FOR UPDATE");
+      if (!admins.some((admin) => admin.id !== account.id)) {
+        await conn.rollback();
+        return res.status(409).json({ code: "account_delete_last_admin" });
+      }
+    }
+
+    // a checked-in visit may have started in the past and still be going on
+    const [active] = await conn.query(
+      `SELECT * FROM appointments
+       WHERE (patient_user_id = ? OR doctor_user_id = ?) AND status IN (?)
+       FOR UPDATE`,
+      [account.id, account.id, ACTIVE_APPOINTMENT_STATUSES]
+    );
+    if (active.some((a) => a.status === "checked_in")) {
+      await conn.rollback();
+      return res.status(409).json({ code: "account_delete_visit_in_progress" });
+    }
+    const upcoming = active.filter((a) => new Date(a.scheduled_at) > new Date());
+
+    const cancelled = [];
+    for (const appointment of upcoming) {
+      const asPatient = appointment.patient_user_id === account.id;
+      const toStatus = asPatient ? "cancelled_by_patient" : "cancelled_by_doctor";
+      const actor = { id: account.id, role: asPatient ? "patient" : "doctor" };
+      const failed = await transitionAppointment(conn, appointment, toStatus, actor, "Account closed");
+      if (failed) {
+        await conn.rollback();
+        return res.status(failed.status).json({ code: failed.code, params: failed.params });
+      }
+      // the patient keeps their account (and inbox) when a doctor leaves
+      if (!asPatient) {
+        await notifyUser(conn, appointment.patient_user_id, "appointment_cancelled", {
+          title: "notification.appointment_cancelled.doctor_left.title",
+          body: "notification.appointment_cancelled.doctor_left.body",
+          params: { when: appointment.scheduled_at },
+        }, { appointment_id: appointment.id });
+      }
+      cancelled.push({ appointment, toStatus });
+    }
+
+    let files = [];
+    if (account.role === "doctor") {
+      await closeDoctorAccount(conn, account.id);
+    } else {
+      // only the patient's own records, whose rows go with the users row below
+      [files] = await conn.query(
+        `SELECT f.storage_key FROM lab_test_files f
+         JOIN lab_tests t ON t.id = f.lab_test_id
+         WHERE t.patient_user_id = ?
+         UNION ALL
+         SELECT a.storage_key FROM message_attachments a
+         JOIN messages m ON m.id = a.message_id
+         JOIN message_threads th ON th.id = m.thread_id
+         WHERE th.patient_user_id = ?`,
+        [account.id, account.id]
+      );
+      await conn.query("DELETE FROM users WHERE id = ?", [account.id]);
+    }
+    await conn.commit();
+
+    for (const { appointment, toStatus } of cancelled) {
+      publishAppointmentStatus(appointment, toStatus);
+      if (appointment.doctor_user_id !== account.id) {
+        publishSlotEvent(appointment.doctor_user_id, "slot.freed", { slot_at: appointment.scheduled_at });
+      }
+    }
+    const doctorIds = new Set(cancelled.map(({ appointment }) => appointment.doctor_user_id));
+    doctorIds.delete(account.id);
+    doctorIds.forEach((doctorId) => queueWaitlistOffers(doctorId));
+    await Promise.all(files.map((file) => storage.remove(file.storage_key).catch(() => {})));
+
+    res.clearCookie(REFRESH_COOKIE, { path: "/auth" });
+    res.json({ code: "account_deleted", appointments_cancelled: cancelled.length });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("DELETE ACCOUNT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "account_delete_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Patient profile (/patients/me)
+app.get(
+  "/patients/me",
+  authenticateToken,
+  authorizeRoles("patient"),
+  auditAccess("patient_profile"),
+  async (req, res) => {
+    try {
+      const [rows] = await pool.query(
+        `SELECT u.id, u.email, u.role, u.name, u.sex, u.date_of_birth, u.created_at, p.blood_group
+         FROM users u
+         JOIN patients p ON u.id = p.user_id
+         WHERE u.id = ? LIMIT 1`,
+        [req.user.id]
+      );
+      if (!rows[0]) return res.status(404).json({ code: "profile_not_found" });
+      res.json(rows[0]);
+    } catch (err) {
+      console.error("PATIENT PROFILE ERR:", err && err.stack ? err.stack : err);
+      res.status(500).json({ code: "patient_profile_fetch_failed" });
+    }
+  }
+);
+
+// Doctor profile (/doctors/me)
+app.get(
+  "/doctors/me",
+  authenticateToken,
+  allowUnverifiedDoctor,
+  authorizeRoles("doctor"),
+  async (req, res) => {
+    try {
+      const [rows] = await pool.query(
+        `SELECT u.id, u.email, u.role, u.name, u.sex, u.date_of_birth, u.created_at,
+                d.license_number, d.specialization, d.verification_status, d.rejection_reason
+         FROM users u
+         JOIN doctors d ON u.id = d.user_id
+         WHERE u.id = ? LIMIT 1`,
+        [req.user.id]
+      );
+      if (!rows[0]) return res.status(404).json({ code: "profile_not_found" });
+      res.json(rows[0]);
+    } catch (err) {
+      console.error("DOCTOR PROFILE ERR:", err && err.stack ? err.stack : err);
+      res.status(500).json({ code: "doctor_profile_fetch_failed" });
+    }
+  }
+);
+
+
+// ----------------- Appointment status lifecycle -----------------
+// booked -> confirmed -> checked_in -> completed, plus cancelled_by_patient,
+// cancelled_by_doctor and no_show. Each entry lists which roles may make the move
+// ("system" is used by background jobs and is always allowed).
+const APPOINTMENT_TRANSITIONS = {
+  booked: {
+    confirmed: ["doctor"],
+    checked_in: ["patient", "doctor"],
+    cancelled_by_patient: ["patient"],
+    cancelled_by_doctor: ["doctor"],
+    no_show: ["doctor"],
+  },
+  confirmed: {
+    checked_in: ["patient", "doctor"],
+    cancelled_by_patient: ["patient"],
+    cancelled_by_doctor: ["doctor"],
+    no_show: ["doctor"],
+  },
+  checked_in: {
+    completed: ["doctor"],
+  },
+  completed: {},
+  cancelled_by_patient: {},
+  cancelled_by_doctor: {},
+  no_show: {},
+};
+const APPOINTMENT_STATUSES = Object.keys(APPOINTMENT_TRANSITIONS);
+const ACTIVE_APPOINTMENT_STATUSES = ["booked", "confirmed", "checked_in"];
+const CANCELLED_APPOINTMENT_STATUSES = ["cancelled_by_patient", "cancelled_by_doctor"];
+
+async function recordAppointmentStatus(conn, appointmentId, fromStatus, toStatus, actor, reason) {
+  await conn.query(
+    `INSERT INTO appointment_status_history (appointment_id, from_status, to_status, changed_by_user_id, changed_by_role, reason, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [appointmentId, fromStatus, toStatus, actor.id || null, actor.role, reason || null]
+  );
+}
+
+// Move `appointment` (a row from appointments) to `toStatus` inside an open transaction.
+// Cancellations free the matching doctor slot. Returns null on success, or
+// { status, code, params } describing why the transition was refused.
+async function transitionAppointment(conn, appointment, toStatus, actor, reason) {
+  const allowed = APPOINTMENT_TRANSITIONS[appointment.status] || {};
+  if (!allowed[toStatus]) {
+    return { status: 409, code: "appointment_transition_invalid", params: { from: appointment.status, to: toStatus } };
+  }
+  if (actor.role !== "system" && !allowed[toStatus].includes(actor.role)) {
+    return { status: 403, code: "appointment_transition_role", params: { roles: allowed[toStatus].join(", "), status: toStatus } };
+  }
+
+  const isCancel = CANCELLED_APPOINTMENT_STATUSES.includes(toStatus);
+  const [upd] = await conn.query(
+    `UPDATE appointments SET status = ?${isCancel ? ", cancellation_reason = ?" : ""} WHERE id = ? AND status = ?`,
+    isCancel
+      ? [toStatus, reason || null, appointment.id, appointment.status]
+      : [toStatus, appointment.id, appointment.status]
+  );
+  if (upd.affectedRows === 0) {
+    return { status: 409, code: "appointment_changed_concurrently" };
+  }
+  await recordAppointmentStatus(conn, appointment.id, appointment.status, toStatus, actor, reason);
+
+  if (isCancel) {
+    await conn.query("UPDATE doctor_slots SET is_booked = 0 WHERE doctor_user_id = ? AND slot_at = ?", [
+      appointment.doctor_user_id,
+      appointment.scheduled_at,
+    ]);
+  }
+  return null;
+}
+
+const APPOINTMENT_FILTER_QUERY = {
+  properties: {
+    status: { type: "string", description: "Comma-separated statuses, e.g. booked,confirmed" },
+    from: DATE_SCHEMA,
+    to: { ...DATE_SCHEMA, description: "Inclusive" },
+  },
+};
+
+// Build WHERE fragments for ?status=a,b&from=YYYY-MM-DD&to=YYYY-MM-DD (to is inclusive;
+// formats are checked by APPOINTMENT_FILTER_QUERY). Returns { error } or { where, params }.
+function appointmentFilters(query) {
+  const where = [];
+  const params = [];
+  if (query.status) {
+    const statuses = String(query.status).split(",").map((x) => x.trim()).filter(Boolean);
+    const unknown = statuses.filter((x) => !APPOINTMENT_STATUSES.includes(x));
+    if (unknown.length) return { error: { code: "appointment_status_unknown", params: { statuses: unknown.join(", ") } } };
+    where.push("a.status IN (?)");
+    params.push(statuses);
+  }
+  if (query.from) {
+    where.push("a.scheduled_at >= ?");
+    params.push(`${query.from} 00:00:00`);
+  }
+  if (query.to) {
+    where.push("a.scheduled_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(query.to);
+  }
+  return { where, params };
+}
+
+// Patient books by selecting a doctor slot id
+app.post("/appointments", authenticateToken, authorizeRoles("patient"), auditAccess("appointment"), validateRequest({
+  summary: "Book a doctor slot",
+  body: { required: ["doctorSlotId"], properties: { doctorSlotId: ID_SCHEMA } },
+}), async (req, res) => {
+  const { doctorSlotId } = req.body;
+
+  try {
+    const [[slot]] = await pool.query(
+      `SELECT ds.id, ds.slot_at, ds.doctor_user_id, ds.is_booked, ds.held_by_user_id,
+              (ds.held_until IS NOT NULL AND ds.held_until > NOW()) AS is_held
+       FROM doctor_slots ds
+       JOIN users u ON u.id = ds.doctor_user_id AND u.role = 'doctor' AND u.status = 'active'
+       JOIN doctors d ON d.user_id = u.id AND d.verification_status = 'approved'
+       WHERE ds.id = ?`,
+      [doctorSlotId]
+    );
+
+    if (!slot) return res.status(404).json({ code: "slot_not_found" });
+    if (slot.is_booked) return res.status(409).json({ code: "slot_already_booked" });
+    if (slot.is_held && slot.held_by_user_id !== req.user.id) {
+      return res.status(409).json({ code: "slot_on_hold" });
+    }
+
+    const patientId = req.user.id;
+    const doctorId = slot.doctor_user_id;
+    const scheduledAt = slot.slot_at;
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      // Atomically mark the slot booked (unless someone else holds it from the waitlist)
+      const [upd] = await conn.query(
+        `UPDATE doctor_slots SET is_booked = 1
+         WHERE id = ? AND is_booked = 0
+           AND (held_until IS NULL OR held_until <= NOW() OR held_by_user_id = ?)`,
+        [doctorSlotId, patientId]
+      );
+      if (upd.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(409).json({ code: "slot_already_booked" });
+      }
+
+      // Insert appointment
+      const [insertRes] = await conn.query(
+        "INSERT INTO appointments (patient_user_id, doctor_user_id, scheduled_at, status, created_at) VALUES (?, ?, ?, ?, NOW())",
+        [patientId, doctorId, scheduledAt, "booked"]
+      );
+      await recordAppointmentStatus(conn, insertRes.insertId, null, "booked", req.user, null);
+      await settleSlotHold(conn, doctorSlotId, patientId, insertRes.insertId);
+
+      await conn.commit();
+      setAuditContext(res, [patientId], insertRes.insertId);
+      publishSlotEvent(doctorId, "slot.booked", { slot_id: doctorSlotId, slot_at: scheduledAt });
+      publishAppointmentStatus({ id: insertRes.insertId, patient_user_id: patientId, doctor_user_id: doctorId, scheduled_at: scheduledAt }, "booked");
+      const conflicts = await appointmentConflicts(patientId, scheduledAt, insertRes.insertId, req.locale);
+      return res.status(201).json({
+        id: insertRes.insertId,
+        patient_user_id: patientId,
+        doctor_user_id: doctorId,
+        scheduled_at: scheduledAt,
+        slot_id: doctorSlotId,
+        conflicts,
+        warning: conflictWarning(req, conflicts),
+      });
+    } catch (txErr) {
+      await conn.rollback().catch(() => {});
+      console.error("BOOKING TX ERR:", txErr && txErr.stack ? txErr.stack : txErr);
+      return res.status(500).json({ code: "appointment_book_failed" });
+    } finally {
+      conn.release();
+    }
+  } catch (err) {
+    console.error("BOOK APPT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "server_error" });
+  }
+});
+
+// Doctor: view own appointments (?status=booked,confirmed&from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get("/appointments", authenticateToken, authorizeRoles("doctor"), auditAccess("appointment"), validateRequest({
+  summary: "Doctor: own appointments",
+  query: APPOINTMENT_FILTER_QUERY,
+}), async (req, res) => {
+  const filters = appointmentFilters(req.query);
+  if (filters.error) return res.status(400).json(filters.error);
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT a.id, a.patient_user_id, pu.name AS patient_name, pu.email AS patient_phone,
+              a.doctor_user_id, du.name AS doctor_name,
+              a.scheduled_at, a.status, a.cancellation_reason, a.created_at
+       FROM appointments a
+       JOIN users pu ON pu.id = a.patient_user_id
+       JOIN users du ON du.id = a.doctor_user_id
+       WHERE ${["a.doctor_user_id = ?", ...filters.where].join(" AND ")}
+       ORDER BY a.scheduled_at DESC`,
+      [req.user.id, ...filters.params]
+    );
+    setAuditContext(res, rows.map((r) => r.patient_user_id), null);
+    res.json(rows);
+  } catch (err) {
+    console.error("FETCH DOC APPTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "appointments_fetch_failed" });
+  }
+});
+
+// Patient: view own appointments (same filters as GET /appointments)
+app.get("/appointments/me", authenticateToken, authorizeRoles("patient"), auditAccess("appointment"), validateRequest({
+  summary: "Patient: own appointments",
+  query: APPOINTMENT_FILTER_QUERY,
+}), async (req, res) => {
+  const filters = appointmentFilters(req.query);
+  if (filters.error) return res.status(400).json(filters.error);
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT a.id, a.patient_user_id, pu.name AS patient_name,
+              a.doctor_user_id, du.name AS doctor_name, du.email AS doctor_phone,
+              a.scheduled_at, a.status, a.cancellation_reason, a.created_at
+       FROM appointments a
+       JOIN users pu ON pu.id = a.patient_user_id
+       JOIN users du ON du.id = a.doctor_user_id
+       WHERE ${["a.patient_user_id = ?", ...filters.where].join(" AND ")}
+       ORDER BY a.scheduled_at DESC`,
+      [req.user.id, ...filters.params]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("FETCH PAT APPTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "appointments_fetch_failed" });
+  }
+});
+
+// Patient: view doctor's public slots by numeric id or email
+app.get("/doctors/:username/slots", authenticateToken, authorizeRoles("patient"), validateRequest({
+  summary: "Upcoming slots of a doctor",
+  params: { required: ["username"], properties: { username: { type: "string", description: "Doctor id or email" } } },
+}), async (req, res) => {
+  const doctorUsername = req.params.username;
+  try {
+    let doctorId = null;
+
+    // Numeric id (as returned by GET /doctors)
+    if (/^\d+$/.test(doctorUsername)) {
+      const [[doctorById]] = await pool.query(
+        "SELECT id FROM users WHERE id = ? AND role = 'doctor' LIMIT 1",
+        [Number(doctorUsername)]
+      );
+      if (doctorById) doctorId = doctorById.id;
+    }
+
+    // Then try email (your login email)
+    if (!doctorId) {
+      const [[doctorByPhone]] = await pool.query(
+        "SELECT id FROM users WHERE email = ? AND role = 'doctor' LIMIT 1",
+        [doctorUsername]
+      );
+      if (doctorByPhone && doctorByPhone.id) doctorId = doctorByPhone.id;
+    }
+
+    // unverified or suspended doctors are hidden from patients
+    if (!doctorId || !(await isListedDoctor(doctorId))) return res.status(404).json({ code: "doctor_not_found" });
+
+    const [rows] = await pool.query(
+      `SELECT id AS slot_id, slot_at, is_booked,
+              (held_until IS NOT NULL AND held_until > NOW()) AS is_held
+       FROM doctor_slots
+       WHERE doctor_user_id = ? AND slot_at >= NOW()
+       ORDER BY slot_at ASC`,
+      [doctorId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("FETCH DOCTOR SLOTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doctor_slots_fetch_failed" });
+  }
+});
+
+// ----------------- Doctor directory -----------------
+// Public doctor profile columns plus the next free slot and the number of free slots
+// in the next `days` days (bound as the first query parameter).
+const DOCTOR_DIRECTORY_SELECT = `
+  SELECT u.id, u.name, u.sex, d.specialization,
+         (SELECT ds.id FROM doctor_slots ds
+           WHERE ds.doctor_user_id = u.id AND ds.is_booked = 0 AND ds.slot_at >= NOW()
+           ORDER BY ds.slot_at ASC LIMIT 1) AS next_slot_id,
+         (SELECT MIN(ds.slot_at) FROM doctor_slots ds
+           WHERE ds.doctor_user_id = u.id AND ds.is_booked = 0 AND ds.slot_at >= NOW()) AS next_slot_at,
+         (SELECT COUNT(*) FROM doctor_slots ds
+           WHERE ds.doctor_user_id = u.id AND ds.is_booked = 0 AND ds.slot_at >= NOW()
+             AND ds.slot_at < DATE_ADD(NOW(), INTERVAL ? DAY)) AS free_slots
+  FROM users u
+  JOIN doctors d ON d.user_id = u.id`;
+
+const DOCTOR_SORTS = {
+  name: "u.name",
+  specialization: "d.specialization",
+  next_available: "next_slot_at",
+  free_slots: "free_slots",
+};
+
+function shapeDoctor(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    sex: row.sex,
+    specialization: row.specialization,
+    next_available_slot: row.next_slot_id ? { slot_id: row.next_slot_id, slot_at: row.next_slot_at } : null,
+    free_slots: Number(row.free_slots),
+  };
+}
+
+// List doctors: ?specialization=&q=&sex=&days=7&sort=name|specialization|next_available|free_slots&order=asc|desc&page=&limit=
+app.get("/doctors", authenticateToken, validateRequest({
+  summary: "Search the doctor directory",
+  query: {
+    properties: {
+      specialization: { type: "string" },
+      q: { type: "string", description: "Name search" },
+      sex: { type: "string" },
+      days: { type: "integer", minimum: 1, maximum: 90, description: "Window for free-slot counts (default 7)" },
+      sort: { type: "string", enum: Object.keys(DOCTOR_SORTS) },
+      order: { type: "string", enum: ["asc", "desc"] },
+      ...PAGINATION_QUERY,
+    },
+  },
+}), async (req, res) => {
+  const { specialization, q, sex } = req.query;
+  const days = Math.min(90, Math.max(1, parseInt(req.query.days, 10) || 7));
+  const sortKey = req.query.sort || "name";
+  const order = String(req.query.order || "asc").toLowerCase() === "desc" ? "DESC" : "ASC";
+  const { page, limit, offset } = parsePagination(req.query);
+
+  const where = ["u.role = 'doctor'", "u.status = 'active'", "d.verification_status = 'approved'"];
+  const params = [];
+  if (specialization) { where.push("d.specialization = ?"); params.push(specialization); }
+  if (sex) { where.push("u.sex = ?"); params.push(sex); }
+  if (q) {
+    where.push("u.name LIKE ?");
+    params.push(`%${String(q).replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  // doctors without any free slot always go last when sorting by availability
+  const orderBy = sortKey === "next_available"
+    ? `next_slot_at IS NULL, next_slot_at ${order}`
+    : `${DOCTOR_SORTS[sortKey]} ${order}`;
+
+  try {
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM users u JOIN doctors d ON d.user_id = u.id WHERE ${where.join(" AND ")}`,
+      params
+    );
+    const [rows] = await pool.query(
+      `${DOCTOR_DIRECTORY_SELECT}
+       WHERE ${where.join(" AND ")}
+       ORDER BY ${orderBy}, u.id ASC
+       LIMIT ? OFFSET ?`,
+      [days, ...params, limit, offset]
+    );
+    res.json({ data: rows.map(shapeDoctor), page, limit, total: Number(total), days });
+  } catch (err) {
+    console.error("LIST DOCTORS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doctors_fetch_failed" });
+  }
+});
+
+// Doctor public profile by numeric id
+app.get("/doctors/:id", authenticateToken, validateRequest({
+  summary: "Public profile of a doctor",
+  params: idParams("id"),
+  query: { properties: { days: { type: "integer", minimum: 1, maximum: 90 } } },
+}), async (req, res) => {
+  const doctorId = Number(req.params.id);
+  const days = Math.min(90, Math.max(1, parseInt(req.query.days, 10) || 7));
+
+  try {
+    const [[row]] = await pool.query(
+      `${DOCTOR_DIRECTORY_SELECT}
+       WHERE u.role = 'doctor' AND u.status = 'active' AND d.verification_status = 'approved' AND u.id = ? LIMIT 1`,
+      [days, doctorId]
+    );
+    if (!row) return res.status(404).json({ code: "doctor_not_found" });
+    res.json({ ...shapeDoctor(row), days });
+  } catch (err) {
+    console.error("GET DOCTOR ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doctor_fetch_failed" });
+  }
+});
+
+// Doctor: create multiple slots (array of "YYYY-MM-DD HH:MM:SS")
+app.post("/doctor/slots", authenticateToken, authorizeRoles("doctor"), validateRequest({
+  summary: "Doctor: publish slots",
+  body: { required: ["slots"], properties: { slots: { type: "array", minItems: 1, items: DATETIME_SCHEMA } } },
+}), async (req, res) => {
+  const { slots } = req.body;
+
+  const doctorId = req.user.id;
+  try {
+    const values = slots.map((s) => [doctorId, s]);
+    const [result] = await pool.query("INSERT IGNORE INTO doctor_slots (doctor_user_id, slot_at) VALUES ?", [values]);
+    if (result.affectedRows > 0) {
+      publishSlotEvent(doctorId, "slot.created", { slots });
+      queueWaitlistOffers(doctorId);
+    }
+    res.status(201).json({ inserted: result.affectedRows });
+  } catch (err) {
+    console.error("CREATE SLOTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "slots_create_failed" });
+  }
+});
+
+// Doctor: list own slots
+app.get("/doctor/slots", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT id AS slot_id, slot_at, is_booked FROM doctor_slots WHERE doctor_user_id = ? ORDER BY slot_at ASC",
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("FETCH DOCTOR SLOTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doctor_slots_fetch_failed" });
+  }
+});
+
+// Doctor: delete slot if not booked
+app.delete("/doctor/slots/:id", authenticateToken, authorizeRoles("doctor"), validateRequest({ summary: "Doctor: delete a free slot", params: idParams("id") }), async (req, res) => {
+  const slotId = req.params.id;
+  const doctorId = req.user.id;
+  try {
+    const [[slot]] = await pool.query("SELECT * FROM doctor_slots WHERE id = ? AND doctor_user_id = ?", [slotId, doctorId]);
+    if (!slot) return res.status(404).json({ code: "slot_not_found" });
+    if (slot.is_booked) return res.status(409).json({ code: "slot_delete_booked" });
+
+    await releaseHoldsOnSlots(pool, [slot.id]);
+    await pool.query("DELETE FROM doctor_slots WHERE id = ?", [slotId]);
+    publishSlotEvent(doctorId, "slot.removed", { slot_id: slot.id, slot_at: slot.slot_at });
+    res.json({ code: "slot_deleted" });
+  } catch (err) {
+    console.error("DELETE SLOT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "slot_delete_failed" });
+  }
+});
+
+// ----------------- Recurring availability (rules + exceptions) -----------------
+// Doctors describe weekly availability (weekdays, time window, slot length, date range)
+// and one-off exceptions (leave, holiday). syncDoctorSlots() materializes doctor_slots
+// for the next SLOT_HORIZON_DAYS days: it adds missing slots, removes free slots that no
+// rule produces any more or that fall inside an exception, and never touches booked slots.
+// Slots created from a rule carry its rule_id; manual slots (rule_id NULL) are only
+// removed when they fall inside an exception.
+
+function validateTimeHM(t) {
+  return typeof t === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(t);
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Local date -> "YYYY-MM-DD" (mysql2 returns DATE/DATETIME columns as local Date objects)
+function formatDateISO(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// Local date -> "YYYY-MM-DD HH:MM:SS"
+function formatDateTimeSQL(d) {
+  return `${formatDateISO(d)} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+}
+
+// "HH:MM[:SS]" -> minutes since midnight
+function toMinutes(hm) {
+  const [h, m] = String(hm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+function minutesToHM(m) {
+  return `${pad2(Math.floor(m / 60))}:${pad2(m % 60)}`;
+}
+
+// Map "YYYY-MM-DD" -> [[startMin, endMin], ...] of blocked windows
+function buildBlockedWindows(exceptions) {
+  const blocked = new Map();
+  for (const ex of exceptions) {
+    const date = ex.exception_date instanceof Date ? formatDateISO(ex.exception_date) : String(ex.exception_date);
+    const start = ex.start_time ? toMinutes(ex.start_time) : 0;
+    const end = ex.end_time ? toMinutes(ex.end_time) : 24 * 60;
+    if (!blocked.has(date)) blocked.set(date, []);
+    blocked.get(date).push([start, end]);
+  }
+  return blocked;
+}
+
+function isBlocked(blocked, date, startMin, lengthMin) {
+  return (blocked.get(date) || []).some(([bs, be]) => startMin < be && startMin + lengthMin > bs);
+}
+
+// Expand rules into Map slot_at -> rule_id for `days` days starting at `from` (local day)
+function expandAvailabilityRules(rules, blocked, from, days) {
+  const slots = new Map();
+  for (let i = 0; i < days; i++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+    const date = formatDateISO(day);
+    const weekday = day.getDay() === 0 ? 7 : day.getDay(); // ISO: 1 = Monday ... 7 = Sunday
+
+    for (const rule of rules) {
+      if (!rule.weekdays.includes(weekday)) continue;
+      if (date < rule.effective_from || (rule.effective_to && date > rule.effective_to)) continue;
+
+      const start = toMinutes(rule.start_time);
+      const end = toMinutes(rule.end_time);
+      for (let m = start; m + rule.slot_minutes <= end; m += rule.slot_minutes) {
+        if (isBlocked(blocked, date, m, rule.slot_minutes)) continue;
+        const slotAt = `${date} ${minutesToHM(m)}:00`;
+        if (!slots.has(slotAt)) slots.set(slotAt, rule.id);
+      }
+    }
+  }
+  return slots;
+}
+
+function shapeAvailabilityRule(r) {
+  return {
+    id: r.id,
+    weekdays: String(r.weekdays).split(",").map(Number),
+    start_time: String(r.start_time).slice(0, 5),
+    end_time: String(r.end_time).slice(0, 5),
+    slot_minutes: r.slot_minutes,
+    effective_from: r.effective_from instanceof Date ? formatDateISO(r.effective_from) : r.effective_from,
+    effective_to: r.effective_to instanceof Date ? formatDateISO(r.effective_to) : r.effective_to,
+  };
+}
+
+// Bring doctor_slots in line with the doctor's rules and exceptions; returns { created, removed }
+async function syncDoctorSlots(doctorId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [ruleRows] = await conn.query(
+      "SELECT * FROM availability_rules WHERE doctor_user_id = ?",
+      [doctorId]
+    );
+    const [exceptions] = await conn.query(
+      "SELECT exception_date, start_time, end_time FROM availability_exceptions WHERE doctor_user_id = ? AND exception_date >= CURDATE()",
+      [doctorId]
+    );
+
+    const now = new Date();
+    const nowSql = formatDateTimeSQL(now);
+    const horizonEnd = formatDateTimeSQL(new Date(now.getFullYear(), now.getMonth(), now.getDate() + Number(SLOT_HORIZON_DAYS)));
+    const blocked = buildBlockedWindows(exceptions);
+    const desired = expandAvailabilityRules(ruleRows.map(shapeAvailabilityRule), blocked, now, Number(SLOT_HORIZON_DAYS));
+
+    const [existing] = await conn.query(
+      `SELECT id, slot_at, is_booked, rule_id FROM doctor_slots
+       WHERE doctor_user_id = ? AND slot_at > ? AND slot_at < ? FOR UPDATE`,
+      [doctorId, nowSql, horizonEnd]
+    );
+
+    const existingAt = new Set();
+    const toRemove = [];
+    for (const slot of existing) {
+      const slotAt = slot.slot_at instanceof Date ? formatDateTimeSQL(slot.slot_at) : String(slot.slot_at);
+      existingAt.add(slotAt);
+      if (slot.is_booked) continue;
+      const [date, time] = slotAt.split(" ");
+      const inException = isBlocked(blocked, date, toMinutes(time), 1);
+      if (inException || (slot.rule_id && !desired.has(slotAt))) toRemove.push(slot.id);
+    }
+
+    const toCreate = [...desired.entries()]
+      .filter(([slotAt]) => slotAt > nowSql && !existingAt.has(slotAt))
+      .map(([slotAt, ruleId]) => [doctorId, slotAt, ruleId]);
+
+    let removed = 0;
+    if (toRemove.length) {
+      await releaseHoldsOnSlots(conn, toRemove);
+      const [del] = await conn.query("DELETE FROM doctor_slots WHERE id IN (?) AND is_booked = 0", [toRemove]);
+      removed = del.affectedRows;
+    }
+    let created = 0;
+    if (toCreate.length) {
+      const [ins] = await conn.query("INSERT IGNORE INTO doctor_slots (doctor_user_id, slot_at, rule_id) VALUES ?", [toCreate]);
+      created = ins.affectedRows;
+    }
+
+    await conn.commit();
+    if (created > 0 || removed > 0) publishSlotEvent(doctorId, "slots.changed", { created, removed });
+    if (created > 0) queueWaitlistOffers(doctorId);
+    return { created, removed };
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Extend the rolling horizon for every doctor with at least one rule (run periodically)
+async function syncAllDoctorSlots() {
+  const [rows] = await pool.query("SELECT DISTINCT doctor_user_id FROM availability_rules");
+  for (const row of rows) {
+    try {
+      await syncDoctorSlots(row.doctor_user_id);
+    } catch (err) {
+      console.error("SLOT SYNC ERR doctor", row.doctor_user_id, err && err.stack ? err.stack : err);
+    }
+  }
+}
+
+// Doctor: list own availability rules
+app.get("/doctor/availability/rules", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT * FROM availability_rules WHERE doctor_user_id = ? ORDER BY effective_from ASC, start_time ASC",
+      [req.user.id]
+    );
+    res.json(rows.map(shapeAvailabilityRule));
+  } catch (err) {
+    console.error("FETCH RULES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "availability_rules_fetch_failed" });
+  }
+});
+
+// Doctor: add a weekly rule
+// body: { weekdays: [1..7] (1 = Monday), start_time: "HH:MM", end_time: "HH:MM", slot_minutes, effective_from: "YYYY-MM-DD", effective_to? }
+app.post("/doctor/availability/rules", authenticateToken, authorizeRoles("doctor"), validateRequest({
+  summary: "Doctor: add a weekly availability rule",
+  body: {
+    required: ["weekdays", "start_time", "end_time", "slot_minutes", "effective_from"],
+    properties: {
+      weekdays: { type: "array", minItems: 1, items: { type: "integer", minimum: 1, maximum: 7 }, description: "1 = Monday" },
+      start_time: TIME_SCHEMA,
+      end_time: TIME_SCHEMA,
+      slot_minutes: { type: "integer", minimum: 5, maximum: 240 },
+      effective_from: DATE_SCHEMA,
+      effective_to: { ...DATE_SCHEMA, nullable: true },
+    },
+  },
+}), async (req, res) => {
+  const { weekdays, start_time, end_time, slot_minutes, effective_from, effective_to } = req.body;
+
+  if (toMinutes(start_time) >= toMinutes(end_time)) {
+    return res.status(400).json({ code: "start_before_end_required" });
+  }
+  const minutes = Number(slot_minutes);
+  if (effective_to && effective_to < effective_from) {
+    return res.status(400).json({ code: "effective_range_invalid" });
+  }
+
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO availability_rules (doctor_user_id, weekdays, start_time, end_time, slot_minutes, effective_from, effective_to, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [req.user.id, [...new Set(weekdays)].sort().join(","), start_time, end_time, minutes, effective_from, effective_to || null]
+    );
+    const sync = await syncDoctorSlots(req.user.id);
+    res.status(201).json({ id: result.insertId, code: "availability_rule_created", ...sync });
+  } catch (err) {
+    console.error("CREATE RULE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "availability_rule_create_failed" });
+  }
+});
+
+// Doctor: delete a rule (its free future slots are removed, booked ones are kept)
+app.delete("/doctor/availability/rules/:id", authenticateToken, authorizeRoles("doctor"), validateRequest({
+  summary: "Doctor: delete an availability rule",
+  params: idParams("id"),
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [result] = await pool.query(
+      "DELETE FROM availability_rules WHERE id = ? AND doctor_user_id = ?",
+      [id, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "availability_rule_not_found" });
+    const sync = await syncDoctorSlots(req.user.id);
+    res.json({ code: "availability_rule_deleted", ...sync });
+  } catch (err) {
+    console.error("DELETE RULE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "availability_rule_delete_failed" });
+  }
+});
+
+// Doctor: list upcoming exceptions
+app.get("/doctor/availability/exceptions", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, exception_date, start_time, end_time, kind, reason, created_at
+       FROM availability_exceptions
+       WHERE doctor_user_id = ? AND exception_date >= CURDATE()
+       ORDER BY exception_date ASC, start_time ASC`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("FETCH EXCEPTIONS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "availability_exceptions_fetch_failed" });
+  }
+});
+
+// Doctor: add a leave day / holiday (whole day, or start_time..end_time)
+// Booked appointments inside the window are NOT cancelled; they are returned as conflicts.
+app.post("/doctor/availability/exceptions", authenticateToken, authorizeRoles("doctor"), validateRequest({
+  summary: "Doctor: add a leave day or holiday",
+  body: {
+    required: ["date"],
+    properties: {
+      date: DATE_SCHEMA,
+      start_time: { ...TIME_SCHEMA, description: "Omit start_time and end_time for the whole day" },
+      end_time: TIME_SCHEMA,
+      kind: { type: "string", enum: ["leave", "holiday"] },
+      reason: { type: "string", maxLength: 255 },
+    },
+  },
+}), async (req, res) => {
+  const { date, start_time, end_time, kind = "leave", reason } = req.body;
+  if ((start_time || end_time) && (!start_time || !end_time || toMinutes(start_time) >= toMinutes(end_time))) {
+    return res.status(400).json({ code: "slot_times_invalid" });
+  }
+
+  const windowStart = `${date} ${start_time || "00:00"}:00`;
+  const windowEnd = end_time
+    ? `${date} ${end_time}:00`
+    : formatDateTimeSQL(new Date(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10)) + 1));
+
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO availability_exceptions (doctor_user_id, exception_date, start_time, end_time, kind, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [req.user.id, date, start_time || null, end_time || null, kind, reason || null]
+    );
+    const sync = await syncDoctorSlots(req.user.id);
+
+    const [conflicts] = await pool.query(
+      `SELECT a.id, a.patient_user_id, pu.name AS patient_name, a.scheduled_at, a.status
+       FROM appointments a
+       JOIN users pu ON pu.id = a.patient_user_id
+       WHERE a.doctor_user_id = ? AND a.status IN (?)
+         AND a.scheduled_at >= ? AND a.scheduled_at < ?
+       ORDER BY a.scheduled_at ASC`,
+      [req.user.id, ACTIVE_APPOINTMENT_STATUSES, windowStart, windowEnd]
+    );
+
+    res.status(201).json({ id: result.insertId, code: "availability_exception_created", ...sync, conflicts });
+  } catch (err) {
+    console.error("CREATE EXCEPTION ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "availability_exception_create_failed" });
+  }
+});
+
+// Doctor: remove an exception (slots from rules come back on the next sync)
+app.delete("/doctor/availability/exceptions/:id", authenticateToken, authorizeRoles("doctor"), validateRequest({
+  summary: "Doctor: remove an availability exception",
+  params: idParams("id"),
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [result] = await pool.query(
+      "DELETE FROM availability_exceptions WHERE id = ? AND doctor_user_id = ?",
+      [id, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "availability_exception_not_found" });
+    const sync = await syncDoctorSlots(req.user.id);
+    res.json({ code: "availability_exception_deleted", ...sync });
+  } catch (err) {
+    console.error("DELETE EXCEPTION ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "availability_exception_delete_failed" });
+  }
+});
+
+// Doctor: force a re-sync of generated slots
+app.post("/doctor/availability/sync", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
+  try {
+    const sync = await syncDoctorSlots(req.user.id);
+    res.json({ code: "slots_synced", ...sync });
+  } catch (err) {
+    console.error("SYNC SLOTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "slots_sync_failed" });
+  }
+});
+
+// Load an appointment the current user takes part in (as its patient or its doctor)
+async function findOwnAppointment(db, apptId, user, forUpdate = false) {
+  const [[appointment]] = await db.query(
+    `SELECT * FROM appointments WHERE id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [apptId]
+  );
+  if (!appointment) return { error: { status: 404, code: "appointment_not_found" } };
+  const isPatient = appointment.patient_user_id === user.id && user.role === "patient";
+  const isDoctor = appointment.doctor_user_id === user.id && user.role === "doctor";
+  if (!isPatient && !isDoctor) return { error: { status: 403, code: "appointment_forbidden" } };
+  return { appointment };
+}
+
+// Change appointment status: body { status, reason? } (reason is kept for cancellations)
+app.patch("/appointments/:id/status", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("appointment"), validateRequest({
+  summary: "Change an appointment's status",
+  params: idParams("id"),
+  body: {
+    required: ["status"],
+    properties: {
+      status: { type: "string", enum: APPOINTMENT_STATUSES },
+      reason: { type: "string", maxLength: 255, description: "Kept for cancellations" },
+    },
+  },
+}), async (req, res) => {
+  const apptId = Number(req.params.id);
+  const { status, reason } = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const { appointment, error } = await findOwnAppointment(conn, apptId, req.user, true);
+    if (error) {
+      await conn.rollback();
+      return res.status(error.status).json({ code: error.code, params: error.params });
+    }
+
+    const refused = await transitionAppointment(conn, appointment, status, req.user, reason);
+    if (refused) {
+      await conn.rollback();
+      return res.status(refused.status).json({ code: refused.code, params: refused.params });
+    }
+
+    await conn.commit();
+    setAuditContext(res, [appointment.patient_user_id], appointment.id);
+    publishAppointmentStatus(appointment, status);
+    if (CANCELLED_APPOINTMENT_STATUSES.includes(status)) {
+      publishSlotEvent(appointment.doctor_user_id, "slot.freed", { slot_at: appointment.scheduled_at });
+      queueWaitlistOffers(appointment.doctor_user_id);
+    }
+    res.json({ id: appointment.id, status, code: "appointment_status_updated" });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("APPT STATUS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "appointment_status_update_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Status history of an appointment (its patient or doctor)
+app.get("/appointments/:id/history", authenticateToken, auditAccess("appointment"), validateRequest({ summary: "Status history of an appointment", params: idParams("id") }), async (req, res) => {
+  const apptId = Number(req.params.id);
+  try {
+    const { appointment, error } = await findOwnAppointment(pool, apptId, req.user);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [appointment.patient_user_id], appointment.id);
+
+    const [rows] = await pool.query(
+      `SELECT from_status, to_status, changed_by_user_id, changed_by_role, reason, created_at
+       FROM appointment_status_history
+       WHERE appointment_id = ?
+       ORDER BY created_at ASC, id ASC`,
+      [apptId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("APPT HISTORY ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "appointment_history_fetch_failed" });
+  }
+});
+
+// Patient: move an appointment to another free slot of the same doctor, atomically.
+// body: { doctorSlotId }. Not allowed within RESCHEDULE_CUTOFF_MINUTES of the current time
+// and at most MAX_RESCHEDULES times per appointment. A confirmed appointment goes back to booked.
+app.post("/appointments/:id/reschedule", authenticateToken, authorizeRoles("patient"), auditAccess("appointment", "update"), validateRequest({
+  summary: "Patient: move an appointment to another slot",
+  params: idParams("id"),
+  body: { required: ["doctorSlotId"], properties: { doctorSlotId: ID_SCHEMA } },
+}), async (req, res) => {
+  const apptId = Number(req.params.id);
+  const { doctorSlotId } = req.body;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const { appointment, error } = await findOwnAppointment(conn, apptId, req.user, true);
+    if (error) {
+      await conn.rollback();
+      return res.status(error.status).json({ code: error.code, params: error.params });
+    }
+
+    const fail = async (status, code, params) => {
+      await conn.rollback();
+      return res.status(status).json({ code, params });
+    };
+
+    if (!["booked", "confirmed"].includes(appointment.status)) {
+      return fail(409, "reschedule_status_invalid", { status: appointment.status });
+    }
+    const cutoffMs = Number(RESCHEDULE_CUTOFF_MINUTES) * 60 * 1000;
+    if (new Date(appointment.scheduled_at).getTime() - Date.now() < cutoffMs) {
+      return fail(409, "reschedule_cutoff", { minutes: Number(RESCHEDULE_CUTOFF_MINUTES) });
+    }
+    if (appointment.reschedule_count >= Number(MAX_RESCHEDULES)) {
+      return fail(409, "reschedule_limit", { count: appointment.reschedule_count });
+    }
+
+    const [[slot]] = await conn.query(
+      "SELECT id, doctor_user_id, slot_at, is_booked, slot_at > NOW() AS in_future FROM doctor_slots WHERE id = ? FOR UPDATE",
+      [doctorSlotId]
+    );
+    if (!slot) return fail(404, "slot_not_found");
+    if (slot.doctor_user_id !== appointment.doctor_user_id) return fail(400, "reschedule_other_doctor");
+    if (!slot.in_future) return fail(400, "slot_in_past");
+    if (slot.is_booked) return fail(409, "slot_already_booked");
+
+    // Claim the new slot first so a failure leaves the old booking untouched
+    const [claim] = await conn.query(
+      `UPDATE doctor_slots SET is_booked = 1
+       WHERE id = ? AND is_booked = 0
+         AND (held_until IS NULL OR held_until <= NOW() OR held_by_user_id = ?)`,
+      [slot.id, req.user.id]
+    );
+    if (claim.affectedRows === 0) return fail(409, "slot_unavailable");
+    await settleSlotHold(conn, slot.id, req.user.id, appointment.id);
+
+    await conn.query("UPDATE doctor_slots SET is_booked = 0 WHERE doctor_user_id = ? AND slot_at = ?", [
+      appointment.doctor_user_id,
+      appointment.scheduled_at,
+    ]);
+    await conn.query(
+      "UPDATE appointments SET scheduled_at = ?, status = 'booked', reschedule_count = reschedule_count + 1 WHERE id = ?",
+      [slot.slot_at, appointment.id]
+    );
+    await recordAppointmentStatus(
+      conn,
+      appointment.id,
+      appointment.status,
+      "booked",
+      req.user,
+      `rescheduled from ${formatDateTimeSQL(new Date(appointment.scheduled_at))}`
+    );
+
+    await conn.commit();
+    publishSlotEvent(appointment.doctor_user_id, "slot.booked", { slot_id: slot.id, slot_at: slot.slot_at });
+    publishSlotEvent(appointment.doctor_user_id, "slot.freed", { slot_at: appointment.scheduled_at });
+    publishAppointmentStatus({ ...appointment, scheduled_at: slot.slot_at }, "booked", {
+      rescheduled_from: appointment.scheduled_at,
+    });
+    queueWaitlistOffers(appointment.doctor_user_id);
+    const conflicts = await appointmentConflicts(req.user.id, slot.slot_at, appointment.id, req.locale);
+    res.json({
+      id: appointment.id,
+      scheduled_at: slot.slot_at,
+      slot_id: slot.id,
+      status: "booked",
+      reschedule_count: appointment.reschedule_count + 1,
+      code: "appointment_rescheduled",
+      conflicts,
+      warning: conflictWarning(req, conflicts),
+    });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("RESCHEDULE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "appointment_reschedule_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Cancel appointment (patient owner OR the doctor) — kept for older clients; sets
+// cancelled_by_patient / cancelled_by_doctor instead of deleting, and frees the slot.
+app.delete("/appointments/:id", authenticateToken, auditAccess("appointment", "update"), validateRequest({
+  summary: "Cancel an appointment",
+  params: idParams("id"),
+  body: { properties: { reason: { type: "string", maxLength: 255 } } },
+}), async (req, res) => {
+  const apptId = req.params.id;
+  const reason = req.body && req.body.reason;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const { appointment, error } = await findOwnAppointment(conn, apptId, req.user, true);
+    if (error) {
+      await conn.rollback();
+      return res.status(error.status).json(error.status === 403 ? { code: "appointment_cancel_forbidden" } : { code: error.code });
+    }
+
+    const toStatus = req.user.role === "doctor" ? "cancelled_by_doctor" : "cancelled_by_patient";
+    const refused = await transitionAppointment(conn, appointment, toStatus, req.user, reason);
+    if (refused) {
+      await conn.rollback();
+      return res.status(refused.status).json({ code: refused.code, params: refused.params });
+    }
+
+    await conn.commit();
+    setAuditContext(res, [appointment.patient_user_id], appointment.id);
+    publishAppointmentStatus(appointment, toStatus);
+    publishSlotEvent(appointment.doctor_user_id, "slot.freed", { slot_at: appointment.scheduled_at });
+    queueWaitlistOffers(appointment.doctor_user_id);
+    res.json({ code: "appointment_cancelled", status: toStatus });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("CANCEL APPT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "appointment_cancel_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// ----------------- Live updates (Server-Sent Events) -----------------
+// GET /live/events?doctors=12,15 keeps an SSE stream open. Authenticate with the usual
+// "Authorization: Bearer <access token>" header, or ?access_token= for browser EventSource
+// which cannot set headers. The stream carries slot events of the watched doctors (doctors
+// always get their own) and appointment status changes of the connected user. Events are
+// published after the database commit; after a reconnect clients should refetch, as
+// nothing is replayed.
+
+const LIVE_MAX_WATCHED_DOCTORS = 50;
+
+function publishSlotEvent(doctorId, type, data) {
+  live.publish(`doctor-slots:${doctorId}`, type, { doctor_user_id: doctorId, ...data });
+}
+
+function publishAppointmentStatus(appointment, status, extra = {}) {
+  const data = {
+    appointment_id: appointment.id,
+    patient_user_id: appointment.patient_user_id,
+    doctor_user_id: appointment.doctor_user_id,
+    scheduled_at: appointment.scheduled_at,
+    status,
+    ...extra,
+  };
+  live.publish(`user:${appointment.patient_user_id}`, "appointment.status", data);
+  live.publish(`user:${appointment.doctor_user_id}`, "appointment.status", data);
+}
+
+app.get("/live/events", validateRequest({
+  summary: "Server-sent event stream of slot and appointment updates",
+  query: {
+    properties: {
+      doctors: { type: "string", pattern: "^[1-9]\\d*(,[1-9]\\d*)*$", description: "Comma-separated doctor ids to watch" },
+      access_token: { type: "string", description: "For EventSource, which cannot send the Authorization header" },
+    },
+  },
+}), async (req, res) => {
+  const authHeader = req.headers["authorization"];
+  const token = (authHeader && authHeader.split(" ")[1]) || req.query.access_token;
+  let user;
+  try {
+    const verified = await verifyAccessToken(token);
+    if (verified.error) return res.status(verified.error.status).json({ code: verified.error.code });
+    user = verified.user;
+  } catch (err) {
+    console.error("LIVE AUTH ERR:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ code: "server_error" });
+  }
+
+  const doctorIds = new Set(req.query.doctors ? String(req.query.doctors).split(",").map(Number) : []);
+  if (user.role === "doctor") doctorIds.add(user.id);
+  if (doctorIds.size > LIVE_MAX_WATCHED_DOCTORS) {
+    return res.status(400).json({ code: "live_watch_limit", params: { max: LIVE_MAX_WATCHED_DOCTORS } });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  res.write("retry: 5000\n\n");
+  send({ type: "ready", data: { user_id: user.id, doctors: [...doctorIds] }, at: new Date().toISOString() });
+
+  const unsubscribe = [
+    live.subscribe(`user:${user.id}`, send),
+    ...[...doctorIds].map((id) => live.subscribe(`doctor-slots:${id}`, send)),
+  ];
+
+  // keep proxies from closing the idle connection, and end the stream once the session is
+  // revoked or the user suspended
+  const heartbeat = setInterval(async () => {
+    try {
+      const [[session]] = await pool.query(
+        `SELECT u.status FROM auth_sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.id = ? AND s.revoked_at IS NULL LIMIT 1`,
+        [user.sid]
+      );
+      if (!session || session.status === "suspended") {
+        const reason = session ? "suspended" : "revoked";
+        send({ type: "session.revoked", data: { reason }, at: new Date().toISOString() });
+        return res.end();
+      }
+      res.write(": ping\n\n");
+    } catch (err) {
+      console.error("LIVE HEARTBEAT ERR:", err && err.stack ? err.stack : err);
+    }
+  }, Number(LIVE_HEARTBEAT_MS));
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe.forEach((off) => off());
+  });
+});
+
+// ----------------- Video consultations (rooms, join tokens, attendance) -----------------
+// Every appointment has one room that only its patient and doctor can join, from
+// CONSULT_JOIN_EARLY_MINUTES before scheduled_at until CONSULT_JOIN_LATE_MINUTES after the
+// appointment's end. POST /appointments/:id/consultation/token hands out a short-lived,
+// single-use token that is presented to the WebSocket signaling endpoint (signaling.js),
+// which relays the WebRTC offer/answer/ICE messages. Each connection is recorded in
+// consultation_attendance; flagConsultationNoShows() uses it once the window has closed.
+
+const CONSULT_SIGNALING_PATH = "/ws/consultation";
+const CONSULT_NO_SHOW_LOOKBACK_DAYS = 2;
+const DEFAULT_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+
+// ICE_SERVERS is a JSON array of RTCIceServer objects (add TURN credentials here)
+function parseIceServers(raw) {
+  if (!raw) return DEFAULT_ICE_SERVERS;
+  try {
+    const servers = JSON.parse(raw);
+    if (Array.isArray(servers)) return servers;
+  } catch {
+    // fall through
+  }
+  console.warn("ICE_SERVERS is not a JSON array, using the default STUN server");
+  return DEFAULT_ICE_SERVERS;
+}
+const CONSULT_ICE_SERVERS = parseIceServers(ICE_SERVERS);
+
+// Token ids already used to join; kept until the token would have expired anyway.
+// In-memory, so this assumes a single server process (like the live hub).
+const usedConsultTokens = new Map();
+
+function consultationWindow(appointment) {
+  const start = new Date(appointment.scheduled_at).getTime();
+  return {
+    opens_at: new Date(start - Number(CONSULT_JOIN_EARLY_MINUTES) * 60_000),
+    closes_at: new Date(start + (Number(APPOINTMENT_DURATION_MINUTES) + Number(CONSULT_JOIN_LATE_MINUTES)) * 60_000),
+  };
+}
+
+// Returns null when the room can be joined now, otherwise { status, code, params }
+function consultationJoinRefusal(appointment) {
+  if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+    return { status: 409, code: "consultation_appointment_inactive", params: { status: appointment.status } };
+  }
+  const { opens_at, closes_at } = consultationWindow(appointment);
+  const now = Date.now();
+  if (now < opens_at.getTime()) return { status: 409, code: "consultation_room_not_open", params: { opens_at } };
+  if (now > closes_at.getTime()) return { status: 409, code: "consultation_room_closed" };
+  return null;
+}
+
+// Verify a join token presented to the signaling server; each token works once
+async function authorizeConsultationJoin(token) {
+  if (!token) return null;
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (claims.typ !== "consultation" || !claims.jti) return null;
+
+  const now = Date.now();
+  for (const [jti, expiresAt] of usedConsultTokens) if (expiresAt <= now) usedConsultTokens.delete(jti);
+  if (usedConsultTokens.has(claims.jti)) return null;
+  usedConsultTokens.set(claims.jti, claims.exp * 1000);
+
+  const userId = Number(claims.sub);
+  const [[appointment]] = await pool.query(
+    `SELECT a.*, u.status AS user_status
+     FROM appointments a
+     JOIN users u ON u.id = ?
+     WHERE a.id = ?`,
+    [userId, claims.appointment_id]
+  );
+  if (!appointment || appointment.user_status !== "active") return null;
+  const partyId = claims.role === "doctor" ? appointment.doctor_user_id : appointment.patient_user_id;
+  if (partyId !== userId || consultationJoinRefusal(appointment)) return null;
+
+  return {
+    roomId: `appointment-${appointment.id}`,
+    appointmentId: appointment.id,
+    userId,
+    role: claims.role,
+    peerUserId: claims.role === "doctor" ? appointment.patient_user_id : appointment.doctor_user_id,
+  };
+}
+
+// Signaling callbacks: the attendance row id is handed from onJoin to onLeave
+async function recordConsultationJoin(participant) {
+  const [result] = await pool.query(
+    "INSERT INTO consultation_attendance (appointment_id, user_id, role, joined_at) VALUES (?, ?, ?, NOW())",
+    [participant.appointmentId, participant.userId, participant.role]
+  );
+  live.publish(`user:${participant.peerUserId}`, "consultation.joined", {
+    appointment_id: participant.appointmentId,
+    user_id: participant.userId,
+    role: participant.role,
+  });
+  return result.insertId;
+}
+
+async function recordConsultationLeave(participant, attendanceId) {
+  if (!attendanceId) return;
+  await pool.query("UPDATE consultation_attendance SET left_at = NOW() WHERE id = ? AND left_at IS NULL", [attendanceId]);
+}
+
+// Merge [startMs, endMs] intervals into a sorted, non-overlapping list
+function mergeIntervals(intervals) {
+  const merged = [];
+  for (const [start, end] of intervals.filter(([s, e]) => e > s).sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+function intersectIntervals(a, b) {
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (end > start) out.push([start, end]);
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return out;
+}
+
+function intervalSeconds(intervals) {
+  return Math.round(intervals.reduce((sum, [start, end]) => sum + (end - start), 0) / 1000);
+}
+
+// Patient or doctor of the appointment: get a join token for its consultation room
+app.post("/appointments/:id/consultation/token", authenticateToken, authorizeRoles("patient", "doctor"), validateRequest({
+  summary: "Get a join token for the consultation room",
+  params: idParams("id"),
+}), async (req, res) => {
+  const apptId = Number(req.params.id);
+  try {
+    const { appointment, error } = await findOwnAppointment(pool, apptId, req.user);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    const refused = consultationJoinRefusal(appointment);
+    if (refused) return res.status(refused.status).json({ code: refused.code, params: refused.params, ...consultationWindow(appointment) });
+
+    const expiresIn = Number(CONSULT_TOKEN_TTL_SECONDS);
+    const token = jwt.sign({ typ: "consultation", appointment_id: appointment.id, role: req.user.role }, JWT_SECRET, {
+      subject: String(req.user.id),
+      jwtid: crypto.randomUUID(),
+      expiresIn,
+    });
+    const wsProtocol = req.protocol === "https" ? "wss" : "ws";
+    res.json({
+      token,
+      expires_in: expiresIn,
+      signaling_url: `${wsProtocol}://${req.get("host")}${CONSULT_SIGNALING_PATH}?token=${encodeURIComponent(token)}`,
+      room: `appointment-${appointment.id}`,
+      ice_servers: CONSULT_ICE_SERVERS,
+      ...consultationWindow(appointment),
+    });
+  } catch (err) {
+    console.error("CONSULTATION TOKEN ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "consultation_token_failed" });
+  }
+});
+
+// Patient or doctor of the appointment: attendance log and actual consultation duration
+app.get("/appointments/:id/consultation", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("appointment"), validateRequest({
+  summary: "Consultation attendance and duration",
+  params: idParams("id"),
+}), async (req, res) => {
+  const apptId = Number(req.params.id);
+  try {
+    const { appointment, error } = await findOwnAppointment(pool, apptId, req.user);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    const [attendance] = await pool.query(
+      `SELECT id, user_id, role, joined_at, left_at
+       FROM consultation_attendance
+       WHERE appointment_id = ?
+       ORDER BY joined_at, id`,
+      [appointment.id]
+    );
+
+    // rows still open count up to now, but never past the window
+    const window = consultationWindow(appointment);
+    const openUntil = Math.min(Date.now(), window.closes_at.getTime());
+    const spans = (role) =>
+      mergeIntervals(
+        attendance
+          .filter((row) => row.role === role)
+          .map((row) => [new Date(row.joined_at).getTime(), row.left_at ? new Date(row.left_at).getTime() : openUntil])
+      );
+    const patientSpans = spans("patient");
+    const doctorSpans = spans("doctor");
+
+    setAuditContext(res, [appointment.patient_user_id], appointment.id);
+    res.json({
+      appointment_id: appointment.id,
+      status: appointment.status,
+      no_show_party: appointment.no_show_party,
+      room: `appointment-${appointment.id}`,
+      ...window,
+      attendance,
+      duration_seconds: {
+        patient: intervalSeconds(patientSpans),
+        doctor: intervalSeconds(doctorSpans),
+        together: intervalSeconds(intersectIntervals(patientSpans, doctorSpans)),
+      },
+    });
+  } catch (err) {
+    console.error("GET CONSULTATION ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "consultation_fetch_failed" });
+  }
+});
+
+// notification.no_show.<who missed it>.<recipient>.title / .body
+function noShowNotice(party, recipient) {
+  const key = `notification.no_show.${party}.${recipient}`;
+  return { title: `${key}.title`, body: `${key}.body` };
+}
+
+// Background job: once a booked/confirmed appointment's window has closed, flag who never
+// joined. A patient no-show (the doctor was there) also moves the appointment to no_show;
+// doctor or mutual no-shows are only flagged so staff can follow up.
+async function flagConsultationNoShows() {
+  const graceMinutes = Number(APPOINTMENT_DURATION_MINUTES) + Number(CONSULT_JOIN_LATE_MINUTES);
+  const [candidates] = await pool.query(
+    `SELECT a.id,
+            EXISTS (SELECT 1 FROM consultation_attendance ca WHERE ca.appointment_id = a.id AND ca.role = 'patient') AS patient_joined,
+            EXISTS (SELECT 1 FROM consultation_attendance ca WHERE ca.appointment_id = a.id AND ca.role = 'doctor') AS doctor_joined
+     FROM appointments a
+     WHERE a.status IN ('booked', 'confirmed') AND a.no_show_party IS NULL
+       AND a.scheduled_at <= NOW() - INTERVAL ? MINUTE
+       AND a.scheduled_at > NOW() - INTERVAL ? DAY
+     HAVING NOT (patient_joined AND doctor_joined)
+     LIMIT 200`,
+    [graceMinutes, CONSULT_NO_SHOW_LOOKBACK_DAYS]
+  );
+
+  let flagged = 0;
+  for (const candidate of candidates) {
+    const party = candidate.doctor_joined ? "patient" : candidate.patient_joined ? "doctor" : "both";
+    const conn = await pool.getConnection();
+    let appointment;
+    try {
+      await conn.beginTransaction();
+      [[appointment]] = await conn.query(
+        "SELECT * FROM appointments WHERE id = ? AND status IN ('booked', 'confirmed') AND no_show_party IS NULL FOR UPDATE",
+        [candidate.id]
+      );
+      if (!appointment) {
+        await conn.rollback();
+        continue;
+      }
+      if (party === "patient") {
+        const refused = await transitionAppointment(conn, appointment, "no_show", { id: null, role: "system" }, "Patient did not join the video consultation");
+        if (refused) {
+          await conn.rollback();
+          continue;
+        }
+      }
+      await conn.query("UPDATE appointments SET no_show_party = ? WHERE id = ?", [party, appointment.id]);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      console.error("NO-SHOW FLAG ERR:", err && err.stack ? err.stack : err);
+      continue;
+    } finally {
+      conn.release();
+    }
+
+    flagged++;
+    const status = party === "patient" ? "no_show" : appointment.status;
+    publishAppointmentStatus(appointment, status, { no_show_party: party });
+    const data = { appointment_id: appointment.id, no_show_party: party };
+    await notifyUser(pool, appointment.patient_user_id, "consultation_no_show", noShowNotice(party, "patient"), data);
+    await notifyUser(pool, appointment.doctor_user_id, "consultation_no_show", noShowNotice(party, "doctor"), data);
+  }
+  return flagged;
+}
+
+// ----------------- Waitlist -----------------
+// Patients wait for a doctor (optionally only for dates in preferred_from..preferred_to).
+// Whenever a slot of that doctor becomes free (cancellation, reschedule, new slots) the
+// first eligible waiting patient gets a hold on it for WAITLIST_HOLD_MINUTES: the slot can
+// only be booked by them until the hold is accepted, declined or expires, after which it is
+// offered to the next patient. A slot is never offered twice to the same waitlist entry.
+
+// Mark the hold on a slot as accepted once its holder books it, and clear the slot's hold
+async function settleSlotHold(conn, slotId, patientId, appointmentId) {
+  await conn.query(
+    `UPDATE slot_holds h
+     JOIN waitlist_entries w ON w.id = h.waitlist_entry_id
+     SET h.status = 'accepted', h.appointment_id = ?, w.status = 'fulfilled'
+     WHERE h.slot_id = ? AND h.patient_user_id = ? AND h.status = 'pending'`,
+    [appointmentId, slotId, patientId]
+  );
+  await conn.query(
+    "UPDATE doctor_slots SET held_by_user_id = NULL, held_until = NULL WHERE id = ?",
+    [slotId]
+  );
+}
+
+// Before free slots are deleted: put patients holding them back on the waitlist
+async function releaseHoldsOnSlots(db, slotIds) {
+  await db.query(
+    `UPDATE slot_holds h
+     JOIN waitlist_entries w ON w.id = h.waitlist_entry_id
+     SET h.status = 'expired', w.status = IF(w.status = 'offered', 'waiting', w.status)
+     WHERE h.slot_id IN (?) AND h.status = 'pending'`,
+    [slotIds]
+  );
+}
+
+// Match free, un-held future slots of a doctor with waiting patients (oldest entry first)
+async function offerSlotsToWaitlist(doctorId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [entries] = await conn.query(
+      `SELECT id, patient_user_id, preferred_from, preferred_to
+       FROM waitlist_entries
+       WHERE doctor_user_id = ? AND status = 'waiting'
+       ORDER BY created_at ASC, id ASC
+       FOR UPDATE`,
+      [doctorId]
+    );
+    if (entries.length === 0) {
+      await conn.rollback();
+      return 0;
+    }
+
+    const [slots] = await conn.query(
+      `SELECT id, slot_at FROM doctor_slots
+       WHERE doctor_user_id = ? AND is_booked = 0 AND slot_at > NOW()
+         AND (held_until IS NULL OR held_until <= NOW())
+       ORDER BY slot_at ASC
+       FOR UPDATE`,
+      [doctorId]
+    );
+
+    const [previous] = await conn.query(
+      "SELECT slot_id, waitlist_entry_id FROM slot_holds WHERE waitlist_entry_id IN (?)",
+      [entries.map((e) => e.id)]
+    );
+    const alreadyOffered = new Set(previous.map((h) => `${h.slot_id}:${h.waitlist_entry_id}`));
+
+    const served = new Set();
+    const offers = [];
+    for (const slot of slots) {
+      const slotDate = formatDateISO(new Date(slot.slot_at));
+      const entry = entries.find(
+        (e) =>
+          !served.has(e.id) &&
+          !alreadyOffered.has(`${slot.id}:${e.id}`) &&
+          (!e.preferred_from || slotDate >= formatDateISO(new Date(e.preferred_from))) &&
+          (!e.preferred_to || slotDate <= formatDateISO(new Date(e.preferred_to)))
+      );
+      if (!entry) continue;
+
+      served.add(entry.id);
+      await conn.query(
+        `INSERT INTO slot_holds (slot_id, waitlist_entry_id, patient_user_id, status, expires_at, created_at)
+         VALUES (?, ?, ?, 'pending', DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [slot.id, entry.id, entry.patient_user_id, Number(WAITLIST_HOLD_MINUTES)]
+      );
+      await conn.query(
+        "UPDATE doctor_slots SET held_by_user_id = ?, held_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?",
+        [entry.patient_user_id, Number(WAITLIST_HOLD_MINUTES), slot.id]
+      );
+      await conn.query("UPDATE waitlist_entries SET status = 'offered' WHERE id = ?", [entry.id]);
+      offers.push({ slot, patientId: entry.patient_user_id });
+    }
+
+    await conn.commit();
+    for (const { slot, patientId } of offers) {
+      publishSlotEvent(doctorId, "slot.held", { slot_id: slot.id, slot_at: slot.slot_at });
+      live.publish(`user:${patientId}`, "waitlist.offer", { doctor_user_id: doctorId, slot_id: slot.id, slot_at: slot.slot_at });
+    }
+    return offers.length;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Fire-and-forget wrapper used after a slot is freed or created
+function queueWaitlistOffers(doctorId) {
+  offerSlotsToWaitlist(doctorId).catch((err) =>
+    console.error("WAITLIST OFFER ERR:", err && err.stack ? err.stack : err)
+  );
+}
+
+// End a pending hold (expired or declined): the entry waits again and the slot is released
+async function releaseSlotHold(conn, hold, status) {
+  await conn.query("UPDATE slot_holds SET status = ? WHERE id = ? AND status = 'pending'", [status, hold.id]);
+  await conn.query(
+    "UPDATE waitlist_entries SET status = 'waiting' WHERE id = ? AND status = 'offered'",
+    [hold.waitlist_entry_id]
+  );
+  await conn.query(
+    "UPDATE doctor_slots SET held_by_user_id = NULL, held_until = NULL WHERE id = ? AND held_by_user_id = ?",
+    [hold.slot_id, hold.patient_user_id]
+  );
+}
+
+// Expire overdue holds and pass their slots on
+async function expireSlotHolds() {
+  const conn = await pool.getConnection();
+  const doctors = new Set();
+  try {
+    await conn.beginTransaction();
+    const [holds] = await conn.query(
+      `SELECT h.id, h.slot_id, h.waitlist_entry_id, h.patient_user_id, w.doctor_user_id
+       FROM slot_holds h
+       JOIN waitlist_entries w ON w.id = h.waitlist_entry_id
+       WHERE h.status = 'pending' AND h.expires_at <= NOW()
+       FOR UPDATE`
+    );
+    for (const hold of holds) {
+      await releaseSlotHold(conn, hold, "expired");
+      doctors.add(hold.doctor_user_id);
+    }
+    await conn.commit();
+    for (const hold of holds) publishSlotEvent(hold.doctor_user_id, "slot.released", { slot_id: hold.slot_id });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+  for (const doctorId of doctors) queueWaitlistOffers(doctorId);
+  return doctors.size;
+}
+
+// Patient: join a doctor's waitlist. body: { doctorId, preferred_from?, preferred_to? }
+app.post("/waitlist", authenticateToken, authorizeRoles("patient"), validateRequest({
+  summary: "Patient: join a doctor's waitlist",
+  body: {
+    required: ["doctorId"],
+    properties: { doctorId: ID_SCHEMA, preferred_from: DATE_SCHEMA, preferred_to: DATE_SCHEMA },
+  },
+}), async (req, res) => {
+  const { doctorId, preferred_from, preferred_to } = req.body;
+  if (preferred_from && preferred_to && preferred_to < preferred_from) {
+    return res.status(400).json({ code: "preferred_range_invalid" });
+  }
+
+  try {
+    if (!(await isListedDoctor(doctorId))) return res.status(404).json({ code: "doctor_not_found" });
+    const doctor = { id: Number(doctorId) };
+
+    const [[existing]] = await pool.query(
+      "SELECT id FROM waitlist_entries WHERE patient_user_id = ? AND doctor_user_id = ? AND status IN ('waiting', 'offered') LIMIT 1",
+      [req.user.id, doctor.id]
+    );
+    if (existing) return res.status(409).json({ code: "waitlist_already_joined", id: existing.id });
+
+    const [result] = await pool.query(
+      `INSERT INTO waitlist_entries (patient_user_id, doctor_user_id, preferred_from, preferred_to, status, created_at)
+       VALUES (?, ?, ?, ?, 'waiting', NOW())`,
+      [req.user.id, doctor.id, preferred_from || null, preferred_to || null]
+    );
+    queueWaitlistOffers(doctor.id);
+    res.status(201).json({ id: result.insertId, code: "waitlist_joined" });
+  } catch (err) {
+    console.error("JOIN WAITLIST ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "waitlist_join_failed" });
+  }
+});
+
+// Patient: own waitlist entries with any pending offer
+app.get("/waitlist/me", authenticateToken, authorizeRoles("patient"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT w.id, w.doctor_user_id, du.name AS doctor_name, w.preferred_from, w.preferred_to,
+              w.status, w.created_at,
+              h.id AS hold_id, h.slot_id, ds.slot_at, h.expires_at
+       FROM waitlist_entries w
+       JOIN users du ON du.id = w.doctor_user_id
+       LEFT JOIN slot_holds h ON h.waitlist_entry_id = w.id AND h.status = 'pending'
+       LEFT JOIN doctor_slots ds ON ds.id = h.slot_id
+       WHERE w.patient_user_id = ? AND w.status IN ('waiting', 'offered')
+       ORDER BY w.created_at ASC`,
+      [req.user.id]
+    );
+    res.json(
+      rows.map((r) => ({
+        id: r.id,
+        doctor_user_id: r.doctor_user_id,
+        doctor_name: r.doctor_name,
+        preferred_from: r.preferred_from,
+        preferred_to: r.preferred_to,
+        status: r.status,
+        created_at: r.created_at,
+        offer: r.hold_id ? { hold_id: r.hold_id, slot_id: r.slot_id, slot_at: r.slot_at, expires_at: r.expires_at } : null,
+      }))
+    );
+  } catch (err) {
+    console.error("GET WAITLIST ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "waitlist_fetch_failed" });
+  }
+});
+
+// Patient: leave a waitlist (a pending offer is passed on)
+app.delete("/waitlist/:id", authenticateToken, authorizeRoles("patient"), validateRequest({ summary: "Patient: leave a waitlist", params: idParams("id") }), async (req, res) => {
+  const id = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[entry]] = await conn.query(
+      "SELECT * FROM waitlist_entries WHERE id = ? AND patient_user_id = ? AND status IN ('waiting', 'offered') FOR UPDATE",
+      [id, req.user.id]
+    );
+    if (!entry) {
+      await conn.rollback();
+      return res.status(404).json({ code: "waitlist_entry_not_found" });
+    }
+
+    const [holds] = await conn.query(
+      "SELECT id, slot_id, waitlist_entry_id, patient_user_id FROM slot_holds WHERE waitlist_entry_id = ? AND status = 'pending'",
+      [id]
+    );
+    for (const hold of holds) await releaseSlotHold(conn, hold, "declined");
+    await conn.query("UPDATE waitlist_entries SET status = 'cancelled' WHERE id = ?", [id]);
+    await conn.commit();
+
+    if (holds.length) queueWaitlistOffers(entry.doctor_user_id);
+    res.json({ code: "waitlist_left" });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("LEAVE WAITLIST ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "waitlist_leave_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Patient: accept an offered slot (books the appointment)
+app.post("/waitlist/holds/:id/accept", authenticateToken, authorizeRoles("patient"), validateRequest({ summary: "Patient: accept an offered slot", params: idParams("id") }), async (req, res) => {
+  const holdId = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[hold]] = await conn.query(
+      `SELECT h.id, h.slot_id, h.waitlist_entry_id, h.patient_user_id, h.expires_at <= NOW() AS expired,
+              ds.doctor_user_id, ds.slot_at, ds.is_booked
+       FROM slot_holds h
+       JOIN doctor_slots ds ON ds.id = h.slot_id
+       WHERE h.id = ? AND h.patient_user_id = ? AND h.status = 'pending'
+       FOR UPDATE`,
+      [holdId, req.user.id]
+    );
+    if (!hold) {
+      await conn.rollback();
+      return res.status(404).json({ code: "waitlist_offer_not_found" });
+    }
+    if (hold.expired || hold.is_booked) {
+      await releaseSlotHold(conn, hold, "expired");
+      await conn.commit();
+      if (!hold.is_booked) publishSlotEvent(hold.doctor_user_id, "slot.released", { slot_id: hold.slot_id });
+      queueWaitlistOffers(hold.doctor_user_id);
+      return res.status(409).json({ code: "waitlist_offer_expired" });
+    }
+
+    const [upd] = await conn.query("UPDATE doctor_slots SET is_booked = 1 WHERE id = ? AND is_booked = 0", [hold.slot_id]);
+    if (upd.affectedRows === 0) {
+      await conn.rollback();
+      return res.status(409).json({ code: "slot_already_booked" });
+    }
+    const [insertRes] = await conn.query(
+      "INSERT INTO appointments (patient_user_id, doctor_user_id, scheduled_at, status, created_at) VALUES (?, ?, ?, ?, NOW())",
+      [req.user.id, hold.doctor_user_id, hold.slot_at, "booked"]
+    );
+    await recordAppointmentStatus(conn, insertRes.insertId, null, "booked", req.user, "accepted waitlist offer");
+    await settleSlotHold(conn, hold.slot_id, req.user.id, insertRes.insertId);
+
+    await conn.commit();
+    publishSlotEvent(hold.doctor_user_id, "slot.booked", { slot_id: hold.slot_id, slot_at: hold.slot_at });
+    publishAppointmentStatus(
+      { id: insertRes.insertId, patient_user_id: req.user.id, doctor_user_id: hold.doctor_user_id, scheduled_at: hold.slot_at },
+      "booked"
+    );
+    res.status(201).json({
+      id: insertRes.insertId,
+      patient_user_id: req.user.id,
+      doctor_user_id: hold.doctor_user_id,
+      scheduled_at: hold.slot_at,
+      slot_id: hold.slot_id,
+    });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("ACCEPT HOLD ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "waitlist_offer_accept_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Patient: decline an offered slot (stays on the waitlist; the slot goes to the next patient)
+app.post("/waitlist/holds/:id/decline", authenticateToken, authorizeRoles("patient"), validateRequest({ summary: "Patient: decline an offered slot", params: idParams("id") }), async (req, res) => {
+  const holdId = Number(req.params.id);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[hold]] = await conn.query(
+      `SELECT h.id, h.slot_id, h.waitlist_entry_id, h.patient_user_id, ds.doctor_user_id
+       FROM slot_holds h
+       JOIN doctor_slots ds ON ds.id = h.slot_id
+       WHERE h.id = ? AND h.patient_user_id = ? AND h.status = 'pending'
+       FOR UPDATE`,
+      [holdId, req.user.id]
+    );
+    if (!hold) {
+      await conn.rollback();
+      return res.status(404).json({ code: "waitlist_offer_not_found" });
+    }
+    await releaseSlotHold(conn, hold, "declined");
+    await conn.commit();
+    publishSlotEvent(hold.doctor_user_id, "slot.released", { slot_id: hold.slot_id });
+    queueWaitlistOffers(hold.doctor_user_id);
+    res.json({ code: "waitlist_offer_declined" });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("DECLINE HOLD ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "waitlist_offer_decline_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// ----------------- Consultation notes & prescriptions -----------------
+// Doctors record notes and structured prescriptions against their own appointments;
+// patients read them. Prescriptions can be printed as HTML or PDF with the doctor's
+// license_number and specialization from the doctors table.
+
+const PRESCRIPTION_ITEM_FIELDS = ["drug", "strength", "dose", "frequency", "duration", "instructions"];
+const NOTE_BLOCKED_STATUSES = ["cancelled_by_patient", "cancelled_by_doctor", "no_show"];
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Doctor's own appointment that can still carry clinical notes; returns { appointment } or { error }
+async function findDoctorAppointmentForNotes(appointmentId, doctorId) {
+  const [[appointment]] = await pool.query(
+    "SELECT * FROM appointments WHERE id = ? AND doctor_user_id = ? LIMIT 1",
+    [appointmentId, doctorId]
+  );
+  if (!appointment) return { error: { status: 404, code: "appointment_not_found_or_forbidden" } };
+  if (NOTE_BLOCKED_STATUSES.includes(appointment.status)) {
+    return { error: { status: 409, code: "consultation_notes_status_invalid", params: { status: appointment.status } } };
+  }
+  return { appointment };
+}
+
+// Load prescriptions (with items, patient and doctor details) matching a WHERE fragment on p.*
+async function loadPrescriptions(where, params) {
+  const [rows] = await pool.query(
+    `SELECT p.id, p.appointment_id, p.patient_user_id, p.doctor_user_id, p.notes, p.created_at,
+            a.scheduled_at,
+            pu.name AS patient_name, pu.sex AS patient_sex, pu.date_of_birth AS patient_date_of_birth,
+            du.name AS doctor_name, d.license_number, d.specialization
+     FROM prescriptions p
+     JOIN appointments a ON a.id = p.appointment_id
+     JOIN users pu ON pu.id = p.patient_user_id
+     JOIN users du ON du.id = p.doctor_user_id
+     LEFT JOIN doctors d ON d.user_id = p.doctor_user_id
+     WHERE ${where}
+     ORDER BY p.created_at DESC, p.id DESC`,
+    params
+  );
+  if (rows.length === 0) return [];
+
+  const [items] = await pool.query(
+    `SELECT id, prescription_id, ${PRESCRIPTION_ITEM_FIELDS.join(", ")}
+     FROM prescription_items WHERE prescription_id IN (?) ORDER BY id ASC`,
+    [rows.map((r) => r.id)]
+  );
+  return rows.map((r) => ({
+    ...r,
+    items: items.filter((i) => i.prescription_id === r.id).map(({ prescription_id, ...item }) => item),
+  }));
+}
+
+// Printed prescriptions are in the reader's language; drug names and notes stay as written
+function prescriptionText(rx, locale) {
+  const t = (code, params) => i18n.t(locale, code, params);
+  return {
+    number: t("prescription.print.number", { id: rx.id }),
+    license: t("prescription.print.license", { license_number: rx.license_number || "" }),
+    patient: t("prescription.print.patient"),
+    patientDetails: t("prescription.print.patient_details", {
+      name: rx.patient_name || "",
+      sex: rx.patient_sex || "",
+      date_of_birth: rx.patient_date_of_birth || "",
+    }),
+    date: t("prescription.print.date"),
+    created: rx.created_at ? formatDate(rx.created_at, locale, "date") : "",
+    notes: t("prescription.print.notes"),
+    columns: PRESCRIPTION_ITEM_FIELDS.map((f) => t(`prescription.print.column.${f}`)),
+  };
+}
+
+function renderPrescriptionHtml(rx, locale) {
+  const text = prescriptionText(rx, locale);
+  const rows = rx.items
+    .map(
+      (item, i) => `<tr><td>${i + 1}</td>${PRESCRIPTION_ITEM_FIELDS.map((f) => `<td>${escapeHtml(item[f])}</td>`).join("")}</tr>`
+    )
+    .join("\n        ");
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(text.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 32px; color: #222; }
+    header { border-bottom: 2px solid #333; padding-bottom: 8px; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { border: 1px solid #999; padding: 6px; text-align: left; font-size: 14px; }
+    .meta { font-size: 14px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h2>${escapeHtml(rx.doctor_name)}</h2>
+    <div class="meta">${escapeHtml(rx.specialization)} &middot; ${escapeHtml(text.license)}</div>
+  </header>
+  <div class="meta">
+    <p><strong>${escapeHtml(text.patient)}:</strong> ${escapeHtml(text.patientDetails)}</p>
+    <p><strong>${escapeHtml(text.date)}:</strong> ${escapeHtml(text.created)} &middot; <strong>${escapeHtml(text.number)}</strong></p>
+  </div>
+  <table>
+    <thead>
+      <tr><th>#</th>${text.columns.map((c) => `<th>${escapeHtml(c)}</th>`).join("")}</tr>
+    </thead>
+    <tbody>
+        ${rows}
+    </tbody>
+  </table>
+  ${rx.notes ? `<p><strong>${escapeHtml(text.notes)}:</strong> ${escapeHtml(rx.notes)}</p>` : ""}
+</body>
+</html>`;
+}
+
+// PDFKit's built-in fonts are Latin-1 only and it has no font fallback. Noto Sans covers
+// Latin and Devanagari; Gurmukhi runs are set in Mukta Mahee, because Noto Sans Gurmukhi's
+// mark positioning breaks PDFKit's shaper.
+const PDF_FONTS = {
+  text: fs.readFileSync(new URL("./fonts/NotoSans-Regular.ttf", import.meta.url)),
+  gurmukhi: fs.readFileSync(new URL("./fonts/MuktaMahee-Gurmukhi-Regular.woff", import.meta.url)),
+};
+const GURMUKHI_RUN = /([\u0A01-\u0A76][\u0A01-\u0A76\u0964\u0965\u200C\u200D]*)/;
+
+// doc.text() for mixed-script text: one continued segment per font
+function pdfText(doc, text) {
+  const runs = String(text).split(GURMUKHI_RUN).filter(Boolean);
+  if (runs.length === 0) return doc.font("text").text("");
+  runs.forEach((run, i) => {
+    doc.font(GURMUKHI_RUN.test(run) ? "gurmukhi" : "text").text(run, { continued: i < runs.length - 1 });
+  });
+  return doc;
+}
+
+function renderPrescriptionPdf(rx, res, locale) {
+  const text = prescriptionText(rx, locale);
+  const doc = new PDFDocument({ size: "A4", margin: 50, lang: locale });
+  for (const [name, font] of Object.entries(PDF_FONTS)) doc.registerFont(name, font);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="prescription-${rx.id}.pdf"`);
+  doc.pipe(res);
+
+  pdfText(doc.fontSize(18), rx.doctor_name || "");
+  pdfText(doc.fontSize(11), `${rx.specialization || ""}  |  ${text.license}`);
+  doc.moveDown(0.5).moveTo(50, doc.y).lineTo(545, doc.y).stroke().moveDown();
+
+  pdfText(doc, `${text.patient}: ${text.patientDetails}`);
+  pdfText(doc, `${text.date}: ${text.created}    ${text.number}`);
+  doc.moveDown();
+
+  rx.items.forEach((item, i) => {
+    pdfText(doc.fontSize(12), `${i + 1}. ${item.drug}${item.strength ? ` ${item.strength}` : ""}`);
+    pdfText(doc.fontSize(10), `   ${[item.dose, item.frequency, item.duration].filter(Boolean).join("  -  ")}`);
+    pdfText(doc, item.instructions ? `   ${item.instructions}` : "");
+    doc.moveDown(0.5);
+  });
+
+  if (rx.notes) pdfText(doc.moveDown().fontSize(11), `${text.notes}: ${rx.notes}`);
+  doc.end();
+}
+
+// Doctor: create or replace consultation notes for own appointment
+// body: { chief_complaint, diagnosis, advice }
+app.put("/appointments/:id/notes", authenticateToken, authorizeRoles("doctor"), auditAccess("consultation_note"), validateRequest({
+  summary: "Doctor: save consultation notes",
+  params: idParams("id"),
+  body: {
+    properties: {
+      chief_complaint: { type: "string", nullable: true },
+      diagnosis: { type: "string", nullable: true },
+      advice: { type: "string", nullable: true },
+    },
+  },
+}), async (req, res) => {
+  const apptId = Number(req.params.id);
+  const { chief_complaint, diagnosis, advice } = req.body;
+  if (!chief_complaint && !diagnosis && !advice) {
+    return res.status(400).json({ code: "consultation_notes_empty" });
+  }
+
+  try {
+    const { appointment, error } = await findDoctorAppointmentForNotes(apptId, req.user.id);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    await pool.query(
+      `INSERT INTO consultation_notes (appointment_id, doctor_user_id, patient_user_id, chief_complaint, diagnosis, advice, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE chief_complaint = VALUES(chief_complaint), diagnosis = VALUES(diagnosis),
+                               advice = VALUES(advice), updated_at = NOW()`,
+      [appointment.id, req.user.id, appointment.patient_user_id, chief_complaint || null, diagnosis || null, advice || null]
+    );
+    setAuditContext(res, [appointment.patient_user_id], appointment.id);
+    res.json({ code: "consultation_notes_saved" });
+  } catch (err) {
+    console.error("SAVE NOTES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "consultation_notes_save_failed" });
+  }
+});
+
+// Patient or doctor of the appointment: read consultation notes
+app.get("/appointments/:id/notes", authenticateToken, auditAccess("consultation_note"), validateRequest({
+  summary: "Consultation notes of an appointment",
+  params: idParams("id"),
+}), async (req, res) => {
+  const apptId = Number(req.params.id);
+  try {
+    const { appointment, error } = await findOwnAppointment(pool, apptId, req.user);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [appointment.patient_user_id], appointment.id);
+
+    const [[notes]] = await pool.query(
+      `SELECT appointment_id, doctor_user_id, patient_user_id, chief_complaint, diagnosis, advice, created_at, updated_at
+       FROM consultation_notes WHERE appointment_id = ? LIMIT 1`,
+      [apptId]
+    );
+    if (!notes) return res.status(404).json({ code: "consultation_notes_not_found" });
+    res.json(notes);
+  } catch (err) {
+    console.error("GET NOTES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "consultation_notes_fetch_failed" });
+  }
+});
+
+// Doctor: write a prescription for own appointment
+// body: { items: [{ drug, strength, dose, frequency, duration, instructions }], notes? }
+app.post("/appointments/:id/prescriptions", authenticateToken, authorizeRoles("doctor"), auditAccess("prescription"), validateRequest({
+  summary: "Doctor: write a prescription",
+  params: idParams("id"),
+  body: {
+    required: ["items"],
+    properties: {
+      items: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["drug", "dose", "frequency", "duration"],
+          properties: Object.fromEntries(PRESCRIPTION_ITEM_FIELDS.map((f) => [f, { type: "string" }])),
+        },
+      },
+      notes: { type: "string" },
+    },
+  },
+}), async (req, res) => {
+  const apptId = Number(req.params.id);
+  const { items, notes } = req.body;
+
+  try {
+    const { appointment, error } = await findDoctorAppointmentForNotes(apptId, req.user.id);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [result] = await conn.query(
+        `INSERT INTO prescriptions (appointment_id, doctor_user_id, patient_user_id, notes, created_at)
+         VALUES (?, ?, ?, ?, NOW())`,
+        [appointment.id, req.user.id, appointment.patient_user_id, notes || null]
+      );
+      const values = items.map((item) => [result.insertId, ...PRESCRIPTION_ITEM_FIELDS.map((f) => item[f] || null)]);
+      await conn.query(
+        `INSERT INTO prescription_items (prescription_id, ${PRESCRIPTION_ITEM_FIELDS.join(", ")}) VALUES ?`,
+        [values]
+      );
+      await conn.commit();
+      setAuditContext(res, [appointment.patient_user_id], result.insertId);
+      res.status(201).json({ id: result.insertId, code: "prescription_created" });
+    } catch (txErr) {
+      await conn.rollback().catch(() => {});
+      throw txErr;
+    } finally {
+      conn.release();
+    }
+  } catch (err) {
+    console.error("CREATE RX ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "prescription_create_failed" });
+  }
+});
+
+// Patient: own prescriptions
+app.get("/prescriptions/me", authenticateToken, authorizeRoles("patient"), auditAccess("prescription"), async (req, res) => {
+  try {
+    res.json(await loadPrescriptions("p.patient_user_id = ?", [req.user.id]));
+  } catch (err) {
+    console.error("GET MY RX ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "prescriptions_fetch_failed" });
+  }
+});
+
+// Patient or prescribing doctor: one prescription as JSON
+app.get("/prescriptions/:id", authenticateToken, auditAccess("prescription"), validateRequest({ summary: "One prescription", params: idParams("id") }), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [rx] = await loadPrescriptions("p.id = ? AND (p.patient_user_id = ? OR p.doctor_user_id = ?)", [id, req.user.id, req.user.id]);
+    if (!rx) return res.status(404).json({ code: "prescription_not_found" });
+    setAuditContext(res, [rx.patient_user_id], rx.id);
+    res.json(rx);
+  } catch (err) {
+    console.error("GET RX ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "prescription_fetch_failed" });
+  }
+});
+
+// Printable prescription: ?format=html (default) or ?format=pdf
+app.get("/prescriptions/:id/print", authenticateToken, auditAccess("prescription", "read"), validateRequest({
+  summary: "Printable prescription",
+  params: idParams("id"),
+  query: { properties: { format: { type: "string", enum: ["html", "pdf"] } } },
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  const format = req.query.format || "html";
+
+  try {
+    const [rx] = await loadPrescriptions("p.id = ? AND (p.patient_user_id = ? OR p.doctor_user_id = ?)", [id, req.user.id, req.user.id]);
+    if (!rx) return res.status(404).json({ code: "prescription_not_found" });
+    setAuditContext(res, [rx.patient_user_id], rx.id);
+
+    if (format === "pdf") return renderPrescriptionPdf(rx, res, req.locale);
+    res.type("html").send(renderPrescriptionHtml(rx, req.locale));
+  } catch (err) {
+    console.error("PRINT RX ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "prescription_render_failed" });
+  }
+});
+
+// ----------------- Admin: doctor verification & user suspension -----------------
+// New doctors start as verification_status = 'pending'; until an admin approves them
+// authorizeRoles("doctor") refuses them and patients cannot see or book them.
+// Suspended users cannot log in and all their sessions are revoked.
+
+const DOCTOR_VERIFICATION_STATUSES = ["pending", "approved", "rejected"];
+
+// Doctors awaiting review (or ?status=approved|rejected)
+app.get("/admin/doctors", authenticateToken, authorizeRoles("admin"), validateRequest({
+  summary: "Admin: doctors by verification status",
+  query: { properties: { status: { type: "string", enum: DOCTOR_VERIFICATION_STATUSES }, ...PAGINATION_QUERY } },
+}), async (req, res) => {
+  const status = req.query.status || "pending";
+  const { page, limit, offset } = parsePagination(req.query);
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT u.id, u.email, u.name, u.sex, u.status AS account_status, u.created_at,
+              d.license_number, d.specialization, d.verification_status, d.verified_at,
+              d.verified_by_user_id, d.rejection_reason
+       FROM users u
+       JOIN doctors d ON d.user_id = u.id
+       WHERE d.verification_status = ?
+       ORDER BY u.created_at ASC
+       LIMIT ? OFFSET ?`,
+      [status, limit, offset]
+    );
+    res.json({ data: rows, page, limit });
+  } catch (err) {
+    console.error("ADMIN LIST DOCTORS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doctors_fetch_failed" });
+  }
+});
+
+app.post("/admin/doctors/:id/approve", authenticateToken, authorizeRoles("admin"), validateRequest({ summary: "Admin: approve a doctor", params: idParams("id") }), async (req, res) => {
+  const doctorId = Number(req.params.id);
+  try {
+    const [result] = await pool.query(
+      `UPDATE doctors SET verification_status = 'approved', verified_at = NOW(), verified_by_user_id = ?, rejection_reason = NULL
+       WHERE user_id = ?`,
+      [req.user.id, doctorId]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "doctor_not_found" });
+    await notifyUser(pool, doctorId, "doctor_approved", { title: "notification.doctor_approved.title" }, null);
+    res.json({ code: "doctor_approved" });
+  } catch (err) {
+    console.error("APPROVE DOCTOR ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doctor_approve_failed" });
+  }
+});
+
+// body: { reason }
+app.post("/admin/doctors/:id/reject", authenticateToken, authorizeRoles("admin"), validateRequest({
+  summary: "Admin: reject a doctor",
+  params: idParams("id"),
+  body: { required: ["reason"], properties: { reason: { type: "string", maxLength: 255 } } },
+}), async (req, res) => {
+  const doctorId = Number(req.params.id);
+  const { reason } = req.body;
+
+  try {
+    const [result] = await pool.query(
+      `UPDATE doctors SET verification_status = 'rejected', verified_at = NOW(), verified_by_user_id = ?, rejection_reason = ?
+       WHERE user_id = ?`,
+      [req.user.id, reason, doctorId]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "doctor_not_found" });
+    await notifyUser(pool, doctorId, "doctor_rejected", {
+      title: "notification.doctor_rejected.title",
+      body: "notification.doctor_rejected.body",
+      params: { reason },
+    }, null);
+    res.json({ code: "doctor_rejected" });
+  } catch (err) {
+    console.error("REJECT DOCTOR ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doctor_reject_failed" });
+  }
+});
+
+// Suspend any non-admin user and log them out everywhere. body: { reason }
+app.post("/admin/users/:id/suspend", authenticateToken, authorizeRoles("admin"), validateRequest({
+  summary: "Admin: suspend a user",
+  params: idParams("id"),
+  body: { required: ["reason"], properties: { reason: { type: "string", maxLength: 255 } } },
+}), async (req, res) => {
+  const userId = Number(req.params.id);
+  const { reason } = req.body;
+
+  try {
+    const [result] = await pool.query(
+      `UPDATE users SET status = 'suspended', suspended_at = NOW(), suspension_reason = ?
+       WHERE id = ? AND role <> 'admin'`,
+      [reason, userId]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "user_not_found" });
+    const revoked = await revokeSessions(pool, "user_id = ?", [userId], "suspended");
+    res.json({ code: "user_suspended", sessions_revoked: revoked });
+  } catch (err) {
+    console.error("SUSPEND USER ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "user_suspend_failed" });
+  }
+});
+
+app.post("/admin/users/:id/reactivate", authenticateToken, authorizeRoles("admin"), validateRequest({ summary: "Admin: reactivate a user", params: idParams("id") }), async (req, res) => {
+  const userId = Number(req.params.id);
+  try {
+    const [result] = await pool.query(
+      "UPDATE users SET status = 'active', suspended_at = NULL, suspension_reason = NULL WHERE id = ? AND status = 'suspended' AND deleted_at IS NULL",
+      [userId]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "suspended_user_not_found" });
+    res.json({ code: "user_reactivated" });
+  } catch (err) {
+    console.error("REACTIVATE USER ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "user_reactivate_failed" });
+  }
+});
+
+// ----------------- Audit log access -----------------
+
+const AUDIT_EXPORT_MAX_ROWS = 50_000;
+
+const AUDIT_FILTER_PROPERTIES = {
+  from: DATE_SCHEMA,
+  to: DATE_SCHEMA,
+  action: { type: "string", enum: [...new Set(Object.values(AUDIT_ACTIONS))] },
+  resource_type: { type: "string" },
+};
+const ADMIN_AUDIT_FILTER_PROPERTIES = {
+  ...AUDIT_FILTER_PROPERTIES,
+  actor_user_id: ID_SCHEMA,
+  patient_user_id: ID_SCHEMA,
+};
+
+// Shared filters for the audit queries: from/to (YYYY-MM-DD), action, resource_type,
+// and for admins actor_user_id / patient_user_id
+function auditFilters(query, { admin }) {
+  const where = [];
+  const params = [];
+  if (query.from) { where.push("l.created_at >= ?"); params.push(`${query.from} 00:00:00`); }
+  if (query.to) { where.push("l.created_at <= ?"); params.push(`${query.to} 23:59:59`); }
+  if (query.action) { where.push("l.action = ?"); params.push(query.action); }
+  if (query.resource_type) { where.push("l.resource_type = ?"); params.push(query.resource_type); }
+  if (admin) {
+    if (query.actor_user_id) { where.push("l.actor_user_id = ?"); params.push(Number(query.actor_user_id)); }
+    if (query.patient_user_id) { where.push("l.patient_user_id = ?"); params.push(Number(query.patient_user_id)); }
+  }
+  return { where, params };
+}
+
+// Patient: who accessed my records (?others=1 hides my own activity)
+app.get("/audit/me", authenticateToken, authorizeRoles("patient"), validateRequest({
+  summary: "Patient: who accessed my records",
+  query: {
+    properties: {
+      ...AUDIT_FILTER_PROPERTIES,
+      others: { type: "boolean", description: "Hide my own activity" },
+      ...PAGINATION_QUERY,
+    },
+  },
+}), async (req, res) => {
+  const filters = auditFilters(req.query, { admin: false });
+  const { page, limit, offset } = parsePagination(req.query);
+  const where = ["l.patient_user_id = ?", ...filters.where];
+  const params = [req.user.id, ...filters.params];
+  if (req.query.others === "1" || req.query.others === "true") {
+    where.push("(l.actor_user_id IS NULL OR l.actor_user_id <> ?)");
+    params.push(req.user.id);
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT l.id, l.actor_user_id, au.name AS actor_name, l.actor_role, l.action, l.resource_type, l.resource_id,
+              l.ip, l.created_at
+       FROM audit_log l
+       LEFT JOIN users au ON au.id = l.actor_user_id
+       WHERE ${where.join(" AND ")}
+       ORDER BY l.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.json({ data: rows, page, limit });
+  } catch (err) {
+    console.error("GET MY AUDIT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "access_log_fetch_failed" });
+  }
+});
+
+// Admin: query the full log
+app.get("/admin/audit", authenticateToken, authorizeRoles("admin"), validateRequest({
+  summary: "Admin: query the audit log",
+  query: { properties: { ...ADMIN_AUDIT_FILTER_PROPERTIES, ...PAGINATION_QUERY } },
+}), async (req, res) => {
+  const filters = auditFilters(req.query, { admin: true });
+  const { page, limit, offset } = parsePagination(req.query, 50, 500);
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT l.* FROM audit_log l
+       ${filters.where.length ? `WHERE ${filters.where.join(" AND ")}` : ""}
+       ORDER BY l.id DESC
+       LIMIT ? OFFSET ?`,
+      [...filters.params, limit, offset]
+    );
+    res.json({ data: rows, page, limit });
+  } catch (err) {
+    console.error("ADMIN AUDIT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "audit_fetch_failed" });
+  }
+});
+
+function csvCell(value) {
+  if (value == null) return "";
+  const text = value instanceof Date ? formatDateTimeSQL(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Admin: export matching rows (?format=csv|json) including hashes, so the chain can be
+// re-checked outside the database
+app.get("/admin/audit/export", authenticateToken, authorizeRoles("admin"), validateRequest({
+  summary: "Admin: export the audit log",
+  query: { properties: { format: { type: "string", enum: ["csv", "json"] }, ...ADMIN_AUDIT_FILTER_PROPERTIES } },
+}), async (req, res) => {
+  const format = req.query.format || "csv";
+  const filters = auditFilters(req.query, { admin: true });
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT l.id, ${AUDIT_HASH_FIELDS.map((f) => `l.${f}`).join(", ")}, l.prev_hash, l.hash
+       FROM audit_log l
+       ${filters.where.length ? `WHERE ${filters.where.join(" AND ")}` : ""}
+       ORDER BY l.id ASC
+       LIMIT ?`,
+      [...filters.params, AUDIT_EXPORT_MAX_ROWS]
+    );
+    const filename = `audit-${formatDateISO(new Date())}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "private, no-store");
+    if (format === "json") {
+      return res.json(rows.map((r) => ({ ...r, created_at: formatDateTimeSQL(r.created_at) })));
+    }
+    const columns = ["id", ...AUDIT_HASH_FIELDS, "prev_hash", "hash"];
+    const lines = [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))];
+    res.type("text/csv").send(lines.join("\r\n") + "\r\n");
+  } catch (err) {
+    console.error("ADMIN AUDIT EXPORT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "audit_export_failed" });
+  }
+});
+
+// Admin: recompute the hash chain and report the first row that doesn't match
+app.get("/admin/audit/verify", authenticateToken, authorizeRoles("admin"), async (req, res) => {
+  const batchSize = 1000;
+  try {
+    let prevHash = null;
+    let lastId = 0;
+    let checked = 0;
+    for (;;) {
+      const [rows] = await pool.query(
+        `SELECT id, ${AUDIT_HASH_FIELDS.join(", ")}, prev_hash, hash
+         FROM audit_log WHERE id > ? ORDER BY id ASC LIMIT ?`,
+        [lastId, batchSize]
+      );
+      for (const row of rows) {
+        const entry = { ...row, created_at: formatDateTimeSQL(row.created_at) };
+        if (row.prev_hash !== prevHash || auditHash(prevHash, entry) !== row.hash) {
+          return res.json({ valid: false, checked, first_invalid_id: row.id });
+        }
+        prevHash = row.hash;
+        lastId = row.id;
+        checked += 1;
+      }
+      if (rows.length < batchSize) break;
+    }
+
+    // rows removed from the end of the log show up as a head that no longer matches
+    const [[head]] = await pool.query("SELECT last_hash FROM audit_chain_head WHERE id = 1");
+    if (head && head.last_hash !== prevHash) {
+      return res.json({ valid: false, checked, code: "audit_entries_missing" });
+    }
+    res.json({ valid: true, checked });
+  } catch (err) {
+    console.error("ADMIN AUDIT VERIFY ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "audit_verify_failed" });
+  }
+});
+
+// ----------------- Healthcheck & Root -----------------
+app.get("/health", (req, res) => res.json({ ok: true }));
+app.get("/", (req, res) =>
+  res.json({ ok: true, code: "api_running" })
+);
+
+// API description generated from the routes and their request schemas; built on first
+// request, when every route has been registered
+let openApiDocument = null;
+function getOpenApiDocument() {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApi(app, {
+      info: { title: "Healthcare app API", version: process.env.npm_package_version || "1.0.0" },
+      authMiddleware: authenticateToken,
+    });
+  }
+  return openApiDocument;
+}
+
+app.get("/openapi.json", (req, res) => res.json(getOpenApiDocument()));
+app.get("/docs", (req, res) => res.type("html").send(renderDocsPage(getOpenApiDocument())));
+
+// ----------------- Schema check -----------------
+// Before listening, compare the database with ./migrations (pending, unknown or edited
+// versions) and with the columns below, which the handlers cannot work without.
+// SCHEMA_CHECK=strict refuses to start on any difference, warn (the default outside
+// production) only logs it, off skips the check.
+const EXPECTED_COLUMNS = {
+  users: ["id", "email", "phone_number", "password", "role", "name", "sex", "date_of_birth", "status", "locale", "deleted_at"],
+  patients: ["user_id", "blood_group"],
+  doctors: ["user_id", "license_number", "specialization", "verification_status"],
+  doctor_slots: ["doctor_user_id", "slot_at", "is_booked", "held_until"],
+  appointments: ["patient_user_id", "doctor_user_id", "scheduled_at", "status", "no_show_party"],
+  auth_sessions: ["id", "user_id", "revoked_at"],
+  phone_otps: ["phone_number", "purpose", "code_hash", "attempts", "expires_at", "consumed_at"],
+  password_reset_tokens: ["user_id", "token_hash", "channel", "expires_at", "used_at"],
+};
+
+async function verifySchema() {
+  const mode = SCHEMA_CHECK || (NODE_ENV === "production" ? "strict" : "warn");
+  if (mode === "off") return;
+  if (!["strict", "warn"].includes(mode)) throw new Error(`Unknown SCHEMA_CHECK: ${mode}`);
+
+  let problems;
+  try {
+    problems = await checkSchema(pool, await loadMigrations(DEFAULT_MIGRATIONS_DIR), EXPECTED_COLUMNS);
+  } catch (err) {
+    problems = [`could not inspect the database: ${err.message}`];
+  }
+  if (!problems.length) return;
+
+  const summary = `Database schema does not match this code:\n  - ${problems.join("\n  - ")}\nRun "npm run migrate -- up" (or "-- status" for details).`;
+  if (mode === "strict") throw new Error(summary);
+  console.warn(`WARNING: ${summary}`);
+}
+
+// ----------------- Start server -----------------
+function startServer() {
+  const port = Number(PORT) || 3000;
+  const server = app.listen(port, () => {
+    console.log(`Server listening on http://localhost:${port}`);
+  });
+
+  // WebRTC signaling for video consultations shares the HTTP port
+  attachSignaling(server, {
+    path: CONSULT_SIGNALING_PATH,
+    authorize: authorizeConsultationJoin,
+    onJoin: recordConsultationJoin,
+    onLeave: recordConsultationLeave,
+  });
+
+  // keep generated doctor slots rolling forward
+  const runSlotSync = () =>
+    syncAllDoctorSlots().catch((err) => console.error("SLOT SYNC ERR:", err && err.stack ? err.stack : err));
+  runSlotSync();
+  setInterval(runSlotSync, Number(SLOT_SYNC_INTERVAL_MS)).unref();
+
+  // keep medication dose events rolling forward
+  const runMedicationSync = () =>
+    syncAllMedicationDoses().catch((err) => console.error("MEDICATION SYNC ERR:", err && err.stack ? err.stack : err));
+  runMedicationSync();
+  setInterval(runMedicationSync, Number(SLOT_SYNC_INTERVAL_MS)).unref();
+
+  // plan, cancel and send reminders
+  setInterval(() => {
+    runReminderCycle().catch((err) => console.error("REMINDER CYCLE ERR:", err && err.stack ? err.stack : err));
+  }, Number(REMINDER_INTERVAL_MS)).unref();
+
+  // hand expired waitlist holds to the next patient
+  setInterval(() => {
+    expireSlotHolds().catch((err) => console.error("HOLD EXPIRY ERR:", err && err.stack ? err.stack : err));
+  }, 60_000).unref();
+
+  // flag patients/doctors who never joined their video consultation
+  setInterval(() => {
+    flagConsultationNoShows().catch((err) => console.error("NO-SHOW JOB ERR:", err && err.stack ? err.stack : err));
+  }, 60_000).unref();
+}
+
+if (process.env.NODE_ENV !== "test") {
+  verifySchema()
+    .then(startServer)
+    .catch((err) => {
+      console.error("FATAL:", err.message);
+      process.exit(1);
+    });
+}
+
+export default app;
+
+// ----------------- Lab tests & Unified calendar events (NEW) -----------------
+
+// Create a lab test (patient)
+app.post("/lab-tests", authenticateToken, authorizeRoles("patient"), auditAccess("lab_test"), validateRequest({
+  summary: "Patient: schedule a lab test",
+  body: {
+    required: ["test_name", "test_date"],
+    properties: {
+      test_name: { type: "string", maxLength: 255 },
+      test_date: DATE_SCHEMA,
+      report_url: { type: "string", maxLength: 2083 },
+    },
+  },
+}), async (req, res) => {
+  const { test_name, test_date, report_url } = req.body;
+
+  try {
+    const [result] = await pool.query(
+      "INSERT INTO lab_tests (patient_user_id, test_name, test_date, status, report_url, created_at) VALUES (?, ?, ?, 'pending', ?, NOW())",
+      [req.user.id, test_name, test_date, report_url || null]
+    );
+    setAuditContext(res, [req.user.id], result.insertId);
+    return res.status(201).json({ id: result.insertId, code: "lab_test_created" });
+  } catch (err) {
+    console.error("CREATE LAB TEST ERR:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ code: "lab_test_create_failed" });
+  }
+});
+
+// List lab tests for logged-in patient
+app.get("/lab-tests", authenticateToken, authorizeRoles("patient"), auditAccess("lab_test"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, test_name, test_date, status, report_url, ordered_by_doctor_id, appointment_id, results_at, created_at
+       FROM lab_tests WHERE patient_user_id = ? ORDER BY test_date ASC`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("GET LAB TESTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_tests_fetch_failed" });
+  }
+});
+
+// Mark lab test completed (patient)
+app.put("/lab-tests/:id/complete", authenticateToken, authorizeRoles("patient"), auditAccess("lab_test"), validateRequest({
+  summary: "Patient: mark a lab test completed",
+  params: idParams("id"),
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [result] = await pool.query("UPDATE lab_tests SET status = 'completed' WHERE id = ? AND patient_user_id = ?", [id, req.user.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ code: "lab_test_not_found" });
+    res.json({ code: "lab_test_completed" });
+  } catch (err) {
+    console.error("COMPLETE LAB ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_test_update_failed" });
+  }
+});
+
+// Upload/attach report URL for lab test (patient)
+// (Kept for externally hosted reports; real files go through POST /lab-tests/:id/files)
+app.put("/lab-tests/:id/report", authenticateToken, authorizeRoles("patient"), auditAccess("lab_test"), validateRequest({
+  summary: "Patient: set a lab test's report url",
+  params: idParams("id"),
+  body: { required: ["report_url"], properties: { report_url: { type: "string", maxLength: 2083 } } },
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  const { report_url } = req.body;
+
+  try {
+    const [result] = await pool.query("UPDATE lab_tests SET report_url = ? WHERE id = ? AND patient_user_id = ?", [report_url, id, req.user.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ code: "lab_test_not_found" });
+    res.json({ code: "lab_test_report_url_saved" });
+  } catch (err) {
+    console.error("ATTACH REPORT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_test_report_url_failed" });
+  }
+});
+
+// ----------------- Care relationships & consent -----------------
+// A doctor may read a patient's records (lab tests, results, prescriptions, notes, history)
+// only while a care relationship exists:
+//   - an active appointment (booked/confirmed/checked_in), or
+//   - a time-limited consent the patient granted and has not revoked.
+// Once a visit is completed, further access needs a consent the patient can see and revoke.
+
+const CONSENT_MAX_DAYS = 365;
+
+// -> "appointment" | "consent" | null
+async function careAccessBasis(doctorId, patientId) {
+  const [[appt]] = await pool.query(
+    `SELECT id FROM appointments
+     WHERE doctor_user_id = ? AND patient_user_id = ? AND status IN (?)
+     LIMIT 1`,
+    [doctorId, patientId, ACTIVE_APPOINTMENT_STATUSES]
+  );
+  if (appt) return "appointment";
+  const [[consent]] = await pool.query(
+    `SELECT id FROM patient_consents
+     WHERE doctor_user_id = ? AND patient_user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     LIMIT 1`,
+    [doctorId, patientId]
+  );
+  return consent ? "consent" : null;
+}
+
+async function doctorCanAccessPatient(doctorId, patientId) {
+  return !!(await careAccessBasis(doctorId, patientId));
+}
+
+// Patient: grant a doctor read access to my records. body: { doctorId, days (1-365, default 30) }
+app.post("/consents", authenticateToken, authorizeRoles("patient"), auditAccess("consent"), validateRequest({
+  summary: "Patient: grant a doctor time-limited access",
+  body: {
+    required: ["doctorId"],
+    properties: { doctorId: ID_SCHEMA, days: { type: "integer", minimum: 1, maximum: CONSENT_MAX_DAYS, description: "Defaults to 30" } },
+  },
+}), async (req, res) => {
+  const { doctorId } = req.body;
+  const days = req.body.days === undefined ? 30 : Number(req.body.days);
+
+  try {
+    if (!(await isListedDoctor(doctorId))) return res.status(404).json({ code: "doctor_not_found" });
+
+    const [result] = await pool.query(
+      `INSERT INTO patient_consents (patient_user_id, doctor_user_id, expires_at, created_at)
+       VALUES (?, ?, NOW() + INTERVAL ? DAY, NOW())`,
+      [req.user.id, doctorId, days]
+    );
+    await notifyUser(pool, doctorId, "consent_granted", {
+      title: "notification.consent_granted.title",
+      body: "notification.consent_granted.body",
+      params: { days },
+    }, {
+      consent_id: result.insertId,
+      patient_user_id: req.user.id,
+    });
+    setAuditContext(res, [req.user.id], result.insertId);
+    const [[consent]] = await pool.query("SELECT * FROM patient_consents WHERE id = ?", [result.insertId]);
+    res.status(201).json(consent);
+  } catch (err) {
+    console.error("GRANT CONSENT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "consent_grant_failed" });
+  }
+});
+
+// Patient: consents I have granted (?all=1 includes expired and revoked ones)
+app.get("/consents/me", authenticateToken, authorizeRoles("patient"), auditAccess("consent"), validateRequest({
+  summary: "Patient: list consents I granted",
+  query: { properties: { all: { type: "boolean", description: "Include expired and revoked consents" } } },
+}), async (req, res) => {
+  const all = req.query.all === "1" || req.query.all === "true";
+  try {
+    const [rows] = await pool.query(
+      `SELECT c.id, c.doctor_user_id, du.name AS doctor_name, d.specialization,
+              c.expires_at, c.revoked_at, c.created_at,
+              (c.revoked_at IS NULL AND c.expires_at > NOW()) AS is_active
+       FROM patient_consents c
+       JOIN users du ON du.id = c.doctor_user_id
+       LEFT JOIN doctors d ON d.user_id = c.doctor_user_id
+       WHERE c.patient_user_id = ?${all ? "" : " AND c.revoked_at IS NULL AND c.expires_at > NOW()"}
+       ORDER BY c.created_at DESC`,
+      [req.user.id]
+    );
+    res.json(rows.map((r) => ({ ...r, is_active: !!r.is_active })));
+  } catch (err) {
+    console.error("LIST CONSENTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "consents_fetch_failed" });
+  }
+});
+
+// Patient: revoke a consent immediately
+app.delete("/consents/:id", authenticateToken, authorizeRoles("patient"), auditAccess("consent"), validateRequest({
+  summary: "Patient: revoke a consent",
+  params: idParams("id"),
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [result] = await pool.query(
+      "UPDATE patient_consents SET revoked_at = NOW() WHERE id = ? AND patient_user_id = ? AND revoked_at IS NULL",
+      [id, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "consent_not_found" });
+    res.json({ code: "consent_revoked" });
+  } catch (err) {
+    console.error("REVOKE CONSENT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "consent_revoke_failed" });
+  }
+});
+
+// Doctor: patients whose records I can currently read, and why
+app.get("/doctor/patients", authenticateToken, authorizeRoles("doctor"), auditAccess("patient_profile"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT u.id, u.name, u.sex, u.date_of_birth, MAX(x.basis = 'appointment') AS via_appointment,
+              MAX(x.basis = 'consent') AS via_consent, MAX(x.consent_expires_at) AS consent_expires_at
+       FROM (
+         SELECT patient_user_id, 'appointment' AS basis, NULL AS consent_expires_at
+         FROM appointments
+         WHERE doctor_user_id = ? AND status IN (?)
+         UNION ALL
+         SELECT patient_user_id, 'consent', expires_at
+         FROM patient_consents
+         WHERE doctor_user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ) x
+       JOIN users u ON u.id = x.patient_user_id
+       GROUP BY u.id, u.name, u.sex, u.date_of_birth
+       ORDER BY u.name ASC`,
+      [req.user.id, ACTIVE_APPOINTMENT_STATUSES, req.user.id]
+    );
+    setAuditContext(res, rows.map((r) => r.id), null);
+    res.json(rows.map((r) => ({ ...r, via_appointment: !!Number(r.via_appointment), via_consent: !!Number(r.via_consent) })));
+  } catch (err) {
+    console.error("LIST CARE PATIENTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "patients_fetch_failed" });
+  }
+});
+
+// Doctor: a patient's chart (profile, appointments with notes, lab tests with results,
+// prescriptions) — only with a care relationship
+app.get("/doctor/patients/:id/chart", authenticateToken, authorizeRoles("doctor"), auditAccess("patient_chart"), validateRequest({
+  summary: "Doctor: a patient's chart",
+  params: idParams("id"),
+}), async (req, res) => {
+  const patientId = Number(req.params.id);
+  try {
+    const basis = await careAccessBasis(req.user.id, patientId);
+    if (!basis) return res.status(403).json({ code: "no_care_relationship" });
+
+    const [[patient]] = await pool.query(
+      `SELECT u.id, u.name, u.sex, u.date_of_birth
+       FROM users u JOIN patients p ON p.user_id = u.id
+       WHERE u.id = ? LIMIT 1`,
+      [patientId]
+    );
+    if (!patient) return res.status(404).json({ code: "patient_not_found" });
+    setAuditContext(res, [patientId], patientId);
+
+    const [appointments] = await pool.query(
+      `SELECT a.id, a.doctor_user_id, du.name AS doctor_name, a.scheduled_at, a.status, a.cancellation_reason,
+              n.chief_complaint, n.diagnosis, n.advice
+       FROM appointments a
+       JOIN users du ON du.id = a.doctor_user_id
+       LEFT JOIN consultation_notes n ON n.appointment_id = a.id
+       WHERE a.patient_user_id = ?
+       ORDER BY a.scheduled_at DESC`,
+      [patientId]
+    );
+    const [labTests] = await pool.query(
+      `SELECT id, test_name, test_date, status, ordered_by_doctor_id, appointment_id, results_at
+       FROM lab_tests WHERE patient_user_id = ? ORDER BY test_date DESC`,
+      [patientId]
+    );
+    const [results] = labTests.length
+      ? await pool.query(
+          `SELECT lab_test_id, analyte, value, unit, ref_low, ref_high, flag, created_at
+           FROM lab_results WHERE lab_test_id IN (?) ORDER BY id ASC`,
+          [labTests.map((t) => t.id)]
+        )
+      : [[]];
+    const prescriptions = await loadPrescriptions("p.patient_user_id = ?", [patientId]);
+
+    res.json({
+      access: basis,
+      patient,
+      appointments,
+      lab_tests: labTests.map((t) => ({
+        ...t,
+        results: results.filter((r) => r.lab_test_id === t.id).map(({ lab_test_id, ...r }) => ({ ...r, value: Number(r.value) })),
+      })),
+      prescriptions,
+    });
+  } catch (err) {
+    console.error("PATIENT CHART ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "patient_chart_fetch_failed" });
+  }
+});
+
+// ----------------- Patient health profile & vitals -----------------
+// Routes take /patients/:id/... where :id is "me" for the patient themselves or the
+// patient's user id for a doctor with a care relationship. Both may read and edit.
+
+const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const ALLERGY_SEVERITIES = ["mild", "moderate", "severe", "life_threatening"];
+const CONDITION_STATUSES = ["active", "in_remission", "resolved"];
+
+// Editable lists in the health profile: POST/PUT/DELETE /patients/:id/<list>[/:itemId]
+const HEALTH_LISTS = {
+  allergies: {
+    code: "allergy",
+    table: "patient_allergies",
+    fields: ["allergen", "reaction", "severity", "noted_on"],
+    required: ["allergen", "severity"],
+    enums: { severity: ALLERGY_SEVERITIES },
+    dates: ["noted_on"],
+  },
+  conditions: {
+    code: "condition",
+    table: "patient_conditions",
+    fields: ["name", "status", "diagnosed_on", "notes"],
+    required: ["name"],
+    enums: { status: CONDITION_STATUSES },
+    dates: ["diagnosed_on"],
+  },
+  medications: {
+    code: "medication",
+    table: "patient_medications",
+    fields: ["drug", "strength", "dose", "frequency", "started_on", "ended_on", "notes"],
+    required: ["drug"],
+    enums: {},
+    dates: ["started_on", "ended_on"],
+  },
+};
+
+// Vitals are stored in one canonical unit per type; other accepted units are converted on entry.
+// Blood pressure keeps systolic in value and diastolic in value_secondary.
+const VITAL_TYPES = {
+  blood_pressure: { unit: "mmHg", min: 40, max: 300, secondary: { min: 20, max: 200 } },
+  pulse: { unit: "bpm", min: 20, max: 250 },
+  weight: { unit: "kg", min: 0.5, max: 500, convert: { lb: (v) => v * 0.45359237 } },
+  blood_glucose: { unit: "mg/dL", min: 10, max: 1500, convert: { "mmol/L": (v) => v * 18.016 } },
+  spo2: { unit: "%", min: 50, max: 100 },
+};
+const VITAL_BUCKETS = {
+  day: "DATE_FORMAT(measured_at, '%Y-%m-%d')",
+  week: "DATE_FORMAT(measured_at - INTERVAL WEEKDAY(measured_at) DAY, '%Y-%m-%d')",
+  month: "DATE_FORMAT(measured_at, '%Y-%m')",
+};
+
+// Request schema for /patients/:id/... routes; extra names are numeric ids (e.g. "itemId")
+const PATIENT_ID_SCHEMA = { type: "string", pattern: "^(me|[1-9][0-9]*)$", description: '"me" or the patient\'s user id' };
+function patientParams(...names) {
+  return {
+    required: ["id", ...names],
+    properties: { id: PATIENT_ID_SCHEMA, ...Object.fromEntries(names.map((name) => [name, ID_SCHEMA])) },
+  };
+}
+
+// Body schema for one HEALTH_LISTS entry; optional fields may be cleared with null
+function healthListSchema(spec, partial) {
+  const properties = {};
+  for (const field of spec.fields) {
+    const base = spec.enums[field]
+      ? { type: "string", enum: spec.enums[field] }
+      : spec.dates.includes(field) ? DATE_SCHEMA : { type: "string" };
+    properties[field] = spec.required.includes(field) ? base : { ...base, nullable: true };
+  }
+  return { required: partial ? [] : spec.required, properties };
+}
+
+// -> { patientId } or { error: { status, code } }
+async function resolvePatientParam(req) {
+  const raw = req.params.id;
+  if (req.user.role === "patient") {
+    if (raw === "me" || Number(raw) === req.user.id) return { patientId: req.user.id };
+    return { error: { status: 403, code: "patient_own_records_only" } };
+  }
+  if (req.user.role === "doctor") {
+    const patientId = Number(raw);
+    if (!Number.isInteger(patientId) || patientId <= 0) return { error: { status: 400, code: "invalid_patient_id" } };
+    if (!(await doctorCanAccessPatient(req.user.id, patientId))) {
+      return { error: { status: 403, code: "no_care_relationship" } };
+    }
+    return { patientId };
+  }
+  return { error: { status: 403, code: "insufficient_role" } };
+}
+
+// -> { values } or { error }; types, enums and dates are checked by healthListSchema,
+// this only turns "" into null and keeps required fields from being cleared
+function validateHealthListItem(spec, body, partial) {
+  const values = {};
+  for (const field of spec.fields) {
+    if (body[field] === undefined) {
+      if (!partial && spec.required.includes(field)) return { error: { code: "field_required", params: { field } } };
+      continue;
+    }
+    const value = body[field] === "" ? null : body[field];
+    if (value === null && spec.required.includes(field)) return { error: { code: "field_required", params: { field } } };
+    values[field] = value;
+  }
+  return { values };
+}
+
+// -> { row } or { error }
+function normalizeVital(body) {
+  const spec = VITAL_TYPES[body.type];
+  if (!spec) return { error: { code: "vital_type_invalid", params: { types: Object.keys(VITAL_TYPES).join(", ") } } };
+  const unit = body.unit || spec.unit;
+  const convert = unit === spec.unit ? (v) => v : spec.convert && spec.convert[unit];
+  if (!convert) {
+    return { error: { code: "vital_unit_invalid", params: { type: body.type, units: [spec.unit, ...Object.keys(spec.convert || {})].join(", ") } } };
+  }
+  if (body.value === undefined || body.value === null || body.value === "" || !Number.isFinite(Number(body.value))) {
+    return { error: { code: "vital_value_invalid" } };
+  }
+
+  const value = Math.round(convert(Number(body.value)) * 100) / 100;
+  if (value < spec.min || value > spec.max) {
+    return { error: { code: "vital_out_of_range", params: { type: body.type, min: spec.min, max: spec.max, unit: spec.unit } } };
+  }
+  let secondary = null;
+  if (spec.secondary) {
+    if (!Number.isFinite(Number(body.value_secondary)) || body.value_secondary === null || body.value_secondary === "") {
+      return { error: { code: "vital_diastolic_invalid" } };
+    }
+    secondary = Number(body.value_secondary);
+    if (secondary < spec.secondary.min || secondary > spec.secondary.max) {
+      return { error: { code: "vital_diastolic_out_of_range", params: { min: spec.secondary.min, max: spec.secondary.max, unit: spec.unit } } };
+    }
+    if (secondary >= value) return { error: { code: "vital_systolic_below_diastolic" } };
+  }
+
+  const measuredAt = body.measured_at || formatDateTimeSQL(new Date());
+  if (!validateDateTimeSQL(measuredAt)) return { error: { code: "vital_measured_at_invalid" } };
+  if (new Date(measuredAt.replace(" ", "T")).getTime() > Date.now() + 5 * 60 * 1000) {
+    return { error: { code: "vital_measured_at_future" } };
+  }
+  return { row: { type: body.type, value, value_secondary: secondary, unit: spec.unit, measured_at: measuredAt, note: body.note || null } };
+}
+
+// Full health profile
+app.get("/patients/:id/health-profile", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("health_profile"), validateRequest({
+  summary: "Full health profile",
+  params: patientParams(),
+}), async (req, res) => {
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [patientId], patientId);
+
+    const [[profile]] = await pool.query(
+      `SELECT u.id AS patient_user_id, u.name, u.sex, u.date_of_birth, p.blood_group,
+              p.emergency_contact_name, p.emergency_contact_phone, p.emergency_contact_relation, p.updated_at
+       FROM users u JOIN patients p ON p.user_id = u.id
+       WHERE u.id = ? LIMIT 1`,
+      [patientId]
+    );
+    if (!profile) return res.status(404).json({ code: "profile_not_found" });
+
+    const lists = {};
+    for (const [list, spec] of Object.entries(HEALTH_LISTS)) {
+      const [rows] = await pool.query(
+        `SELECT id, ${spec.fields.join(", ")}, created_by_user_id, created_at, updated_at
+         FROM ${spec.table} WHERE patient_user_id = ? ORDER BY created_at DESC, id DESC`,
+        [patientId]
+      );
+      lists[list] = rows;
+    }
+    const { emergency_contact_name, emergency_contact_phone, emergency_contact_relation, ...rest } = profile;
+    res.json({
+      ...rest,
+      emergency_contact: emergency_contact_name
+        ? { name: emergency_contact_name, phone: emergency_contact_phone, relation: emergency_contact_relation }
+        : null,
+      ...lists,
+    });
+  } catch (err) {
+    console.error("GET HEALTH PROFILE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "health_profile_fetch_failed" });
+  }
+});
+
+// Update blood group / emergency contact. body: { blood_group?, emergency_contact?: { name, phone, relation } | null }
+app.put("/patients/:id/health-profile", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("health_profile"), validateRequest({
+  summary: "Update blood group and emergency contact",
+  params: patientParams(),
+  body: {
+    properties: {
+      blood_group: { type: "string", enum: BLOOD_GROUPS, nullable: true },
+      emergency_contact: {
+        type: "object",
+        nullable: true,
+        required: ["name", "phone"],
+        properties: { name: { type: "string" }, phone: { type: "string" }, relation: { type: "string" } },
+      },
+    },
+  },
+}), async (req, res) => {
+  const { blood_group, emergency_contact } = req.body;
+  const sets = [];
+  const params = [];
+  if (blood_group !== undefined) {
+    sets.push("blood_group = ?");
+    params.push(blood_group);
+  }
+  if (emergency_contact !== undefined) {
+    const contact = emergency_contact || {};
+    sets.push("emergency_contact_name = ?", "emergency_contact_phone = ?", "emergency_contact_relation = ?");
+    params.push(contact.name || null, contact.phone || null, contact.relation || null);
+  }
+  if (sets.length === 0) return res.status(400).json({ code: "nothing_to_update" });
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    const [result] = await pool.query(
+      `UPDATE patients SET ${sets.join(", ")}, updated_at = NOW() WHERE user_id = ?`,
+      [...params, patientId]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "profile_not_found" });
+    setAuditContext(res, [patientId], patientId);
+    res.json({ code: "health_profile_updated" });
+  } catch (err) {
+    console.error("UPDATE HEALTH PROFILE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "health_profile_update_failed" });
+  }
+});
+
+for (const [list, spec] of Object.entries(HEALTH_LISTS)) {
+  app.post(`/patients/:id/${list}`, authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("health_profile"), validateRequest({
+    summary: `Add to ${list}`,
+    params: patientParams(),
+    body: healthListSchema(spec, false),
+  }), async (req, res) => {
+    const { values, error: invalid } = validateHealthListItem(spec, req.body, false);
+    if (invalid) return res.status(400).json(invalid);
+
+    try {
+      const { patientId, error } = await resolvePatientParam(req);
+      if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+      const fields = Object.keys(values);
+      const [result] = await pool.query(
+        `INSERT INTO ${spec.table} (patient_user_id, ${fields.join(", ")}, created_by_user_id, created_at, updated_at)
+         VALUES (?, ${fields.map(() => "?").join(", ")}, ?, NOW(), NOW())`,
+        [patientId, ...fields.map((f) => values[f]), req.user.id]
+      );
+      setAuditContext(res, [patientId], result.insertId);
+      res.status(201).json({ id: result.insertId, code: `${spec.code}_added` });
+    } catch (err) {
+      console.error(`ADD ${list.toUpperCase()} ERR:`, err && err.stack ? err.stack : err);
+      res.status(500).json({ code: `${spec.code}_add_failed` });
+    }
+  });
+
+  app.put(`/patients/:id/${list}/:itemId`, authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("health_profile"), validateRequest({
+    summary: `Update an entry in ${list}`,
+    params: patientParams("itemId"),
+    body: healthListSchema(spec, true),
+  }), async (req, res) => {
+    const { values, error: invalid } = validateHealthListItem(spec, req.body, true);
+    if (invalid) return res.status(400).json(invalid);
+    const fields = Object.keys(values);
+    if (fields.length === 0) return res.status(400).json({ code: "nothing_to_update" });
+
+    try {
+      const { patientId, error } = await resolvePatientParam(req);
+      if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+      const [result] = await pool.query(
+        `UPDATE ${spec.table} SET ${fields.map((f) => `${f} = ?`).join(", ")}, updated_at = NOW()
+         WHERE id = ? AND patient_user_id = ?`,
+        [...fields.map((f) => values[f]), Number(req.params.itemId), patientId]
+      );
+      if (result.affectedRows === 0) return res.status(404).json({ code: `${spec.code}_not_found` });
+      setAuditContext(res, [patientId], Number(req.params.itemId));
+      res.json({ code: `${spec.code}_updated` });
+    } catch (err) {
+      console.error(`UPDATE ${list.toUpperCase()} ERR:`, err && err.stack ? err.stack : err);
+      res.status(500).json({ code: `${spec.code}_update_failed` });
+    }
+  });
+
+  app.delete(`/patients/:id/${list}/:itemId`, authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("health_profile"), validateRequest({
+    summary: `Remove an entry from ${list}`,
+    params: patientParams("itemId"),
+  }), async (req, res) => {
+    try {
+      const { patientId, error } = await resolvePatientParam(req);
+      if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+      const [result] = await pool.query(`DELETE FROM ${spec.table} WHERE id = ? AND patient_user_id = ?`, [
+        Number(req.params.itemId),
+        patientId,
+      ]);
+      if (result.affectedRows === 0) return res.status(404).json({ code: `${spec.code}_not_found` });
+      setAuditContext(res, [patientId], Number(req.params.itemId));
+      res.json({ code: `${spec.code}_removed` });
+    } catch (err) {
+      console.error(`DELETE ${list.toUpperCase()} ERR:`, err && err.stack ? err.stack : err);
+      res.status(500).json({ code: `${spec.code}_remove_failed` });
+    }
+  });
+}
+
+// Record a vital. body: { type, value, value_secondary? (diastolic), unit?, measured_at?, note? }
+app.post("/patients/:id/vitals", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("vitals"), validateRequest({
+  summary: "Record a vital",
+  params: patientParams(),
+  body: {
+    required: ["type", "value"],
+    properties: {
+      type: { type: "string", enum: Object.keys(VITAL_TYPES) },
+      value: { type: "number", description: "Systolic for blood_pressure" },
+      value_secondary: { type: "number", description: "Diastolic for blood_pressure" },
+      unit: { type: "string", description: "Defaults to the type's canonical unit" },
+      measured_at: DATETIME_SCHEMA,
+      note: { type: "string" },
+    },
+  },
+}), async (req, res) => {
+  const { row, error: invalid } = normalizeVital(req.body);
+  if (invalid) return res.status(400).json(invalid);
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    const [result] = await pool.query(
+      `INSERT INTO vitals (patient_user_id, type, value, value_secondary, unit, measured_at, note, recorded_by_user_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [patientId, row.type, row.value, row.value_secondary, row.unit, row.measured_at, row.note, req.user.id]
+    );
+    setAuditContext(res, [patientId], result.insertId);
+    res.status(201).json({ id: result.insertId, ...row });
+  } catch (err) {
+    console.error("ADD VITAL ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "vital_record_failed" });
+  }
+});
+
+// Vitals timeline: ?type=&from=YYYY-MM-DD&to=YYYY-MM-DD&page=&limit=
+app.get("/patients/:id/vitals", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("vitals"), validateRequest({
+  summary: "Vitals timeline",
+  params: patientParams(),
+  query: {
+    properties: { type: { type: "string", enum: Object.keys(VITAL_TYPES) }, from: DATE_SCHEMA, to: DATE_SCHEMA, ...PAGINATION_QUERY },
+  },
+}), async (req, res) => {
+  const { type, from, to } = req.query;
+  const { page, limit, offset } = parsePagination(req.query, 50, 500);
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [patientId], null);
+
+    const where = ["patient_user_id = ?"];
+    const params = [patientId];
+    if (type) { where.push("type = ?"); params.push(type); }
+    if (from) { where.push("measured_at >= ?"); params.push(`${from} 00:00:00`); }
+    if (to) { where.push("measured_at <= ?"); params.push(`${to} 23:59:59`); }
+
+    const [rows] = await pool.query(
+      `SELECT id, type, value, value_secondary, unit, measured_at, note, recorded_by_user_id, created_at
+       FROM vitals WHERE ${where.join(" AND ")}
+       ORDER BY measured_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.json({
+      data: rows.map((r) => ({ ...r, value: Number(r.value), value_secondary: r.value_secondary == null ? null : Number(r.value_secondary) })),
+      page,
+      limit,
+    });
+  } catch (err) {
+    console.error("GET VITALS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "vitals_fetch_failed" });
+  }
+});
+
+// Trend of one vital type: ?type=&from=&to=&bucket=day|week|month (default day)
+app.get("/patients/:id/vitals/trend", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("vitals"), validateRequest({
+  summary: "Trend of one vital type",
+  params: patientParams(),
+  query: {
+    required: ["type"],
+    properties: {
+      type: { type: "string", enum: Object.keys(VITAL_TYPES) },
+      from: DATE_SCHEMA,
+      to: DATE_SCHEMA,
+      bucket: { type: "string", enum: Object.keys(VITAL_BUCKETS), description: "Defaults to day" },
+    },
+  },
+}), async (req, res) => {
+  const { type, from, to } = req.query;
+  const bucket = req.query.bucket || "day";
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [patientId], null);
+
+    const where = ["patient_user_id = ?", "type = ?"];
+    const params = [patientId, type];
+    if (from) { where.push("measured_at >= ?"); params.push(`${from} 00:00:00`); }
+    if (to) { where.push("measured_at <= ?"); params.push(`${to} 23:59:59`); }
+
+    const [rows] = await pool.query(
+      `SELECT ${VITAL_BUCKETS[bucket]} AS period, COUNT(*) AS readings,
+              AVG(value) AS avg_value, MIN(value) AS min_value, MAX(value) AS max_value,
+              AVG(value_secondary) AS avg_secondary
+       FROM vitals WHERE ${where.join(" AND ")}
+       GROUP BY period
+       ORDER BY period ASC`,
+      params
+    );
+    const round = (v) => (v == null ? null : Math.round(Number(v) * 100) / 100);
+    res.json({
+      type,
+      unit: VITAL_TYPES[type].unit,
+      bucket,
+      points: rows.map((r) => ({
+        period: r.period,
+        readings: Number(r.readings),
+        avg: round(r.avg_value),
+        min: round(r.min_value),
+        max: round(r.max_value),
+        ...(VITAL_TYPES[type].secondary ? { avg_secondary: round(r.avg_secondary) } : {}),
+      })),
+    });
+  } catch (err) {
+    console.error("GET VITAL TREND ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "vital_trend_fetch_failed" });
+  }
+});
+
+// Delete a vital reading (only the user who recorded it)
+app.delete("/patients/:id/vitals/:vitalId", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("vitals"), validateRequest({
+  summary: "Delete a vital reading I recorded",
+  params: patientParams("vitalId"),
+}), async (req, res) => {
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    const [result] = await pool.query(
+      "DELETE FROM vitals WHERE id = ? AND patient_user_id = ? AND recorded_by_user_id = ?",
+      [Number(req.params.vitalId), patientId, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "vital_not_found" });
+    setAuditContext(res, [patientId], Number(req.params.vitalId));
+    res.json({ code: "vital_deleted" });
+  } catch (err) {
+    console.error("DELETE VITAL ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "vital_delete_failed" });
+  }
+});
+
+// ----------------- Medication schedules & adherence -----------------
+// A schedule (drug, dose, times of day, date range) is expanded into calendar_events rows
+// with event_type "medication_dose" for the next MEDICATION_HORIZON_DAYS; the periodic sync
+// keeps that window rolling. external_uid ("med-<schedule>-<time>") makes generation
+// idempotent. Patients log each dose as taken/skipped/late, and adherence is measured
+// against the dose events that have come due.
+
+const MEDICATION_DOSE_EVENT = "medication_dose";
+const DOSE_STATUSES = ["taken", "skipped", "late"];
+const MEDICATION_SYNC_LOOKBACK_DAYS = 7;
+
+function doseUid(scheduleId, startTime) {
+  return `med-${scheduleId}-${startTime.replace(/[^0-9]/g, "").slice(0, 12)}`;
+}
+
+const DOSE_TIMES_SCHEMA = { type: "array", items: TIME_SCHEMA, minItems: 1, maxItems: 12, example: ["08:00", "20:00"] };
+function parseDoseTimes(times) {
+  if (!Array.isArray(times) || times.length === 0 || times.length > 12) return null;
+  if (!times.every(validateTimeHM)) return null;
+  return [...new Set(times)].sort();
+}
+
+// Create the dose events of one schedule up to the horizon; returns how many were added.
+// Doses are generated no further back than the schedule's creation (or the lookback window)
+// so a backdated start_date doesn't produce doses nobody could have logged.
+async function syncMedicationDoses(scheduleId) {
+  const [[schedule]] = await pool.query(
+    `SELECT id, patient_user_id, drug, dose, times_of_day, start_date, end_date, instructions, active, created_at
+     FROM medication_schedules WHERE id = ? LIMIT 1`,
+    [scheduleId]
+  );
+  if (!schedule || !schedule.active) return 0;
+  // dose titles are stored, so they are written in the patient's language
+  const title = i18n.t(await userLocale(pool, schedule.patient_user_id), "calendar.medication_dose", {
+    drug: schedule.drug,
+    dose: schedule.dose,
+  });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const created = new Date(schedule.created_at);
+  const lookback = new Date(today);
+  lookback.setDate(lookback.getDate() - MEDICATION_SYNC_LOOKBACK_DAYS);
+  const createdDay = new Date(created.getFullYear(), created.getMonth(), created.getDate());
+  const from = new Date(Math.max(new Date(schedule.start_date).getTime(), createdDay.getTime(), lookback.getTime()));
+  const horizon = new Date(today);
+  horizon.setDate(horizon.getDate() + Number(MEDICATION_HORIZON_DAYS));
+  const until = schedule.end_date ? new Date(Math.min(new Date(schedule.end_date).getTime(), horizon.getTime())) : horizon;
+
+  const rows = [];
+  for (const day = new Date(from); day <= until; day.setDate(day.getDate() + 1)) {
+    for (const time of schedule.times_of_day) {
+      const start = `${formatDateISO(day)} ${time}:00`;
+      if (new Date(start.replace(" ", "T")) < created) continue;
+      rows.push([
+        schedule.patient_user_id,
+        MEDICATION_DOSE_EVENT,
+        "medication_schedule",
+        schedule.id,
+        title,
+        schedule.instructions || null,
+        start,
+        CALENDAR_COLORS[MEDICATION_DOSE_EVENT],
+        doseUid(schedule.id, start),
+      ]);
+    }
+  }
+  if (rows.length === 0) return 0;
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO calendar_events (user_id, event_type, related_type, related_id, title, description, start_time, color, external_uid)
+     VALUES ?`,
+    [rows]
+  );
+  return result.affectedRows;
+}
+
+async function syncAllMedicationDoses() {
+  const [schedules] = await pool.query(
+    "SELECT id FROM medication_schedules WHERE active = 1 AND (end_date IS NULL OR end_date >= CURDATE())"
+  );
+  let created = 0;
+  for (const s of schedules) created += await syncMedicationDoses(s.id);
+  return created;
+}
+
+// Future doses that haven't been logged yet (used when a schedule changes or stops)
+async function removeFutureDoses(scheduleId) {
+  await pool.query(
+    `DELETE ce FROM calendar_events ce
+     LEFT JOIN medication_dose_logs l ON l.schedule_id = ce.related_id AND l.scheduled_for = ce.start_time
+     WHERE ce.event_type = ? AND ce.related_type = 'medication_schedule' AND ce.related_id = ?
+       AND ce.start_time > NOW() AND l.id IS NULL`,
+    [MEDICATION_DOSE_EVENT, scheduleId]
+  );
+}
+
+// Per-schedule counts of due doses and how they were logged within [start, end)
+async function loadAdherence(patientId, start, end) {
+  const [rows] = await pool.query(
+    `SELECT ms.id AS schedule_id, ms.drug, ms.dose, ms.active,
+            COUNT(ce.id) AS due,
+            COALESCE(SUM(l.status = 'taken'), 0) AS taken,
+            COALESCE(SUM(l.status = 'late'), 0) AS late,
+            COALESCE(SUM(l.status = 'skipped'), 0) AS skipped
+     FROM medication_schedules ms
+     LEFT JOIN calendar_events ce
+       ON ce.related_type = 'medication_schedule' AND ce.related_id = ms.id AND ce.event_type = ?
+      AND ce.start_time >= ? AND ce.start_time < ? AND ce.start_time <= NOW()
+     LEFT JOIN medication_dose_logs l ON l.schedule_id = ms.id AND l.scheduled_for = ce.start_time
+     WHERE ms.patient_user_id = ?
+     GROUP BY ms.id, ms.drug, ms.dose, ms.active
+     ORDER BY ms.drug ASC`,
+    [MEDICATION_DOSE_EVENT, start, end, patientId]
+  );
+  const pct = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : null);
+  return rows.map((r) => {
+    const due = Number(r.due);
+    const taken = Number(r.taken);
+    const late = Number(r.late);
+    const skipped = Number(r.skipped);
+    return {
+      schedule_id: r.schedule_id,
+      drug: r.drug,
+      dose: r.dose,
+      active: !!r.active,
+      due,
+      taken,
+      late,
+      skipped,
+      missed: due - taken - late - skipped,
+      adherence_pct: pct(taken + late, due),
+      on_time_pct: pct(taken, due),
+    };
+  });
+}
+
+async function findPatientSchedule(scheduleId, patientId) {
+  const [[schedule]] = await pool.query(
+    "SELECT * FROM medication_schedules WHERE id = ? AND patient_user_id = ? LIMIT 1",
+    [scheduleId, patientId]
+  );
+  return schedule || null;
+}
+
+// Create a schedule (patient, or a doctor with access to the patient)
+// body: { drug, dose, times: ["08:00", "20:00"], start_date, end_date?, instructions?, prescription_item_id? }
+app.post("/patients/:id/medication-schedules", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("medication"), validateRequest({
+  summary: "Create a medication schedule",
+  params: patientParams(),
+  body: {
+    required: ["drug", "dose", "times", "start_date"],
+    properties: {
+      drug: { type: "string" },
+      dose: { type: "string" },
+      times: DOSE_TIMES_SCHEMA,
+      start_date: DATE_SCHEMA,
+      end_date: DATE_SCHEMA,
+      instructions: { type: "string" },
+      prescription_item_id: ID_SCHEMA,
+    },
+  },
+}), async (req, res) => {
+  const { drug, dose, start_date, end_date, instructions, prescription_item_id } = req.body;
+  const times = parseDoseTimes(req.body.times);
+  if (end_date && end_date < start_date) return res.status(400).json({ code: "date_range_invalid" });
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    if (prescription_item_id) {
+      const [[item]] = await pool.query(
+        `SELECT pi.id FROM prescription_items pi
+         JOIN prescriptions p ON p.id = pi.prescription_id
+         WHERE pi.id = ? AND p.patient_user_id = ? LIMIT 1`,
+        [prescription_item_id, patientId]
+      );
+      if (!item) return res.status(404).json({ code: "prescription_item_not_found" });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO medication_schedules
+         (patient_user_id, created_by_user_id, prescription_item_id, drug, dose, times_of_day, start_date, end_date, instructions, active, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW())`,
+      [patientId, req.user.id, prescription_item_id || null, drug, dose, JSON.stringify(times), start_date, end_date || null, instructions || null]
+    );
+    const doses = await syncMedicationDoses(result.insertId);
+    setAuditContext(res, [patientId], result.insertId);
+    res.status(201).json({ id: result.insertId, doses_scheduled: doses, code: "medication_schedule_created" });
+  } catch (err) {
+    console.error("CREATE MED SCHEDULE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "medication_schedule_create_failed" });
+  }
+});
+
+// List schedules (?active=1 for current ones only)
+app.get("/patients/:id/medication-schedules", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("medication"), validateRequest({
+  summary: "List medication schedules",
+  params: patientParams(),
+  query: { properties: { active: { type: "boolean", description: "Only schedules still running" } } },
+}), async (req, res) => {
+  const activeOnly = req.query.active === "1" || req.query.active === "true";
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [patientId], null);
 
-// Doctor: list own slots
-app.get("/doctor/slots", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
-  try {
     const [rows] = await pool.query(
-      "SELECT id AS slot_id, slot_at, is_booked FROM doctor_slots WHERE doctor_user_id = ? ORDER BY slot_at ASC",
-      [req.user.id]
+      `SELECT ms.id, ms.drug, ms.dose, ms.times_of_day, ms.start_date, ms.end_date, ms.instructions, ms.active,
+              ms.prescription_item_id, ms.created_by_user_id, cu.name AS created_by_name, ms.created_at, ms.updated_at
+       FROM medication_schedules ms
+       LEFT JOIN users cu ON cu.id = ms.created_by_user_id
+       WHERE ms.patient_user_id = ?${activeOnly ? " AND ms.active = 1 AND (ms.end_date IS NULL OR ms.end_date >= CURDATE())" : ""}
+       ORDER BY ms.active DESC, ms.start_date DESC`,
+      [patientId]
+    );
+    res.json(rows.map((r) => ({ ...r, active: !!r.active })));
+  } catch (err) {
+    console.error("LIST MED SCHEDULES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "medication_schedules_fetch_failed" });
+  }
+});
+
+// Change dose, times, end date or instructions; future unlogged doses are regenerated
+app.put("/patients/:id/medication-schedules/:scheduleId", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("medication"), validateRequest({
+  summary: "Update a medication schedule",
+  params: patientParams("scheduleId"),
+  body: {
+    properties: {
+      dose: { type: "string" },
+      times: DOSE_TIMES_SCHEMA,
+      end_date: { ...DATE_SCHEMA, nullable: true },
+      instructions: { type: "string", nullable: true },
+    },
+  },
+}), async (req, res) => {
+  const { dose, end_date, instructions } = req.body;
+  const sets = [];
+  const params = [];
+  if (dose !== undefined) {
+    if (!dose) return res.status(400).json({ code: "dose_empty" });
+    sets.push("dose = ?");
+    params.push(dose);
+  }
+  if (req.body.times !== undefined) {
+    const times = parseDoseTimes(req.body.times);
+    sets.push("times_of_day = ?");
+    params.push(JSON.stringify(times));
+  }
+  if (end_date !== undefined) {
+    sets.push("end_date = ?");
+    params.push(end_date);
+  }
+  if (instructions !== undefined) {
+    sets.push("instructions = ?");
+    params.push(instructions || null);
+  }
+  if (sets.length === 0) return res.status(400).json({ code: "nothing_to_update" });
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    const schedule = await findPatientSchedule(Number(req.params.scheduleId), patientId);
+    if (!schedule) return res.status(404).json({ code: "medication_schedule_not_found" });
+    if (!schedule.active) return res.status(409).json({ code: "medication_schedule_stopped_already" });
+    if (end_date && end_date < formatDateISO(new Date(schedule.start_date))) {
+      return res.status(400).json({ code: "date_range_invalid" });
+    }
+
+    await pool.query(`UPDATE medication_schedules SET ${sets.join(", ")}, updated_at = NOW() WHERE id = ?`, [
+      ...params,
+      schedule.id,
+    ]);
+    await removeFutureDoses(schedule.id);
+    await syncMedicationDoses(schedule.id);
+    setAuditContext(res, [patientId], schedule.id);
+    res.json({ code: "medication_schedule_updated" });
+  } catch (err) {
+    console.error("UPDATE MED SCHEDULE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "medication_schedule_update_failed" });
+  }
+});
+
+// Stop a schedule: no further doses; logged history is kept for adherence
+app.delete("/patients/:id/medication-schedules/:scheduleId", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("medication", "update"), validateRequest({
+  summary: "Stop a medication schedule",
+  params: patientParams("scheduleId"),
+}), async (req, res) => {
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    const schedule = await findPatientSchedule(Number(req.params.scheduleId), patientId);
+    if (!schedule) return res.status(404).json({ code: "medication_schedule_not_found" });
+
+    await pool.query(
+      "UPDATE medication_schedules SET active = 0, end_date = LEAST(COALESCE(end_date, CURDATE()), CURDATE()), updated_at = NOW() WHERE id = ?",
+      [schedule.id]
+    );
+    await removeFutureDoses(schedule.id);
+    setAuditContext(res, [patientId], schedule.id);
+    res.json({ code: "medication_schedule_stopped" });
+  } catch (err) {
+    console.error("STOP MED SCHEDULE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "medication_schedule_stop_failed" });
+  }
+});
+
+// Doses of one schedule with their log status: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get("/patients/:id/medication-schedules/:scheduleId/doses", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("medication"), validateRequest({
+  summary: "Doses of a schedule with their log status",
+  params: patientParams("scheduleId"),
+  query: { properties: { from: DATE_SCHEMA, to: DATE_SCHEMA } },
+}), async (req, res) => {
+  const range = calendarRange(req.query);
+  if (range.error) return res.status(400).json(range.error);
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    const schedule = await findPatientSchedule(Number(req.params.scheduleId), patientId);
+    if (!schedule) return res.status(404).json({ code: "medication_schedule_not_found" });
+    setAuditContext(res, [patientId], schedule.id);
+
+    const [rows] = await pool.query(
+      `SELECT ce.id AS event_id, ce.start_time AS scheduled_for, l.status, l.taken_at, l.note
+       FROM calendar_events ce
+       LEFT JOIN medication_dose_logs l ON l.schedule_id = ce.related_id AND l.scheduled_for = ce.start_time
+       WHERE ce.event_type = ? AND ce.related_type = 'medication_schedule' AND ce.related_id = ?
+         AND ce.start_time >= ? AND ce.start_time < ?
+       ORDER BY ce.start_time ASC`,
+      [MEDICATION_DOSE_EVENT, schedule.id, range.start, range.end]
+    );
+    const now = Date.now();
+    res.json(
+      rows.map((r) => ({
+        ...r,
+        status: r.status || (new Date(r.scheduled_for).getTime() <= now ? "missed" : "upcoming"),
+      }))
+    );
+  } catch (err) {
+    console.error("GET DOSES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "doses_fetch_failed" });
+  }
+});
+
+// Patient: log a dose. body: { scheduled_for: "YYYY-MM-DD HH:MM:SS", status: taken|skipped|late, taken_at?, note? }
+// A dose reported "taken" more than DOSE_LATE_MINUTES after its time is stored as late.
+app.post("/patients/:id/medication-schedules/:scheduleId/doses", authenticateToken, authorizeRoles("patient"), auditAccess("medication"), validateRequest({
+  summary: "Patient: log a dose",
+  params: patientParams("scheduleId"),
+  body: {
+    required: ["scheduled_for", "status"],
+    properties: {
+      scheduled_for: DATETIME_SCHEMA,
+      status: { type: "string", enum: DOSE_STATUSES },
+      taken_at: DATETIME_SCHEMA,
+      note: { type: "string" },
+    },
+  },
+}), async (req, res) => {
+  const { scheduled_for, note } = req.body;
+  let { status } = req.body;
+  const takenAt = status === "skipped" ? null : req.body.taken_at || formatDateTimeSQL(new Date());
+
+  const dueMs = new Date(scheduled_for.replace(" ", "T")).getTime();
+  const lateMs = Number(DOSE_LATE_MINUTES) * 60 * 1000;
+  if (dueMs - Date.now() > lateMs) return res.status(400).json({ code: "dose_not_due" });
+  if (status === "taken" && new Date(takenAt.replace(" ", "T")).getTime() - dueMs > lateMs) status = "late";
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    const schedule = await findPatientSchedule(Number(req.params.scheduleId), patientId);
+    if (!schedule) return res.status(404).json({ code: "medication_schedule_not_found" });
+
+    const [[event]] = await pool.query(
+      `SELECT id FROM calendar_events
+       WHERE event_type = ? AND related_type = 'medication_schedule' AND related_id = ? AND start_time = ? LIMIT 1`,
+      [MEDICATION_DOSE_EVENT, schedule.id, scheduled_for]
+    );
+    if (!event) return res.status(404).json({ code: "dose_not_scheduled" });
+
+    await pool.query(
+      `INSERT INTO medication_dose_logs (schedule_id, patient_user_id, scheduled_for, status, taken_at, note, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE status = VALUES(status), taken_at = VALUES(taken_at), note = VALUES(note), updated_at = NOW()`,
+      [schedule.id, patientId, scheduled_for, status, takenAt, note || null]
+    );
+    setAuditContext(res, [patientId], schedule.id);
+    res.status(201).json({ schedule_id: schedule.id, scheduled_for, status, taken_at: takenAt, code: "dose_logged" });
+  } catch (err) {
+    console.error("LOG DOSE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "dose_log_failed" });
+  }
+});
+
+// Adherence per medication over ?from=&to= (default: last 30 days); doctors with access may view
+app.get("/patients/:id/adherence", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("medication"), validateRequest({
+  summary: "Adherence per medication",
+  params: patientParams(),
+  query: { properties: { from: { ...DATE_SCHEMA, description: "Defaults to 30 days ago" }, to: DATE_SCHEMA } },
+}), async (req, res) => {
+  const query = { ...req.query };
+  if (!query.from) {
+    const since = new Date();
+    since.setDate(since.getDate() - 30);
+    query.from = formatDateISO(since);
+  }
+  const range = calendarRange(query);
+  if (range.error) return res.status(400).json(range.error);
+
+  try {
+    const { patientId, error } = await resolvePatientParam(req);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [patientId], null);
+
+    const medications = await loadAdherence(patientId, range.start, range.end);
+    const due = medications.reduce((n, m) => n + m.due, 0);
+    const adhered = medications.reduce((n, m) => n + m.taken + m.late, 0);
+    res.json({
+      patient_user_id: patientId,
+      from: query.from,
+      to: query.to || null,
+      overall_adherence_pct: due ? Math.round((adhered / due) * 1000) / 10 : null,
+      medications,
+    });
+  } catch (err) {
+    console.error("GET ADHERENCE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "adherence_fetch_failed" });
+  }
+});
+
+// ----------------- Lab report files -----------------
+// Reports are uploaded as multipart/form-data (field "files"), checked by their first
+// bytes rather than the client's Content-Type, hashed with SHA-256 and written through
+// storage.js. They are only served through the authorized download route below.
+
+const REPORT_TYPES = [
+  { type: "application/pdf", ext: "pdf", magic: Buffer.from("%PDF-") },
+  { type: "image/jpeg", ext: "jpg", magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  { type: "image/png", ext: "png", magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+];
+
+function sniffReportType(buffer) {
+  return REPORT_TYPES.find((t) => buffer.length >= t.magic.length && buffer.subarray(0, t.magic.length).equals(t.magic)) || null;
+}
+
+const reportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number(REPORT_MAX_BYTES), files: Number(REPORT_MAX_FILES) },
+});
+
+// Content-Disposition for a stored upload. Header values cannot carry raw non-ASCII (an
+// uploaded "रिपोर्ट.pdf" would throw ERR_INVALID_CHAR), so the real name goes in filename*
+// (RFC 5987, UTF-8) and filename gets an ASCII stand-in for old clients.
+function attachmentDisposition(name) {
+  const original = String(name).toWellFormed();
+  const fallback = original.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  const encoded = encodeURIComponent(original).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Run a multer middleware with its errors turned into 400/413 JSON like every other
+// validation error; maxBytes is the upload's fileSize limit, quoted in the 413 message
+function withUploadErrors(upload, maxBytes) {
+  return (req, res, next) => upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      const body = err.code === "LIMIT_FILE_SIZE"
+        ? { code: "upload_file_too_large", params: { mb: Math.round(Number(maxBytes) / (1024 * 1024)) } }
+        : { code: "upload_failed", params: { reason: err.message } };
+      return res.status(status).json(body);
+    }
+    next(err);
+  });
+}
+
+const uploadReportFiles = withUploadErrors(reportUpload.array("files", Number(REPORT_MAX_FILES)), REPORT_MAX_BYTES);
+
+// Lab test readable by the user: its patient, or a doctor with a current care relationship
+// (active appointment or consent). Having ordered the test does not extend that access.
+async function findReadableLabTest(labTestId, user) {
+  const [[labTest]] = await pool.query(
+    "SELECT id, patient_user_id, test_name, ordered_by_doctor_id FROM lab_tests WHERE id = ? LIMIT 1",
+    [labTestId]
+  );
+  if (!labTest) return null;
+  if (user.role === "patient") return labTest.patient_user_id === user.id ? labTest : null;
+  if (user.role === "doctor") {
+    return (await doctorCanAccessPatient(user.id, labTest.patient_user_id)) ? labTest : null;
+  }
+  return null;
+}
+
+// Patient: upload one or more report files (PDF/JPEG/PNG) for own lab test
+app.post("/lab-tests/:id/files", authenticateToken, authorizeRoles("patient"), auditAccess("lab_test_file"), uploadReportFiles, validateRequest({
+  summary: "Patient: upload report files (PDF, JPEG, PNG)",
+  params: idParams("id"),
+  multipart: true,
+  body: { properties: { files: { type: "array", items: { type: "string", format: "binary" }, maxItems: Number(REPORT_MAX_FILES) } } },
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  const files = req.files || [];
+  if (files.length === 0) return res.status(400).json({ code: "report_files_required" });
+
+  const typed = files.map((f) => ({ file: f, kind: sniffReportType(f.buffer) }));
+  const rejected = typed.find((t) => !t.kind);
+  if (rejected) {
+    return res.status(415).json({ code: "upload_type_unsupported", params: { name: rejected.file.originalname } });
+  }
+
+  try {
+    const [[labTest]] = await pool.query(
+      "SELECT id FROM lab_tests WHERE id = ? AND patient_user_id = ? LIMIT 1",
+      [id, req.user.id]
+    );
+    if (!labTest) return res.status(404).json({ code: "lab_test_not_found" });
+  } catch (err) {
+    console.error("UPLOAD REPORT ERR:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ code: "report_files_upload_failed" });
+  }
+
+  const saved = [];
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const created = [];
+    for (const { file, kind } of typed) {
+      const sha256 = crypto.createHash("sha256").update(file.buffer).digest("hex");
+      const key = `lab-tests/${id}/${crypto.randomUUID()}.${kind.ext}`;
+      await storage.save(key, file.buffer);
+      saved.push(key);
+
+      const originalName = path.basename(file.originalname || `report.${kind.ext}`).slice(0, 255);
+      const [result] = await conn.query(
+        `INSERT INTO lab_test_files (lab_test_id, uploaded_by_user_id, original_name, content_type, size_bytes, sha256, storage_key, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [id, req.user.id, originalName, kind.type, file.size, sha256, key]
+      );
+      created.push({ id: result.insertId, original_name: originalName, content_type: kind.type, size_bytes: file.size, sha256 });
+    }
+    await conn.commit();
+    res.status(201).json({ code: "report_files_uploaded", files: created });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    // don't leave orphaned files behind when the upload as a whole fails
+    await Promise.all(saved.map((key) => storage.remove(key).catch(() => {})));
+    console.error("UPLOAD REPORT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "report_files_upload_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Patient or a doctor with access to the patient: list report files of a lab test
+app.get("/lab-tests/:id/files", authenticateToken, auditAccess("lab_test_file"), validateRequest({ summary: "List report files of a lab test", params: idParams("id") }), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const labTest = await findReadableLabTest(id, req.user);
+    if (!labTest) return res.status(404).json({ code: "lab_test_not_found" });
+    setAuditContext(res, [labTest.patient_user_id], id);
+
+    const [rows] = await pool.query(
+      `SELECT id, original_name, content_type, size_bytes, sha256, created_at
+       FROM lab_test_files WHERE lab_test_id = ? ORDER BY created_at ASC, id ASC`,
+      [id]
     );
     res.json(rows);
   } catch (err) {
-    console.error("FETCH DOCTOR SLOTS ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to fetch doctor slots" });
+    console.error("LIST REPORT FILES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "report_files_fetch_failed" });
   }
 });
 
-// Doctor: delete slot if not booked
-app.delete("/doctor/slots/:id", authenticateToken, authorizeRoles("doctor"), async (req, res) => {
-  const slotId = req.params.id;
-  const doctorId = req.user.id;
+// Patient or a doctor with access to the patient: download one report file
+app.get("/lab-tests/:id/files/:fileId", authenticateToken, auditAccess("lab_test_file"), validateRequest({ summary: "Download a report file", params: idParams("id", "fileId") }), async (req, res) => {
+  const id = Number(req.params.id);
+  const fileId = Number(req.params.fileId);
   try {
-    const [[slot]] = await pool.query("SELECT * FROM doctor_slots WHERE id = ? AND doctor_user_id = ?", [slotId, doctorId]);
-    if (!slot) return res.status(404).json({ message: "Slot not found" });
-    if (slot.is_booked) return res.status(409).json({ message: "Cannot delete a booked slot" });
+    const labTest = await findReadableLabTest(id, req.user);
+    if (!labTest) return res.status(404).json({ code: "lab_test_not_found" });
+    setAuditContext(res, [labTest.patient_user_id], id);
+
+    const [[file]] = await pool.query(
+      "SELECT * FROM lab_test_files WHERE id = ? AND lab_test_id = ? LIMIT 1",
+      [fileId, id]
+    );
+    if (!file) return res.status(404).json({ code: "report_file_not_found" });
+
+    const stream = storage.createReadStream(file.storage_key);
+    stream.on("error", (err) => {
+      console.error("READ REPORT FILE ERR:", err && err.stack ? err.stack : err);
+      if (!res.headersSent) res.status(500).json({ code: "report_file_read_failed" });
+      else res.destroy(err);
+    });
+    stream.once("open", () => {
+      res.setHeader("Content-Type", file.content_type);
+      res.setHeader("Content-Length", file.size_bytes);
+      res.setHeader("Content-Disposition", attachmentDisposition(file.original_name));
+      res.setHeader("Cache-Control", "private, no-store");
+      res.setHeader("X-Checksum-SHA256", file.sha256);
+      stream.pipe(res);
+    });
+  } catch (err) {
+    console.error("DOWNLOAD REPORT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "report_file_download_failed" });
+  }
+});
+
+// Patient: delete one of own report files
+app.delete("/lab-tests/:id/files/:fileId", authenticateToken, authorizeRoles("patient"), auditAccess("lab_test_file"), validateRequest({
+  summary: "Patient: delete a report file",
+  params: idParams("id", "fileId"),
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  const fileId = Number(req.params.fileId);
+  try {
+    const [[file]] = await pool.query(
+      `SELECT f.id, f.storage_key FROM lab_test_files f
+       JOIN lab_tests lt ON lt.id = f.lab_test_id
+       WHERE f.id = ? AND f.lab_test_id = ? AND lt.patient_user_id = ? LIMIT 1`,
+      [fileId, id, req.user.id]
+    );
+    if (!file) return res.status(404).json({ code: "report_file_not_found_or_forbidden" });
+
+    await pool.query("DELETE FROM lab_test_files WHERE id = ?", [file.id]);
+    await storage.remove(file.storage_key);
+    res.json({ code: "report_file_deleted" });
+  } catch (err) {
+    console.error("DELETE REPORT FILE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "report_file_delete_failed" });
+  }
+});
+
+// ----------------- Notifications (in-app inbox) -----------------
+// Stored per user; delivery beyond the inbox is left to other channels.
+
+// Saved language of a user, or the catalog fallback
+async function userLocale(db, userId) {
+  const [[row]] = await db.query("SELECT locale FROM users WHERE id = ? LIMIT 1", [userId]);
+  return row && row.locale && i18n.locales.includes(row.locale) ? row.locale : i18n.fallback;
+}
+
+// notice: { title, body?, params? } with title/body as notification.* message codes; the
+// text is rendered once, in the recipient's language, when the notification is stored
+async function notifyUser(db, userId, type, notice, data) {
+  const locale = await userLocale(db, userId);
+  const params = notice.params || {};
+  await db.query(
+    `INSERT INTO notifications (user_id, type, title, body, data, created_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [
+      userId,
+      type,
+      i18n.t(locale, notice.title, params),
+      notice.body ? i18n.t(locale, notice.body, params) : null,
+      data ? JSON.stringify(data) : null,
+    ]
+  );
+}
+
+// Current user's notifications (?unread=1 for unread only)
+app.get("/notifications", authenticateToken, auditAccess("notification"), validateRequest({
+  summary: "My notifications",
+  query: { properties: { unread: { type: "boolean", description: "Only unread" }, ...PAGINATION_QUERY } },
+}), async (req, res) => {
+  const { page, limit, offset } = parsePagination(req.query);
+  const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, type, title, body, data, read_at, created_at
+       FROM notifications
+       WHERE user_id = ?${unreadOnly ? " AND read_at IS NULL" : ""}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [req.user.id, limit, offset]
+    );
+    res.json({ data: rows, page, limit });
+  } catch (err) {
+    console.error("GET NOTIFICATIONS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "notifications_fetch_failed" });
+  }
+});
+
+app.post("/notifications/:id/read", authenticateToken, validateRequest({ summary: "Mark a notification read", params: idParams("id") }), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const [result] = await pool.query(
+      "UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?",
+      [id, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "notification_not_found" });
+    res.json({ code: "notification_read" });
+  } catch (err) {
+    console.error("READ NOTIFICATION ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "notification_update_failed" });
+  }
+});
+
+// ----------------- Patient–doctor messaging -----------------
+// One thread per patient–doctor pair, opened only when they have (had) an appointment.
+// A thread stays writable while an appointment is active and for MESSAGE_THREAD_OPEN_DAYS
+// after the last completed one; after that it is read-only. Read receipts are kept as each
+// participant's last read message id. Attachments reuse the lab-report upload rules
+// (PDF/JPEG/PNG, size limit, SHA-256) and storage.js.
+
+// -> { open, reason } where reason is the { code, params } explaining why it is closed
+async function threadWriteState(thread) {
+  const [[row]] = await pool.query(
+    `SELECT SUM(status IN (?)) AS active_count,
+            MAX(CASE WHEN status = 'completed' THEN scheduled_at END) AS last_completed_at
+     FROM appointments
+     WHERE patient_user_id = ? AND doctor_user_id = ?`,
+    [ACTIVE_APPOINTMENT_STATUSES, thread.patient_user_id, thread.doctor_user_id]
+  );
+  if (Number(row.active_count) > 0) return { open: true, reason: null };
+  if (row.last_completed_at) {
+    const closesAt = new Date(new Date(row.last_completed_at).getTime() + Number(MESSAGE_THREAD_OPEN_DAYS) * 24 * 60 * 60 * 1000);
+    if (closesAt > new Date()) return { open: true, reason: null, closes_at: closesAt };
+  }
+  return { open: false, reason: { code: "thread_read_only", params: { days: Number(MESSAGE_THREAD_OPEN_DAYS) } } };
+}
+
+// -> { thread } or { error: { status, code } }
+async function findOwnThread(threadId, user) {
+  const [[thread]] = await pool.query("SELECT * FROM message_threads WHERE id = ? LIMIT 1", [threadId]);
+  if (!thread) return { error: { status: 404, code: "thread_not_found" } };
+  if (thread.patient_user_id !== user.id && thread.doctor_user_id !== user.id) {
+    return { error: { status: 403, code: "thread_forbidden" } };
+  }
+  return { thread };
+}
+
+async function markThreadRead(db, threadId, userId, messageId) {
+  await db.query(
+    `INSERT INTO message_thread_reads (thread_id, user_id, last_read_message_id, read_at)
+     VALUES (?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE read_at = IF(VALUES(last_read_message_id) > last_read_message_id, NOW(), read_at),
+                             last_read_message_id = GREATEST(last_read_message_id, VALUES(last_read_message_id))`,
+    [threadId, userId, messageId]
+  );
+}
+
+// Open (or fetch) the thread with a doctor (patients send doctorId) or patient (doctors send patientId)
+app.post("/threads", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("message_thread"), validateRequest({
+  summary: "Open the thread with a doctor or patient",
+  body: {
+    properties: {
+      doctorId: { ...ID_SCHEMA, description: "Required for patients" },
+      patientId: { ...ID_SCHEMA, description: "Required for doctors" },
+    },
+  },
+}), async (req, res) => {
+  const isPatient = req.user.role === "patient";
+  const otherId = Number(isPatient ? req.body.doctorId : req.body.patientId);
+  if (!otherId) return res.status(400).json({ code: "field_required", params: { field: isPatient ? "doctorId" : "patientId" } });
+  const patientId = isPatient ? req.user.id : otherId;
+  const doctorId = isPatient ? otherId : req.user.id;
+
+  try {
+    const [[appt]] = await pool.query(
+      "SELECT id FROM appointments WHERE patient_user_id = ? AND doctor_user_id = ? AND status NOT IN (?) LIMIT 1",
+      [patientId, doctorId, CANCELLED_APPOINTMENT_STATUSES]
+    );
+    if (!appt) return res.status(403).json({ code: "thread_requires_appointment" });
+
+    await pool.query(
+      "INSERT IGNORE INTO message_threads (patient_user_id, doctor_user_id, created_at) VALUES (?, ?, NOW())",
+      [patientId, doctorId]
+    );
+    const [[thread]] = await pool.query(
+      "SELECT * FROM message_threads WHERE patient_user_id = ? AND doctor_user_id = ? LIMIT 1",
+      [patientId, doctorId]
+    );
+    setAuditContext(res, [patientId], thread.id);
+    const state = await threadWriteState(thread);
+    res.status(201).json({ ...thread, ...state, reason: state.reason && req.t(state.reason.code, state.reason.params) });
+  } catch (err) {
+    console.error("OPEN THREAD ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "thread_open_failed" });
+  }
+});
+
+// My threads with last message and unread count
+app.get("/threads", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("message_thread"), validateRequest({
+  summary: "My threads with unread counts",
+  query: { properties: PAGINATION_QUERY },
+}), async (req, res) => {
+  const { page, limit, offset } = parsePagination(req.query);
+  const mine = req.user.role === "patient" ? "t.patient_user_id" : "t.doctor_user_id";
+  const other = req.user.role === "patient" ? "t.doctor_user_id" : "t.patient_user_id";
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT t.id, t.patient_user_id, t.doctor_user_id, ${other} AS other_user_id, ou.name AS other_name,
+              t.created_at, t.last_message_at,
+              lm.body AS last_message_body, lm.sender_user_id AS last_message_sender_id,
+              (SELECT COUNT(*) FROM messages m
+               WHERE m.thread_id = t.id AND m.sender_user_id <> ? AND m.id > COALESCE(r.last_read_message_id, 0)) AS unread_count
+       FROM message_threads t
+       JOIN users ou ON ou.id = ${other}
+       LEFT JOIN message_thread_reads r ON r.thread_id = t.id AND r.user_id = ?
+       LEFT JOIN messages lm ON lm.id = (SELECT MAX(id) FROM messages WHERE thread_id = t.id)
+       WHERE ${mine} = ?
+       ORDER BY COALESCE(t.last_message_at, t.created_at) DESC
+       LIMIT ? OFFSET ?`,
+      [req.user.id, req.user.id, req.user.id, limit, offset]
+    );
+    setAuditContext(res, rows.map((r) => r.patient_user_id), null);
+    const data = [];
+    for (const r of rows) {
+      const state = await threadWriteState(r);
+      data.push({ ...r, unread_count: Number(r.unread_count), read_only: !state.open });
+    }
+    res.json({ data, page, limit });
+  } catch (err) {
+    console.error("LIST THREADS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "threads_fetch_failed" });
+  }
+});
+
+// Total unread messages across my threads
+app.get("/threads/unread-count", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("message"), async (req, res) => {
+  const mine = req.user.role === "patient" ? "t.patient_user_id" : "t.doctor_user_id";
+  try {
+    const [[row]] = await pool.query(
+      `SELECT COUNT(*) AS unread
+       FROM messages m
+       JOIN message_threads t ON t.id = m.thread_id
+       LEFT JOIN message_thread_reads r ON r.thread_id = t.id AND r.user_id = ?
+       WHERE ${mine} = ? AND m.sender_user_id <> ? AND m.id > COALESCE(r.last_read_message_id, 0)`,
+      [req.user.id, req.user.id, req.user.id]
+    );
+    res.json({ unread: Number(row.unread) });
+  } catch (err) {
+    console.error("UNREAD COUNT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "unread_count_failed" });
+  }
+});
+
+// Messages, newest first: ?before=<messageId>&limit=
+app.get("/threads/:id/messages", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("message"), validateRequest({
+  summary: "Messages of a thread, newest first",
+  params: idParams("id"),
+  query: { properties: { before: { ...ID_SCHEMA, description: "Only messages older than this id" }, limit: PAGINATION_QUERY.limit } },
+}), async (req, res) => {
+  const { limit } = parsePagination(req.query, 30, 100);
+  const before = req.query.before ? Number(req.query.before) : null;
+
+  try {
+    const { thread, error } = await findOwnThread(Number(req.params.id), req.user);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+    setAuditContext(res, [thread.patient_user_id], thread.id);
+
+    const [messages] = await pool.query(
+      `SELECT id, sender_user_id, body, created_at FROM messages
+       WHERE thread_id = ?${before ? " AND id < ?" : ""}
+       ORDER BY id DESC LIMIT ?`,
+      [thread.id, ...(before ? [before] : []), limit]
+    );
+    const [attachments] = messages.length
+      ? await pool.query(
+          `SELECT id, message_id, original_name, content_type, size_bytes, sha256
+           FROM message_attachments WHERE message_id IN (?) ORDER BY id ASC`,
+          [messages.map((m) => m.id)]
+        )
+      : [[]];
+    const otherId = thread.patient_user_id === req.user.id ? thread.doctor_user_id : thread.patient_user_id;
+    const [[otherRead]] = await pool.query(
+      "SELECT last_read_message_id, read_at FROM message_thread_reads WHERE thread_id = ? AND user_id = ?",
+      [thread.id, otherId]
+    );
+    const otherLastRead = otherRead ? Number(otherRead.last_read_message_id) : 0;
+
+    res.json({
+      thread_id: thread.id,
+      read_only: !(await threadWriteState(thread)).open,
+      data: messages.map((m) => ({
+        ...m,
+        attachments: attachments.filter((a) => a.message_id === m.id).map(({ message_id, ...a }) => a),
+        read_by_recipient: m.sender_user_id === req.user.id ? m.id <= otherLastRead : undefined,
+      })),
+      next_before: messages.length === limit ? messages[messages.length - 1].id : null,
+    });
+  } catch (err) {
+    console.error("LIST MESSAGES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "messages_fetch_failed" });
+  }
+});
+
+// Send a message: JSON { body } or multipart with field "body" and optional "files"
+app.post("/threads/:id/messages", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("message"), uploadReportFiles, validateRequest({
+  summary: "Send a message (JSON, or multipart with attachments)",
+  params: idParams("id"),
+  multipart: true,
+  body: {
+    properties: {
+      body: { type: "string", maxLength: Number(MESSAGE_MAX_LENGTH) },
+      files: { type: "array", items: { type: "string", format: "binary" }, maxItems: Number(REPORT_MAX_FILES) },
+    },
+  },
+}), async (req, res) => {
+  const body = typeof req.body.body === "string" ? req.body.body.trim() : "";
+  const files = req.files || [];
+  if (!body && files.length === 0) return res.status(400).json({ code: "message_empty" });
+  const typed = files.map((f) => ({ file: f, kind: sniffReportType(f.buffer) }));
+  const rejected = typed.find((t) => !t.kind);
+  if (rejected) {
+    return res.status(415).json({ code: "upload_type_unsupported", params: { name: rejected.file.originalname } });
+  }
+
+  let thread;
+  try {
+    const found = await findOwnThread(Number(req.params.id), req.user);
+    if (found.error) return res.status(found.error.status).json({ code: found.error.code });
+    thread = found.thread;
+    const state = await threadWriteState(thread);
+    if (!state.open) return res.status(409).json(state.reason);
+  } catch (err) {
+    console.error("SEND MESSAGE ERR:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ code: "message_send_failed" });
+  }
+
+  const saved = [];
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      "INSERT INTO messages (thread_id, sender_user_id, body, created_at) VALUES (?, ?, ?, NOW())",
+      [thread.id, req.user.id, body || null]
+    );
+    const created = [];
+    for (const { file, kind } of typed) {
+      const sha256 = crypto.createHash("sha256").update(file.buffer).digest("hex");
+      const key = `messages/${thread.id}/${crypto.randomUUID()}.${kind.ext}`;
+      await storage.save(key, file.buffer);
+      saved.push(key);
+      const originalName = path.basename(file.originalname || `attachment.${kind.ext}`).slice(0, 255);
+      const [att] = await conn.query(
+        `INSERT INTO message_attachments (message_id, original_name, content_type, size_bytes, sha256, storage_key, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [result.insertId, originalName, kind.type, file.size, sha256, key]
+      );
+      created.push({ id: att.insertId, original_name: originalName, content_type: kind.type, size_bytes: file.size, sha256 });
+    }
+    await conn.query("UPDATE message_threads SET last_message_at = NOW() WHERE id = ?", [thread.id]);
+    // sending implies having read everything before it
+    await markThreadRead(conn, thread.id, req.user.id, result.insertId);
+    const recipientId = thread.patient_user_id === req.user.id ? thread.doctor_user_id : thread.patient_user_id;
+    await notifyUser(conn, recipientId, "message_received", {
+      title: `notification.message_received.from_${req.user.role}.title`,
+      body: body ? "notification.message_received.preview" : "notification.message_received.attachment",
+      params: { preview: body ? body.slice(0, 140) : null },
+    }, { thread_id: thread.id, message_id: result.insertId });
+    await conn.commit();
+
+    setAuditContext(res, [thread.patient_user_id], result.insertId);
+    res.status(201).json({ id: result.insertId, thread_id: thread.id, body: body || null, attachments: created });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    await Promise.all(saved.map((key) => storage.remove(key).catch(() => {})));
+    console.error("SEND MESSAGE ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "message_send_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Mark messages read up to body.messageId (default: latest)
+app.post("/threads/:id/read", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("message", "update"), validateRequest({
+  summary: "Mark messages read",
+  params: idParams("id"),
+  body: { properties: { messageId: { ...ID_SCHEMA, description: "Defaults to the latest message" } } },
+}), async (req, res) => {
+  try {
+    const { thread, error } = await findOwnThread(Number(req.params.id), req.user);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    const [[latest]] = await pool.query(
+      `SELECT MAX(id) AS id FROM messages WHERE thread_id = ?${req.body.messageId ? " AND id <= ?" : ""}`,
+      [thread.id, ...(req.body.messageId ? [Number(req.body.messageId)] : [])]
+    );
+    if (latest.id) await markThreadRead(pool, thread.id, req.user.id, latest.id);
+    setAuditContext(res, [thread.patient_user_id], thread.id);
+    res.json({ thread_id: thread.id, last_read_message_id: latest.id || null });
+  } catch (err) {
+    console.error("MARK THREAD READ ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "thread_read_failed" });
+  }
+});
+
+// Download an attachment (thread participants only)
+app.get("/threads/:id/attachments/:attachmentId", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("message"), validateRequest({
+  summary: "Download a message attachment",
+  params: idParams("id", "attachmentId"),
+}), async (req, res) => {
+  try {
+    const { thread, error } = await findOwnThread(Number(req.params.id), req.user);
+    if (error) return res.status(error.status).json({ code: error.code, params: error.params });
+
+    const [[file]] = await pool.query(
+      `SELECT a.* FROM message_attachments a
+       JOIN messages m ON m.id = a.message_id
+       WHERE a.id = ? AND m.thread_id = ? LIMIT 1`,
+      [Number(req.params.attachmentId), thread.id]
+    );
+    if (!file) return res.status(404).json({ code: "attachment_not_found" });
+    setAuditContext(res, [thread.patient_user_id], file.message_id);
+
+    const stream = storage.createReadStream(file.storage_key);
+    stream.on("error", (err) => {
+      console.error("READ ATTACHMENT ERR:", err && err.stack ? err.stack : err);
+      if (!res.headersSent) res.status(500).json({ code: "attachment_read_failed" });
+      else res.destroy(err);
+    });
+    stream.once("open", () => {
+      res.setHeader("Content-Type", file.content_type);
+      res.setHeader("Content-Length", file.size_bytes);
+      res.setHeader("Content-Disposition", attachmentDisposition(file.original_name));
+      res.setHeader("Cache-Control", "private, no-store");
+      res.setHeader("X-Checksum-SHA256", file.sha256);
+      stream.pipe(res);
+    });
+  } catch (err) {
+    console.error("DOWNLOAD ATTACHMENT ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "attachment_download_failed" });
+  }
+});
+
+// ----------------- Doctor-ordered lab tests & structured results -----------------
+// Doctors order tests for patients they have an appointment with. Results are recorded
+// per analyte with a reference range; each value is flagged low/high/critical on entry,
+// which gives a per-analyte history for trending (e.g. HbA1c over time).
+
+const RESULT_NUMBER_FIELDS = ["ref_low", "ref_high", "critical_low", "critical_high"];
+
+function flagLabResult(value, r) {
+  if (r.critical_low != null && value <= r.critical_low) return "critical_low";
+  if (r.critical_high != null && value >= r.critical_high) return "critical_high";
+  if (r.ref_low != null && value < r.ref_low) return "low";
+  if (r.ref_high != null && value > r.ref_high) return "high";
+  return "normal";
+}
+
+// Doctor: order a lab test. body: { patientId, test_name, test_date (YYYY-MM-DD), appointmentId? }
+// Needs a care relationship with the patient; a given appointment must be theirs and not cancelled.
+app.post("/doctor/lab-orders", authenticateToken, authorizeRoles("doctor"), auditAccess("lab_test"), validateRequest({
+  summary: "Doctor: order a lab test for a patient",
+  body: {
+    required: ["patientId", "test_name", "test_date"],
+    properties: { patientId: ID_SCHEMA, test_name: { type: "string", maxLength: 255 }, test_date: DATE_SCHEMA, appointmentId: ID_SCHEMA },
+  },
+}), async (req, res) => {
+  const { patientId, test_name, test_date, appointmentId } = req.body;
+
+  try {
+    if (!(await doctorCanAccessPatient(req.user.id, patientId))) {
+      return res.status(403).json({ code: "no_care_relationship" });
+    }
+    if (appointmentId) {
+      const [[appt]] = await pool.query(
+        "SELECT id, status FROM appointments WHERE id = ? AND doctor_user_id = ? AND patient_user_id = ? LIMIT 1",
+        [appointmentId, req.user.id, patientId]
+      );
+      if (!appt) return res.status(404).json({ code: "appointment_not_found_for_patient" });
+      if (CANCELLED_APPOINTMENT_STATUSES.includes(appt.status)) {
+        return res.status(409).json({ code: "lab_order_appointment_cancelled" });
+      }
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO lab_tests (patient_user_id, test_name, test_date, status, ordered_by_doctor_id, appointment_id, created_at)
+       VALUES (?, ?, ?, 'pending', ?, ?, NOW())`,
+      [patientId, test_name, test_date, req.user.id, appointmentId || null]
+    );
+    setAuditContext(res, [patientId], result.insertId);
+    await notifyUser(pool, patientId, "lab_test_ordered", {
+      title: "notification.lab_test_ordered.title",
+      body: "notification.lab_test_ordered.body",
+      params: { test_name, test_date },
+    }, {
+      lab_test_id: result.insertId,
+    });
+    res.status(201).json({ id: result.insertId, code: "lab_test_ordered" });
+  } catch (err) {
+    console.error("ORDER LAB TEST ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_order_failed" });
+  }
+});
 
-    await pool.query("DELETE FROM doctor_slots WHERE id = ?", [slotId]);
-    res.json({ message: "Slot deleted" });
+// Doctor: tests I ordered, with result counts and abnormal counts
+app.get("/doctor/lab-orders", authenticateToken, authorizeRoles("doctor"), auditAccess("lab_test"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT lt.id, lt.patient_user_id, pu.name AS patient_name, lt.test_name, lt.test_date, lt.status,
+              lt.appointment_id, lt.results_at, lt.created_at,
+              COUNT(r.id) AS result_count,
+              COALESCE(SUM(r.flag <> 'normal'), 0) AS abnormal_count
+       FROM lab_tests lt
+       JOIN users pu ON pu.id = lt.patient_user_id
+       LEFT JOIN lab_results r ON r.lab_test_id = lt.id
+       WHERE lt.ordered_by_doctor_id = ?
+       GROUP BY lt.id
+       ORDER BY lt.test_date DESC`,
+      [req.user.id]
+    );
+    setAuditContext(res, rows.map((r) => r.patient_user_id), null);
+    res.json(rows.map((r) => ({ ...r, result_count: Number(r.result_count), abnormal_count: Number(r.abnormal_count) })));
   } catch (err) {
-    console.error("DELETE SLOT ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to delete slot" });
+    console.error("LIST LAB ORDERS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_orders_fetch_failed" });
   }
 });
 
-// Cancel appointment (patient owner OR the doctor) — frees the slot if exists
-app.delete("/appointments/:id", authenticateToken, async (req, res) => {
-  const apptId = req.params.id;
-  const userId = req.user.id;
-  const userRole = req.user.role;
+// Record results: the patient, or a doctor with access to the patient.
+// body: { results: [{ analyte, value, unit, ref_low?, ref_high?, critical_low?, critical_high? }] }
+app.post("/lab-tests/:id/results", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("lab_result"), validateRequest({
+  summary: "Record structured lab results",
+  params: idParams("id"),
+  body: {
+    required: ["results"],
+    properties: {
+      results: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["analyte", "value"],
+          properties: {
+            analyte: { type: "string", example: "HbA1c" },
+            value: { type: "number" },
+            unit: { type: "string" },
+            ...Object.fromEntries(RESULT_NUMBER_FIELDS.map((f) => [f, { type: "number", nullable: true }])),
+          },
+        },
+      },
+    },
+  },
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  const { results } = req.body;
 
-  try {
-    const [[appointment]] = await pool.query("SELECT * FROM appointments WHERE id = ?", [apptId]);
-    if (!appointment) return res.status(404).json({ message: "Appointment not found" });
+  const rows = [];
+  for (const [i, r] of results.entries()) {
+    const limits = {};
+    for (const f of RESULT_NUMBER_FIELDS) {
+      limits[f] = r[f] === undefined || r[f] === null || r[f] === "" ? null : Number(r[f]);
+    }
+    if (limits.ref_low != null && limits.ref_high != null && limits.ref_low > limits.ref_high) {
+      return res.status(400).json({ code: "lab_result_range_invalid", params: { index: i } });
+    }
+    const value = Number(r.value);
+    rows.push({ analyte: String(r.analyte).trim(), value, unit: r.unit || null, ...limits, flag: flagLabResult(value, limits) });
+  }
 
-    const isPatient = appointment.patient_user_id === userId && userRole === "patient";
-    const isDoctor = appointment.doctor_user_id === userId && userRole === "doctor";
-    if (!isPatient && !isDoctor) return res.status(403).json({ message: "Not authorized to cancel this appointment" });
+  try {
+    const labTest = await findReadableLabTest(id, req.user);
+    if (!labTest) return res.status(404).json({ code: "lab_test_not_found" });
+    setAuditContext(res, [labTest.patient_user_id], id);
 
     const conn = await pool.getConnection();
     try {
       await conn.beginTransaction();
+      await conn.query(
+        `INSERT INTO lab_results (lab_test_id, analyte, value, unit, ref_low, ref_high, critical_low, critical_high, flag, recorded_by_user_id, created_at)
+         VALUES ?`,
+        [rows.map((r) => [id, r.analyte, r.value, r.unit, r.ref_low, r.ref_high, r.critical_low, r.critical_high, r.flag, req.user.id, new Date()])]
+      );
+      await conn.query("UPDATE lab_tests SET status = 'completed', results_at = NOW() WHERE id = ?", [id]);
 
-      // Delete appointment (or alternatively update status='cancelled')
-      await conn.query("DELETE FROM appointments WHERE id = ?", [apptId]);
-
-      // Free the slot if one exists that matches doctor + scheduled_at
-      await conn.query("UPDATE doctor_slots SET is_booked = 0 WHERE doctor_user_id = ? AND slot_at = ?", [
-        appointment.doctor_user_id,
-        appointment.scheduled_at,
-      ]);
+      if (labTest.ordered_by_doctor_id && labTest.ordered_by_doctor_id !== req.user.id) {
+        const abnormal = rows.filter((r) => r.flag !== "normal");
+        const critical = abnormal.some((r) => r.flag.startsWith("critical"));
+        await notifyUser(
+          conn,
+          labTest.ordered_by_doctor_id,
+          critical ? "lab_results_critical" : "lab_results_ready",
+          {
+            title: `notification.${critical ? "lab_results_critical" : "lab_results_ready"}.title`,
+            body: abnormal.length ? "notification.lab_results.abnormal" : "notification.lab_results.normal",
+            params: {
+              test_name: labTest.test_name,
+              results: abnormal.map((r) => `${r.analyte} ${r.value}${r.unit ? ` ${r.unit}` : ""} (${r.flag})`).join(", "),
+            },
+          },
+          { lab_test_id: id, patient_user_id: labTest.patient_user_id }
+        );
+      }
 
       await conn.commit();
-      res.json({ message: "Appointment canceled" });
     } catch (txErr) {
       await conn.rollback().catch(() => {});
-      console.error("CANCEL TX ERR:", txErr && txErr.stack ? txErr.stack : txErr);
-      res.status(500).json({ message: "Failed to cancel appointment" });
+      throw txErr;
     } finally {
       conn.release();
     }
+
+    res.status(201).json({ code: "lab_results_recorded", results: rows });
   } catch (err) {
-    console.error("CANCEL APPT ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Server error" });
+    console.error("RECORD RESULTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_results_record_failed" });
   }
 });
 
-// ----------------- Healthcheck & Root -----------------
-app.get("/health", (req, res) => res.json({ ok: true }));
-app.get("/", (req, res) =>
-  res.json({ ok: true, message: "API is running. Use /health, /signup, /login, /profile" })
-);
-
-// ----------------- Start server -----------------
-if (process.env.NODE_ENV !== "test") {
-  const port = Number(PORT) || 3000;
-  app.listen(port, () => {
-    console.log(`Server listening on http://localhost:${port}`);
-  });
-}
-
-export default app;
-
-// ----------------- Lab tests & Unified calendar events (NEW) -----------------
-
-// Create a lab test (patient)
-app.post("/lab-tests", authenticateToken, authorizeRoles("patient"), async (req, res) => {
-  const { test_name, test_date, report_url } = req.body;
-  if (!test_name || !test_date) {
-    return res.status(400).json({ message: "test_name and test_date (YYYY-MM-DD) required" });
-  }
-  if (!validateDateISO(test_date)) {
-    return res.status(400).json({ message: "test_date must be YYYY-MM-DD" });
-  }
-
+// Results of one lab test
+app.get("/lab-tests/:id/results", authenticateToken, auditAccess("lab_result"), validateRequest({ summary: "Results of a lab test", params: idParams("id") }), async (req, res) => {
+  const id = Number(req.params.id);
   try {
-    const [result] = await pool.query(
-      "INSERT INTO lab_tests (patient_user_id, test_name, test_date, status, report_url, created_at) VALUES (?, ?, ?, 'pending', ?, NOW())",
-      [req.user.id, test_name, test_date, report_url || null]
+    const labTest = await findReadableLabTest(id, req.user);
+    if (!labTest) return res.status(404).json({ code: "lab_test_not_found" });
+    setAuditContext(res, [labTest.patient_user_id], id);
+
+    const [rows] = await pool.query(
+      `SELECT id, analyte, value, unit, ref_low, ref_high, critical_low, critical_high, flag, recorded_by_user_id, created_at
+       FROM lab_results WHERE lab_test_id = ? ORDER BY id ASC`,
+      [id]
     );
-    return res.status(201).json({ id: result.insertId, message: "Lab test scheduled" });
+    res.json(rows);
   } catch (err) {
-    console.error("CREATE LAB TEST ERR:", err && err.stack ? err.stack : err);
-    return res.status(500).json({ message: "Failed to schedule lab test" });
+    console.error("GET RESULTS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_results_fetch_failed" });
   }
 });
 
-// List lab tests for logged-in patient
-app.get("/lab-tests", authenticateToken, authorizeRoles("patient"), async (req, res) => {
+// Resolve whose results a trend request is about: patients see their own, doctors pass
+// ?patientId= and need a care relationship with that patient.
+async function resolveTrendPatient(req) {
+  if (req.user.role === "patient") return req.user.id;
+  const patientId = Number(req.query.patientId);
+  if (!patientId) return null;
+  return (await doctorCanAccessPatient(req.user.id, patientId)) ? patientId : null;
+}
+
+// Distinct analytes with recorded results (for building trend pickers)
+app.get("/lab-results/analytes", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("lab_result"), validateRequest({
+  summary: "Analytes with recorded results",
+  query: { properties: { patientId: { ...ID_SCHEMA, description: "Required for doctors" } } },
+}), async (req, res) => {
   try {
+    const patientId = await resolveTrendPatient(req);
+    if (!patientId) return res.status(404).json({ code: "patient_not_found_or_forbidden" });
+    setAuditContext(res, [patientId], null);
+
     const [rows] = await pool.query(
-      "SELECT id, test_name, test_date, status, report_url, created_at FROM lab_tests WHERE patient_user_id = ? ORDER BY test_date ASC",
-      [req.user.id]
+      `SELECT r.analyte, COUNT(*) AS result_count, MAX(lt.test_date) AS last_test_date
+       FROM lab_results r
+       JOIN lab_tests lt ON lt.id = r.lab_test_id
+       WHERE lt.patient_user_id = ?
+       GROUP BY r.analyte
+       ORDER BY r.analyte ASC`,
+      [patientId]
     );
-    res.json(rows);
+    res.json(rows.map((r) => ({ ...r, result_count: Number(r.result_count) })));
   } catch (err) {
-    console.error("GET LAB TESTS ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to fetch lab tests" });
+    console.error("GET ANALYTES ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "analytes_fetch_failed" });
   }
 });
 
-// Mark lab test completed (patient)
-app.put("/lab-tests/:id/complete", authenticateToken, authorizeRoles("patient"), async (req, res) => {
-  const id = Number(req.params.id);
+// History of one analyte over time: ?analyte=HbA1c[&patientId=][&from=&to=]
+app.get("/lab-results/trend", authenticateToken, authorizeRoles("patient", "doctor"), auditAccess("lab_result"), validateRequest({
+  summary: "History of one analyte",
+  query: {
+    required: ["analyte"],
+    properties: {
+      analyte: { type: "string" },
+      patientId: { ...ID_SCHEMA, description: "Required for doctors" },
+      from: DATE_SCHEMA,
+      to: DATE_SCHEMA,
+    },
+  },
+}), async (req, res) => {
+  const { analyte, from, to } = req.query;
+
   try {
-    const [result] = await pool.query("UPDATE lab_tests SET status = 'completed' WHERE id = ? AND patient_user_id = ?", [id, req.user.id]);
-    if (result.affectedRows === 0) return res.status(404).json({ message: "Lab test not found or not authorized" });
-    res.json({ message: "Lab test marked completed" });
+    const patientId = await resolveTrendPatient(req);
+    if (!patientId) return res.status(404).json({ code: "patient_not_found_or_forbidden" });
+    setAuditContext(res, [patientId], null);
+
+    const where = ["lt.patient_user_id = ?", "r.analyte = ?"];
+    const params = [patientId, analyte];
+    if (from) { where.push("lt.test_date >= ?"); params.push(from); }
+    if (to) { where.push("lt.test_date <= ?"); params.push(to); }
+
+    const [rows] = await pool.query(
+      `SELECT r.lab_test_id, lt.test_name, lt.test_date, r.value, r.unit, r.ref_low, r.ref_high, r.flag
+       FROM lab_results r
+       JOIN lab_tests lt ON lt.id = r.lab_test_id
+       WHERE ${where.join(" AND ")}
+       ORDER BY lt.test_date ASC, r.id ASC`,
+      params
+    );
+    res.json({ analyte, patient_user_id: patientId, points: rows.map((r) => ({ ...r, value: Number(r.value) })) });
   } catch (err) {
-    console.error("COMPLETE LAB ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to update lab test" });
+    console.error("GET TREND ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "lab_trend_fetch_failed" });
   }
 });
 
-// Upload/attach report URL for lab test (patient)
-// (If you later add file upload, change to accept multipart and store URL here)
-app.put("/lab-tests/:id/report", authenticateToken, authorizeRoles("patient"), async (req, res) => {
-  const id = Number(req.params.id);
-  const { report_url } = req.body;
-  if (!report_url) return res.status(400).json({ message: "report_url required" });
+// ----------------- Unified calendar events (patients & doctors) -----------------
+// Purpose: allow patients/doctors to create personal calendar notes or link to existing appointment/lab_test entries.
+// GET /calendar/events merges these notes with the user's real appointments (as patient or
+// doctor) and lab tests into one timeline. Every item has the same shape and a color per type.
+
+const CALENDAR_COLORS = {
+  note: "#4F8EF7",
+  appointment: "#2BB673",
+  lab_test: "#F5A623",
+  medication_dose: "#9B59B6",
+  cancelled: "#B0B0B0",
+};
+const CALENDAR_RELATED_TYPES = ["appointment", "lab_test"];
+
+// Convert ?from=YYYY-MM-DD&to=YYYY-MM-DD (to inclusive) into [start, endExclusive) SQL datetimes.
+// Date formats are checked by each route's request schema.
+function calendarRange(query) {
+  const start = query.from ? `${query.from} 00:00:00` : "1000-01-01 00:00:00";
+  let end = "9999-12-31 23:59:59";
+  if (query.to) {
+    const [y, m, d] = query.to.split("-").map(Number);
+    end = formatDateTimeSQL(new Date(y, m - 1, d + 1));
+  }
+  if (query.from && query.to && query.to < query.from) return { error: { code: "date_range_reversed" } };
+  return { start, end };
+}
+
+// Title of an appointment as seen by one of its two participants
+function appointmentTitle(locale, userId, a) {
+  return a.patient_user_id === userId
+    ? i18n.t(locale, "calendar.appointment.with_doctor", { doctor: a.doctor_name })
+    : i18n.t(locale, "calendar.appointment.with_patient", { patient: a.patient_name });
+}
+
+// All calendar items of a user overlapping [start, end); cancelled appointments only when asked.
+// Generated titles are in `locale`.
+async function loadCalendarItems(userId, { start, end, includeCancelled = false, locale = i18n.fallback }) {
+  const duration = Number(APPOINTMENT_DURATION_MINUTES);
+
+  const [notes] = await pool.query(
+    `SELECT id, event_type, related_type, related_id, title, description, start_time, end_time, color
+     FROM calendar_events
+     WHERE user_id = ? AND start_time < ? AND COALESCE(end_time, start_time) >= ?`,
+    [userId, end, start]
+  );
+  const [appointments] = await pool.query(
+    `SELECT a.id, a.scheduled_at, a.status, a.patient_user_id, pu.name AS patient_name, du.name AS doctor_name
+     FROM appointments a
+     JOIN users pu ON pu.id = a.patient_user_id
+     JOIN users du ON du.id = a.doctor_user_id
+     WHERE (a.patient_user_id = ? OR a.doctor_user_id = ?)
+       AND a.scheduled_at < ? AND DATE_ADD(a.scheduled_at, INTERVAL ? MINUTE) > ?
+       ${includeCancelled ? "" : "AND a.status NOT IN (?)"}`,
+    [userId, userId, end, duration, start, ...(includeCancelled ? [] : [CANCELLED_APPOINTMENT_STATUSES])]
+  );
+  const [labTests] = await pool.query(
+    `SELECT id, test_name, test_date, status
+     FROM lab_tests
+     WHERE patient_user_id = ? AND test_date < ? AND DATE_ADD(test_date, INTERVAL 1 DAY) > ?`,
+    [userId, end, start]
+  );
+
+  const items = [
+    ...notes.map((r) => ({
+      id: `ev-${r.id}`,
+      source: "calendar_event",
+      event_type: r.event_type,
+      related_type: r.related_type,
+      related_id: r.related_id,
+      title: r.title,
+      description: r.description,
+      start: r.start_time,
+      end: r.end_time,
+      all_day: false,
+      status: null,
+      color: r.color || CALENDAR_COLORS[r.event_type] || CALENDAR_COLORS.note,
+    })),
+    ...appointments.map((a) => {
+      const cancelled = CANCELLED_APPOINTMENT_STATUSES.includes(a.status);
+      return {
+        id: `appt-${a.id}`,
+        source: "appointment",
+        event_type: "appointment",
+        related_type: "appointment",
+        related_id: a.id,
+        patient_user_id: a.patient_user_id,
+        title: appointmentTitle(locale, userId, a),
+        description: null,
+        start: a.scheduled_at,
+        end: new Date(new Date(a.scheduled_at).getTime() + duration * 60 * 1000),
+        all_day: false,
+        status: a.status,
+        color: cancelled ? CALENDAR_COLORS.cancelled : CALENDAR_COLORS.appointment,
+      };
+    }),
+    ...labTests.map((t) => ({
+      id: `lab-${t.id}`,
+      source: "lab_test",
+      event_type: "lab_test",
+      related_type: "lab_test",
+      related_id: t.id,
+      title: i18n.t(locale, "calendar.lab_test", { test_name: t.test_name }),
+      description: null,
+      start: t.test_date,
+      end: null,
+      all_day: true,
+      status: t.status,
+      color: CALENDAR_COLORS.lab_test,
+    })),
+  ];
+  return items.sort((x, y) => new Date(x.start) - new Date(y.start));
+}
+
+// Audit whose records a calendar response shows: a patient's own (the auditAccess default),
+// or for a doctor the patients of the listed appointments
+function setCalendarAuditContext(res, user, items) {
+  if (user.role !== "doctor") return;
+  setAuditContext(res, items.filter((item) => item.source === "appointment").map((item) => item.patient_user_id), null);
+}
+
+// Timed items of the user overlapping start..end ("YYYY-MM-DD HH:MM:SS"; end may be null
+// for a point in time). `exclude` skips the item being edited: { eventId } or { appointmentId }.
+async function findCalendarConflicts(userId, start, end, exclude = {}, locale = i18n.fallback) {
+  const until = end || start;
+  const duration = Number(APPOINTMENT_DURATION_MINUTES);
+
+  const [events] = await pool.query(
+    `SELECT id, title, start_time, end_time FROM calendar_events
+     WHERE user_id = ? AND id <> ? AND event_type <> 'medication_dose'
+       AND ((start_time < ? AND COALESCE(end_time, start_time) > ?) OR start_time = ?)`,
+    [userId, exclude.eventId || 0, until, start, start]
+  );
+  const [appointments] = await pool.query(
+    `SELECT a.id, a.scheduled_at, a.status, pu.name AS patient_name, du.name AS doctor_name, a.patient_user_id
+     FROM appointments a
+     JOIN users pu ON pu.id = a.patient_user_id
+     JOIN users du ON du.id = a.doctor_user_id
+     WHERE (a.patient_user_id = ? OR a.doctor_user_id = ?) AND a.id <> ? AND a.status IN (?)
+       AND ((a.scheduled_at < ? AND DATE_ADD(a.scheduled_at, INTERVAL ? MINUTE) > ?) OR a.scheduled_at = ?)`,
+    [userId, userId, exclude.appointmentId || 0, ACTIVE_APPOINTMENT_STATUSES, until, duration, start, start]
+  );
+
+  return [
+    ...events.map((e) => ({ id: `ev-${e.id}`, source: "calendar_event", title: e.title, start: e.start_time, end: e.end_time })),
+    ...appointments.map((a) => ({
+      id: `appt-${a.id}`,
+      source: "appointment",
+      patient_user_id: a.patient_user_id,
+      title: appointmentTitle(locale, userId, a),
+      start: a.scheduled_at,
+      end: new Date(new Date(a.scheduled_at).getTime() + duration * 60 * 1000),
+    })),
+  ];
+}
 
+// related_type/related_id must point at an appointment or lab test the user takes part in
+async function validateCalendarRelation(user, relatedType, relatedId) {
+  if (relatedId === undefined || relatedId === null || relatedId === "") {
+    return relatedType ? { code: "calendar_related_id_required" } : null;
+  }
+  if (!CALENDAR_RELATED_TYPES.includes(relatedType)) {
+    return { code: "calendar_related_type_invalid", params: { types: CALENDAR_RELATED_TYPES.join(", ") } };
+  }
+  if (relatedType === "appointment") {
+    const [[row]] = await pool.query(
+      "SELECT id FROM appointments WHERE id = ? AND (patient_user_id = ? OR doctor_user_id = ?) LIMIT 1",
+      [relatedId, user.id, user.id]
+    );
+    return row ? null : { code: "calendar_related_appointment_not_found" };
+  }
+  const [[row]] = await pool.query(
+    "SELECT id FROM lab_tests WHERE id = ? AND (patient_user_id = ? OR ordered_by_doctor_id = ?) LIMIT 1",
+    [relatedId, user.id, user.id]
+  );
+  return row ? null : { code: "calendar_related_lab_test_not_found" };
+}
+
+// Calendar overlaps for a just-booked appointment; never fails the booking itself
+async function appointmentConflicts(userId, scheduledAt, appointmentId, locale) {
   try {
-    const [result] = await pool.query("UPDATE lab_tests SET report_url = ? WHERE id = ? AND patient_user_id = ?", [report_url, id, req.user.id]);
-    if (result.affectedRows === 0) return res.status(404).json({ message: "Lab test not found or not authorized" });
-    res.json({ message: "Report url saved" });
+    const start = new Date(scheduledAt);
+    const end = new Date(start.getTime() + Number(APPOINTMENT_DURATION_MINUTES) * 60 * 1000);
+    return await findCalendarConflicts(userId, formatDateTimeSQL(start), formatDateTimeSQL(end), { appointmentId }, locale);
   } catch (err) {
-    console.error("ATTACH REPORT ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to attach report url" });
+    console.error("APPT CONFLICTS ERR:", err && err.stack ? err.stack : err);
+    return [];
   }
-});
+}
 
-// ----------------- Unified calendar events (patients & doctors) -----------------
-// Purpose: allow patients/doctors to create personal calendar notes or link to existing appointment/lab_test entries.
-// Note: we DO NOT touch existing appointments table; events can reference them via related_type/related_id.
+function conflictWarning(req, conflicts) {
+  return conflicts.length ? req.t("calendar_conflict_warning", { count: conflicts.length }) : undefined;
+}
 
-app.post("/calendar/events", authenticateToken, async (req, res) => {
+app.post("/calendar/events", authenticateToken, auditAccess("calendar"), validateRequest({
+  summary: "Create a calendar event",
+  body: {
+    required: ["title", "start_time"],
+    properties: {
+      title: { type: "string" },
+      start_time: DATETIME_SCHEMA,
+      end_time: DATETIME_SCHEMA,
+      description: { type: "string" },
+      color: { type: "string" },
+      event_type: { type: "string", description: "Defaults to note" },
+      related_type: { type: "string", enum: CALENDAR_RELATED_TYPES },
+      related_id: ID_SCHEMA,
+    },
+  },
+}), async (req, res) => {
   // required: title, start_time (YYYY-MM-DD HH:MM:SS)
   // optional: end_time, description, color, event_type ('note'|'lab_test'|'appointment'), related_type, related_id
   const { title, start_time, end_time, description, color, event_type, related_type, related_id } = req.body;
-  if (!title || !start_time) {
-    return res.status(400).json({ message: "title and start_time (YYYY-MM-DD HH:MM:SS) required" });
-  }
-  if (!validateDateTimeSQL(start_time) || (end_time && !validateDateTimeSQL(end_time))) {
-    return res.status(400).json({ message: "start_time/end_time must be in YYYY-MM-DD HH:MM:SS format" });
+  if (end_time && end_time < start_time) {
+    return res.status(400).json({ code: "time_range_invalid" });
   }
 
   try {
+    const relationError = await validateCalendarRelation(req.user, related_type, related_id);
+    if (relationError) return res.status(400).json(relationError);
+
+    const conflicts = await findCalendarConflicts(req.user.id, start_time, end_time || null, {}, req.locale);
     const [result] = await pool.query(
       `INSERT INTO calendar_events (user_id, event_type, related_type, related_id, title, description, start_time, end_time, color, created_at)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
       [req.user.id, event_type || "note", related_type || null, related_id || null, title, description || null, start_time, end_time || null, color || null]
     );
-    res.status(201).json({ id: result.insertId, message: "Event created" });
+    setCalendarAuditContext(res, req.user, conflicts);
+    res.status(201).json({ id: result.insertId, code: "calendar_event_created", conflicts, warning: conflictWarning(req, conflicts) });
   } catch (err) {
     console.error("CREATE EVENT ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to create event" });
+    res.status(500).json({ code: "calendar_event_create_failed" });
   }
 });
 
-// Get calendar events for logged-in user (both roles)
-app.get("/calendar/events", authenticateToken, async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      `SELECT id, event_type, related_type, related_id, title, description, start_time, end_time, color FROM calendar_events WHERE user_id = ? ORDER BY start_time ASC`,
-      [req.user.id]
-    );
+// Get the unified calendar for logged-in user (both roles)
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD limits the range; ?include_cancelled=1 keeps cancelled appointments
+app.get("/calendar/events", authenticateToken, auditAccess("calendar"), validateRequest({
+  summary: "Unified calendar of the current user",
+  query: {
+    properties: {
+      from: DATE_SCHEMA,
+      to: DATE_SCHEMA,
+      include_cancelled: { type: "boolean", description: "Keep cancelled appointments" },
+    },
+  },
+}), async (req, res) => {
+  const range = calendarRange(req.query);
+  if (range.error) return res.status(400).json(range.error);
+  const includeCancelled = req.query.include_cancelled === "1" || req.query.include_cancelled === "true";
 
-    // simple shape for FE
-    const events = rows.map((r) => ({
-      id: `ev-${r.id}`,
-      event_type: r.event_type,
-      related_type: r.related_type,
-      related_id: r.related_id,
-      title: r.title,
-      description: r.description,
-      start: r.start_time,
-      end: r.end_time,
-      color: r.color,
-    }));
-    res.json(events);
+  try {
+    const items = await loadCalendarItems(req.user.id, { ...range, includeCancelled, locale: req.locale });
+    setCalendarAuditContext(res, req.user, items);
+    res.json(items);
   } catch (err) {
     console.error("GET EVENTS ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to fetch events" });
+    res.status(500).json({ code: "calendar_events_fetch_failed" });
   }
 });
 
 // Update an event (owner only)
-app.put("/calendar/events/:id", authenticateToken, async (req, res) => {
+app.put("/calendar/events/:id", authenticateToken, auditAccess("calendar"), validateRequest({
+  summary: "Update a calendar event",
+  params: idParams("id"),
+  body: {
+    properties: {
+      title: { type: "string" },
+      description: { type: "string", nullable: true },
+      start_time: DATETIME_SCHEMA,
+      end_time: { ...DATETIME_SCHEMA, nullable: true },
+      color: { type: "string", nullable: true },
+    },
+  },
+}), async (req, res) => {
   const id = Number(req.params.id);
   const { title, description, start_time, end_time, color } = req.body;
   // allow partial updates
@@ -736,46 +6205,571 @@ app.put("/calendar/events/:id", authenticateToken, async (req, res) => {
   if (title !== undefined) { updates.push("title = ?"); params.push(title); }
   if (description !== undefined) { updates.push("description = ?"); params.push(description); }
   if (start_time !== undefined) {
-    if (!validateDateTimeSQL(start_time)) return res.status(400).json({ message: "start_time format invalid" });
     updates.push("start_time = ?"); params.push(start_time);
   }
   if (end_time !== undefined) {
-    if (end_time && !validateDateTimeSQL(end_time)) return res.status(400).json({ message: "end_time format invalid" });
     updates.push("end_time = ?"); params.push(end_time);
   }
   if (color !== undefined) { updates.push("color = ?"); params.push(color); }
 
-  if (updates.length === 0) return res.status(400).json({ message: "No fields to update" });
+  if (updates.length === 0) return res.status(400).json({ code: "nothing_to_update" });
 
   try {
     // ensure ownership
-    const [[ownerRow]] = await pool.query("SELECT user_id FROM calendar_events WHERE id = ? LIMIT 1", [id]);
-    if (!ownerRow) return res.status(404).json({ message: "Event not found" });
-    if (ownerRow.user_id !== req.user.id) return res.status(403).json({ message: "Not authorized to edit this event" });
+    const [[ownerRow]] = await pool.query("SELECT user_id, event_type, start_time, end_time FROM calendar_events WHERE id = ? LIMIT 1", [id]);
+    if (!ownerRow) return res.status(404).json({ code: "calendar_event_not_found" });
+    if (ownerRow.user_id !== req.user.id) return res.status(403).json({ code: "calendar_event_edit_forbidden" });
+    if (ownerRow.event_type === MEDICATION_DOSE_EVENT) {
+      return res.status(409).json({ code: "dose_event_managed_by_schedule" });
+    }
+
+    let conflicts = [];
+    if (start_time !== undefined || end_time !== undefined) {
+      const newStart = start_time !== undefined ? start_time : formatDateTimeSQL(new Date(ownerRow.start_time));
+      const newEnd = end_time !== undefined
+        ? end_time || null
+        : ownerRow.end_time ? formatDateTimeSQL(new Date(ownerRow.end_time)) : null;
+      if (newEnd && newEnd < newStart) return res.status(400).json({ code: "time_range_invalid" });
+      conflicts = await findCalendarConflicts(req.user.id, newStart, newEnd, { eventId: id }, req.locale);
+    }
 
     params.push(id);
     const sql = `UPDATE calendar_events SET ${updates.join(", ")} WHERE id = ?`;
     await pool.query(sql, params);
-    res.json({ message: "Event updated" });
+    setCalendarAuditContext(res, req.user, conflicts);
+    res.json({ code: "calendar_event_updated", conflicts, warning: conflictWarning(req, conflicts) });
   } catch (err) {
     console.error("UPDATE EVENT ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to update event" });
+    res.status(500).json({ code: "calendar_event_update_failed" });
   }
 });
 
 // Delete an event (owner only)
-app.delete("/calendar/events/:id", authenticateToken, async (req, res) => {
+app.delete("/calendar/events/:id", authenticateToken, auditAccess("calendar"), validateRequest({ summary: "Delete a calendar event", params: idParams("id") }), async (req, res) => {
   const id = Number(req.params.id);
   try {
-    const [[ownerRow]] = await pool.query("SELECT user_id FROM calendar_events WHERE id = ? LIMIT 1", [id]);
-    if (!ownerRow) return res.status(404).json({ message: "Event not found" });
-    if (ownerRow.user_id !== req.user.id) return res.status(403).json({ message: "Not authorized to delete this event" });
+    const [[ownerRow]] = await pool.query("SELECT user_id, event_type FROM calendar_events WHERE id = ? LIMIT 1", [id]);
+    if (!ownerRow) return res.status(404).json({ code: "calendar_event_not_found" });
+    if (ownerRow.user_id !== req.user.id) return res.status(403).json({ code: "calendar_event_delete_forbidden" });
+    if (ownerRow.event_type === MEDICATION_DOSE_EVENT) {
+      return res.status(409).json({ code: "dose_event_managed_by_schedule" });
+    }
 
     await pool.query("DELETE FROM calendar_events WHERE id = ?", [id]);
-    res.json({ message: "Event deleted" });
+    res.json({ code: "calendar_event_deleted" });
   } catch (err) {
     console.error("DELETE EVENT ERR:", err && err.stack ? err.stack : err);
-    res.status(500).json({ message: "Failed to delete event" });
+    res.status(500).json({ code: "calendar_event_delete_failed" });
+  }
+});
+
+// ----------------- iCalendar export, subscription feed & import -----------------
+// Each user can create one secret feed URL (/calendar/feed/<token>.ics) for Google/Apple
+// calendar subscriptions. Only the token's hash is stored; creating a new one or calling
+// DELETE /calendar/feed revokes the previous URL. UIDs are derived from table + row id
+// so calendar apps update entries in place instead of duplicating them.
+
+const ICS_MAX_BYTES = 1024 * 1024;
+const uploadIcsFile = withUploadErrors(
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: ICS_MAX_BYTES, files: 1 } }).single("file"),
+  ICS_MAX_BYTES
+);
+
+// Build iCalendar events from the user's unified calendar (see loadCalendarItems); exports
+// cover all time and keep cancelled appointments so subscribed calendars drop them
+const ICAL_UID_PREFIX = { calendar_event: "calendar-event", appointment: "appointment", lab_test: "lab-test" };
+
+function loadIcalItems(userId, locale) {
+  return loadCalendarItems(userId, { ...calendarRange({}), includeCancelled: true, locale });
+}
+
+function toIcalEvents(items, locale) {
+  return items.map((item) => {
+    const rowId = item.source === "calendar_event" ? item.id.slice("ev-".length) : item.related_id;
+    const ev = {
+      uid: `${ICAL_UID_PREFIX[item.source]}-${rowId}@${ICAL_UID_DOMAIN}`,
+      summary: item.title,
+      description: item.status ? [item.description, i18n.t(locale, "calendar.ical.status", { status: item.status })].filter(Boolean).join("\n") : item.description,
+    };
+    if (item.all_day) return { ...ev, start: formatDateISO(new Date(item.start)), allDay: true };
+    return {
+      ...ev,
+      start: new Date(item.start),
+      end: item.end ? new Date(item.end) : null,
+      status: item.source === "appointment"
+        ? CANCELLED_APPOINTMENT_STATUSES.includes(item.status) ? "CANCELLED" : "CONFIRMED"
+        : undefined,
+    };
+  });
+}
+
+function sendIcal(res, body, filename) {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  res.setHeader("Cache-Control", "private, no-cache");
+  res.send(body);
+}
+
+// Create (or replace) the user's secret feed URL
+app.post("/calendar/feed", authenticateToken, async (req, res) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(
+      "UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+      [req.user.id]
+    );
+    await conn.query(
+      "INSERT INTO calendar_feed_tokens (user_id, token_hash, created_at) VALUES (?, ?, NOW())",
+      [req.user.id, hashToken(token)]
+    );
+    await conn.commit();
+    res.status(201).json({
+      url: `${req.protocol}://${req.get("host")}/calendar/feed/${token}.ics`,
+      code: "calendar_feed_created",
+    });
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    console.error("CREATE FEED ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "calendar_feed_create_failed" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Revoke the user's feed URL
+app.delete("/calendar/feed", authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+      [req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ code: "calendar_feed_none" });
+    res.json({ code: "calendar_feed_revoked" });
+  } catch (err) {
+    console.error("REVOKE FEED ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "calendar_feed_revoke_failed" });
+  }
+});
+
+// Public subscription URL: the secret token is the only credential. The feed's owner is
+// recorded as the reader in the audit log.
+app.get("/calendar/feed/:token.ics", auditAccess("calendar"), validateRequest({
+  summary: "iCalendar subscription feed (the secret token is the credential)",
+  params: { required: ["token"], properties: { token: { type: "string" } } },
+}), async (req, res) => {
+  try {
+    const [[feed]] = await pool.query(
+      `SELECT f.id, f.user_id, u.name, u.role, u.locale
+       FROM calendar_feed_tokens f
+       JOIN users u ON u.id = f.user_id
+       WHERE f.token_hash = ? AND f.revoked_at IS NULL LIMIT 1`,
+      [hashToken(req.params.token)]
+    );
+    if (!feed) return res.status(404).json({ code: "calendar_feed_not_found" });
+
+    await pool.query("UPDATE calendar_feed_tokens SET last_fetched_at = NOW() WHERE id = ?", [feed.id]);
+    req.user = { id: feed.user_id, role: feed.role };
+    // calendar apps fetch the feed without the owner's headers: use the language they saved
+    const locale = i18n.locales.includes(feed.locale) ? feed.locale : req.locale;
+    const items = await loadIcalItems(feed.user_id, locale);
+    setCalendarAuditContext(res, req.user, items);
+    const name = i18n.t(locale, "calendar.ical.feed_name", { name: feed.name });
+    sendIcal(res, buildCalendar({ name, events: toIcalEvents(items, locale) }), "calendar.ics");
+  } catch (err) {
+    console.error("FEED ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "calendar_feed_build_failed" });
+  }
+});
+
+// One-off .ics download for the logged-in user
+app.get("/calendar/export.ics", authenticateToken, auditAccess("calendar"), async (req, res) => {
+  try {
+    const items = await loadIcalItems(req.user.id, req.locale);
+    setCalendarAuditContext(res, req.user, items);
+    sendIcal(res, buildCalendar({ name: req.t("calendar.ical.name"), events: toIcalEvents(items, req.locale) }), "calendar.ics");
+  } catch (err) {
+    console.error("EXPORT ICS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "calendar_export_failed" });
+  }
+});
+
+// Import personal notes from an .ics file (multipart field "file").
+// Events already imported (same UID) are skipped; events with impossible dates or an end
+// before their start are not imported and are listed in `invalid` with the reason.
+app.post("/calendar/import", authenticateToken, auditAccess("calendar"), uploadIcsFile, validateRequest({
+  summary: "Import personal notes from an .ics file",
+  multipart: true,
+  body: { properties: { file: { type: "string", format: "binary" } } },
+}), async (req, res) => {
+  if (!req.file) return res.status(400).json({ code: "ics_file_required" });
+
+  const text = req.file.buffer.toString("utf8");
+  if (!/^BEGIN:VCALENDAR/m.test(text)) return res.status(400).json({ code: "ics_file_invalid" });
+
+  const { events: parsed, invalid } = parseCalendar(text);
+  if (parsed.length === 0) {
+    if (invalid.length) return res.status(400).json({ code: "ics_events_invalid", params: { count: invalid.length }, invalid });
+    return res.status(400).json({ code: "ics_file_empty" });
+  }
+
+  try {
+    const values = parsed.map((ev) => [
+      req.user.id,
+      "note",
+      "ics_import",
+      (ev.summary || req.t("calendar.untitled")).slice(0, 255),
+      ev.description,
+      ev.start,
+      ev.end,
+      ev.uid ? ev.uid.slice(0, 255) : null,
+    ]);
+    const [result] = await pool.query(
+      `INSERT INTO calendar_events (user_id, event_type, related_type, title, description, start_time, end_time, external_uid)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE id = id`,
+      [values]
+    );
+    res.status(201).json({ imported: result.affectedRows, skipped: parsed.length - result.affectedRows, invalid });
+  } catch (err) {
+    console.error("IMPORT ICS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "calendar_import_failed" });
+  }
+});
+
+// ----------------- Reminders (outbox + delivery channels) -----------------
+// A background cycle (runReminderCycle) does three things:
+//   1. plans reminders into reminder_outbox: 24h and 1h before active appointments and
+//      the morning of pending lab tests, one row per enabled channel of the user;
+//   2. cancels pending rows whose appointment was cancelled or moved (target_at changed);
+//   3. sends due rows through channels.js, deferring during the user's quiet hours and
+//      retrying failures with exponential backoff up to REMINDER_MAX_ATTEMPTS.
+// Users control channels, contact details and quiet hours in notification_preferences.
+
+const REMINDER_CHANNELS = ["sms", "email", "push"];
+const APPOINTMENT_REMINDERS = [
+  { kind: "appointment_24h", minutesBefore: 24 * 60 },
+  { kind: "appointment_1h", minutesBefore: 60 },
+];
+const REMINDER_GRACE_MINUTES = 15;
+
+// Preferences with defaults for users who never saved any (email on, others off)
+async function loadNotificationPreferences(userId) {
+  const [[row]] = await pool.query(
+    `SELECT u.email, np.sms_enabled, np.email_enabled, np.push_enabled, np.phone, np.push_token,
+            np.quiet_start, np.quiet_end
+     FROM users u
+     LEFT JOIN notification_preferences np ON np.user_id = u.id
+     WHERE u.id = ? LIMIT 1`,
+    [userId]
+  );
+  if (!row) return null;
+  return {
+    sms_enabled: row.sms_enabled == null ? false : !!row.sms_enabled,
+    email_enabled: row.email_enabled == null ? true : !!row.email_enabled,
+    push_enabled: row.push_enabled == null ? false : !!row.push_enabled,
+    phone: row.phone || null,
+    push_token: row.push_token || null,
+    email: row.email || null,
+    quiet_start: row.quiet_start ? String(row.quiet_start).slice(0, 5) : null,
+    quiet_end: row.quiet_end ? String(row.quiet_end).slice(0, 5) : null,
+  };
+}
+
+function reminderRecipient(prefs, channel) {
+  if (channel === "sms") return prefs.sms_enabled ? prefs.phone : null;
+  if (channel === "email") return prefs.email_enabled ? prefs.email : null;
+  return prefs.push_enabled ? prefs.push_token : null;
+}
+
+// If `at` falls inside quiet hours (window may wrap midnight), return when they end; else null
+function quietHoursEnd(at, quietStart, quietEnd) {
+  if (!quietStart || !quietEnd || quietStart === quietEnd) return null;
+  const minute = at.getHours() * 60 + at.getMinutes();
+  const start = toMinutes(quietStart);
+  const end = toMinutes(quietEnd);
+  const inside = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  if (!inside) return null;
+  const endDate = new Date(at.getFullYear(), at.getMonth(), at.getDate(), Math.floor(end / 60), end % 60, 0);
+  if (endDate <= at) endDate.setDate(endDate.getDate() + 1);
+  return endDate;
+}
+
+// Queue one reminder per enabled channel; duplicates are ignored by the unique key. Subject
+// and body are reminder.* message codes rendered in the user's language.
+async function queueReminder(userId, { kind, relatedType, relatedId, targetAt, sendAt, message }) {
+  const prefs = await loadNotificationPreferences(userId);
+  if (!prefs) return 0;
+  const locale = await userLocale(pool, userId);
+  const subject = i18n.t(locale, message.subject, message.params);
+  const body = i18n.t(locale, message.body, message.params);
+  const rows = REMINDER_CHANNELS.filter((ch) => reminderRecipient(prefs, ch)).map((ch) => [
+    userId, ch, kind, relatedType, relatedId, targetAt, sendAt, subject, body,
+  ]);
+  if (rows.length === 0) return 0;
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO reminder_outbox (user_id, channel, kind, related_type, related_id, target_at, send_at, subject, body)
+     VALUES ?`,
+    [rows]
+  );
+  return result.affectedRows;
+}
+
+async function planReminders() {
+  let queued = 0;
+  const graceMs = REMINDER_GRACE_MINUTES * 60 * 1000;
+
+  const [appointments] = await pool.query(
+    `SELECT a.id, a.patient_user_id, a.scheduled_at, du.name AS doctor_name
+     FROM appointments a
+     JOIN users du ON du.id = a.doctor_user_id
+     WHERE a.status IN (?) AND a.scheduled_at > NOW() AND a.scheduled_at <= DATE_ADD(NOW(), INTERVAL 25 HOUR)`,
+    [ACTIVE_APPOINTMENT_STATUSES]
+  );
+  for (const a of appointments) {
+    const target = new Date(a.scheduled_at);
+    for (const r of APPOINTMENT_REMINDERS) {
+      const sendAt = new Date(target.getTime() - r.minutesBefore * 60 * 1000);
+      if (sendAt.getTime() < Date.now() - graceMs) continue; // booked too late for this one
+      queued += await queueReminder(a.patient_user_id, {
+        kind: r.kind,
+        relatedType: "appointment",
+        relatedId: a.id,
+        targetAt: formatDateTimeSQL(target),
+        sendAt: formatDateTimeSQL(sendAt),
+        message: {
+          subject: "reminder.appointment.subject",
+          body: "reminder.appointment.body",
+          params: { doctor: a.doctor_name, when: target },
+        },
+      });
+    }
+  }
+
+  const [labTests] = await pool.query(
+    `SELECT id, patient_user_id, test_name, test_date
+     FROM lab_tests
+     WHERE status = 'pending' AND test_date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 1 DAY)`
+  );
+  for (const t of labTests) {
+    const day = new Date(t.test_date);
+    const sendAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Number(REMINDER_LAB_HOUR), 0, 0);
+    if (sendAt.getTime() < Date.now() - graceMs) continue;
+    queued += await queueReminder(t.patient_user_id, {
+      kind: "lab_test_morning",
+      relatedType: "lab_test",
+      relatedId: t.id,
+      // tests have a date but no time: the reminder stays useful (and can wait out quiet
+      // hours) until the end of that day
+      targetAt: `${formatDateISO(day)} 23:59:59`,
+      sendAt: formatDateTimeSQL(sendAt),
+      message: { subject: "reminder.lab_test.subject", body: "reminder.lab_test.body", params: { test_name: t.test_name } },
+    });
+  }
+
+  // medication doses coming up in the next REMINDER_INTERVAL window (plus grace), not yet logged
+  const [doses] = await pool.query(
+    `SELECT ce.id, ce.user_id, ce.start_time, ms.drug, ms.dose
+     FROM calendar_events ce
+     JOIN medication_schedules ms ON ms.id = ce.related_id
+     LEFT JOIN medication_dose_logs l ON l.schedule_id = ce.related_id AND l.scheduled_for = ce.start_time
+     WHERE ce.event_type = ? AND l.id IS NULL
+       AND ce.start_time BETWEEN DATE_SUB(NOW(), INTERVAL ? MINUTE) AND DATE_ADD(NOW(), INTERVAL 2 HOUR)`,
+    [MEDICATION_DOSE_EVENT, REMINDER_GRACE_MINUTES]
+  );
+  for (const d of doses) {
+    const target = formatDateTimeSQL(new Date(d.start_time));
+    queued += await queueReminder(d.user_id, {
+      kind: "medication_dose",
+      relatedType: "medication_dose",
+      relatedId: d.id,
+      targetAt: target,
+      sendAt: target,
+      message: {
+        subject: "reminder.medication.subject",
+        body: "reminder.medication.body",
+        params: { drug: d.drug, dose: d.dose, when: target },
+      },
+    });
+  }
+  return queued;
+}
+
+// Pending reminders for appointments that were cancelled or moved, and for doses that were
+// already logged or removed, are dropped
+async function cancelStaleReminders() {
+  const [result] = await pool.query(
+    `UPDATE reminder_outbox r
+     LEFT JOIN appointments a ON r.related_type = 'appointment' AND a.id = r.related_id
+     LEFT JOIN lab_tests lt ON r.related_type = 'lab_test' AND lt.id = r.related_id
+     LEFT JOIN calendar_events ce ON r.related_type = 'medication_dose' AND ce.id = r.related_id
+     LEFT JOIN medication_dose_logs ml ON ml.schedule_id = ce.related_id AND ml.scheduled_for = ce.start_time
+     SET r.status = 'cancelled'
+     WHERE r.status = 'pending' AND (
+       (r.related_type = 'appointment' AND (a.id IS NULL OR a.status NOT IN (?) OR a.scheduled_at <> r.target_at))
+       OR (r.related_type = 'lab_test' AND (lt.id IS NULL OR lt.status <> 'pending' OR lt.test_date <> DATE(r.target_at)))
+       OR (r.related_type = 'medication_dose' AND (ce.id IS NULL OR ml.id IS NOT NULL))
+     )`,
+    [ACTIVE_APPOINTMENT_STATUSES]
+  );
+  return result.affectedRows;
+}
+
+async function deliverDueReminders() {
+  const [due] = await pool.query(
+    `SELECT * FROM reminder_outbox
+     WHERE status = 'pending' AND send_at <= NOW() AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+     ORDER BY send_at ASC
+     LIMIT 50`
+  );
+
+  let sent = 0;
+  for (const r of due) {
+    // claim the row so overlapping cycles never send twice
+    const [claim] = await pool.query(
+      "UPDATE reminder_outbox SET status = 'sending', claimed_at = NOW() WHERE id = ? AND status = 'pending'",
+      [r.id]
+    );
+    if (claim.affectedRows === 0) continue;
+
+    try {
+      const prefs = await loadNotificationPreferences(r.user_id);
+      const to = prefs && reminderRecipient(prefs, r.channel);
+      if (!to) {
+        await pool.query("UPDATE reminder_outbox SET status = 'skipped', last_error = 'channel disabled' WHERE id = ?", [r.id]);
+        continue;
+      }
+
+      const resumeAt = quietHoursEnd(new Date(), prefs.quiet_start, prefs.quiet_end);
+      if (resumeAt) {
+        const tooLate = resumeAt >= new Date(r.target_at);
+        await pool.query(
+          tooLate
+            ? "UPDATE reminder_outbox SET status = 'skipped', last_error = 'quiet hours' WHERE id = ?"
+            : "UPDATE reminder_outbox SET status = 'pending', next_attempt_at = ? WHERE id = ?",
+          tooLate ? [r.id] : [formatDateTimeSQL(resumeAt), r.id]
+        );
+        continue;
+      }
+
+      const result = await channels[r.channel].send({
+        to,
+        subject: r.subject,
+        body: r.body,
+        meta: { reminder_id: r.id, kind: r.kind, related_type: r.related_type, related_id: r.related_id },
+      });
+      await pool.query(
+        "UPDATE reminder_outbox SET status = 'sent', sent_at = NOW(), provider_message_id = ?, attempts = attempts + 1 WHERE id = ?",
+        [result && result.id ? String(result.id) : null, r.id]
+      );
+      sent++;
+    } catch (err) {
+      const attempts = r.attempts + 1;
+      const giveUp = attempts >= Number(REMINDER_MAX_ATTEMPTS);
+      await pool.query(
+        `UPDATE reminder_outbox
+         SET status = ?, attempts = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE id = ?`,
+        [giveUp ? "failed" : "pending", attempts, String((err && err.message) || err).slice(0, 500), 2 ** attempts, r.id]
+      );
+      console.error("REMINDER SEND ERR:", r.id, err && err.message ? err.message : err);
+    }
+  }
+  return sent;
+}
+
+async function runReminderCycle() {
+  // rows left in 'sending' by a crashed process go back to the queue
+  await pool.query(
+    "UPDATE reminder_outbox SET status = 'pending' WHERE status = 'sending' AND claimed_at < DATE_SUB(NOW(), INTERVAL 10 MINUTE)"
+  );
+  const cancelled = await cancelStaleReminders();
+  const queued = await planReminders();
+  const sent = await deliverDueReminders();
+  return { queued, cancelled, sent };
+}
+
+// Current user's notification preferences
+app.get("/notification-preferences", authenticateToken, async (req, res) => {
+  try {
+    const prefs = await loadNotificationPreferences(req.user.id);
+    if (!prefs) return res.status(404).json({ code: "user_not_found" });
+    res.json(prefs);
+  } catch (err) {
+    console.error("GET PREFS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "notification_preferences_fetch_failed" });
+  }
+});
+
+// Update preferences (partial). body: { sms_enabled, email_enabled, push_enabled, phone, push_token,
+// quiet_start: "HH:MM" | null, quiet_end: "HH:MM" | null }
+app.put("/notification-preferences", authenticateToken, validateRequest({
+  summary: "Update reminder channels and quiet hours",
+  body: {
+    properties: {
+      sms_enabled: { type: "boolean" },
+      email_enabled: { type: "boolean" },
+      push_enabled: { type: "boolean" },
+      phone: { type: "string", nullable: true },
+      push_token: { type: "string", nullable: true },
+      quiet_start: { ...TIME_SCHEMA, nullable: true },
+      quiet_end: { ...TIME_SCHEMA, nullable: true },
+    },
+  },
+}), async (req, res) => {
+  const b = req.body;
+  for (const f of ["sms_enabled", "email_enabled", "push_enabled"]) {
+    if (b[f] !== undefined && typeof b[f] !== "boolean") return res.status(400).json({ code: "field_boolean", params: { field: f } });
+  }
+  for (const f of ["quiet_start", "quiet_end"]) {
+    if (b[f] !== undefined && b[f] !== null && !validateTimeHM(b[f])) return res.status(400).json({ code: "field_time_or_null", params: { field: f } });
+  }
+  if ((b.quiet_start === undefined) !== (b.quiet_end === undefined)) {
+    return res.status(400).json({ code: "quiet_hours_pair_required" });
+  }
+
+  try {
+    const current = await loadNotificationPreferences(req.user.id);
+    if (!current) return res.status(404).json({ code: "user_not_found" });
+    const next = { ...current };
+    for (const f of ["sms_enabled", "email_enabled", "push_enabled", "phone", "push_token", "quiet_start", "quiet_end"]) {
+      if (b[f] !== undefined) next[f] = b[f];
+    }
+    if (next.sms_enabled && !next.phone) return res.status(400).json({ code: "sms_phone_required" });
+    if (next.push_enabled && !next.push_token) return res.status(400).json({ code: "push_token_required" });
+
+    await pool.query(
+      `INSERT INTO notification_preferences (user_id, sms_enabled, email_enabled, push_enabled, phone, push_token, quiet_start, quiet_end, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE sms_enabled = VALUES(sms_enabled), email_enabled = VALUES(email_enabled),
+         push_enabled = VALUES(push_enabled), phone = VALUES(phone), push_token = VALUES(push_token),
+         quiet_start = VALUES(quiet_start), quiet_end = VALUES(quiet_end), updated_at = NOW()`,
+      [req.user.id, next.sms_enabled, next.email_enabled, next.push_enabled, next.phone, next.push_token, next.quiet_start, next.quiet_end]
+    );
+    res.json({ code: "notification_preferences_saved", ...next });
+  } catch (err) {
+    console.error("SAVE PREFS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "notification_preferences_save_failed" });
+  }
+});
+
+// Current user's reminders (upcoming and recently sent), newest first
+app.get("/reminders/me", authenticateToken, auditAccess("reminder"), validateRequest({ summary: "My reminders", query: { properties: PAGINATION_QUERY } }), async (req, res) => {
+  const { page, limit, offset } = parsePagination(req.query);
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, channel, kind, related_type, related_id, target_at, send_at, status, attempts, sent_at, last_error
+       FROM reminder_outbox
+       WHERE user_id = ?
+       ORDER BY send_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [req.user.id, limit, offset]
+    );
+    res.json({ data: rows, page, limit });
+  } catch (err) {
+    console.error("GET REMINDERS ERR:", err && err.stack ? err.stack : err);
+    res.status(500).json({ code: "reminders_fetch_failed" });
   }
 });
 
@@ -784,4 +6778,21 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization'],
   methods: ['GET','POST','PUT','DELETE','OPTIONS']
 }));
-app.use(express.json());
\ No newline at end of file
+app.use(express.json());
+
+// ----------------- Fallback & error handling -----------------
+// Must stay last: unknown routes and errors raised outside the handlers (malformed JSON,
+// oversized bodies, anything thrown) get the same error envelope as every other response.
+app.use((req, res) => {
+  res.status(404).json({ code: "route_not_found", params: { method: req.method, path: req.path } });
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ code: "invalid_json" });
+  }
+  if (err.type === "entity.too.large") return res.status(413).json({ code: "payload_too_large" });
+  console.error("UNHANDLED ERR:", err && err.stack ? err.stack : err);
+  res.status(500).json({ code: "server_error" });
+});
@@ -0,0 +1,137 @@
+// signaling.js
+// WebSocket signaling for video consultations. The media itself flows peer-to-peer over
+// WebRTC; this only relays the offer/answer/ICE messages between the two participants of
+// a room and tells each side when the other joins or leaves.
+//
+// attachSignaling(server, { path, authorize, onJoin, onLeave }) -> { close() }
+//   authorize(token)        -> Promise<{ roomId, userId, role, ... } | null>
+//   onJoin(participant)     -> Promise<any>   (result is handed back to onLeave)
+//   onLeave(participant, joinResult)
+//
+// Client -> server: { type: "offer" | "answer" | "ice-candidate" | "hangup", payload }
+// Server -> client: { type: "joined", peers } | { type: "peer-joined" | "peer-left", user_id, role }
+//                   | relayed messages with { type, from, payload } | { type: "error", message }
+
+import { WebSocketServer } from "ws";
+
+const RELAYED_TYPES = ["offer", "answer", "ice-candidate", "hangup"];
+const PING_INTERVAL_MS = 30_000;
+
+export function attachSignaling(server, { path = "/ws/consultation", authorize, onJoin, onLeave }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+  const rooms = new Map(); // roomId -> Map<userId, socket>
+
+  function send(socket, message) {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  }
+
+  function others(room, userId) {
+    return [...room.entries()].filter(([id]) => id !== userId).map(([, socket]) => socket);
+  }
+
+  function join(socket, participant) {
+    const { roomId, userId, role } = participant;
+    let room = rooms.get(roomId);
+    if (!room) rooms.set(roomId, (room = new Map()));
+
+    // the same user joining again (new tab/device) replaces the old connection
+    const previous = room.get(userId);
+    if (previous) previous.close(4000, "Joined from another connection");
+    room.set(userId, socket);
+    socket.participant = participant;
+    socket.isAlive = true;
+
+    send(socket, {
+      type: "joined",
+      room: roomId,
+      peers: others(room, userId).map((s) => ({ user_id: s.participant.userId, role: s.participant.role })),
+    });
+    for (const peer of others(room, userId)) send(peer, { type: "peer-joined", user_id: userId, role });
+
+    const joined = Promise.resolve()
+      .then(() => onJoin(participant))
+      .catch((err) => console.error("SIGNALING JOIN ERR:", err && err.stack ? err.stack : err));
+
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    socket.on("message", (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return send(socket, { type: "error", message: "Messages must be JSON" });
+      }
+      if (!message || !RELAYED_TYPES.includes(message.type)) {
+        return send(socket, { type: "error", message: `type must be one of ${RELAYED_TYPES.join(", ")}` });
+      }
+      for (const peer of others(room, userId)) send(peer, { type: message.type, from: userId, payload: message.payload });
+    });
+
+    socket.on("close", () => {
+      if (room.get(userId) === socket) {
+        room.delete(userId);
+        for (const peer of others(room, userId)) send(peer, { type: "peer-left", user_id: userId, role });
+      }
+      if (room.size === 0) rooms.delete(roomId);
+      joined
+        .then((result) => onLeave(participant, result))
+        .catch((err) => console.error("SIGNALING LEAVE ERR:", err && err.stack ? err.stack : err));
+    });
+  }
+
+  function refuse(socket, status) {
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+  }
+
+  // this is the server's only upgrade listener, so anything else is answered and closed
+  // rather than left hanging
+  async function handleUpgrade(req, socket, head) {
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch {
+      return refuse(socket, "400 Bad Request");
+    }
+    if (url.pathname !== path) return refuse(socket, "404 Not Found");
+
+    let participant = null;
+    try {
+      participant = await authorize(url.searchParams.get("token"));
+    } catch (err) {
+      console.error("SIGNALING AUTH ERR:", err && err.stack ? err.stack : err);
+    }
+    if (!participant) return refuse(socket, "401 Unauthorized");
+    wss.handleUpgrade(req, socket, head, (ws) => join(ws, participant));
+  }
+
+  server.on("upgrade", (req, socket, head) => {
+    handleUpgrade(req, socket, head).catch((err) => {
+      console.error("SIGNALING UPGRADE ERR:", err && err.stack ? err.stack : err);
+      if (!socket.destroyed) refuse(socket, "500 Internal Server Error");
+    });
+  });
+
+  // drop connections whose peer vanished without a close frame
+  const pinger = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, PING_INTERVAL_MS);
+  pinger.unref();
+
+  return {
+    close() {
+      clearInterval(pinger);
+      for (const socket of wss.clients) socket.close(1001, "Server shutting down");
+      wss.close();
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// storage.js
+// File storage for uploaded documents (lab reports, attachments).
+// Only a local-disk driver exists today; an object-storage driver just needs to
+// implement the same three methods and be selected through STORAGE_DRIVER.
+//
+//   save(key, buffer)       -> Promise<void>
+//   createReadStream(key)   -> Readable
+//   remove(key)             -> Promise<void> (no error if missing)
+//
+// Keys are generated by the server (never taken from the client) and look like
+// "lab-tests/12/3f2c...e1.pdf".
+
+import fs from "fs";
+import path from "path";
+
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function resolveKey(key) {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  }
+
+  return {
+    async save(key, buffer) {
+      const full = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.writeFile(full, buffer, { flag: "wx" });
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+export function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || "local";
+  if (driver === "local") return createLocalStorage(env.STORAGE_DIR || "./uploads");
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
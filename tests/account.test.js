@@ -0,0 +1,281 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+const admin = { id: 1, email: "admin@example.com", role: "admin" };
+
+const PASSWORD = "correct horse battery";
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "account-"));
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), "account-outbox-"));
+const sentEmails = () => {
+  const file = path.join(outboxDir, "email.log");
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line)) : [];
+};
+const txLog = (db) => db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql);
+const hoursFromNow = (h) => new Date(Date.now() + h * 60 * 60 * 1000);
+
+// the users row the profile routes read before confirming the caller's identity
+const account = (db, user, fields = {}) =>
+  db.on(/FROM users WHERE id = \? LIMIT 1/, [{ id: user.id, email: user.email, role: user.role, password: passwordHash, phone_number: null, ...fields }]);
+
+let app;
+let db;
+
+beforeAll(async () => {
+  process.env.STORAGE_DIR = storageDir;
+  process.env.EMAIL_DRIVER = "file";
+  process.env.CHANNEL_OUTBOX_DIR = outboxDir;
+  ({ app, db } = await loadServer());
+});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  db.reset();
+  fs.rmSync(path.join(outboxDir, "email.log"), { force: true });
+});
+
+describe("PATCH /profile", () => {
+  // the profile sent back after the update
+  beforeEach(() => {
+    db.on(/FROM users u LEFT JOIN doctors d/, (params) => [{ id: params[0], specialization: null, license_number: null, verification_status: null }]);
+  });
+
+  test("a new email needs the current password", async () => {
+    const auth = signIn(db, patient);
+    account(db, patient);
+    const change = (body) => request(app).patch("/profile").set("Authorization", auth).send({ email: "asha@new.example", ...body });
+
+    const missing = await change({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.error.code).toBe("password_required");
+
+    const wrong = await change({ current_password: "guess" });
+    expect(wrong.status).toBe(403);
+    expect(wrong.body.error.code).toBe("password_incorrect");
+    expect(db.find(/^UPDATE users SET/)).toHaveLength(0);
+  });
+
+  test("changing the email signs out the other sessions and voids reset tokens", async () => {
+    const auth = signIn(db, patient, 4);
+    account(db, patient);
+
+    const res = await request(app)
+      .patch("/profile")
+      .set("Authorization", auth)
+      .send({ email: "asha@new.example", current_password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    const sql = db.queries.map((q) => q.sql);
+    const inside = (pattern) => {
+      const i = sql.findIndex((s) => pattern.test(s));
+      return i > sql.indexOf("BEGIN") && i < sql.indexOf("COMMIT");
+    };
+    expect(db.find(/^UPDATE users SET email = \?/)[0].params).toEqual(["asha@new.example", patient.id]);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["email_changed", patient.id, 4]);
+    expect(inside(/UPDATE auth_sessions SET revoked_at/)).toBe(true);
+    expect(inside(/UPDATE password_reset_tokens SET used_at/)).toBe(true);
+  });
+
+  test("other fields, or the same email again, need no password", async () => {
+    const auth = signIn(db, patient);
+    account(db, patient);
+
+    const res = await request(app).patch("/profile").set("Authorization", auth).send({ name: "Asha K", email: patient.email });
+
+    expect(res.status).toBe(200);
+    expect(db.find(/^UPDATE users SET/)[0].params).toEqual(["Asha K", patient.email, patient.id]);
+    expect(db.find(/UPDATE auth_sessions/)).toHaveLength(0);
+  });
+
+  test("an email already in use is a conflict", async () => {
+    const auth = signIn(db, patient);
+    account(db, patient);
+    db.on(/^UPDATE users SET/, () => {
+      throw Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" });
+    });
+
+    const res = await request(app)
+      .patch("/profile")
+      .set("Authorization", auth)
+      .send({ email: "kaur@example.com", current_password: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+
+  test("a new license number sends the doctor back to verification", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT license_number FROM doctors WHERE user_id = \?/, [{ license_number: "PB-1001" }]);
+
+    const res = await request(app).patch("/profile").set("Authorization", auth).send({ license_number: "PB-2002" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.error).toBeUndefined();
+    expect(db.find(/UPDATE doctors SET/)[0].sql).toMatch(/verification_status = 'pending'/);
+  });
+
+  test("patients cannot set doctor fields", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).patch("/profile").set("Authorization", auth).send({ specialization: "Cardiology" });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("password change and reset", () => {
+  test("changing the password keeps only the current session", async () => {
+    const auth = signIn(db, patient, 4);
+    account(db, patient);
+
+    const res = await request(app)
+      .put("/profile/password")
+      .set("Authorization", auth)
+      .send({ current_password: PASSWORD, new_password: "a much longer secret" });
+
+    expect(res.status).toBe(200);
+    const [update] = db.find(/UPDATE users SET password = \?/);
+    expect(await bcrypt.compare("a much longer secret", update.params[0])).toBe(true);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["password_changed", patient.id, 4]);
+  });
+
+  test("a reset is only sent to active accounts, with the same answer either way", async () => {
+    const forgot = () => request(app).post("/auth/password/forgot").send({ email: patient.email });
+
+    expect((await forgot()).status).toBe(202);
+    expect(sentEmails()).toEqual([]);
+
+    db.on(/FROM users WHERE email = \? LIMIT 1/, [{ id: patient.id, locale: null, status: "active", cooling_down: 0 }]);
+    expect((await forgot()).status).toBe(202);
+    const [email] = sentEmails();
+    expect(email.to).toBe(patient.email);
+    const insert = db.find(/INSERT INTO password_reset_tokens/)[0];
+    // only the hash of the token in the email is stored
+    const token = /[A-Za-z0-9_-]{43}/.exec(email.body)[0];
+    expect(insert.params[1]).toBe(crypto.createHash("sha256").update(token).digest("hex"));
+    expect(db.find(/DELETE FROM password_reset_tokens WHERE user_id = \? AND used_at IS NULL/)[0].params).toEqual([patient.id]);
+  });
+
+  test("a reset token sets the password and signs out everywhere, once", async () => {
+    const token = "reset-token-from-the-email";
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    db.on(/FROM password_reset_tokens\s+WHERE token_hash = \?/, (params) => (params[0] === tokenHash ? [{ id: 31, user_id: patient.id }] : []));
+
+    const res = await request(app).post("/auth/password/reset").send({ token, new_password: "a much longer secret" });
+
+    expect(res.status).toBe(200);
+    expect(db.find(/UPDATE password_reset_tokens SET used_at = NOW\(\) WHERE id = \?/)[0].params).toEqual([31]);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["password_reset", patient.id]);
+    expect(txLog(db)).toEqual(["BEGIN", "COMMIT"]);
+
+    db.reset();
+    const reused = await request(app).post("/auth/password/reset").send({ token, new_password: "a much longer secret" });
+    expect(reused.status).toBe(400);
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+    expect(db.find(/UPDATE users SET password/)).toHaveLength(0);
+  });
+});
+
+describe("DELETE /profile", () => {
+  test("needs the password", async () => {
+    const auth = signIn(db, patient);
+    account(db, patient);
+
+    const res = await request(app).delete("/profile").set("Authorization", auth).send({ password: "guess" });
+
+    expect(res.status).toBe(403);
+    expect(db.find(/DELETE FROM users/)).toHaveLength(0);
+    expect(txLog(db)).toEqual([]);
+  });
+
+  test("cancels upcoming visits, deletes the patient and then their files", async () => {
+    const auth = signIn(db, patient);
+    account(db, patient);
+    const upcoming = { id: 50, patient_user_id: patient.id, doctor_user_id: doctor.id, status: "confirmed", scheduled_at: hoursFromNow(48) };
+    db.on(/SELECT \* FROM appointments\s+WHERE \(patient_user_id = \? OR doctor_user_id = \?\) AND status IN \(\?\)\s+FOR UPDATE/, [upcoming]);
+    fs.mkdirSync(path.join(storageDir, "lab-tests/40"), { recursive: true });
+    fs.writeFileSync(path.join(storageDir, "lab-tests/40/report.pdf"), "%PDF-1.4");
+    db.on(/SELECT f\.storage_key FROM lab_test_files f/, [{ storage_key: "lab-tests/40/report.pdf" }]);
+
+    const res = await request(app).delete("/profile").set("Authorization", auth).send({ password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.appointments_cancelled).toBe(1);
+    expect(db.find(/^UPDATE appointments SET status = \?/)[0].params).toEqual(["cancelled_by_patient", "Account closed", 50, "confirmed"]);
+    expect(db.find(/DELETE FROM users WHERE id = \?/)[0].params).toEqual([patient.id]);
+    expect(txLog(db).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+    expect(fs.existsSync(path.join(storageDir, "lab-tests/40/report.pdf"))).toBe(false);
+    expect(res.headers["set-cookie"][0]).toMatch(/^refresh_token=;/);
+  });
+
+  test("is refused while a visit is checked in, and locks the appointments it checks", async () => {
+    const auth = signIn(db, patient);
+    account(db, patient);
+    db.on(/SELECT \* FROM appointments\s+WHERE \(patient_user_id = \? OR doctor_user_id = \?\)/, [
+      { id: 50, patient_user_id: patient.id, doctor_user_id: doctor.id, status: "checked_in", scheduled_at: hoursFromNow(-0.25) },
+    ]);
+
+    const res = await request(app).delete("/profile").set("Authorization", auth).send({ password: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe("account_delete_visit_in_progress");
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+    expect(db.find(/DELETE FROM users/)).toHaveLength(0);
+  });
+
+  test("a visit changed by someone else meanwhile aborts the deletion", async () => {
+    const auth = signIn(db, patient);
+    account(db, patient);
+    db.on(/SELECT \* FROM appointments\s+WHERE \(patient_user_id = \? OR doctor_user_id = \?\)/, [
+      { id: 50, patient_user_id: patient.id, doctor_user_id: doctor.id, status: "booked", scheduled_at: hoursFromNow(48) },
+    ]);
+    db.on(/^UPDATE appointments SET status = \?/, { affectedRows: 0 });
+
+    const res = await request(app).delete("/profile").set("Authorization", auth).send({ password: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+    expect(db.find(/DELETE FROM users/)).toHaveLength(0);
+  });
+
+  test("the last active admin cannot leave", async () => {
+    const auth = signIn(db, admin);
+    account(db, admin);
+    db.on(/SELECT id FROM users WHERE role = 'admin' AND status = 'active' FOR UPDATE/, [{ id: admin.id }]);
+
+    const res = await request(app).delete("/profile").set("Authorization", auth).send({ password: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe("account_delete_last_admin");
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+
+  test("a doctor's account is closed, not deleted, and their patients are told", async () => {
+    const auth = signIn(db, doctor);
+    account(db, doctor);
+    db.on(/SELECT \* FROM appointments\s+WHERE \(patient_user_id = \? OR doctor_user_id = \?\)/, [
+      { id: 50, patient_user_id: patient.id, doctor_user_id: doctor.id, status: "booked", scheduled_at: hoursFromNow(48) },
+    ]);
+
+    const res = await request(app).delete("/profile").set("Authorization", auth).send({ password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(db.find(/DELETE FROM users/)).toHaveLength(0);
+    expect(db.find(/UPDATE users SET email = NULL, phone_number = NULL, password = NULL/)[0].params).toEqual([doctor.id]);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["account_deleted", doctor.id]);
+    expect(db.find(/^UPDATE appointments SET status = \?/)[0].params[0]).toBe("cancelled_by_doctor");
+    expect(db.find(/INSERT INTO notifications/)[0].params.slice(0, 2)).toEqual([patient.id, "appointment_cancelled"]);
+  });
+});
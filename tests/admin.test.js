@@ -0,0 +1,92 @@
+import bcrypt from "bcrypt";
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const admin = { id: 1, email: "admin@example.com", role: "admin" };
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("doctor verification", () => {
+  test("unverified doctors are refused on doctor routes", async () => {
+    const auth = signIn(db, { ...doctor, verification_status: "pending" });
+
+    const res = await request(app).get("/doctor/availability/rules").set("Authorization", auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.verification_status).toBe("pending");
+    expect(db.find(/FROM availability_rules/)).toHaveLength(0);
+  });
+
+  test("approving records the admin and tells the doctor", async () => {
+    const auth = signIn(db, admin);
+
+    const res = await request(app).post("/admin/doctors/3/approve").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(db.find(/UPDATE doctors SET verification_status = 'approved'/)[0].params).toEqual([admin.id, doctor.id]);
+    expect(db.find(/INSERT INTO notifications/)[0].params.slice(0, 2)).toEqual([doctor.id, "doctor_approved"]);
+  });
+
+  test("rejecting needs a reason", async () => {
+    const auth = signIn(db, admin);
+
+    expect((await request(app).post("/admin/doctors/3/reject").set("Authorization", auth).send({})).status).toBe(400);
+    expect(db.find(/UPDATE doctors/)).toHaveLength(0);
+  });
+
+  test("patients only see approved, active doctors", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT COUNT\(\*\) AS total FROM users u/, [{ total: 0 }]);
+
+    await request(app).get("/doctors").set("Authorization", auth);
+
+    expect(db.find(/SELECT COUNT/)[0].sql).toMatch(/u\.status = 'active' AND d\.verification_status = 'approved'/);
+  });
+
+  test("admin routes are closed to other roles", async () => {
+    const auth = signIn(db, patient);
+
+    expect((await request(app).get("/admin/doctors").set("Authorization", auth)).status).toBe(403);
+  });
+});
+
+describe("suspension", () => {
+  test("suspending revokes every session of the user", async () => {
+    const auth = signIn(db, admin);
+    db.on(/UPDATE auth_sessions SET revoked_at/, { affectedRows: 2 });
+
+    const res = await request(app).post("/admin/users/7/suspend").set("Authorization", auth).send({ reason: "abuse" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions_revoked).toBe(2);
+    expect(db.find(/UPDATE users SET status = 'suspended'/)[0].sql).toMatch(/role <> 'admin'/);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["suspended", patient.id]);
+  });
+
+  test("suspended users cannot log in", async () => {
+    const hash = await bcrypt.hash("secret-pass", 4);
+    db.on(/FROM users WHERE email = \?/, [{ ...patient, password: hash, name: "Asha", status: "suspended" }]);
+
+    const res = await request(app).post("/login").send({ email: patient.email, password: "secret-pass" });
+
+    expect(res.status).toBe(403);
+    expect(db.find(/INSERT INTO auth_sessions/)).toHaveLength(0);
+  });
+
+  test("tokens issued before a suspension stop working", async () => {
+    const auth = signIn(db, { ...patient, status: "suspended" });
+
+    expect((await request(app).get("/auth/sessions").set("Authorization", auth)).status).toBe(403);
+  });
+});
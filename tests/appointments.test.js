@@ -0,0 +1,204 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const appointment = (overrides = {}) => ({
+  id: 50,
+  patient_user_id: patient.id,
+  doctor_user_id: doctor.id,
+  scheduled_at: "2026-11-02 10:00:00",
+  status: "booked",
+  ...overrides,
+});
+
+const txLog = (db) => db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql);
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("POST /appointments", () => {
+  const slot = { id: 12, slot_at: "2026-11-02 10:00:00", doctor_user_id: doctor.id, is_booked: 0 };
+
+  test("books the slot and records the first status", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM doctor_slots ds/, [slot]);
+    db.on(/INSERT INTO appointments/, { affectedRows: 1, insertId: 50 });
+
+    const res = await request(app).post("/appointments").set("Authorization", auth).send({ doctorSlotId: 12 });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ id: 50, doctor_user_id: doctor.id, slot_id: 12 });
+    expect(db.find(/INSERT INTO appointment_status_history/)[0].params.slice(0, 5)).toEqual([50, null, "booked", patient.id, "patient"]);
+    // the audit entry is written afterwards in a transaction of its own
+    expect(txLog(db).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("losing the race for the slot rolls back without an appointment", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM doctor_slots ds/, [slot]);
+    db.on(/UPDATE doctor_slots SET is_booked = 1\s+WHERE id = \? AND is_booked = 0/, { affectedRows: 0 });
+
+    const res = await request(app).post("/appointments").set("Authorization", auth).send({ doctorSlotId: 12 });
+
+    expect(res.status).toBe(409);
+    expect(db.find(/INSERT INTO appointments/)).toHaveLength(0);
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+
+  test("cannot take a slot held for a waitlisted patient", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM doctor_slots ds/, [{ ...slot, is_held: 1, held_by_user_id: 8 }]);
+
+    const res = await request(app).post("/appointments").set("Authorization", auth).send({ doctorSlotId: 12 });
+
+    expect(res.status).toBe(409);
+    expect(txLog(db)).toEqual([]);
+  });
+
+  test("the holder books the held slot and settles the hold", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM doctor_slots ds/, [{ ...slot, is_held: 1, held_by_user_id: patient.id }]);
+    db.on(/INSERT INTO appointments/, { affectedRows: 1, insertId: 50 });
+
+    const res = await request(app).post("/appointments").set("Authorization", auth).send({ doctorSlotId: 12 });
+
+    expect(res.status).toBe(201);
+    const [claim] = db.find(/UPDATE doctor_slots SET is_booked = 1/);
+    expect(claim.sql).toMatch(/held_until IS NULL OR held_until <= NOW\(\) OR held_by_user_id = \?/);
+    expect(claim.params).toEqual([12, patient.id]);
+    expect(db.find(/UPDATE slot_holds h/)[0].params).toEqual([50, 12, patient.id]);
+  });
+
+  test("refuses slots that are already booked", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM doctor_slots ds/, [{ ...slot, is_booked: 1 }]);
+
+    const res = await request(app).post("/appointments").set("Authorization", auth).send({ doctorSlotId: 12 });
+
+    expect(res.status).toBe(409);
+    expect(txLog(db)).toEqual([]);
+  });
+});
+
+describe("PATCH /appointments/:id/status", () => {
+  const patch = (auth, status, body = {}) =>
+    request(app).patch("/appointments/50/status").set("Authorization", auth).send({ status, ...body });
+
+  test("the doctor confirms a booked appointment", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+
+    const res = await patch(auth, "confirmed");
+
+    expect(res.status).toBe(200);
+    const [upd] = db.find(/UPDATE appointments SET status = \?/);
+    expect(upd.sql).toMatch(/WHERE id = \? AND status = \?/);
+    expect(upd.params).toEqual(["confirmed", 50, "booked"]);
+    expect(db.find(/INSERT INTO appointment_status_history/)[0].params.slice(1, 5)).toEqual(["booked", "confirmed", doctor.id, "doctor"]);
+    // the audit entry is written afterwards in a transaction of its own
+    expect(txLog(db).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("cancelling keeps the reason and frees the slot", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment({ status: "confirmed" })]);
+
+    const res = await patch(auth, "cancelled_by_patient", { reason: "travelling" });
+
+    expect(res.status).toBe(200);
+    expect(db.find(/UPDATE appointments SET status = \?/)[0].params).toEqual(["cancelled_by_patient", "travelling", 50, "confirmed"]);
+    expect(db.find(/UPDATE doctor_slots SET is_booked = 0/)[0].params).toEqual([doctor.id, "2026-11-02 10:00:00"]);
+  });
+
+  test("refuses transitions the lifecycle does not allow", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment({ status: "completed" })]);
+
+    const res = await patch(auth, "cancelled_by_doctor");
+
+    expect(res.status).toBe(409);
+    expect(db.find(/UPDATE appointments/)).toHaveLength(0);
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+
+  test("refuses moves reserved for the other role", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+
+    expect((await patch(auth, "confirmed")).status).toBe(403);
+    expect((await patch(auth, "cancelled_by_doctor")).status).toBe(403);
+    expect(db.find(/UPDATE appointments/)).toHaveLength(0);
+  });
+
+  test("a concurrent change wins: nothing is recorded", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+    db.on(/UPDATE appointments SET status = \?/, { affectedRows: 0 });
+
+    const res = await patch(auth, "confirmed");
+
+    expect(res.status).toBe(409);
+    expect(db.find(/INSERT INTO appointment_status_history/)).toHaveLength(0);
+    expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+
+  test("other users cannot touch the appointment", async () => {
+    const auth = signIn(db, { id: 8, email: "other@example.com", role: "patient" });
+    db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+
+    expect((await patch(auth, "cancelled_by_patient")).status).toBe(403);
+    expect(db.find(/UPDATE appointments/)).toHaveLength(0);
+  });
+
+  test("rejects unknown statuses", async () => {
+    const auth = signIn(db, doctor);
+
+    expect((await patch(auth, "deleted")).status).toBe(400);
+    expect(txLog(db)).toEqual([]);
+  });
+});
+
+describe("DELETE /appointments/:id", () => {
+  test("cancels instead of deleting", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+
+    const res = await request(app).delete("/appointments/50").set("Authorization", auth).send({ reason: "ill" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("cancelled_by_doctor");
+    expect(db.find(/DELETE FROM appointments/)).toHaveLength(0);
+    expect(db.find(/UPDATE doctor_slots SET is_booked = 0/)).toHaveLength(1);
+  });
+});
+
+describe("appointment lists", () => {
+  test("filter by status and inclusive date range", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app)
+      .get("/appointments/me?status=booked,no_show&from=2026-11-01&to=2026-11-30")
+      .set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    const [list] = db.find(/FROM appointments a/);
+    expect(list.params).toEqual([patient.id, ["booked", "no_show"], "2026-11-01 00:00:00", "2026-11-30"]);
+  });
+
+  test("reject unknown statuses and malformed dates", async () => {
+    const auth = signIn(db, doctor);
+
+    expect((await request(app).get("/appointments?status=lost").set("Authorization", auth)).status).toBe(400);
+    expect((await request(app).get("/appointments?from=01-11-2026").set("Authorization", auth)).status).toBe(400);
+  });
+});
@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+const admin = { id: 1, email: "admin@example.com", role: "admin" };
+
+const FIELDS = ["actor_user_id", "actor_role", "action", "resource_type", "resource_id", "patient_user_id", "ip", "route", "created_at"];
+const chainHash = (prev, row) =>
+  crypto.createHash("sha256").update(JSON.stringify([prev, ...FIELDS.map((f) => (row[f] == null ? null : row[f]))])).digest("hex");
+
+// entries are written after the response has finished
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+const auditRows = (db) =>
+  db.find(/INSERT INTO audit_log/).map((q) => Object.fromEntries([...FIELDS, "prev_hash", "hash"].map((f, i) => [f, q.params[i]])));
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("auditAccess", () => {
+  test("a patient reading their own data extends the hash chain", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT last_hash FROM audit_chain_head WHERE id = 1 FOR UPDATE/, [{ last_hash: "f".repeat(64) }]);
+
+    expect((await request(app).get("/appointments/me").set("Authorization", auth)).status).toBe(200);
+    await settle();
+
+    const [row] = auditRows(db);
+    expect(row).toMatchObject({
+      actor_user_id: patient.id,
+      action: "read",
+      resource_type: "appointment",
+      patient_user_id: patient.id,
+      route: "GET /appointments/me",
+      prev_hash: "f".repeat(64),
+    });
+    expect(row.hash).toBe(chainHash("f".repeat(64), row));
+    expect(db.find(/INSERT INTO audit_chain_head/)[0].params).toEqual([row.hash]);
+  });
+
+  test("a doctor's list is recorded once per patient shown", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/FROM appointments a/, [{ id: 1, patient_user_id: 7 }, { id: 2, patient_user_id: 8 }, { id: 3, patient_user_id: 7 }]);
+
+    await request(app).get("/appointments").set("Authorization", auth);
+    await settle();
+
+    const rows = auditRows(db);
+    expect(rows.map((r) => r.patient_user_id)).toEqual([7, 8]);
+    expect(rows[1].prev_hash).toBe(rows[0].hash);
+  });
+
+  test("refused requests are not recorded", async () => {
+    const auth = signIn(db, doctor);
+
+    expect((await request(app).get("/appointments/50/history").set("Authorization", auth)).status).toBe(404);
+    await settle();
+
+    expect(auditRows(db)).toEqual([]);
+  });
+
+  test("a doctor's calendar change is recorded against the patients it overlaps", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/FROM appointments a/, [
+      { id: 50, scheduled_at: "2026-11-02 10:00:00", status: "booked", patient_user_id: 7, patient_name: "Asha", doctor_name: "Dr. Kaur" },
+    ]);
+
+    const res = await request(app)
+      .post("/calendar/events")
+      .set("Authorization", auth)
+      .send({ title: "Board meeting", start_time: "2026-11-02 10:00:00", end_time: "2026-11-02 11:00:00" });
+    await settle();
+
+    expect(res.status).toBe(201);
+    expect(auditRows(db).map((r) => [r.action, r.resource_type, r.patient_user_id])).toEqual([["create", "calendar", 7]]);
+  });
+
+  test.each([
+    ["get", "/reminders/me", "reminder"],
+    ["get", "/calendar/events", "calendar"],
+    ["delete", "/calendar/events/5", "calendar"],
+  ])("%s %s is audited", async (method, url, resourceType) => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT user_id(, event_type)? FROM calendar_events WHERE id = \?/, [{ user_id: patient.id }]);
+
+    expect((await request(app)[method](url).set("Authorization", auth)).status).toBeLessThan(400);
+    await settle();
+
+    expect(auditRows(db).map((r) => [r.resource_type, r.patient_user_id])).toEqual([[resourceType, patient.id]]);
+  });
+});
+
+describe("GET /admin/audit/verify", () => {
+  const chain = () => {
+    const rows = [];
+    let prev = null;
+    for (let id = 1; id <= 3; id++) {
+      const row = { id, actor_user_id: 7, actor_role: "patient", action: "read", resource_type: "appointment", resource_id: null, patient_user_id: 7, ip: "::1", route: "GET /appointments/me", created_at: "2026-10-19 10:00:00" };
+      row.prev_hash = prev;
+      row.hash = chainHash(prev, row);
+      row.created_at = new Date(2026, 9, 19, 10, 0, 0); // mysql2 returns DATETIME as a local Date
+      prev = row.hash;
+      rows.push(row);
+    }
+    return rows;
+  };
+
+  test("an intact chain verifies", async () => {
+    const auth = signIn(db, admin);
+    const rows = chain();
+    db.on(/FROM audit_log WHERE id > \?/, (params) => (params[0] === 0 ? rows : []));
+    db.on(/SELECT last_hash FROM audit_chain_head WHERE id = 1$/, [{ last_hash: rows[2].hash }]);
+
+    const res = await request(app).get("/admin/audit/verify").set("Authorization", auth);
+
+    expect(res.body).toEqual({ valid: true, checked: 3 });
+  });
+
+  test("an edited row breaks the chain at that row", async () => {
+    const auth = signIn(db, admin);
+    const rows = chain();
+    rows[1].patient_user_id = 8;
+    db.on(/FROM audit_log WHERE id > \?/, (params) => (params[0] === 0 ? rows : []));
+
+    const res = await request(app).get("/admin/audit/verify").set("Authorization", auth);
+
+    expect(res.body).toEqual({ valid: false, checked: 1, first_invalid_id: 2 });
+  });
+
+  test("rows cut from the end show up through the head", async () => {
+    const auth = signIn(db, admin);
+    const rows = chain();
+    db.on(/FROM audit_log WHERE id > \?/, (params) => (params[0] === 0 ? rows.slice(0, 2) : []));
+    db.on(/SELECT last_hash FROM audit_chain_head WHERE id = 1$/, [{ last_hash: rows[2].hash }]);
+
+    const res = await request(app).get("/admin/audit/verify").set("Authorization", auth);
+
+    expect(res.body).toMatchObject({ valid: false, checked: 2 });
+  });
+});
@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import { loadServer, signIn, JWT_SECRET } from "./helpers/server.js";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+// refresh_tokens row joined with its session and user, as /auth/refresh selects it
+function refreshRow(overrides = {}) {
+  return {
+    id: 40,
+    session_id: 3,
+    used_at: null,
+    expired: 0,
+    revoked_at: null,
+    user_id: patient.id,
+    email: patient.email,
+    role: patient.role,
+    ...overrides,
+  };
+}
+
+describe("POST /login", () => {
+  test("starts a session and sets the refresh cookie", async () => {
+    const hash = await bcrypt.hash("secret-pass", 4);
+    db.on(/FROM users WHERE email = \?/, [{ ...patient, password: hash, name: "Asha" }]);
+    db.on(/INSERT INTO auth_sessions/, { affectedRows: 1, insertId: 3 });
+
+    const res = await request(app).post("/login").send({ email: patient.email, password: "secret-pass" });
+
+    expect(res.status).toBe(200);
+    expect(jwt.verify(res.body.token, JWT_SECRET)).toMatchObject({ id: patient.id, sid: 3 });
+    expect(res.headers["set-cookie"][0]).toMatch(/^refresh_token=.+; .*HttpOnly/);
+    expect(res.body.refresh_token).toBeUndefined();
+    expect(db.find(/INSERT INTO refresh_tokens/)[0].params[0]).toBe(3);
+  });
+
+  test("rejects a wrong password without creating a session", async () => {
+    const hash = await bcrypt.hash("secret-pass", 4);
+    db.on(/FROM users WHERE email = \?/, [{ ...patient, password: hash, name: "Asha" }]);
+
+    const res = await request(app).post("/login").send({ email: patient.email, password: "nope" });
+
+    expect(res.status).toBe(400);
+    expect(db.find(/INSERT INTO auth_sessions/)).toHaveLength(0);
+  });
+});
+
+describe("POST /auth/refresh", () => {
+  test("rotates the token: marks the old one used and issues a new one", async () => {
+    db.on(/FROM refresh_tokens rt/, [refreshRow()]);
+
+    const res = await request(app).post("/auth/refresh").send({ refresh_token: "old-token", client: "native" });
+
+    expect(res.status).toBe(200);
+    expect(jwt.verify(res.body.token, JWT_SECRET)).toMatchObject({ id: patient.id, sid: 3 });
+    expect(res.body.refresh_token).toEqual(expect.any(String));
+    expect(res.body.refresh_token).not.toBe("old-token");
+    expect(db.find(/FROM refresh_tokens rt/)[0].params).toEqual([sha256("old-token")]);
+    expect(db.find(/UPDATE refresh_tokens SET used_at = NOW\(\) WHERE id = \?/)[0].params).toEqual([40]);
+    const [inserted] = db.find(/INSERT INTO refresh_tokens/);
+    expect(inserted.params.slice(0, 2)).toEqual([3, sha256(res.body.refresh_token)]);
+    expect(db.queries.map((q) => q.sql).at(-1)).toBe("COMMIT");
+  });
+
+  test("reads the token from the cookie", async () => {
+    db.on(/FROM refresh_tokens rt/, [refreshRow()]);
+
+    const res = await request(app).post("/auth/refresh").set("Cookie", "refresh_token=cookie-token");
+
+    expect(res.status).toBe(200);
+    expect(db.find(/FROM refresh_tokens rt/)[0].params).toEqual([sha256("cookie-token")]);
+    expect(res.body.refresh_token).toBeUndefined();
+  });
+
+  test("a reused token revokes the whole session", async () => {
+    db.on(/FROM refresh_tokens rt/, [refreshRow({ used_at: new Date() })]);
+
+    const res = await request(app).post("/auth/refresh").send({ refresh_token: "stolen" });
+
+    expect(res.status).toBe(401);
+    const [revoke] = db.find(/UPDATE auth_sessions SET revoked_at = NOW\(\)/);
+    expect(revoke.params).toEqual(["refresh_token_reuse", 3]);
+    expect(db.find(/INSERT INTO refresh_tokens/)).toHaveLength(0);
+    expect(db.find(/^COMMIT$/)).toHaveLength(1);
+  });
+
+  test("refuses expired tokens and revoked sessions", async () => {
+    db.on(/FROM refresh_tokens rt/, [refreshRow({ expired: 1 })]);
+    expect((await request(app).post("/auth/refresh").send({ refresh_token: "t" })).status).toBe(401);
+
+    db.on(/FROM refresh_tokens rt/, [refreshRow({ revoked_at: new Date() })]);
+    expect((await request(app).post("/auth/refresh").send({ refresh_token: "t" })).status).toBe(401);
+
+    expect(db.find(/INSERT INTO refresh_tokens/)).toHaveLength(0);
+  });
+
+  test("refuses unknown or missing tokens", async () => {
+    expect((await request(app).post("/auth/refresh").send({ refresh_token: "unknown" })).status).toBe(401);
+    expect((await request(app).post("/auth/refresh").send({})).status).toBe(401);
+  });
+});
+
+describe("logout and sessions", () => {
+  test("logout revokes the session of the presented refresh token", async () => {
+    db.on(/SELECT session_id FROM refresh_tokens/, [{ session_id: 9 }]);
+
+    const res = await request(app).post("/auth/logout").send({ refresh_token: "mine" });
+
+    expect(res.status).toBe(200);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["logout", 9]);
+  });
+
+  test("logout works with an expired access token", async () => {
+    const expired = jwt.sign({ ...patient, sid: 5, exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+
+    const res = await request(app).post("/auth/logout").set("Authorization", `Bearer ${expired}`);
+
+    expect(res.status).toBe(200);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["logout", 5]);
+  });
+
+  test("logout-all revokes every session of the user", async () => {
+    const auth = signIn(db, patient);
+    db.on(/UPDATE auth_sessions SET revoked_at/, { affectedRows: 3 });
+
+    const res = await request(app).post("/auth/logout-all").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toBe(3);
+    const [revoke] = db.find(/UPDATE auth_sessions SET revoked_at/);
+    expect(revoke.sql).toMatch(/WHERE user_id = \?/);
+    expect(revoke.params).toEqual(["logout_all", patient.id]);
+  });
+
+  test("lists sessions and marks the current one", async () => {
+    const auth = signIn(db, patient, 2);
+    db.on(/FROM auth_sessions\s+WHERE user_id = \? AND revoked_at IS NULL/, [{ id: 2 }, { id: 4 }]);
+
+    const res = await request(app).get("/auth/sessions").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((s) => [s.id, s.current])).toEqual([[2, true], [4, false]]);
+  });
+
+  test("revoking another user's session reports not found", async () => {
+    const auth = signIn(db, patient);
+    db.on(/UPDATE auth_sessions SET revoked_at/, { affectedRows: 0 });
+
+    const res = await request(app).delete("/auth/sessions/99").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/UPDATE auth_sessions SET revoked_at/)[0].params).toEqual(["revoked_by_user", 99, patient.id]);
+  });
+
+  test("access tokens of revoked sessions or without a session are refused", async () => {
+    const revoked = jwt.sign({ ...patient, sid: 8 }, JWT_SECRET);
+    expect((await request(app).get("/auth/sessions").set("Authorization", `Bearer ${revoked}`)).status).toBe(401);
+
+    const legacy = jwt.sign(patient, JWT_SECRET);
+    expect((await request(app).get("/auth/sessions").set("Authorization", `Bearer ${legacy}`)).status).toBe(401);
+  });
+});
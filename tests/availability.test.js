@@ -0,0 +1,137 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const isoDate = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+const dayFromNow = (n) => {
+  const now = new Date();
+  return isoDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + n));
+};
+
+// 09:00-10:00 every day in half-hour slots
+const everyMorning = {
+  id: 1,
+  weekdays: "1,2,3,4,5,6,7",
+  start_time: "09:00:00",
+  end_time: "10:00:00",
+  slot_minutes: 30,
+  effective_from: "2020-01-01",
+  effective_to: null,
+};
+
+let app;
+let db;
+let auth;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+  auth = signIn(db, doctor);
+});
+
+describe("syncDoctorSlots", () => {
+  test("creates missing rule slots over the horizon inside one transaction", async () => {
+    db.on(/FROM availability_rules WHERE doctor_user_id/, [everyMorning]);
+    db.on(/INSERT IGNORE INTO doctor_slots/, (params) => ({ affectedRows: params[0].length }));
+
+    const res = await request(app).post("/doctor/availability/sync").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    const [insert] = db.find(/INSERT IGNORE INTO doctor_slots/);
+    const rows = insert.params[0];
+    expect(rows).toContainEqual([doctor.id, `${dayFromNow(1)} 09:00:00`, 1]);
+    expect(rows).toContainEqual([doctor.id, `${dayFromNow(1)} 09:30:00`, 1]);
+    expect(rows.every(([, at]) => at < `${dayFromNow(28)}`)).toBe(true);
+    expect(res.body).toMatchObject({ created: rows.length, removed: 0 });
+    // new slots are then offered to the waitlist in a transaction of its own
+    expect(db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("removes stale and blocked free slots but never booked or manual ones", async () => {
+    const tomorrow = dayFromNow(1);
+    const later = dayFromNow(2);
+    db.on(/FROM availability_rules WHERE doctor_user_id/, [everyMorning]);
+    db.on(/FROM availability_exceptions WHERE doctor_user_id/, [
+      { exception_date: tomorrow, start_time: null, end_time: null },
+    ]);
+    db.on(/SELECT id, slot_at, is_booked, rule_id FROM doctor_slots/, [
+      { id: 10, slot_at: `${tomorrow} 09:00:00`, is_booked: 0, rule_id: 1 }, // on leave
+      { id: 11, slot_at: `${tomorrow} 09:30:00`, is_booked: 1, rule_id: 1 }, // booked, kept
+      { id: 12, slot_at: `${later} 15:00:00`, is_booked: 0, rule_id: 1 }, // no rule produces it
+      { id: 13, slot_at: `${later} 16:00:00`, is_booked: 0, rule_id: null }, // manual, kept
+      { id: 14, slot_at: `${tomorrow} 12:00:00`, is_booked: 0, rule_id: null }, // manual on leave
+    ]);
+
+    const res = await request(app).post("/doctor/availability/sync").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    const [del] = db.find(/DELETE FROM doctor_slots/);
+    expect(del.sql).toMatch(/AND is_booked = 0/);
+    expect(del.params[0].sort()).toEqual([10, 12, 14]);
+    const created = db.find(/INSERT IGNORE INTO doctor_slots/)[0].params[0].map(([, at]) => at);
+    expect(created.some((at) => at.startsWith(tomorrow))).toBe(false);
+    expect(created).toContain(`${later} 09:00:00`);
+  });
+
+  test("rolls back when a statement fails", async () => {
+    db.on(/INSERT IGNORE INTO doctor_slots/, () => {
+      throw new Error("deadlock");
+    });
+    db.on(/FROM availability_rules WHERE doctor_user_id/, [everyMorning]);
+
+    const res = await request(app).post("/doctor/availability/sync").set("Authorization", auth);
+
+    expect(res.status).toBe(500);
+    expect(db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql)).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+});
+
+describe("availability rules and exceptions", () => {
+  test("validates rules before storing them", async () => {
+    const base = { weekdays: [1, 3], start_time: "09:00", end_time: "12:00", slot_minutes: 15, effective_from: "2026-11-01" };
+    const post = (body) => request(app).post("/doctor/availability/rules").set("Authorization", auth).send(body);
+
+    expect((await post({ ...base, weekdays: [0] })).status).toBe(400);
+    expect((await post({ ...base, end_time: "08:00" })).status).toBe(400);
+    expect((await post({ ...base, slot_minutes: 2 })).status).toBe(400);
+    expect((await post({ ...base, effective_to: "2026-10-01" })).status).toBe(400);
+    expect(db.find(/INSERT INTO availability_rules/)).toHaveLength(0);
+
+    const res = await post({ ...base, weekdays: [3, 1, 3] });
+    expect(res.status).toBe(201);
+    expect(db.find(/INSERT INTO availability_rules/)[0].params.slice(1, 5)).toEqual(["1,3", "09:00", "12:00", 15]);
+  });
+
+  test("an exception reports booked appointments inside the window", async () => {
+    const booked = [{ id: 90, patient_user_id: 7, patient_name: "Asha", scheduled_at: "2026-11-02 10:00:00", status: "booked" }];
+    db.on(/FROM appointments a/, booked);
+
+    const res = await request(app)
+      .post("/doctor/availability/exceptions")
+      .set("Authorization", auth)
+      .send({ date: "2026-11-02", start_time: "09:00", end_time: "13:00" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.conflicts).toEqual(booked);
+    expect(db.find(/FROM appointments a/)[0].params).toEqual([
+      doctor.id,
+      ["booked", "confirmed", "checked_in"],
+      "2026-11-02 09:00:00",
+      "2026-11-02 13:00:00",
+    ]);
+  });
+
+  test("deleting someone else's rule is not found", async () => {
+    db.on(/DELETE FROM availability_rules/, { affectedRows: 0 });
+
+    const res = await request(app).delete("/doctor/availability/rules/5").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/^BEGIN$/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const ics = (...events) =>
+  Buffer.from(
+    ["BEGIN:VCALENDAR", "VERSION:2.0", ...events.flatMap((e) => ["BEGIN:VEVENT", ...e, "END:VEVENT"]), "END:VCALENDAR"].join("\r\n")
+  );
+
+let app;
+let db;
+let auth;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+  auth = signIn(db, patient);
+});
+
+describe("POST /calendar/import", () => {
+  const importFile = (buffer) =>
+    request(app).post("/calendar/import").set("Authorization", auth).attach("file", buffer, "calendar.ics");
+
+  test("imports valid events, skips known UIDs and lists invalid ones", async () => {
+    db.on(/INSERT INTO calendar_events/, { affectedRows: 1 });
+
+    const res = await importFile(
+      ics(
+        ["UID:1@x", "SUMMARY:Physio", "DTSTART:20261102T093000"],
+        ["UID:2@x", "DTSTART:20261103T093000"],
+        ["UID:3@x", "SUMMARY:Broken", "DTSTART:20261131T093000"]
+      )
+    );
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ imported: 1, skipped: 1, invalid: [{ uid: "3@x", summary: "Broken", reason: "start_invalid" }] });
+    const [insert] = db.find(/INSERT INTO calendar_events/);
+    expect(insert.sql).toMatch(/ON DUPLICATE KEY UPDATE id = id/);
+    expect(insert.params[0]).toEqual([
+      [patient.id, "note", "ics_import", "Physio", null, "2026-11-02 09:30:00", null, "1@x"],
+      [patient.id, "note", "ics_import", "(no title)", null, "2026-11-03 09:30:00", null, "2@x"],
+    ]);
+  });
+
+  test("a file with only invalid events is rejected with the reasons", async () => {
+    const res = await importFile(ics(["UID:1@x", "DTSTART:20261102T093000", "DTEND:20261101T093000"]));
+
+    expect(res.status).toBe(400);
+    expect(res.body.invalid).toEqual([{ uid: "1@x", summary: null, reason: "end_before_start" }]);
+    expect(db.find(/INSERT INTO calendar_events/)).toHaveLength(0);
+  });
+
+  test("refuses files that are not iCalendar", async () => {
+    expect((await importFile(Buffer.from("hello"))).status).toBe(400);
+  });
+});
+
+describe("subscription feed", () => {
+  test("a new feed URL revokes the previous one; only the hash is stored", async () => {
+    const res = await request(app).post("/calendar/feed").set("Authorization", auth);
+
+    expect(res.status).toBe(201);
+    const token = /\/calendar\/feed\/([\w-]+)\.ics$/.exec(res.body.url)[1];
+    const statements = db.find(/calendar_feed_tokens/);
+    expect(statements[0].sql).toMatch(/^UPDATE calendar_feed_tokens SET revoked_at = NOW\(\)/);
+    expect(statements[1].params).toEqual([patient.id, sha256(token)]);
+  });
+
+  test("the feed serves the owner's calendar by token", async () => {
+    db.on(/FROM calendar_feed_tokens f/, (params) => (params[0] === sha256("secret") ? [{ id: 1, user_id: patient.id, name: "Asha" }] : []));
+    db.on(/FROM lab_tests\s+WHERE patient_user_id = \?/, [{ id: 40, test_name: "HbA1c", test_date: new Date(2026, 10, 1), status: "pending" }]);
+
+    const res = await request(app).get("/calendar/feed/secret.ics");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(res.text).toContain("UID:lab-test-40@");
+    expect(res.text).toContain("DTSTART;VALUE=DATE:20261101");
+
+    expect((await request(app).get("/calendar/feed/guess.ics")).status).toBe(404);
+  });
+});
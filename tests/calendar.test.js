@@ -0,0 +1,85 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+
+let app;
+let db;
+let auth;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+  auth = signIn(db, patient);
+});
+
+describe("GET /calendar/events", () => {
+  test("merges notes, appointments and lab tests into one sorted timeline", async () => {
+    db.on(/FROM calendar_events\s+WHERE user_id = \?/, [
+      { id: 1, event_type: "note", related_type: null, related_id: null, title: "Yoga", description: null, start_time: "2026-11-02 18:00:00", end_time: null, color: null },
+    ]);
+    db.on(/FROM appointments a/, [
+      { id: 50, scheduled_at: "2026-11-02 10:00:00", status: "booked", patient_user_id: patient.id, patient_name: "Asha", doctor_name: "Dr. Kaur" },
+    ]);
+    db.on(/FROM lab_tests\s+WHERE patient_user_id = \?/, [{ id: 40, test_name: "HbA1c", test_date: "2026-11-01", status: "pending" }]);
+
+    const res = await request(app).get("/calendar/events?from=2026-11-01&to=2026-11-30").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((i) => [i.id, i.source, i.all_day])).toEqual([
+      ["lab-40", "lab_test", true],
+      ["appt-50", "appointment", false],
+      ["ev-1", "calendar_event", false],
+    ]);
+    expect(res.body[1].title).toBe("Appointment with Dr. Kaur");
+    // "to" is inclusive: the range ends at the start of the next day
+    expect(db.find(/FROM calendar_events/)[0].params).toEqual([patient.id, "2026-12-01 00:00:00", "2026-11-01 00:00:00"]);
+    expect(db.find(/FROM appointments a/)[0].params.at(-1)).toEqual(["cancelled_by_patient", "cancelled_by_doctor"]);
+  });
+
+  test("keeps cancelled appointments on request", async () => {
+    await request(app).get("/calendar/events?include_cancelled=1").set("Authorization", auth);
+
+    expect(db.find(/FROM appointments a/)[0].sql).not.toMatch(/a\.status NOT IN/);
+  });
+
+  test("rejects a backwards range", async () => {
+    expect((await request(app).get("/calendar/events?from=2026-11-30&to=2026-11-01").set("Authorization", auth)).status).toBe(400);
+  });
+});
+
+describe("POST /calendar/events", () => {
+  const create = (body) =>
+    request(app)
+      .post("/calendar/events")
+      .set("Authorization", auth)
+      .send({ title: "Physio", start_time: "2026-11-02 10:15:00", end_time: "2026-11-02 11:00:00", ...body });
+
+  test("saves the event and warns about overlaps", async () => {
+    db.on(/FROM appointments a/, [
+      { id: 50, scheduled_at: "2026-11-02 10:00:00", status: "booked", patient_user_id: patient.id, patient_name: "Asha", doctor_name: "Dr. Kaur" },
+    ]);
+
+    const res = await create();
+
+    expect(res.status).toBe(201);
+    expect(res.body.conflicts.map((c) => c.id)).toEqual(["appt-50"]);
+    expect(res.body.warning).toMatch(/1 other item/);
+    expect(db.find(/INSERT INTO calendar_events/)).toHaveLength(1);
+  });
+
+  test("refuses an end before the start", async () => {
+    expect((await create({ end_time: "2026-11-02 09:00:00" })).status).toBe(400);
+  });
+
+  test("related items must belong to the user", async () => {
+    const res = await create({ related_type: "appointment", related_id: 99 });
+
+    expect(res.status).toBe(400);
+    expect(db.find(/SELECT id FROM appointments WHERE id = \?/)[0].params).toEqual([99, patient.id, patient.id]);
+    expect(db.find(/INSERT INTO calendar_events/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,95 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const ACTIVE_APPOINTMENT = /FROM appointments\s+WHERE doctor_user_id = \? AND patient_user_id = \? AND status IN/;
+const LIVE_CONSENT = /FROM patient_consents\s+WHERE doctor_user_id = \? AND patient_user_id = \? AND revoked_at IS NULL/;
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("doctor access to a patient", () => {
+  test("only active appointments count, not finished or cancelled ones", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app).get(`/doctor/patients/${patient.id}/chart`).set("Authorization", auth);
+
+    expect(res.status).toBe(403);
+    expect(db.find(ACTIVE_APPOINTMENT)[0].params).toEqual([doctor.id, patient.id, ["booked", "confirmed", "checked_in"]]);
+    expect(db.find(LIVE_CONSENT)[0].params).toEqual([doctor.id, patient.id]);
+    expect(db.find(/FROM users u JOIN patients/)).toHaveLength(0);
+  });
+
+  test("a live consent opens the chart", async () => {
+    const auth = signIn(db, doctor);
+    db.on(LIVE_CONSENT, [{ id: 9 }]);
+    db.on(/FROM users u JOIN patients p/, [{ id: patient.id, name: "Asha", sex: "female", date_of_birth: "1990-04-01" }]);
+    db.on(/FROM lab_tests WHERE patient_user_id = \? ORDER BY/, [{ id: 40, test_name: "HbA1c" }]);
+    db.on(/FROM lab_results WHERE lab_test_id IN/, [{ lab_test_id: 40, analyte: "HbA1c", value: "6.10" }]);
+
+    const res = await request(app).get(`/doctor/patients/${patient.id}/chart`).set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.access).toBe("consent");
+    expect(res.body.lab_tests[0].results).toEqual([{ analyte: "HbA1c", value: 6.1 }]);
+  });
+
+  test("having ordered a test does not keep its files readable", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/FROM lab_tests WHERE id = \? LIMIT 1/, [{ id: 40, patient_user_id: patient.id, test_name: "HbA1c", ordered_by_doctor_id: doctor.id }]);
+
+    expect((await request(app).get("/lab-tests/40/files").set("Authorization", auth)).status).toBe(404);
+    expect(db.find(/FROM lab_test_files/)).toHaveLength(0);
+  });
+
+  test("lab orders need the relationship; a consent is enough", async () => {
+    const auth = signIn(db, doctor);
+    const order = () =>
+      request(app)
+        .post("/doctor/lab-orders")
+        .set("Authorization", auth)
+        .send({ patientId: patient.id, test_name: "HbA1c", test_date: "2026-11-01" });
+
+    expect((await order()).status).toBe(403);
+    db.on(LIVE_CONSENT, [{ id: 9 }]);
+    expect((await order()).status).toBe(201);
+  });
+});
+
+describe("consents", () => {
+  test("granting checks the doctor and the duration", async () => {
+    const auth = signIn(db, patient);
+    const grant = (body) => request(app).post("/consents").set("Authorization", auth).send(body);
+
+    expect((await grant({ doctorId: doctor.id, days: 400 })).status).toBe(400);
+    expect((await grant({ doctorId: doctor.id, days: 1.5 })).status).toBe(400);
+    expect((await grant({ doctorId: 99 })).status).toBe(404);
+
+    db.on(/d\.verification_status = 'approved'/, [{ id: doctor.id }]);
+    db.on(/SELECT \* FROM patient_consents WHERE id = \?/, [{ id: 9, doctor_user_id: doctor.id }]);
+    const res = await grant({ doctorId: doctor.id });
+    expect(res.status).toBe(201);
+    expect(db.find(/INSERT INTO patient_consents/)[0].params).toEqual([patient.id, doctor.id, 30]);
+    expect(db.find(/INSERT INTO notifications/)[0].params.slice(0, 2)).toEqual([doctor.id, "consent_granted"]);
+  });
+
+  test("patients can only revoke their own consents", async () => {
+    const auth = signIn(db, patient);
+    db.on(/UPDATE patient_consents SET revoked_at/, { affectedRows: 0 });
+
+    const res = await request(app).delete("/consents/9").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/UPDATE patient_consents/)[0].params).toEqual([9, patient.id]);
+  });
+});
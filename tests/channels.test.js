@@ -0,0 +1,36 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createChannels, createFileChannel } from "../channels.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the file driver appends one JSON line per message", async () => {
+  const sms = createFileChannel("sms", dir);
+
+  const first = await sms.send({ to: "+911234567890", body: "Reminder one", meta: { reminder_id: 1 } });
+  await sms.send({ to: "+911234567890", body: "Reminder two" });
+
+  const lines = fs.readFileSync(path.join(dir, "sms.log"), "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  expect(lines).toHaveLength(2);
+  expect(lines[0]).toMatchObject({ id: first.id, channel: "sms", to: "+911234567890", body: "Reminder one", meta: { reminder_id: 1 } });
+});
+
+test("sending without a recipient fails", async () => {
+  await expect(createFileChannel("email", dir).send({ to: null, body: "x" })).rejects.toThrow(/no recipient/);
+});
+
+test("drivers are chosen per channel", () => {
+  const channels = createChannels({ CHANNEL_OUTBOX_DIR: dir, PUSH_DRIVER: "console" });
+
+  expect(Object.keys(channels)).toEqual(["sms", "email", "push"]);
+  expect(() => createChannels({ EMAIL_DRIVER: "smtp" })).toThrow(/Unknown EMAIL_DRIVER: smtp/);
+});
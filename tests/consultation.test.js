@@ -0,0 +1,79 @@
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import { loadServer, signIn, JWT_SECRET } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const minutesFromNow = (m) => new Date(Date.now() + m * 60 * 1000);
+const appointment = (fields) => ({ id: 50, patient_user_id: patient.id, doctor_user_id: doctor.id, status: "confirmed", ...fields });
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("POST /appointments/:id/consultation/token", () => {
+  test("hands out a short-lived join token once the room is open", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT \* FROM appointments WHERE id = \?/, [appointment({ scheduled_at: minutesFromNow(5) })]);
+
+    const res = await request(app).post("/appointments/50/consultation/token").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.room).toBe("appointment-50");
+    expect(res.body.signaling_url).toMatch(/^ws:\/\/.+\/ws\/consultation\?token=/);
+    const claims = jwt.verify(res.body.token, JWT_SECRET);
+    expect(claims).toMatchObject({ typ: "consultation", appointment_id: 50, role: "patient", sub: String(patient.id) });
+    expect(claims.exp - claims.iat).toBe(120);
+  });
+
+  test("refuses outside the join window", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT \* FROM appointments WHERE id = \?/, [appointment({ scheduled_at: minutesFromNow(60) })]);
+
+    const early = await request(app).post("/appointments/50/consultation/token").set("Authorization", auth);
+    expect(early.status).toBe(409);
+    expect(early.body.error.code).toBe("consultation_room_not_open");
+
+    db.on(/SELECT \* FROM appointments WHERE id = \?/, [appointment({ scheduled_at: minutesFromNow(-120) })]);
+    const late = await request(app).post("/appointments/50/consultation/token").set("Authorization", auth);
+    expect(late.status).toBe(409);
+    expect(late.body.error.code).toBe("consultation_room_closed");
+  });
+
+  test("refuses cancelled appointments and outsiders", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT \* FROM appointments WHERE id = \?/, [appointment({ scheduled_at: minutesFromNow(5), status: "cancelled_by_doctor" })]);
+    expect((await request(app).post("/appointments/50/consultation/token").set("Authorization", auth)).status).toBe(409);
+
+    const otherAuth = signIn(db, { id: 9, email: "dev@example.com", role: "doctor" }, 2);
+    db.on(/SELECT \* FROM appointments WHERE id = \?/, [appointment({ scheduled_at: minutesFromNow(5) })]);
+    expect((await request(app).post("/appointments/50/consultation/token").set("Authorization", otherAuth)).status).toBe(403);
+  });
+});
+
+describe("GET /appointments/:id/consultation", () => {
+  test("counts overlapping connections once and time together separately", async () => {
+    const auth = signIn(db, doctor);
+    const start = minutesFromNow(-60);
+    const at = (m) => new Date(start.getTime() + m * 60 * 1000);
+    db.on(/SELECT \* FROM appointments WHERE id = \?/, [appointment({ scheduled_at: start })]);
+    db.on(/FROM consultation_attendance/, [
+      { id: 1, user_id: patient.id, role: "patient", joined_at: at(0), left_at: at(10) },
+      { id: 2, user_id: patient.id, role: "patient", joined_at: at(5), left_at: at(20) },
+      { id: 3, user_id: doctor.id, role: "doctor", joined_at: at(15), left_at: at(25) },
+    ]);
+
+    const res = await request(app).get("/appointments/50/consultation").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.duration_seconds).toEqual({ patient: 20 * 60, doctor: 10 * 60, together: 5 * 60 });
+  });
+});
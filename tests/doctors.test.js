@@ -0,0 +1,78 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+
+let app;
+let db;
+let auth;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+  auth = signIn(db, patient);
+});
+
+describe("GET /doctors", () => {
+  test("filters, escapes the search term and paginates", async () => {
+    db.on(/SELECT COUNT\(\*\) AS total FROM users u/, [{ total: 31 }]);
+    db.on(/ORDER BY/, [
+      { id: 3, name: "Dr. Kaur", sex: "female", specialization: "cardiology", next_slot_id: 12, next_slot_at: "2026-10-20 09:00:00", free_slots: "4" },
+      { id: 5, name: "Dr. Rao", sex: "male", specialization: "cardiology", next_slot_id: null, next_slot_at: null, free_slots: 0 },
+    ]);
+
+    const res = await request(app)
+      .get("/doctors?specialization=cardiology&q=50%25_off&page=2&limit=10&days=14")
+      .set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ page: 2, limit: 10, total: 31, days: 14 });
+    expect(res.body.data[0]).toEqual({
+      id: 3,
+      name: "Dr. Kaur",
+      sex: "female",
+      specialization: "cardiology",
+      next_available_slot: { slot_id: 12, slot_at: "2026-10-20 09:00:00" },
+      free_slots: 4,
+    });
+    expect(res.body.data[1].next_available_slot).toBeNull();
+    const [list] = db.find(/ORDER BY/);
+    expect(list.params).toEqual([14, "cardiology", "%50\\%\\_off%", 10, 10]);
+  });
+
+  test("sorting by availability puts doctors without free slots last", async () => {
+    db.on(/SELECT COUNT\(\*\) AS total FROM users u/, [{ total: 0 }]);
+
+    const res = await request(app).get("/doctors?sort=next_available&order=desc").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(db.find(/ORDER BY/)[0].sql).toMatch(/ORDER BY next_slot_at IS NULL, next_slot_at DESC, u\.id ASC/);
+  });
+
+  test("rejects unknown sort keys", async () => {
+    const res = await request(app).get("/doctors?sort=password").set("Authorization", auth);
+
+    expect(res.status).toBe(400);
+    expect(db.find(/FROM users u/)).toHaveLength(0);
+  });
+});
+
+describe("GET /doctors/:id", () => {
+  test("returns the public profile", async () => {
+    db.on(/WHERE u\.role = 'doctor' AND .*u\.id = \? LIMIT 1/, [
+      { id: 3, name: "Dr. Kaur", sex: "female", specialization: "cardiology", next_slot_id: null, next_slot_at: null, free_slots: 0 },
+    ]);
+
+    const res = await request(app).get("/doctors/3").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: 3, next_available_slot: null, free_slots: 0, days: 7 });
+  });
+
+  test("unknown doctors are not found", async () => {
+    expect((await request(app).get("/doctors/99").set("Authorization", auth)).status).toBe(404);
+  });
+});
@@ -0,0 +1,158 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("health profile lists", () => {
+  test("a patient adds an allergy to their own profile", async () => {
+    const auth = signIn(db, patient);
+    db.on(/INSERT INTO patient_allergies/, { affectedRows: 1, insertId: 31 });
+
+    const res = await request(app)
+      .post("/patients/me/allergies")
+      .set("Authorization", auth)
+      .send({ allergen: "Penicillin", severity: "severe", noted_on: "2024-02-10" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.id).toBe(31);
+    expect(db.find(/INSERT INTO patient_allergies/)[0].params).toEqual([patient.id, "Penicillin", "severe", "2024-02-10", patient.id]);
+  });
+
+  test("list items are validated before anything is written", async () => {
+    const auth = signIn(db, patient);
+    const add = (body) => request(app).post("/patients/me/allergies").set("Authorization", auth).send(body);
+
+    expect((await add({ severity: "mild" })).status).toBe(400);
+    expect((await add({ allergen: "Dust", severity: "awful" })).status).toBe(400);
+    expect((await add({ allergen: "Dust", severity: "mild", noted_on: "10/02/2024" })).status).toBe(400);
+    expect(db.find(/INSERT INTO patient_allergies/)).toHaveLength(0);
+  });
+
+  test("updates only touch items of the patient in the path", async () => {
+    const auth = signIn(db, patient);
+    db.on(/UPDATE patient_conditions/, { affectedRows: 0 });
+
+    const res = await request(app).put("/patients/me/conditions/12").set("Authorization", auth).send({ status: "resolved" });
+
+    expect(res.status).toBe(404);
+    expect(db.find(/UPDATE patient_conditions/)[0].params).toEqual(["resolved", 12, patient.id]);
+  });
+
+  test("patients cannot open another patient's profile", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).get("/patients/8/health-profile").set("Authorization", auth);
+
+    expect(res.status).toBe(403);
+    expect(db.find(/FROM users u JOIN patients p/)).toHaveLength(0);
+  });
+
+  test("doctors need a care relationship to read the profile", async () => {
+    const auth = signIn(db, doctor);
+
+    expect((await request(app).get(`/patients/${patient.id}/health-profile`).set("Authorization", auth)).status).toBe(403);
+
+    db.on(/FROM appointments\s+WHERE doctor_user_id = \? AND patient_user_id = \? AND status IN/, [{ id: 50 }]);
+    db.on(/FROM users u JOIN patients p/, [
+      { patient_user_id: patient.id, name: "Asha", blood_group: "B+", emergency_contact_name: "Ravi", emergency_contact_phone: "+911234", emergency_contact_relation: "brother" },
+    ]);
+    db.on(/FROM patient_allergies/, [{ id: 31, allergen: "Penicillin", severity: "severe" }]);
+
+    const res = await request(app).get(`/patients/${patient.id}/health-profile`).set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.emergency_contact).toEqual({ name: "Ravi", phone: "+911234", relation: "brother" });
+    expect(res.body.allergies).toHaveLength(1);
+    expect(res.body.conditions).toEqual([]);
+  });
+
+  test("blood group must be a known group", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).put("/patients/me/health-profile").set("Authorization", auth).send({ blood_group: "C+" });
+
+    expect(res.status).toBe(400);
+    expect(db.find(/UPDATE patients SET/)).toHaveLength(0);
+  });
+});
+
+describe("vitals", () => {
+  test("weights in pounds are stored in kilograms", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app)
+      .post("/patients/me/vitals")
+      .set("Authorization", auth)
+      .send({ type: "weight", value: 150, unit: "lb", measured_at: "2025-03-01 08:00:00" });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ type: "weight", value: 68.04, unit: "kg" });
+    expect(db.find(/INSERT INTO vitals/)[0].params.slice(0, 5)).toEqual([patient.id, "weight", 68.04, null, "kg"]);
+  });
+
+  test("blood pressure needs a diastolic value below the systolic one", async () => {
+    const auth = signIn(db, patient);
+    const record = (body) => request(app).post("/patients/me/vitals").set("Authorization", auth).send({ type: "blood_pressure", ...body });
+
+    expect((await record({ value: 120 })).status).toBe(400);
+    expect((await record({ value: 80, value_secondary: 120 })).status).toBe(400);
+    expect((await record({ value: 400, value_secondary: 80 })).status).toBe(400);
+    expect((await record({ value: 120, value_secondary: 80, unit: "kPa" })).status).toBe(400);
+    expect(db.find(/INSERT INTO vitals/)).toHaveLength(0);
+  });
+
+  test("readings cannot be dated in the future", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app)
+      .post("/patients/me/vitals")
+      .set("Authorization", auth)
+      .send({ type: "pulse", value: 72, measured_at: "2999-01-01 08:00:00" });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("the trend groups readings by bucket and rounds averages", async () => {
+    const auth = signIn(db, patient);
+    db.on(/GROUP BY period/, [
+      { period: "2025-03", readings: 3, avg_value: "121.333", min_value: "118.00", max_value: "125.00", avg_secondary: "79.6667" },
+    ]);
+
+    const res = await request(app)
+      .get("/patients/me/vitals/trend?type=blood_pressure&bucket=month&from=2025-03-01&to=2025-03-31")
+      .set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.points).toEqual([{ period: "2025-03", readings: 3, avg: 121.33, min: 118, max: 125, avg_secondary: 79.67 }]);
+    expect(db.find(/GROUP BY period/)[0].params).toEqual([patient.id, "blood_pressure", "2025-03-01 00:00:00", "2025-03-31 23:59:59"]);
+  });
+
+  test("the trend rejects unknown types and buckets", async () => {
+    const auth = signIn(db, patient);
+
+    expect((await request(app).get("/patients/me/vitals/trend?type=height").set("Authorization", auth)).status).toBe(400);
+    expect((await request(app).get("/patients/me/vitals/trend?type=pulse&bucket=year").set("Authorization", auth)).status).toBe(400);
+  });
+
+  test("only the recorder can delete a reading", async () => {
+    const auth = signIn(db, patient);
+    db.on(/DELETE FROM vitals/, { affectedRows: 0 });
+
+    const res = await request(app).delete("/patients/me/vitals/90").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/DELETE FROM vitals/)[0].params).toEqual([90, patient.id, patient.id]);
+  });
+});
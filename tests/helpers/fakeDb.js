@@ -0,0 +1,62 @@
+// Stand-in for the mysql2 pool used by the route tests. A test registers answers for the
+// statements a route runs, and every statement is recorded for assertions:
+//
+//   db.on(/FROM users WHERE email = \?/, [{ id: 1, ... }])   rows for a SELECT
+//   db.on(/^\s*UPDATE appointments/, { affectedRows: 0 })     result of a write
+//   db.on(/.../, (params, sql) => rows | result | undefined)  computed per call
+//
+// The most recently registered matching answer wins; a function answering undefined passes
+// the statement on. Unmatched SELECTs return no rows, unmatched writes one affected row
+// and a fresh insertId.
+export function createFakeDb() {
+  const answers = [];
+  const queries = [];
+  let nextId = 1000;
+
+  async function query(sql, params = []) {
+    queries.push({ sql, params });
+    for (let i = answers.length - 1; i >= 0; i--) {
+      if (!answers[i].pattern.test(sql)) continue;
+      const answer = typeof answers[i].answer === "function" ? await answers[i].answer(params, sql) : answers[i].answer;
+      if (answer === undefined) continue;
+      return Array.isArray(answer) ? [answer, []] : [answer];
+    }
+    if (/^\s*(SELECT|SHOW)\b/i.test(sql)) return [[], []];
+    return [{ affectedRows: 1, insertId: ++nextId }];
+  }
+
+  // Transaction boundaries are recorded as BEGIN / COMMIT / ROLLBACK
+  function mark(sql) {
+    return async () => {
+      queries.push({ sql, params: [] });
+    };
+  }
+
+  const pool = {
+    query,
+    getConnection: async () => ({
+      query,
+      beginTransaction: mark("BEGIN"),
+      commit: mark("COMMIT"),
+      rollback: mark("ROLLBACK"),
+      release: () => {},
+    }),
+    end: async () => {},
+  };
+
+  return {
+    pool,
+    queries,
+    on(pattern, answer) {
+      answers.push({ pattern, answer });
+    },
+    // statements matching pattern, in the order they ran
+    find(pattern) {
+      return queries.filter((q) => pattern.test(q.sql));
+    },
+    reset() {
+      answers.length = 0;
+      queries.length = 0;
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// Loads server.js for supertest with mysql2 replaced by the fake pool from fakeDb.js.
+import { jest } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import { createFakeDb } from "./fakeDb.js";
+
+export const JWT_SECRET = "test-secret";
+
+// ES modules are cached per test file: call once per file (in beforeAll) and reset the
+// returned db between tests. Route error logging is silenced; tests assert on responses.
+export async function loadServer() {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_SECRET = JWT_SECRET;
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+
+  const db = createFakeDb();
+  jest.unstable_mockModule("mysql2/promise", () => ({ default: { createPool: () => db.pool } }));
+  const { default: app } = await import("../../server.js");
+  return { app, db };
+}
+
+// Authorization header for user ({ id, email, role }) on session sid, plus the rows
+// authenticateToken and authorizeRoles look up for it. user.status and, for doctors,
+// user.verification_status default to an active, approved account; user.locale to none saved.
+export function signIn(db, user, sid = 1) {
+  const { status = "active", verification_status = "approved", locale = null } = user;
+  db.on(/FROM auth_sessions[\s\S]*WHERE (s\.)?id = \? AND (s\.)?user_id = \? AND (s\.)?revoked_at IS NULL/, (params) =>
+    params[0] === sid && params[1] === user.id ? [{ id: sid, status, locale }] : undefined
+  );
+  if (user.role === "doctor") {
+    db.on(/SELECT verification_status FROM doctors WHERE user_id = \?/, (params) =>
+      params[0] === user.id ? [{ verification_status }] : undefined
+    );
+  }
+  const token = jwt.sign({ id: user.id, email: user.email, role: user.role, sid }, JWT_SECRET, { expiresIn: "15m" });
+  return `Bearer ${token}`;
+}
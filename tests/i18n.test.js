@@ -0,0 +1,62 @@
+import { negotiateLocale, checkCatalogs, createI18n, loadCatalogs } from "../i18n.js";
+
+const LOCALES = ["en", "hi", "pa"];
+
+describe("negotiateLocale", () => {
+  test.each([
+    ["pa-IN,pa;q=0.9,hi;q=0.8,en;q=0.5", "pa"],
+    ["hi", "hi"],
+    ["en-GB", "en"],
+    ["fr, hi;q=0.4", "hi"],
+    ["en;q=0.2, pa;q=0.8", "pa"],
+    ["HI-in", "hi"],
+  ])("%s -> %s", (header, expected) => {
+    expect(negotiateLocale(header, LOCALES)).toBe(expected);
+  });
+
+  test.each([[undefined], [""], ["fr, de"], ["*"], ["hi;q=0"]])("no match for %p", (header) => {
+    expect(negotiateLocale(header, LOCALES)).toBeNull();
+  });
+});
+
+describe("checkCatalogs", () => {
+  test("accepts catalogs with the same keys and placeholders", () => {
+    expect(checkCatalogs({ en: { a: "Hi {name}" }, hi: { a: "नमस्ते {name}" } })).toEqual([]);
+  });
+
+  test("reports missing, empty, extra and mismatched messages", () => {
+    const problems = checkCatalogs({
+      en: { a: "A", b: "B {count}", c: "C" },
+      pa: { b: "ਬ {total}", c: " ", d: "D" },
+    });
+    expect(problems).toEqual([
+      'pa: missing "a"',
+      'pa: "b" uses placeholders {total}, en uses {count}',
+      'pa: "c" is empty',
+      'pa: "d" is not in the en catalog',
+    ]);
+  });
+
+  test("needs the reference catalog", () => {
+    expect(checkCatalogs({ hi: {} })).toEqual(['no catalog for the reference locale "en"']);
+  });
+
+  test("the shipped catalogs are complete", () => {
+    expect(checkCatalogs(loadCatalogs())).toEqual([]);
+  });
+});
+
+describe("createI18n", () => {
+  const i18n = createI18n({ en: { hello: "Hello {name}", only_en: "English" }, hi: { hello: "नमस्ते {name}" } });
+
+  test("fills placeholders and falls back to English", () => {
+    expect(i18n.t("hi", "hello", { name: "Asha" })).toBe("नमस्ते Asha");
+    expect(i18n.t("hi", "only_en")).toBe("English");
+    expect(i18n.t("xx", "hello", { name: "Asha" })).toBe("Hello Asha");
+  });
+
+  test("returns the code for unknown messages and leaves missing params visible", () => {
+    expect(i18n.t("en", "nope")).toBe("nope");
+    expect(i18n.t("en", "hello")).toBe("Hello {name}");
+  });
+});
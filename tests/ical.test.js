@@ -0,0 +1,69 @@
+import { buildCalendar, parseCalendar } from "../ical.js";
+
+const vcalendar = (...events) =>
+  ["BEGIN:VCALENDAR", "VERSION:2.0", ...events.flatMap((e) => ["BEGIN:VEVENT", ...e, "END:VEVENT"]), "END:VCALENDAR"].join("\r\n");
+
+describe("buildCalendar", () => {
+  test("writes timed events in UTC and all-day events with an exclusive end", () => {
+    const text = buildCalendar({
+      name: "Health; calendar",
+      events: [
+        { uid: "a@x", summary: "Check-up, fasting", start: new Date(Date.UTC(2026, 10, 2, 4, 30)), end: new Date(Date.UTC(2026, 10, 2, 5)), status: "CONFIRMED" },
+        { uid: "b@x", summary: "Lab test", start: "2026-12-31", allDay: true },
+      ],
+    });
+
+    expect(text.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(text).toContain("X-WR-CALNAME:Health\\; calendar\r\n");
+    expect(text).toContain("DTSTART:20261102T043000Z\r\nDTEND:20261102T050000Z\r\nSUMMARY:Check-up\\, fasting\r\n");
+    expect(text).toContain("STATUS:CONFIRMED");
+    expect(text).toContain("DTSTART;VALUE=DATE:20261231\r\nDTEND;VALUE=DATE:20270101\r\n");
+  });
+
+  test("folds long lines without splitting multi-byte characters", () => {
+    const summary = Array(10).fill("दवा की खुराक").join(", ");
+    const text = buildCalendar({ events: [{ uid: "c@x", summary, start: "2026-11-02", allDay: true }] });
+
+    for (const line of text.split("\r\n")) expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75);
+    expect(parseCalendar(text).events[0].summary).toBe(summary);
+  });
+});
+
+describe("parseCalendar", () => {
+  test("reads floating, all-day and escaped values", () => {
+    const { events, invalid } = parseCalendar(
+      vcalendar(
+        ["UID:1@x", "SUMMARY:Physio\\, room 2", "DESCRIPTION:Bring\\nreports", "DTSTART:20261102T093000", "DTEND:20261102T100000"],
+        ["UID:2@x", "SUMMARY:Holiday", "DTSTART;VALUE=DATE:20261225"]
+      )
+    );
+
+    expect(invalid).toEqual([]);
+    expect(events).toEqual([
+      { uid: "1@x", summary: "Physio, room 2", description: "Bring\nreports", start: "2026-11-02 09:30:00", end: "2026-11-02 10:00:00", allDay: false },
+      { uid: "2@x", summary: "Holiday", description: null, start: "2026-12-25 00:00:00", end: null, allDay: true },
+    ]);
+  });
+
+  test("reports events whose dates cannot be stored", () => {
+    const { events, invalid } = parseCalendar(
+      vcalendar(
+        ["UID:feb30@x", "SUMMARY:Impossible", "DTSTART:20260230T090000"],
+        ["UID:nostart@x", "SUMMARY:No start"],
+        ["UID:hour25@x", "DTSTART:20261102T250000"],
+        ["UID:badend@x", "DTSTART:20261102T090000", "DTEND:tomorrow"],
+        ["UID:backwards@x", "DTSTART:20261102T090000", "DTEND:20261102T080000"],
+        ["UID:ok@x", "DTSTART:20261102T090000"]
+      )
+    );
+
+    expect(events.map((e) => e.uid)).toEqual(["ok@x"]);
+    expect(invalid).toEqual([
+      { uid: "feb30@x", summary: "Impossible", reason: "start_invalid" },
+      { uid: "nostart@x", summary: "No start", reason: "start_invalid" },
+      { uid: "hour25@x", summary: null, reason: "start_invalid" },
+      { uid: "badend@x", summary: null, reason: "end_invalid" },
+      { uid: "backwards@x", summary: null, reason: "end_before_start" },
+    ]);
+  });
+});
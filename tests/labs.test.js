@@ -0,0 +1,145 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+// an active appointment between the doctor and the patient
+const careRelationship = (db) =>
+  db.on(/FROM appointments\s+WHERE doctor_user_id = \? AND patient_user_id = \? AND status IN/, [{ id: 50 }]);
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("POST /doctor/lab-orders", () => {
+  const order = (auth, body = {}) =>
+    request(app)
+      .post("/doctor/lab-orders")
+      .set("Authorization", auth)
+      .send({ patientId: patient.id, test_name: "HbA1c", test_date: "2026-11-01", ...body });
+
+  test("orders the test and tells the patient", async () => {
+    const auth = signIn(db, doctor);
+    careRelationship(db);
+    db.on(/INSERT INTO lab_tests/, { affectedRows: 1, insertId: 40 });
+
+    const res = await order(auth);
+
+    expect(res.status).toBe(201);
+    expect(db.find(/INSERT INTO lab_tests/)[0].params).toEqual([patient.id, "HbA1c", "2026-11-01", doctor.id, null]);
+    const [note] = db.find(/INSERT INTO notifications/);
+    expect(note.params.slice(0, 2)).toEqual([patient.id, "lab_test_ordered"]);
+    expect(JSON.parse(note.params[4])).toEqual({ lab_test_id: 40 });
+  });
+
+  test("refuses patients without a care relationship", async () => {
+    const auth = signIn(db, doctor);
+
+    expect((await order(auth)).status).toBe(403);
+    expect(db.find(/INSERT INTO lab_tests/)).toHaveLength(0);
+  });
+
+  test("a given appointment must be the doctor's own with this patient", async () => {
+    const auth = signIn(db, doctor);
+    careRelationship(db);
+
+    const res = await order(auth, { appointmentId: 50 });
+
+    expect(res.status).toBe(404);
+    expect(db.find(/SELECT id, status FROM appointments/)[0].params).toEqual([50, doctor.id, patient.id]);
+  });
+
+  test("refuses cancelled appointments", async () => {
+    const auth = signIn(db, doctor);
+    careRelationship(db);
+    db.on(/SELECT id, status FROM appointments/, [{ id: 50, status: "cancelled_by_patient" }]);
+
+    expect((await order(auth, { appointmentId: 50 })).status).toBe(409);
+    expect(db.find(/INSERT INTO lab_tests/)).toHaveLength(0);
+  });
+
+  test("validates the test date", async () => {
+    const auth = signIn(db, doctor);
+
+    expect((await order(auth, { test_date: "1/11/2026" })).status).toBe(400);
+  });
+});
+
+describe("POST /lab-tests/:id/results", () => {
+  const labTest = { id: 40, patient_user_id: patient.id, test_name: "Glucose", ordered_by_doctor_id: doctor.id };
+
+  test("flags each value and alerts the ordering doctor about critical ones", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM lab_tests WHERE id = \? LIMIT 1/, [labTest]);
+
+    const res = await request(app)
+      .post("/lab-tests/40/results")
+      .set("Authorization", auth)
+      .send({
+        results: [
+          { analyte: "Glucose", value: 45, unit: "mg/dL", ref_low: 70, ref_high: 140, critical_low: 50 },
+          { analyte: "HbA1c", value: "6.8", unit: "%", ref_high: 5.7 },
+          { analyte: "Sodium", value: 140, ref_low: 135, ref_high: 145 },
+        ],
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.results.map((r) => r.flag)).toEqual(["critical_low", "high", "normal"]);
+    const [note] = db.find(/INSERT INTO notifications/);
+    expect(note.params.slice(0, 3)).toEqual([doctor.id, "lab_results_critical", "CRITICAL: results ready for Glucose"]);
+    expect(note.params[3]).toBe("Abnormal: Glucose 45 mg/dL (critical_low), HbA1c 6.8 % (high)");
+    // the audit entry is written afterwards in a transaction of its own
+    expect(db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("rejects non-numeric values and inverted ranges", async () => {
+    const auth = signIn(db, patient);
+    const post = (results) => request(app).post("/lab-tests/40/results").set("Authorization", auth).send({ results });
+
+    expect((await post([{ analyte: "Glucose", value: "high" }])).status).toBe(400);
+    expect((await post([{ analyte: "Glucose", value: 90, ref_low: 140, ref_high: 70 }])).status).toBe(400);
+    expect((await post([{ analyte: "Glucose", value: 90, ref_high: "n/a" }])).status).toBe(400);
+    expect(db.find(/FROM lab_tests/)).toHaveLength(0);
+  });
+
+  test("a doctor unrelated to the patient cannot record results", async () => {
+    const auth = signIn(db, { id: 4, email: "rao@example.com", role: "doctor" });
+    db.on(/FROM lab_tests WHERE id = \? LIMIT 1/, [labTest]);
+
+    const res = await request(app)
+      .post("/lab-tests/40/results")
+      .set("Authorization", auth)
+      .send({ results: [{ analyte: "Glucose", value: 90 }] });
+
+    expect(res.status).toBe(404);
+    expect(db.find(/INSERT INTO lab_results/)).toHaveLength(0);
+  });
+});
+
+describe("GET /lab-results/trend", () => {
+  test("doctors need a relationship with the patient", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app).get(`/lab-results/trend?analyte=HbA1c&patientId=${patient.id}`).set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/FROM lab_results r/)).toHaveLength(0);
+  });
+
+  test("patients see their own history", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).get("/lab-results/trend?analyte=HbA1c&from=2026-01-01").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(db.find(/FROM lab_results r/)[0].params).toEqual([patient.id, "HbA1c", "2026-01-01"]);
+  });
+});
@@ -0,0 +1,113 @@
+import http from "http";
+import request from "supertest";
+import { createLiveHub } from "../live.js";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const HEARTBEAT = /SELECT u\.status FROM auth_sessions s[\s\S]*WHERE s\.id = \? AND s\.revoked_at IS NULL/;
+
+let app;
+let db;
+let server;
+let port;
+
+beforeAll(async () => {
+  process.env.LIVE_HEARTBEAT_MS = "50";
+  ({ app, db } = await loadServer());
+  server = app.listen(0);
+  port = server.address().port;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  db.reset();
+});
+
+// Open GET /live/events and resolve with { status, text, close } once until(text) holds
+function openStream(pathAndQuery, headers, until) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path: pathAndQuery, headers }, (res) => {
+      let text = "";
+      const close = () => req.destroy();
+      const check = () => {
+        if (until(text)) resolve({ status: res.statusCode, text, close });
+      };
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        text += chunk;
+        check();
+      });
+      res.on("end", () => resolve({ status: res.statusCode, text, close }));
+    });
+    req.on("error", reject);
+  });
+}
+
+const events = (text) =>
+  text
+    .split("\n\n")
+    .filter((block) => block.startsWith("event: "))
+    .map((block) => JSON.parse(block.split("\ndata: ")[1]));
+
+describe("createLiveHub", () => {
+  test("delivers to subscribers of the topic until they unsubscribe", () => {
+    const hub = createLiveHub();
+    const seen = [];
+    const off = hub.subscribe("user:7", (event) => seen.push(event));
+
+    hub.publish("user:7", "appointment.status", { status: "confirmed" });
+    hub.publish("user:8", "appointment.status", { status: "cancelled" });
+    off();
+    hub.publish("user:7", "appointment.status", { status: "completed" });
+
+    expect(seen.map((e) => [e.type, e.data.status])).toEqual([["appointment.status", "confirmed"]]);
+    expect(seen[0].at).toEqual(expect.any(String));
+  });
+});
+
+describe("GET /live/events", () => {
+  test("needs a valid access token", async () => {
+    expect((await request(app).get("/live/events")).status).toBe(401);
+    expect((await request(app).get("/live/events?access_token=nonsense")).status).toBe(403);
+  });
+
+  test("rejects malformed doctor lists", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).get("/live/events?doctors=3,abc").set("Authorization", auth);
+
+    expect(res.status).toBe(400);
+  });
+
+  test("streams slot changes of watched doctors, authenticated through the query string", async () => {
+    const token = signIn(db, patient).split(" ")[1];
+    db.on(HEARTBEAT, [{ status: "active" }]);
+
+    const stream = await openStream(`/live/events?doctors=${doctor.id}&access_token=${token}`, {}, (text) => text.includes("event: ready"));
+    expect(stream.status).toBe(200);
+    expect(events(stream.text)[0].data).toEqual({ user_id: patient.id, doctors: [doctor.id] });
+
+    const removed = openStream(`/live/events?doctors=${doctor.id}&access_token=${token}`, {}, (text) => text.includes("event: slot.removed"));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const doctorAuth = signIn(db, doctor, 2);
+    db.on(/SELECT \* FROM doctor_slots WHERE id = \? AND doctor_user_id = \?/, [{ id: 90, slot_at: "2026-11-02 10:00:00", is_booked: 0 }]);
+    expect((await request(app).delete("/doctor/slots/90").set("Authorization", doctorAuth)).status).toBe(200);
+
+    const second = await removed;
+    expect(events(second.text).find((e) => e.type === "slot.removed").data).toMatchObject({ doctor_user_id: doctor.id, slot_id: 90 });
+    stream.close();
+    second.close();
+  });
+
+  test("ends the stream once the session is revoked", async () => {
+    const auth = signIn(db, patient);
+
+    const stream = await openStream("/live/events", { Authorization: auth }, (text) => text.includes("event: session.revoked"));
+
+    expect(events(stream.text).pop()).toMatchObject({ type: "session.revoked", data: { reason: "revoked" } });
+    stream.close();
+  });
+});
@@ -0,0 +1,82 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("response language", () => {
+  test("follows Accept-Language before sign-in", async () => {
+    const res = await request(app).post("/login").set("Accept-Language", "hi-IN,hi;q=0.9,en;q=0.5").send({ email: "asha@example.com" });
+
+    expect(res.status).toBe(400);
+    expect(res.headers["content-language"]).toBe("hi");
+    expect(res.body.error.code).toBe("validation_failed");
+    expect(res.body.error.details[0]).toMatchObject({ field: "password", code: "required", message: "आवश्यक है" });
+    expect(res.body.message).toBe("password आवश्यक है");
+  });
+
+  test("unsupported languages fall back to English", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app).delete("/doctor/slots/90").set("Authorization", auth).set("Accept-Language", "fr-FR");
+
+    expect(res.headers["content-language"]).toBe("en");
+    expect(res.body.message).toBe("Slot not found");
+  });
+
+  test("the account's saved language wins over the header", async () => {
+    const auth = signIn(db, { ...doctor, locale: "pa" });
+
+    const res = await request(app).delete("/doctor/slots/90").set("Authorization", auth).set("Accept-Language", "hi");
+
+    expect(res.headers["content-language"]).toBe("pa");
+    expect(res.body).toMatchObject({ error: { code: "slot_not_found", message: "ਸਲਾਟ ਨਹੀਂ ਮਿਲਿਆ" } });
+  });
+});
+
+describe("PUT /profile/language", () => {
+  test("saves the language and answers in it", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).put("/profile/language").set("Authorization", auth).send({ language: "hi" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ locale: "hi", message: "भाषा अपडेट की गई" });
+    expect(db.find(/UPDATE users SET locale = \?/)[0].params).toEqual(["hi", patient.id]);
+  });
+
+  test("only offers the shipped languages", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).put("/profile/language").set("Authorization", auth).send({ language: "ta" });
+
+    expect(res.status).toBe(400);
+    expect(db.find(/UPDATE users SET locale/)).toHaveLength(0);
+  });
+});
+
+test("notifications are written in the recipient's language, not the sender's", async () => {
+  const auth = signIn(db, doctor);
+  db.on(/FROM appointments\s+WHERE doctor_user_id = \? AND patient_user_id = \? AND status IN/, [{ id: 50 }]);
+  db.on(/SELECT locale FROM users WHERE id = \?/, (params) => [{ locale: params[0] === patient.id ? "hi" : "en" }]);
+
+  const res = await request(app)
+    .post("/doctor/lab-orders")
+    .set("Authorization", auth)
+    .send({ patientId: patient.id, test_name: "HbA1c", test_date: "2026-11-01" });
+
+  expect(res.status).toBe(201);
+  const [note] = db.find(/INSERT INTO notifications/);
+  expect(note.params.slice(0, 3)).toEqual([patient.id, "lab_test_ordered", "लैब टेस्ट लिखा गया: HbA1c"]);
+});
@@ -0,0 +1,171 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const isoDate = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+const sqlTime = (d) => `${isoDate(d)} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+const hoursFromNow = (h) => new Date(Date.now() + h * 60 * 60 * 1000);
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("medication schedules", () => {
+  test("creating a schedule lays out its doses on the calendar", async () => {
+    const auth = signIn(db, patient);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    db.on(/INSERT INTO medication_schedules/, { affectedRows: 1, insertId: 14 });
+    db.on(/FROM medication_schedules WHERE id = \? LIMIT 1/, [
+      {
+        id: 14,
+        patient_user_id: patient.id,
+        drug: "Metformin",
+        dose: "500 mg",
+        times_of_day: ["08:00", "20:00"],
+        start_date: today,
+        end_date: tomorrow,
+        instructions: null,
+        active: 1,
+        created_at: today,
+      },
+    ]);
+    db.on(/INSERT IGNORE INTO calendar_events/, (params) => ({ affectedRows: params[0].length }));
+
+    const res = await request(app)
+      .post("/patients/me/medication-schedules")
+      .set("Authorization", auth)
+      .send({ drug: "Metformin", dose: "500 mg", times: ["20:00", "08:00", "20:00"], start_date: isoDate(today), end_date: isoDate(tomorrow) });
+
+    expect(res.status).toBe(201);
+    expect(res.body.doses_scheduled).toBe(4);
+    expect(db.find(/INSERT INTO medication_schedules/)[0].params[5]).toBe('["08:00","20:00"]');
+    const doses = db.find(/INSERT IGNORE INTO calendar_events/)[0].params[0];
+    expect(doses.map((d) => d[6])).toEqual([
+      `${isoDate(today)} 08:00:00`,
+      `${isoDate(today)} 20:00:00`,
+      `${isoDate(tomorrow)} 08:00:00`,
+      `${isoDate(tomorrow)} 20:00:00`,
+    ]);
+    expect(doses[0].slice(0, 5)).toEqual([patient.id, "medication_dose", "medication_schedule", 14, "Take Metformin 500 mg"]);
+    expect(doses[0][8]).toBe(`med-14-${isoDate(today).replace(/-/g, "")}0800`);
+  });
+
+  test("times and dates are validated", async () => {
+    const auth = signIn(db, patient);
+    const create = (body) =>
+      request(app)
+        .post("/patients/me/medication-schedules")
+        .set("Authorization", auth)
+        .send({ drug: "Metformin", dose: "500 mg", start_date: "2025-03-01", times: ["08:00"], ...body });
+
+    expect((await create({ times: [] })).status).toBe(400);
+    expect((await create({ times: ["8am"] })).status).toBe(400);
+    expect((await create({ end_date: "2025-02-01" })).status).toBe(400);
+    expect(db.find(/INSERT INTO medication_schedules/)).toHaveLength(0);
+  });
+
+  test("doctors without a care relationship are refused", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app).get(`/patients/${patient.id}/medication-schedules`).set("Authorization", auth);
+
+    expect(res.status).toBe(403);
+    expect(db.find(/FROM medication_schedules ms/)).toHaveLength(0);
+  });
+
+  test("stopping a schedule clears future unlogged doses", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM medication_schedules WHERE id = \? AND patient_user_id = \?/, [{ id: 14, patient_user_id: patient.id, active: 1 }]);
+
+    const res = await request(app).delete("/patients/me/medication-schedules/14").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(db.find(/UPDATE medication_schedules SET active = 0/)[0].params).toEqual([14]);
+    expect(db.find(/DELETE ce FROM calendar_events ce/)[0].params).toEqual(["medication_dose", 14]);
+  });
+
+  test("dose events cannot be deleted from the calendar directly", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT user_id, event_type FROM calendar_events WHERE id = \?/, [{ user_id: patient.id, event_type: "medication_dose" }]);
+
+    const res = await request(app).delete("/calendar/events/60").set("Authorization", auth);
+
+    expect(res.status).toBe(409);
+    expect(db.find(/^DELETE FROM calendar_events/)).toHaveLength(0);
+  });
+});
+
+describe("dose logging", () => {
+  beforeEach(() => {
+    db.on(/FROM medication_schedules WHERE id = \? AND patient_user_id = \?/, [{ id: 14, patient_user_id: patient.id, active: 1 }]);
+  });
+
+  test("a dose taken long after its time is logged as late", async () => {
+    const auth = signIn(db, patient);
+    const due = sqlTime(hoursFromNow(-3));
+    db.on(/SELECT id FROM calendar_events\s+WHERE event_type = \?/, [{ id: 60 }]);
+
+    const res = await request(app)
+      .post("/patients/me/medication-schedules/14/doses")
+      .set("Authorization", auth)
+      .send({ scheduled_for: due, status: "taken" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe("late");
+    expect(db.find(/INSERT INTO medication_dose_logs/)[0].params.slice(0, 4)).toEqual([14, patient.id, due, "late"]);
+  });
+
+  test("doses cannot be logged before they are due", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app)
+      .post("/patients/me/medication-schedules/14/doses")
+      .set("Authorization", auth)
+      .send({ scheduled_for: sqlTime(hoursFromNow(5)), status: "taken" });
+
+    expect(res.status).toBe(400);
+    expect(db.find(/INSERT INTO medication_dose_logs/)).toHaveLength(0);
+  });
+
+  test("a time without a scheduled dose is not found", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app)
+      .post("/patients/me/medication-schedules/14/doses")
+      .set("Authorization", auth)
+      .send({ scheduled_for: sqlTime(hoursFromNow(-1)), status: "skipped" });
+
+    expect(res.status).toBe(404);
+    expect(db.find(/INSERT INTO medication_dose_logs/)).toHaveLength(0);
+  });
+});
+
+describe("adherence", () => {
+  test("late doses count as adherent but not on time; unlogged ones are missed", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM medication_schedules ms\s+LEFT JOIN calendar_events ce/, [
+      { schedule_id: 14, drug: "Metformin", dose: "500 mg", active: 1, due: 10, taken: "6", late: "2", skipped: "1" },
+      { schedule_id: 15, drug: "Statin", dose: "10 mg", active: 0, due: 0, taken: 0, late: 0, skipped: 0 },
+    ]);
+
+    const res = await request(app).get("/patients/me/adherence?from=2025-03-01&to=2025-03-31").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.overall_adherence_pct).toBe(80);
+    expect(res.body.medications[0]).toMatchObject({ missed: 1, adherence_pct: 80, on_time_pct: 60 });
+    expect(res.body.medications[1]).toMatchObject({ active: false, adherence_pct: null });
+  });
+});
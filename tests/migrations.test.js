@@ -0,0 +1,139 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadMigrations, checkSchema } from "../migrations.js";
+
+let dir;
+
+function write(files) {
+  for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+}
+
+// answers the two queries checkSchema makes: the applied list and information_schema.columns
+function fakeDb({ applied, columns = [] }) {
+  return {
+    query: async (sql) => {
+      if (sql.includes("FROM schema_migrations")) {
+        if (!applied) throw Object.assign(new Error("Table 'schema_migrations' doesn't exist"), { code: "ER_NO_SUCH_TABLE" });
+        return [applied];
+      }
+      if (sql.includes("information_schema.columns")) {
+        return [columns.map((c) => ({ table_name: c.split(".")[0], column_name: c.split(".")[1] }))];
+      }
+      throw new Error(`unexpected query: ${sql}`);
+    },
+  };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  write({ "package.json": '{ "type": "module" }' });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("loadMigrations", () => {
+  test("pairs .up.sql/.down.sql, loads .js modules and sorts by version", async () => {
+    write({
+      "010_later.up.sql": "CREATE TABLE b (id INT);",
+      "010_later.down.sql": "DROP TABLE b;",
+      "002_script.js": "export async function up(db) { await db.query('UP'); }\nexport async function down() {}\n",
+      "001_first.up.sql": "CREATE TABLE a (id INT);",
+      "001_first.down.sql": "DROP TABLE a;",
+      "README.md": "not a migration",
+    });
+    const migrations = await loadMigrations(dir);
+    expect(migrations.map((m) => [m.version, m.name])).toEqual([
+      [1, "first"],
+      [2, "script"],
+      [10, "later"],
+    ]);
+
+    const queries = [];
+    const db = { query: async (sql) => queries.push(sql) };
+    await migrations[0].up(db);
+    await migrations[0].down(db);
+    await migrations[1].up(db);
+    expect(queries).toEqual(["CREATE TABLE a (id INT);", "DROP TABLE a;", "UP"]);
+  });
+
+  test("checksums ignore line endings but change with the content", async () => {
+    write({ "001_a.up.sql": "SELECT 1;\nSELECT 2;", "001_a.down.sql": "SELECT 3;" });
+    const [lf] = await loadMigrations(dir);
+    write({ "001_a.up.sql": "SELECT 1;\r\nSELECT 2;" });
+    const [crlf] = await loadMigrations(dir);
+    write({ "001_a.down.sql": "SELECT 4;" });
+    const [edited] = await loadMigrations(dir);
+    expect(lf.checksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(crlf.checksum).toBe(lf.checksum);
+    expect(edited.checksum).not.toBe(lf.checksum);
+  });
+
+  test.each([
+    [
+      "a shared version",
+      { "001_a.up.sql": "", "001_a.down.sql": "", "001_b.up.sql": "", "001_b.down.sql": "" },
+      "Migrations a and b share version 1",
+    ],
+    ["a missing down file", { "003_only_up.up.sql": "SELECT 1;" }, "Migration 003_only_up needs both .up.sql and .down.sql"],
+    [
+      "mixed .js and .sql",
+      { "004_mixed.js": "export function up() {}\nexport function down() {}\n", "004_mixed.up.sql": "" },
+      "Migration 004_mixed mixes .js and .sql files",
+    ],
+    ["a .js without down()", { "005_half.js": "export function up() {}\n" }, "Migration 005_half must export up(db) and down(db)"],
+  ])("rejects %s", async (_, files, message) => {
+    write(files);
+    await expect(loadMigrations(dir)).rejects.toThrow(message);
+  });
+
+  test("the shipped migrations load with consecutive versions", async () => {
+    const migrations = await loadMigrations();
+    expect(migrations.map((m) => m.version)).toEqual(migrations.map((_, i) => i + 1));
+  });
+});
+
+describe("checkSchema", () => {
+  const migrations = [
+    { version: 1, name: "baseline", checksum: "aaa" },
+    { version: 2, name: "extra", checksum: "bbb" },
+  ];
+
+  test("reports nothing when everything is applied and present", async () => {
+    const db = fakeDb({
+      applied: [
+        { version: 1, name: "baseline", checksum: "aaa" },
+        { version: 2, name: "extra", checksum: "bbb" },
+      ],
+      columns: ["users.id", "users.locale"],
+    });
+    expect(await checkSchema(db, migrations, { users: ["id", "locale"] })).toEqual([]);
+  });
+
+  test("treats a database without schema_migrations as having nothing applied", async () => {
+    expect(await checkSchema(fakeDb({}), migrations)).toEqual(["database is behind, pending migrations: 001_baseline, 002_extra"]);
+  });
+
+  test("reports pending, unknown and edited migrations and missing columns", async () => {
+    const db = fakeDb({
+      applied: [
+        { version: 1, name: "baseline", checksum: "changed" },
+        { version: 7, name: "from_the_future", checksum: "ccc" },
+      ],
+      columns: ["users.id", "appointments.id"],
+    });
+    expect(await checkSchema(db, migrations, { users: ["id", "locale"], appointments: ["id", "status"] })).toEqual([
+      "database is behind, pending migrations: 002_extra",
+      "database has migrations this code does not know: 007_from_the_future",
+      "applied migrations differ from the files: 001_baseline",
+      "missing columns: users.locale, appointments.status",
+    ]);
+  });
+
+  test("passes other database errors through", async () => {
+    const db = { query: async () => Promise.reject(Object.assign(new Error("denied"), { code: "ER_ACCESS_DENIED_ERROR" })) };
+    await expect(checkSchema(db, migrations)).rejects.toThrow("denied");
+  });
+});
@@ -0,0 +1,51 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+
+let app;
+let db;
+let auth;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+  auth = signIn(db, patient);
+});
+
+test("users who never saved preferences get email only", async () => {
+  db.on(/LEFT JOIN notification_preferences np/, [{ email: patient.email }]);
+
+  const res = await request(app).get("/notification-preferences").set("Authorization", auth);
+
+  expect(res.status).toBe(200);
+  expect(res.body).toMatchObject({ sms_enabled: false, email_enabled: true, push_enabled: false, email: patient.email, quiet_start: null });
+});
+
+test("saving merges with the current preferences", async () => {
+  db.on(/LEFT JOIN notification_preferences np/, [{ email: patient.email, sms_enabled: 0, email_enabled: 1, push_enabled: 0, phone: "+911234567890" }]);
+
+  const res = await request(app)
+    .put("/notification-preferences")
+    .set("Authorization", auth)
+    .send({ sms_enabled: true, quiet_start: "22:00", quiet_end: "07:00" });
+
+  expect(res.status).toBe(200);
+  expect(db.find(/INSERT INTO notification_preferences/)[0].params).toEqual([
+    patient.id, true, true, false, "+911234567890", null, "22:00", "07:00",
+  ]);
+});
+
+test("rejects incomplete or malformed settings", async () => {
+  db.on(/LEFT JOIN notification_preferences np/, [{ email: patient.email }]);
+  const put = (body) => request(app).put("/notification-preferences").set("Authorization", auth).send(body);
+
+  expect((await put({ sms_enabled: true })).status).toBe(400); // no phone
+  expect((await put({ push_enabled: "yes" })).status).toBe(400);
+  expect((await put({ quiet_start: "22:00" })).status).toBe(400);
+  expect((await put({ quiet_start: "25:00", quiet_end: "07:00" })).status).toBe(400);
+  expect(db.find(/INSERT INTO notification_preferences/)).toHaveLength(0);
+});
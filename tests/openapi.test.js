@@ -0,0 +1,66 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("request validation", () => {
+  test("invalid requests are refused before the handler runs, with every problem listed", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app)
+      .post("/doctor/slots")
+      .set("Authorization", auth)
+      .send({ slots: ["2026-11-02 10:00:00", "tomorrow"] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({
+      code: "validation_failed",
+      details: [{ in: "body", field: "slots[1]", code: "format", message: "must be YYYY-MM-DD HH:MM:SS" }],
+    });
+    expect(res.body.message).toBe("slots[1] must be YYYY-MM-DD HH:MM:SS");
+    expect(db.find(/INSERT IGNORE INTO doctor_slots/)).toHaveLength(0);
+  });
+
+  test("handler errors get the same envelope with their message code", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app).delete("/doctor/slots/90").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: { code: "slot_not_found", message: "Slot not found" }, message: "Slot not found" });
+  });
+});
+
+describe("GET /openapi.json", () => {
+  test("describes routes with their parameters, body schema and security", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.status).toBe(200);
+    const operation = res.body.paths["/doctor/slots"].post;
+    expect(operation.summary).toBe("Doctor: publish slots");
+    expect(operation.description).toBe("Roles: doctor.");
+    expect(operation.security).toEqual([{ bearerAuth: [] }]);
+    expect(operation.requestBody.content["application/json"].schema.required).toEqual(["slots"]);
+    expect(res.body.paths["/doctor/slots/{id}"].delete.parameters[0]).toMatchObject({ name: "id", in: "path", required: true });
+    expect(res.body.paths["/health"].get.security).toBeUndefined();
+  });
+
+  test("the docs page is rendered from the same document", async () => {
+    const res = await request(app).get("/docs");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/html/);
+    expect(res.text).toContain("Doctor: publish slots");
+  });
+});
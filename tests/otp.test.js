@@ -0,0 +1,66 @@
+import { normalizePhone, generateOtp, hashOtp, otpMatches } from "../otp.js";
+
+const SECRET = "test-secret";
+
+describe("normalizePhone", () => {
+  test.each([
+    ["+919876543210", "+919876543210"],
+    ["9876543210", "+919876543210"],
+    ["098765 43210", "+919876543210"],
+    ["919876543210", "+919876543210"],
+    ["0091 98765-43210", "+919876543210"],
+    ["(+44) 20.7946.0958", "+442079460958"],
+  ])("%s -> %s", (input, expected) => {
+    expect(normalizePhone(input)).toBe(expected);
+  });
+
+  test("uses the configured country code for national numbers", () => {
+    expect(normalizePhone("2025550143", { defaultCountryCode: "1" })).toBe("+12025550143");
+  });
+
+  test.each([[""], ["abc"], ["+0123456789"], ["12"], ["+1234567890123456"], [null], [9876543210]])(
+    "rejects %p",
+    (input) => {
+      expect(normalizePhone(input)).toBeNull();
+    }
+  );
+});
+
+describe("generateOtp", () => {
+  test("returns the requested number of digits, keeping leading zeros", () => {
+    for (let i = 0; i < 200; i++) expect(generateOtp(6)).toMatch(/^\d{6}$/);
+    expect(generateOtp(4)).toMatch(/^\d{4}$/);
+  });
+});
+
+describe("hashOtp / otpMatches", () => {
+  const attempt = { phone: "+919876543210", purpose: "login", code: "123456" };
+  const hash = hashOtp(SECRET, attempt);
+
+  test("is a hex HMAC-SHA256 and never contains the code", () => {
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).not.toContain(attempt.code);
+  });
+
+  test("matches the same phone, purpose and code", () => {
+    expect(otpMatches(SECRET, hash, { ...attempt })).toBe(true);
+  });
+
+  test.each([
+    ["code", { code: "123457" }],
+    ["phone", { phone: "+919876543211" }],
+    ["purpose", { purpose: "signup" }],
+  ])("fails for a different %s", (_, change) => {
+    expect(otpMatches(SECRET, hash, { ...attempt, ...change })).toBe(false);
+  });
+
+  test("fails with a different secret", () => {
+    expect(otpMatches("other-secret", hash, attempt)).toBe(false);
+  });
+
+  test("fails (without throwing) for malformed stored hashes", () => {
+    expect(otpMatches(SECRET, "", attempt)).toBe(false);
+    expect(otpMatches(SECRET, "zz", attempt)).toBe(false);
+    expect(otpMatches(SECRET, hash.slice(0, 32), attempt)).toBe(false);
+  });
+});
@@ -0,0 +1,170 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { hashOtp } from "../otp.js";
+import { loadServer, JWT_SECRET } from "./helpers/server.js";
+
+const phone = "+919876543210";
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), "otp-outbox-"));
+const sentSms = () => {
+  const file = path.join(outboxDir, "sms.log");
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line)) : [];
+};
+
+// the newest unconsumed code for phone, as consumeOtp selects it
+const storedOtp = (db, code, overrides = {}) =>
+  db.on(/FROM phone_otps\s+WHERE phone_number = \? AND purpose = \? AND consumed_at IS NULL/, (params) => [
+    { id: 21, code_hash: hashOtp(JWT_SECRET, { phone: params[0], purpose: params[1], code }), expired: 0, ...overrides },
+  ]);
+
+let app;
+let db;
+
+beforeAll(async () => {
+  process.env.SMS_DRIVER = "file";
+  process.env.CHANNEL_OUTBOX_DIR = outboxDir;
+  ({ app, db } = await loadServer());
+});
+
+afterAll(() => {
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  db.reset();
+  fs.rmSync(path.join(outboxDir, "sms.log"), { force: true });
+  // nothing sent to the number in the last hour
+  db.on(/SELECT COUNT\(\*\) AS sent/, [{ sent: 0, cooling_down: null, wait_seconds: null }]);
+});
+
+describe("POST /auth/otp", () => {
+  test("texts a code and stores only its MAC", async () => {
+    const res = await request(app).post("/auth/otp").send({ phone: "098765 43210", purpose: "signup" });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ phone, expires_in: 300, resend_after: 60 });
+    const [sms] = sentSms();
+    expect(sms.to).toBe(phone);
+    const code = /\b(\d{6})\b/.exec(sms.body)[1];
+    const insert = db.find(/INSERT INTO phone_otps/)[0];
+    expect(insert.params.slice(0, 2)).toEqual([phone, "signup"]);
+    expect(insert.params[2]).toBe(hashOtp(JWT_SECRET, { phone, purpose: "signup", code }));
+    expect(insert.params[2]).not.toContain(code);
+  });
+
+  test("waits out the resend cooldown", async () => {
+    db.on(/SELECT COUNT\(\*\) AS sent/, [{ sent: 1, cooling_down: 1, wait_seconds: 42 }]);
+
+    const res = await request(app).post("/auth/otp").send({ phone, purpose: "login" });
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe("otp_resend_cooldown");
+    expect(res.body.message).toMatch(/42/);
+    expect(db.find(/INSERT INTO phone_otps/)).toHaveLength(0);
+    expect(sentSms()).toEqual([]);
+  });
+
+  test("caps the codes per number and hour", async () => {
+    db.on(/SELECT COUNT\(\*\) AS sent/, [{ sent: 5, cooling_down: 0, wait_seconds: -10 }]);
+
+    const res = await request(app).post("/auth/otp").send({ phone, purpose: "login" });
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe("otp_too_many");
+    expect(db.find(/SELECT COUNT\(\*\) AS sent/)[0].params).toEqual([60, 60, phone, "login"]);
+  });
+
+  test("answers a login request for an unknown number the same way, without texting", async () => {
+    const res = await request(app).post("/auth/otp").send({ phone, purpose: "login" });
+
+    expect(res.status).toBe(202);
+    expect(db.find(/INSERT INTO phone_otps/)).toHaveLength(1);
+    expect(sentSms()).toEqual([]);
+  });
+
+  test("refuses sign-up codes for registered numbers and malformed numbers", async () => {
+    db.on(/SELECT id, locale FROM users WHERE phone_number = \?/, [{ id: 7, locale: null }]);
+
+    expect((await request(app).post("/auth/otp").send({ phone, purpose: "signup" })).status).toBe(409);
+    expect((await request(app).post("/auth/otp").send({ phone: "12ab", purpose: "signup" })).status).toBe(400);
+    expect(sentSms()).toEqual([]);
+  });
+});
+
+describe("POST /login/phone", () => {
+  test("trades the right code for a session", async () => {
+    storedOtp(db, "123456");
+    db.on(/SELECT id, email, role, status FROM users WHERE phone_number = \?/, [{ id: 7, email: null, role: "patient", status: "active" }]);
+
+    const res = await request(app).post("/login/phone").send({ phone, otp: "123456" });
+
+    expect(res.status).toBe(200);
+    expect(res.headers["set-cookie"][0]).toMatch(/^refresh_token=/);
+    expect(db.find(/UPDATE phone_otps SET consumed_at = NOW\(\)/)[0].params).toEqual([21]);
+  });
+
+  test("counts the attempt before comparing, and stops at the limit", async () => {
+    storedOtp(db, "123456");
+
+    const wrong = await request(app).post("/login/phone").send({ phone, otp: "654321" });
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.error.code).toBe("otp_invalid");
+    expect(db.find(/UPDATE phone_otps SET attempts = attempts \+ 1/)[0].params).toEqual([21, 5]);
+    expect(db.find(/SET consumed_at/)).toHaveLength(0);
+
+    db.on(/UPDATE phone_otps SET attempts = attempts \+ 1/, { affectedRows: 0 });
+    const locked = await request(app).post("/login/phone").send({ phone, otp: "123456" });
+    expect(locked.status).toBe(429);
+    expect(locked.body.error.code).toBe("otp_attempts_exceeded");
+    expect(db.find(/INSERT INTO auth_sessions/)).toHaveLength(0);
+  });
+
+  test("expired codes and codes already used by a parallel request are refused", async () => {
+    storedOtp(db, "123456", { expired: 1 });
+    expect((await request(app).post("/login/phone").send({ phone, otp: "123456" })).body.error.code).toBe("otp_expired");
+
+    storedOtp(db, "123456");
+    db.on(/UPDATE phone_otps SET consumed_at/, { affectedRows: 0 });
+    expect((await request(app).post("/login/phone").send({ phone, otp: "123456" })).body.error.code).toBe("otp_expired");
+    expect(db.find(/INSERT INTO auth_sessions/)).toHaveLength(0);
+  });
+
+  test("suspended accounts cannot log in", async () => {
+    storedOtp(db, "123456");
+    db.on(/SELECT id, email, role, status FROM users WHERE phone_number = \?/, [{ id: 7, email: null, role: "patient", status: "suspended" }]);
+
+    expect((await request(app).post("/login/phone").send({ phone, otp: "123456" })).status).toBe(403);
+  });
+});
+
+describe("POST /signup/phone", () => {
+  test("creates a password-less account in one transaction", async () => {
+    storedOtp(db, "123456");
+    db.on(/INSERT INTO users/, { affectedRows: 1, insertId: 70 });
+
+    const res = await request(app)
+      .post("/signup/phone")
+      .send({ phone, otp: "123456", name: "Asha", sex: "female", date_of_birth: "1990-04-01", language: "hi" });
+
+    expect(res.status).toBe(201);
+    expect(db.find(/INSERT INTO users/)[0].params).toEqual([phone, "patient", "Asha", "female", "1990-04-01", "hi"]);
+    expect(db.find(/INSERT INTO patients/)[0].params).toEqual([70]);
+    // the session is started afterwards in a transaction of its own
+    expect(db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("a number registered meanwhile is a conflict", async () => {
+    storedOtp(db, "123456");
+    db.on(/INSERT INTO users/, () => {
+      throw Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" });
+    });
+
+    const res = await request(app)
+      .post("/signup/phone")
+      .send({ phone, otp: "123456", name: "Asha", sex: "female", date_of_birth: "1990-04-01" });
+
+    expect(res.status).toBe(409);
+    expect(db.find(/^ROLLBACK$/)).toHaveLength(1);
+  });
+});
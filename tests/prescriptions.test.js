@@ -0,0 +1,123 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const prescriptionRow = (overrides = {}) => ({
+  id: 70,
+  appointment_id: 50,
+  patient_user_id: patient.id,
+  doctor_user_id: doctor.id,
+  notes: "Drink water",
+  created_at: "2026-10-19 10:00:00",
+  scheduled_at: "2026-10-19 09:30:00",
+  patient_name: "Asha",
+  patient_sex: "female",
+  patient_date_of_birth: "1990-04-01",
+  doctor_name: "Dr. Kaur",
+  license_number: "PMC-123",
+  specialization: "General medicine",
+  ...overrides,
+});
+const item = { id: 1, prescription_id: 70, drug: "Paracetamol", strength: "500 mg", dose: "1 tablet", frequency: "TDS", duration: "3 days", instructions: null };
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("writing notes and prescriptions", () => {
+  test("a prescription and its items are stored together", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT \* FROM appointments WHERE id = \? AND doctor_user_id = \?/, [{ id: 50, patient_user_id: patient.id, status: "checked_in" }]);
+    db.on(/INSERT INTO prescriptions/, { affectedRows: 1, insertId: 70 });
+
+    const res = await request(app)
+      .post("/appointments/50/prescriptions")
+      .set("Authorization", auth)
+      .send({ items: [{ drug: "Paracetamol", dose: "1 tablet", frequency: "TDS", duration: "3 days" }] });
+
+    expect(res.status).toBe(201);
+    expect(db.find(/INSERT INTO prescription_items/)[0].params[0]).toEqual([[70, "Paracetamol", null, "1 tablet", "TDS", "3 days", null]]);
+    // the audit entry is written afterwards in a transaction of its own
+    expect(db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("items need drug, dose, frequency and duration", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app)
+      .post("/appointments/50/prescriptions")
+      .set("Authorization", auth)
+      .send({ items: [{ drug: "Paracetamol" }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^items\[0\]/);
+  });
+
+  test("cancelled appointments take no notes", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT \* FROM appointments WHERE id = \? AND doctor_user_id = \?/, [{ id: 50, patient_user_id: patient.id, status: "cancelled_by_patient" }]);
+
+    const res = await request(app).put("/appointments/50/notes").set("Authorization", auth).send({ diagnosis: "Flu" });
+
+    expect(res.status).toBe(409);
+    expect(db.find(/INSERT INTO consultation_notes/)).toHaveLength(0);
+  });
+
+  test("only the appointment's doctor writes notes", async () => {
+    const auth = signIn(db, doctor);
+
+    const res = await request(app).put("/appointments/50/notes").set("Authorization", auth).send({ diagnosis: "Flu" });
+
+    expect(res.status).toBe(404);
+    expect(db.find(/FROM appointments WHERE id = \? AND doctor_user_id = \?/)[0].params).toEqual([50, doctor.id]);
+  });
+});
+
+describe("printing", () => {
+  test("the HTML print escapes user-entered text", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM prescriptions p/, [prescriptionRow({ notes: "<script>alert(1)</script>" })]);
+    db.on(/FROM prescription_items/, [item]);
+
+    const res = await request(app).get("/prescriptions/70/print").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.type).toBe("text/html");
+    expect(res.text).toContain("PMC-123");
+    expect(res.text).toContain("&lt;script&gt;");
+    expect(res.text).not.toContain("<script>");
+  });
+
+  test("the PDF embeds fonts for Devanagari and Gurmukhi names", async () => {
+    const auth = signIn(db, patient);
+    db.on(/FROM prescriptions p/, [prescriptionRow({ patient_name: "आशा", doctor_name: "ਡਾ. ਕੌਰ" })]);
+    db.on(/FROM prescription_items/, [item]);
+
+    const res = await request(app).get("/prescriptions/70/print?format=pdf").set("Authorization", auth).responseType("blob");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    const pdf = res.body.toString("latin1");
+    expect(pdf.startsWith("%PDF")).toBe(true);
+    expect(pdf).toMatch(/\/FontName \/[A-Z]{6}\+NotoSans-Regular/);
+    expect(pdf).toMatch(/\/FontName \/[A-Z]{6}\+MuktaMahee-Regular/);
+  });
+
+  test("other users' prescriptions are not found", async () => {
+    const auth = signIn(db, { id: 8, email: "other@example.com", role: "patient" });
+
+    const res = await request(app).get("/prescriptions/70/print").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/FROM prescriptions p/)[0].params).toEqual([70, 8, 8]);
+  });
+});
@@ -0,0 +1,153 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+
+const PDF = Buffer.from("%PDF-1.4\n%test report\n");
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "reports-"));
+const storedFiles = () => (fs.existsSync(path.join(storageDir, "lab-tests/40")) ? fs.readdirSync(path.join(storageDir, "lab-tests/40")) : []);
+
+let app;
+let db;
+
+beforeAll(async () => {
+  process.env.STORAGE_DIR = storageDir;
+  process.env.REPORT_MAX_BYTES = "1024";
+  ({ app, db } = await loadServer());
+});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  db.reset();
+  fs.rmSync(path.join(storageDir, "lab-tests"), { recursive: true, force: true });
+});
+
+describe("POST /lab-tests/:id/files", () => {
+  test("stores each file under a server-generated key with its checksum", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT id FROM lab_tests WHERE id = \? AND patient_user_id = \?/, [{ id: 40 }]);
+
+    const res = await request(app)
+      .post("/lab-tests/40/files")
+      .set("Authorization", auth)
+      .attach("files", PDF, { filename: "../../blood.pdf", contentType: "application/octet-stream" })
+      .attach("files", PNG, { filename: "scan.png", contentType: "image/png" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.files.map((f) => [f.original_name, f.content_type])).toEqual([
+      ["blood.pdf", "application/pdf"],
+      ["scan.png", "image/png"],
+    ]);
+    const inserts = db.find(/INSERT INTO lab_test_files/);
+    expect(inserts[0].params[6]).toMatch(/^lab-tests\/40\/[0-9a-f-]{36}\.pdf$/);
+    expect(storedFiles()).toHaveLength(2);
+    expect(fs.readFileSync(path.join(storageDir, inserts[0].params[6]))).toEqual(PDF);
+  });
+
+  test("checks the file's bytes, not the declared type", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app)
+      .post("/lab-tests/40/files")
+      .set("Authorization", auth)
+      .attach("files", Buffer.from("<html>not a pdf</html>"), { filename: "report.pdf", contentType: "application/pdf" });
+
+    expect(res.status).toBe(415);
+    expect(storedFiles()).toHaveLength(0);
+  });
+
+  test("refuses files over the size limit", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app)
+      .post("/lab-tests/40/files")
+      .set("Authorization", auth)
+      .attach("files", Buffer.concat([PDF, Buffer.alloc(2048)]), "big.pdf");
+
+    expect(res.status).toBe(413);
+  });
+
+  test("a failed insert removes the files already written", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT id FROM lab_tests WHERE id = \? AND patient_user_id = \?/, [{ id: 40 }]);
+    let inserts = 0;
+    db.on(/INSERT INTO lab_test_files/, () => {
+      if (++inserts === 2) throw new Error("disk full");
+    });
+
+    const res = await request(app)
+      .post("/lab-tests/40/files")
+      .set("Authorization", auth)
+      .attach("files", PDF, "a.pdf")
+      .attach("files", PNG, "b.png");
+
+    expect(res.status).toBe(500);
+    expect(storedFiles()).toHaveLength(0);
+    expect(db.find(/^(COMMIT|ROLLBACK)$/).map((q) => q.sql)).toEqual(["ROLLBACK"]);
+  });
+
+  test("only the lab test's patient can upload", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).post("/lab-tests/40/files").set("Authorization", auth).attach("files", PDF, "a.pdf");
+
+    expect(res.status).toBe(404);
+    expect(storedFiles()).toHaveLength(0);
+  });
+});
+
+describe("GET /lab-tests/:id/files/:fileId", () => {
+  const storedFile = (key) => ({
+    id: 5,
+    lab_test_id: 40,
+    original_name: "रिपोर्ट.pdf",
+    content_type: "application/pdf",
+    size_bytes: PDF.length,
+    sha256: "abc",
+    storage_key: key,
+  });
+
+  test("streams the file with a safe Content-Disposition", async () => {
+    const auth = signIn(db, patient);
+    fs.mkdirSync(path.join(storageDir, "lab-tests/40"), { recursive: true });
+    fs.writeFileSync(path.join(storageDir, "lab-tests/40/x.pdf"), PDF);
+    db.on(/SELECT id, patient_user_id\b.* FROM lab_tests WHERE id = \?/, [{ id: 40, patient_user_id: patient.id }]);
+    db.on(/SELECT \* FROM lab_test_files/, [storedFile("lab-tests/40/x.pdf")]);
+
+    const res = await request(app).get("/lab-tests/40/files/5").set("Authorization", auth).responseType("blob");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(PDF);
+    expect(res.headers["content-disposition"]).toBe(
+      `attachment; filename="_______.pdf"; filename*=UTF-8''${encodeURIComponent("रिपोर्ट.pdf")}`
+    );
+    expect(res.headers["cache-control"]).toBe("private, no-store");
+  });
+
+  test("a doctor who has not seen the patient gets nothing", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT id, patient_user_id\b.* FROM lab_tests WHERE id = \?/, [{ id: 40, patient_user_id: patient.id }]);
+
+    const res = await request(app).get("/lab-tests/40/files/5").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/FROM lab_test_files/)).toHaveLength(0);
+  });
+
+  test("a missing stored file is a server error, not a hang", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SELECT id, patient_user_id\b.* FROM lab_tests WHERE id = \?/, [{ id: 40, patient_user_id: patient.id }]);
+    db.on(/SELECT \* FROM lab_test_files/, [storedFile("lab-tests/40/gone.pdf")]);
+
+    expect((await request(app).get("/lab-tests/40/files/5").set("Authorization", auth)).status).toBe(500);
+  });
+});
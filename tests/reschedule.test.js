@@ -0,0 +1,122 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctorId = 3;
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const sqlDateTime = (d) =>
+  `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:00`;
+
+const appointment = (overrides = {}) => ({
+  id: 50,
+  patient_user_id: patient.id,
+  doctor_user_id: doctorId,
+  scheduled_at: "2030-01-07 10:00:00",
+  status: "confirmed",
+  reschedule_count: 0,
+  ...overrides,
+});
+const newSlot = (overrides = {}) => ({
+  id: 13,
+  doctor_user_id: doctorId,
+  slot_at: "2030-01-08 11:00:00",
+  is_booked: 0,
+  in_future: 1,
+  ...overrides,
+});
+
+const txLog = (db) => db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql);
+
+let app;
+let db;
+let auth;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+  auth = signIn(db, patient);
+});
+
+const reschedule = (slotId = 13) =>
+  request(app).post("/appointments/50/reschedule").set("Authorization", auth).send({ doctorSlotId: slotId });
+
+test("moves the appointment: claims the new slot, frees the old one, back to booked", async () => {
+  db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+  db.on(/FROM doctor_slots WHERE id = \? FOR UPDATE/, [newSlot()]);
+
+  const res = await reschedule();
+
+  expect(res.status).toBe(200);
+  expect(res.body).toMatchObject({ scheduled_at: "2030-01-08 11:00:00", status: "booked", reschedule_count: 1 });
+  const claim = db.find(/UPDATE doctor_slots SET is_booked = 1/)[0];
+  const release = db.find(/UPDATE doctor_slots SET is_booked = 0/)[0];
+  const move = db.find(/UPDATE appointments SET scheduled_at/)[0];
+  expect(claim.params[0]).toBe(13);
+  expect(release.params).toEqual([doctorId, "2030-01-07 10:00:00"]);
+  expect(move.params).toEqual(["2030-01-08 11:00:00", 50]);
+  // the new slot is claimed before anything else changes
+  expect(db.queries.indexOf(claim)).toBeLessThan(db.queries.indexOf(release));
+  expect(db.find(/INSERT INTO appointment_status_history/)[0].params).toEqual(
+    expect.arrayContaining(["confirmed", "booked", "rescheduled from 2030-01-07 10:00:00"])
+  );
+  expect(txLog(db).slice(0, 2)).toEqual(["BEGIN", "COMMIT"]);
+});
+
+test("losing the race for the new slot keeps the old booking", async () => {
+  db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+  db.on(/FROM doctor_slots WHERE id = \? FOR UPDATE/, [newSlot()]);
+  db.on(/UPDATE doctor_slots SET is_booked = 1/, { affectedRows: 0 });
+
+  const res = await reschedule();
+
+  expect(res.status).toBe(409);
+  expect(db.find(/UPDATE doctor_slots SET is_booked = 0/)).toHaveLength(0);
+  expect(db.find(/UPDATE appointments/)).toHaveLength(0);
+  expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+});
+
+test("refuses once the limit is reached", async () => {
+  db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment({ reschedule_count: 2 })]);
+
+  expect((await reschedule()).status).toBe(409);
+  expect(db.find(/FROM doctor_slots/)).toHaveLength(0);
+});
+
+test("refuses inside the cutoff before the appointment", async () => {
+  const soon = sqlDateTime(new Date(Date.now() + 30 * 60 * 1000));
+  db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment({ scheduled_at: soon })]);
+
+  expect((await reschedule()).status).toBe(409);
+  expect(txLog(db)).toEqual(["BEGIN", "ROLLBACK"]);
+});
+
+test("refuses finished or cancelled appointments", async () => {
+  db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment({ status: "cancelled_by_doctor" })]);
+
+  expect((await reschedule()).status).toBe(409);
+});
+
+test("the new slot must be a free future slot of the same doctor", async () => {
+  db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment()]);
+
+  db.on(/FROM doctor_slots WHERE id = \? FOR UPDATE/, [newSlot({ doctor_user_id: 4 })]);
+  expect((await reschedule()).status).toBe(400);
+  db.on(/FROM doctor_slots WHERE id = \? FOR UPDATE/, [newSlot({ in_future: 0 })]);
+  expect((await reschedule()).status).toBe(400);
+  db.on(/FROM doctor_slots WHERE id = \? FOR UPDATE/, [newSlot({ is_booked: 1 })]);
+  expect((await reschedule()).status).toBe(409);
+  db.on(/FROM doctor_slots WHERE id = \? FOR UPDATE/, []);
+  expect((await reschedule()).status).toBe(404);
+
+  expect(db.find(/^UPDATE/)).toHaveLength(0);
+});
+
+test("only the appointment's own patient may reschedule it", async () => {
+  db.on(/SELECT \* FROM appointments WHERE id = \? FOR UPDATE/, [appointment({ patient_user_id: 8 })]);
+
+  expect((await reschedule()).status).toBe(403);
+});
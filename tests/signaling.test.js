@@ -0,0 +1,101 @@
+import http from "http";
+import WebSocket from "ws";
+import { attachSignaling } from "../signaling.js";
+
+const participants = {
+  "patient-token": { roomId: "appointment-50", appointmentId: 50, userId: 7, role: "patient" },
+  "doctor-token": { roomId: "appointment-50", appointmentId: 50, userId: 3, role: "doctor" },
+};
+
+let server;
+let signaling;
+let port;
+let joins;
+let leaves;
+
+beforeEach(async () => {
+  joins = [];
+  leaves = [];
+  server = http.createServer();
+  signaling = attachSignaling(server, {
+    path: "/ws/consultation",
+    authorize: async (token) => participants[token] || null,
+    onJoin: async (participant) => {
+      joins.push(participant.userId);
+      return `attendance-${participant.userId}`;
+    },
+    onLeave: async (participant, joinResult) => {
+      leaves.push([participant.userId, joinResult]);
+    },
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  port = server.address().port;
+});
+
+afterEach(async () => {
+  signaling.close();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// Connect and collect parsed messages; resolves once the socket is open
+function connect(token, path = "/ws/consultation") {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://localhost:${port}${path}?token=${token}`);
+    socket.messages = [];
+    socket.on("message", (raw) => socket.messages.push(JSON.parse(raw.toString())));
+    socket.on("open", () => resolve(socket));
+    socket.on("unexpected-response", (req, res) => reject(new Error(String(res.statusCode))));
+    socket.on("error", reject);
+  });
+}
+
+// Wait until socket has received a message of the given type
+async function nextOf(socket, type) {
+  for (let i = 0; i < 100; i++) {
+    const found = socket.messages.find((m) => m.type === type);
+    if (found) return found;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error(`no ${type} message`);
+}
+
+test("refuses unknown tokens and other paths", async () => {
+  await expect(connect("stolen-token")).rejects.toThrow("401");
+  await expect(connect("patient-token", "/ws/other")).rejects.toThrow("404");
+  expect(joins).toEqual([]);
+});
+
+test("relays signaling messages between the two participants", async () => {
+  const patient = await connect("patient-token");
+  expect((await nextOf(patient, "joined")).peers).toEqual([]);
+
+  const doctor = await connect("doctor-token");
+  expect((await nextOf(doctor, "joined")).peers).toEqual([{ user_id: 7, role: "patient" }]);
+  expect(await nextOf(patient, "peer-joined")).toMatchObject({ user_id: 3, role: "doctor" });
+
+  doctor.send(JSON.stringify({ type: "offer", payload: { sdp: "v=0" } }));
+  expect(await nextOf(patient, "offer")).toEqual({ type: "offer", from: 3, payload: { sdp: "v=0" } });
+
+  patient.send(JSON.stringify({ type: "chat", payload: "hi" }));
+  expect((await nextOf(patient, "error")).message).toMatch(/type must be one of/);
+  expect(doctor.messages.find((m) => m.type === "chat")).toBeUndefined();
+
+  patient.close();
+  expect(await nextOf(doctor, "peer-left")).toMatchObject({ user_id: 7 });
+  doctor.close();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  expect(joins).toEqual([7, 3]);
+  expect(leaves).toEqual(expect.arrayContaining([[7, "attendance-7"], [3, "attendance-3"]]));
+});
+
+test("a second connection of the same user replaces the first", async () => {
+  const first = await connect("patient-token");
+  const closed = new Promise((resolve) => first.on("close", (code) => resolve(code)));
+
+  const second = await connect("patient-token");
+
+  expect(await closed).toBe(4000);
+  expect((await nextOf(second, "joined")).peers).toEqual([]);
+  second.close();
+});
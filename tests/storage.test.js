@@ -0,0 +1,46 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalStorage, createStorage } from "../storage.js";
+
+let root;
+let storage;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+  storage = createLocalStorage(root);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const read = (stream) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (c) => chunks.push(c)).on("end", () => resolve(Buffer.concat(chunks))).on("error", reject);
+  });
+
+test("saves, reads back and removes a file", async () => {
+  await storage.save("lab-tests/1/a.pdf", Buffer.from("%PDF-1.4"));
+
+  expect((await read(storage.createReadStream("lab-tests/1/a.pdf"))).toString()).toBe("%PDF-1.4");
+  await storage.remove("lab-tests/1/a.pdf");
+  expect(fs.existsSync(path.join(root, "lab-tests/1/a.pdf"))).toBe(false);
+  await expect(storage.remove("lab-tests/1/a.pdf")).resolves.toBeUndefined();
+});
+
+test("never overwrites an existing key", async () => {
+  await storage.save("k.pdf", Buffer.from("one"));
+
+  await expect(storage.save("k.pdf", Buffer.from("two"))).rejects.toMatchObject({ code: "EEXIST" });
+});
+
+test("keys cannot leave the storage root", async () => {
+  await expect(storage.save("../outside.pdf", Buffer.from("x"))).rejects.toThrow(/Invalid storage key/);
+  expect(() => storage.createReadStream("/etc/passwd")).toThrow(/Invalid storage key/);
+});
+
+test("unknown drivers are refused", () => {
+  expect(() => createStorage({ STORAGE_DRIVER: "s3" })).toThrow(/Unknown STORAGE_DRIVER: s3/);
+});
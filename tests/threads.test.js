@@ -0,0 +1,179 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctor = { id: 3, email: "kaur@example.com", role: "doctor" };
+const thread = { id: 5, patient_user_id: patient.id, doctor_user_id: doctor.id };
+
+const PDF = Buffer.from("%PDF-1.4\n%lab letter\n");
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "threads-"));
+const storedFiles = () => (fs.existsSync(path.join(storageDir, "messages/5")) ? fs.readdirSync(path.join(storageDir, "messages/5")) : []);
+const statements = (db) => db.queries.map((q) => q.sql);
+
+let app;
+let db;
+
+beforeAll(async () => {
+  process.env.STORAGE_DIR = storageDir;
+  ({ app, db } = await loadServer());
+});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  db.reset();
+  fs.rmSync(path.join(storageDir, "messages"), { recursive: true, force: true });
+  db.on(/FROM message_threads WHERE id = \?/, (params) => (params[0] === thread.id ? [thread] : []));
+});
+
+// the thread is writable while the pair has an active appointment
+function openAppointment() {
+  db.on(/SUM\(status IN \(\?\)\) AS active_count/, [{ active_count: 1, last_completed_at: null }]);
+}
+
+describe("POST /threads", () => {
+  test("needs an appointment between the two", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).post("/threads").set("Authorization", auth).send({ doctorId: doctor.id });
+
+    expect(res.status).toBe(403);
+    expect(db.find(/INSERT IGNORE INTO message_threads/)).toHaveLength(0);
+  });
+
+  test("opens the pair's thread once", async () => {
+    const auth = signIn(db, doctor);
+    openAppointment();
+    db.on(/SELECT id FROM appointments WHERE patient_user_id = \? AND doctor_user_id = \?/, [{ id: 50 }]);
+    db.on(/FROM message_threads WHERE patient_user_id = \? AND doctor_user_id = \?/, [thread]);
+
+    const res = await request(app).post("/threads").set("Authorization", auth).send({ patientId: patient.id });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ id: thread.id, open: true });
+    expect(db.find(/INSERT IGNORE INTO message_threads/)[0].params).toEqual([patient.id, doctor.id]);
+  });
+});
+
+describe("POST /threads/:id/messages", () => {
+  test("stores the message, read receipt and notification in one transaction", async () => {
+    const auth = signIn(db, patient);
+    openAppointment();
+    db.on(/INSERT INTO messages/, { affectedRows: 1, insertId: 81 });
+
+    const res = await request(app)
+      .post("/threads/5/messages")
+      .set("Authorization", auth)
+      .field("body", "Results attached")
+      .attach("files", PDF, { filename: "letter.pdf", contentType: "application/octet-stream" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.attachments[0]).toMatchObject({ original_name: "letter.pdf", content_type: "application/pdf" });
+    expect(storedFiles()).toHaveLength(1);
+
+    const sql = statements(db);
+    const begin = sql.indexOf("BEGIN");
+    const commit = sql.indexOf("COMMIT");
+    const inside = (pattern) => {
+      const i = sql.findIndex((s) => pattern.test(s));
+      return i > begin && i < commit;
+    };
+    expect(inside(/INSERT INTO messages/)).toBe(true);
+    expect(inside(/INSERT INTO message_attachments/)).toBe(true);
+    expect(inside(/INSERT INTO message_thread_reads/)).toBe(true);
+    expect(inside(/INSERT INTO notifications/)).toBe(true);
+    expect(db.find(/INSERT INTO message_thread_reads/)[0].params).toEqual([thread.id, patient.id, 81]);
+    expect(db.find(/INSERT INTO notifications/)[0].params[0]).toBe(doctor.id);
+  });
+
+  test("a failed notification rolls back and removes the stored files", async () => {
+    const auth = signIn(db, patient);
+    openAppointment();
+    db.on(/INSERT INTO notifications/, () => {
+      throw new Error("lock wait timeout");
+    });
+
+    const res = await request(app)
+      .post("/threads/5/messages")
+      .set("Authorization", auth)
+      .field("body", "Results attached")
+      .attach("files", PDF, "letter.pdf");
+
+    expect(res.status).toBe(500);
+    expect(statements(db)).toContain("ROLLBACK");
+    expect(statements(db)).not.toContain("COMMIT");
+    expect(storedFiles()).toHaveLength(0);
+  });
+
+  test("attachments are checked by their bytes", async () => {
+    const auth = signIn(db, patient);
+    openAppointment();
+
+    const res = await request(app)
+      .post("/threads/5/messages")
+      .set("Authorization", auth)
+      .attach("files", Buffer.from("MZ\x90\x00"), { filename: "letter.pdf", contentType: "application/pdf" });
+
+    expect(res.status).toBe(415);
+    expect(db.find(/INSERT INTO messages/)).toHaveLength(0);
+  });
+
+  test("a thread goes read-only after the last visit's window", async () => {
+    const auth = signIn(db, patient);
+    db.on(/SUM\(status IN \(\?\)\) AS active_count/, [{ active_count: 0, last_completed_at: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }]);
+
+    const res = await request(app).post("/threads/5/messages").set("Authorization", auth).send({ body: "Hello?" });
+
+    expect(res.status).toBe(409);
+    expect(db.find(/INSERT INTO messages/)).toHaveLength(0);
+  });
+
+  test("only participants can write", async () => {
+    const auth = signIn(db, { id: 8, email: "other@example.com", role: "patient" });
+
+    const res = await request(app).post("/threads/5/messages").set("Authorization", auth).send({ body: "Hi" });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("read receipts and attachments", () => {
+  test("marking read stops at the given message", async () => {
+    const auth = signIn(db, doctor);
+    db.on(/SELECT MAX\(id\) AS id FROM messages WHERE thread_id = \? AND id <= \?/, [{ id: 80 }]);
+
+    const res = await request(app).post("/threads/5/read").set("Authorization", auth).send({ messageId: 80 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.last_read_message_id).toBe(80);
+    expect(db.find(/INSERT INTO message_thread_reads/)[0].params).toEqual([thread.id, doctor.id, 80]);
+  });
+
+  test("a doctor reading the thread is audited against the patient", async () => {
+    const auth = signIn(db, doctor);
+    openAppointment();
+    db.on(/FROM messages\s+WHERE thread_id = \?/, [{ id: 80, sender_user_id: patient.id, body: "Hello" }]);
+
+    expect((await request(app).get("/threads/5/messages").set("Authorization", auth)).status).toBe(200);
+    // entries are written after the response has finished
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const [entry] = db.find(/INSERT INTO audit_log/);
+    expect(entry.params.slice(0, 6)).toEqual([doctor.id, "doctor", "read", "message", String(thread.id), patient.id]);
+  });
+
+  test("attachments are looked up within the thread only", async () => {
+    const auth = signIn(db, patient);
+
+    const res = await request(app).get("/threads/5/attachments/12").set("Authorization", auth);
+
+    expect(res.status).toBe(404);
+    expect(db.find(/FROM message_attachments a/)[0].params).toEqual([12, thread.id]);
+  });
+});
@@ -0,0 +1,82 @@
+import { checkRequest, errorEnvelope } from "../validation.js";
+
+const spec = {
+  params: { required: ["id"], properties: { id: { type: "integer", minimum: 1 } } },
+  query: { properties: { unread: { type: "boolean" }, limit: { type: "integer", maximum: 100 } } },
+  body: {
+    required: ["name", "date"],
+    properties: {
+      name: { type: "string", minLength: 2, maxLength: 5 },
+      date: { type: "string", format: "date" },
+      role: { type: "string", enum: ["patient", "doctor"] },
+      note: { type: "string", nullable: true },
+      code: { type: "string", pattern: "^\\d{4}$" },
+      tags: { type: "array", maxItems: 2, items: { type: "string" } },
+      address: { type: "object", required: ["city"], properties: { city: { type: "string" } } },
+    },
+  },
+};
+
+describe("checkRequest", () => {
+  test("accepts a valid request, with numbers and booleans given as strings", () => {
+    const req = {
+      params: { id: "7" },
+      query: { unread: "true", limit: "10" },
+      body: { name: "Asha", date: "2026-10-19", role: "doctor", note: null, code: "1234", tags: ["a"], address: { city: "Pune" } },
+    };
+    expect(checkRequest(spec, req)).toEqual([]);
+  });
+
+  test("reports each problem with where it is, a code and message params", () => {
+    const req = {
+      params: { id: "0" },
+      query: { unread: "maybe", limit: "500" },
+      body: { name: "A", role: "admin", code: "12a", tags: ["a", "b", "c"], address: {} },
+    };
+    expect(checkRequest(spec, req)).toEqual([
+      { in: "params", field: "id", code: "minimum", message: "must be at least 1", params: { limit: 1 } },
+      { in: "query", field: "unread", code: "type", message: "must be true or false", params: { expected: "boolean" } },
+      { in: "query", field: "limit", code: "maximum", message: "must be at most 100", params: { limit: 100 } },
+      { in: "body", field: "date", code: "required", message: "is required" },
+      { in: "body", field: "name", code: "min_length", message: "must be at least 2 characters", params: { limit: 2 } },
+      { in: "body", field: "role", code: "enum", message: "must be one of patient, doctor", params: { values: "patient, doctor" } },
+      { in: "body", field: "code", code: "pattern", message: "has an invalid format" },
+      { in: "body", field: "tags", code: "max_items", message: "must have at most 2 items", params: { limit: 2 } },
+      { in: "body", field: "address.city", code: "required", message: "is required" },
+    ]);
+  });
+
+  test("checks types, formats, null and array items", () => {
+    const details = checkRequest(spec, {
+      params: { id: "1.5" },
+      body: { name: 5, date: "19/10/2026", role: null, tags: ["a", 2] },
+    });
+    expect(details.map((d) => [d.field, d.code, d.params])).toEqual([
+      ["id", "type", { expected: "integer" }],
+      ["name", "type", { expected: "string" }],
+      ["date", "format", { format: "date" }],
+      ["role", "type", { expected: "not_null" }],
+      ["tags[1]", "type", { expected: "string" }],
+    ]);
+  });
+
+  test("treats empty strings as missing", () => {
+    expect(checkRequest(spec, { params: { id: "" }, body: { name: "Asha", date: "2026-10-19", role: "" } })).toEqual([
+      { in: "params", field: "id", code: "required", message: "is required" },
+    ]);
+  });
+});
+
+describe("errorEnvelope", () => {
+  test("wraps the code and message, keeping the message at the top level", () => {
+    expect(errorEnvelope(404, { code: "user_not_found", message: "User not found" })).toEqual({
+      error: { code: "user_not_found", message: "User not found" },
+      message: "User not found",
+    });
+  });
+
+  test("leaves bodies that are already enveloped alone", () => {
+    const body = { error: { code: "x", message: "X" } };
+    expect(errorEnvelope(400, body)).toBe(body);
+  });
+});
@@ -0,0 +1,121 @@
+import request from "supertest";
+import { loadServer, signIn } from "./helpers/server.js";
+
+const patient = { id: 7, email: "asha@example.com", role: "patient" };
+const doctorId = 3;
+
+const txLog = (db) => db.find(/^(BEGIN|COMMIT|ROLLBACK)$/).map((q) => q.sql);
+// offers are made in the background after the response
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+let app;
+let db;
+let auth;
+
+beforeAll(async () => {
+  ({ app, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+  auth = signIn(db, patient);
+});
+
+describe("offering free slots", () => {
+  test("each slot goes to the oldest eligible entry it was not offered to before", async () => {
+    db.on(/d\.verification_status = 'approved'/, [{ id: doctorId }]);
+    db.on(/FROM waitlist_entries\s+WHERE doctor_user_id = \? AND status = 'waiting'/, [
+      { id: 1, patient_user_id: 20, preferred_from: "2030-02-01", preferred_to: null },
+      { id: 2, patient_user_id: 21, preferred_from: null, preferred_to: null },
+      { id: 3, patient_user_id: patient.id, preferred_from: null, preferred_to: null },
+    ]);
+    db.on(/SELECT id, slot_at FROM doctor_slots/, [
+      { id: 30, slot_at: "2030-01-10 09:00:00" },
+      { id: 31, slot_at: "2030-01-10 09:30:00" },
+    ]);
+    db.on(/SELECT slot_id, waitlist_entry_id FROM slot_holds/, [{ slot_id: 30, waitlist_entry_id: 2 }]);
+
+    const res = await request(app).post("/waitlist").set("Authorization", auth).send({ doctorId });
+    await settle();
+
+    expect(res.status).toBe(201);
+    const holds = db.find(/INSERT INTO slot_holds/).map((q) => q.params.slice(0, 3));
+    // entry 1 only wants February; entry 2 already declined slot 30
+    expect(holds).toEqual([
+      [30, 3, patient.id],
+      [31, 2, 21],
+    ]);
+    expect(db.find(/UPDATE waitlist_entries SET status = 'offered'/).map((q) => q.params[0])).toEqual([3, 2]);
+    expect(txLog(db)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("joining twice is refused", async () => {
+    db.on(/d\.verification_status = 'approved'/, [{ id: doctorId }]);
+    db.on(/SELECT id FROM waitlist_entries WHERE patient_user_id = \?/, [{ id: 4 }]);
+
+    const res = await request(app).post("/waitlist").set("Authorization", auth).send({ doctorId });
+
+    expect(res.status).toBe(409);
+    expect(db.find(/INSERT INTO waitlist_entries/)).toHaveLength(0);
+  });
+
+  test("preferred dates must be a valid range", async () => {
+    const res = await request(app)
+      .post("/waitlist")
+      .set("Authorization", auth)
+      .send({ doctorId, preferred_from: "2030-02-01", preferred_to: "2030-01-01" });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("accepting and declining offers", () => {
+  const hold = (overrides = {}) => ({
+    id: 60,
+    slot_id: 30,
+    waitlist_entry_id: 3,
+    patient_user_id: patient.id,
+    expired: 0,
+    doctor_user_id: doctorId,
+    slot_at: "2030-01-10 09:00:00",
+    is_booked: 0,
+    ...overrides,
+  });
+
+  test("accepting books the held slot", async () => {
+    db.on(/FROM slot_holds h\s+JOIN doctor_slots ds/, [hold()]);
+    db.on(/INSERT INTO appointments/, { affectedRows: 1, insertId: 51 });
+
+    const res = await request(app).post("/waitlist/holds/60/accept").set("Authorization", auth);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ id: 51, slot_id: 30 });
+    expect(db.find(/UPDATE slot_holds h/)[0].params).toEqual([51, 30, patient.id]);
+    expect(txLog(db)).toEqual(["BEGIN", "COMMIT"]);
+  });
+
+  test("an expired offer is released and passed on", async () => {
+    db.on(/FROM slot_holds h\s+JOIN doctor_slots ds/, [hold({ expired: 1 })]);
+
+    const res = await request(app).post("/waitlist/holds/60/accept").set("Authorization", auth);
+
+    expect(res.status).toBe(409);
+    expect(db.find(/UPDATE slot_holds SET status = \?/)[0].params).toEqual(["expired", 60]);
+    expect(db.find(/INSERT INTO appointments/)).toHaveLength(0);
+  });
+
+  test("declining releases the slot for the next patient", async () => {
+    db.on(/FROM slot_holds h\s+JOIN doctor_slots ds/, [hold()]);
+
+    const res = await request(app).post("/waitlist/holds/60/decline").set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(db.find(/UPDATE slot_holds SET status = \?/)[0].params).toEqual(["declined", 60]);
+    expect(db.find(/UPDATE doctor_slots SET held_by_user_id = NULL/)[0].params).toEqual([30, patient.id]);
+  });
+
+  test("another patient's offer is not found", async () => {
+    expect((await request(app).post("/waitlist/holds/60/accept").set("Authorization", auth)).status).toBe(404);
+    expect(db.find(/FROM slot_holds h/)[0].params).toEqual([60, patient.id]);
+  });
+});
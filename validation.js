@@ -0,0 +1,159 @@
+// validation.js
+// Declarative request validation and the API's error envelope.
+//
+// validateRequest({ summary?, description?, tag?, params?, query?, body?, multipart? }) -> middleware
+//   params/query/body are object schemas ({ properties, required }) written in the JSON
+//   Schema subset below, so openapi.js can publish them unchanged. Values are checked, not
+//   rewritten: numeric strings pass as integer/number (params and query are always
+//   strings) and "true"/"false"/"1"/"0" pass as boolean. For multipart routes put the
+//   middleware after multer so the text fields are in req.body.
+//
+//   Supported keywords: type (string, integer, number, boolean, array, object), properties,
+//   required, enum, pattern, format (date, sql-datetime, time, email), minimum, maximum,
+//   minLength, maxLength, items, minItems, maxItems, nullable, description, example.
+//
+//   Each problem in details is { in, field, code, message, params? }; params holds the values
+//   the English message was built from (limit, values, format, expected) so server.js can
+//   say the same thing in the caller's language.
+//
+// errorEnvelope(status, body) -> { error: { code, message, details? }, message, ...extra }
+//   Every error response goes through it (see the res.json hook in server.js), after the
+//   hook has turned the handler's { code, params? } into a localized message; the code
+//   defaults from the status. "message" and any extra fields stay at the top level for
+//   older clients.
+
+import http from "http";
+
+const FORMATS = {
+  date: { pattern: /^\d{4}-\d{2}-\d{2}$/, hint: "YYYY-MM-DD" },
+  "sql-datetime": { pattern: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/, hint: "YYYY-MM-DD HH:MM:SS" },
+  time: { pattern: /^([01]\d|2[0-3]):[0-5]\d$/, hint: "HH:MM" },
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, hint: "an email address" },
+};
+
+const DEFAULT_ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  410: "gone",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  422: "unprocessable",
+  429: "rate_limited",
+  500: "internal_error",
+  503: "unavailable",
+};
+
+function isMissing(value) {
+  return value === undefined || value === "";
+}
+
+function asNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "" && !Number.isNaN(Number(value))) return Number(value);
+  return null;
+}
+
+function checkValue(schema, value, at, field, details) {
+  const fail = (code, message, params) => details.push({ in: at, field, code, message, ...(params ? { params } : {}) });
+
+  if (value === null) {
+    if (!schema.nullable) fail("type", "must not be null", { expected: "not_null" });
+    return;
+  }
+
+  switch (schema.type) {
+    case "integer":
+    case "number": {
+      const n = asNumber(value);
+      if (n === null || (schema.type === "integer" && !Number.isInteger(n))) {
+        return fail("type", `must be ${schema.type === "integer" ? "an integer" : "a number"}`, { expected: schema.type });
+      }
+      if (schema.minimum !== undefined && n < schema.minimum) return fail("minimum", `must be at least ${schema.minimum}`, { limit: schema.minimum });
+      if (schema.maximum !== undefined && n > schema.maximum) return fail("maximum", `must be at most ${schema.maximum}`, { limit: schema.maximum });
+      if (schema.enum && !schema.enum.includes(n)) return fail("enum", `must be one of ${schema.enum.join(", ")}`, { values: schema.enum.join(", ") });
+      return;
+    }
+    case "boolean":
+      if (![true, false, "true", "false", "1", "0", 1, 0].includes(value)) fail("type", "must be true or false", { expected: "boolean" });
+      return;
+    case "string": {
+      if (typeof value !== "string") return fail("type", "must be a string", { expected: "string" });
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail("min_length", `must be at least ${schema.minLength} characters`, { limit: schema.minLength });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail("max_length", `must be at most ${schema.maxLength} characters`, { limit: schema.maxLength });
+      }
+      if (schema.enum && !schema.enum.includes(value)) return fail("enum", `must be one of ${schema.enum.join(", ")}`, { values: schema.enum.join(", ") });
+      const format = FORMATS[schema.format];
+      if (format && !format.pattern.test(value)) return fail("format", `must be ${format.hint}`, { format: schema.format });
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail("pattern", "has an invalid format");
+      return;
+    }
+    case "array": {
+      if (!Array.isArray(value)) return fail("type", "must be an array", { expected: "array" });
+      if (schema.minItems !== undefined && value.length < schema.minItems) return fail("min_items", `must have at least ${schema.minItems} items`, { limit: schema.minItems });
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail("max_items", `must have at most ${schema.maxItems} items`, { limit: schema.maxItems });
+      if (schema.items) value.forEach((item, i) => checkValue(schema.items, item, at, `${field}[${i}]`, details));
+      return;
+    }
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return fail("type", "must be an object", { expected: "object" });
+      checkObject(schema, value, at, field, details);
+      return;
+    }
+    default:
+      if (schema.enum && !schema.enum.includes(value)) fail("enum", `must be one of ${schema.enum.join(", ")}`, { values: schema.enum.join(", ") });
+  }
+}
+
+function checkObject(schema, value, at, prefix, details) {
+  for (const name of schema.required || []) {
+    if (isMissing(value[name])) details.push({ in: at, field: prefix ? `${prefix}.${name}` : name, code: "required", message: "is required" });
+  }
+  for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+    if (isMissing(value[name])) continue;
+    checkValue(propSchema, value[name], at, prefix ? `${prefix}.${name}` : name, details);
+  }
+}
+
+// Check req.params, req.query and req.body against spec; returns the list of problems
+export function checkRequest(spec, req) {
+  const details = [];
+  for (const at of ["params", "query", "body"]) {
+    if (spec[at]) checkObject(spec[at], req[at] || {}, at, "", details);
+  }
+  return details;
+}
+
+export function validateRequest(spec) {
+  const middleware = (req, res, next) => {
+    const details = checkRequest(spec, req);
+    if (!details.length) return next();
+    res.status(400).json({
+      code: "validation_failed",
+      message: details.map((d) => `${d.field} ${d.message}`).join("; "),
+      details,
+    });
+  };
+  middleware.requestSchema = spec;
+  return middleware;
+}
+
+export function errorEnvelope(status, body) {
+  if (body && body.error && body.error.code) return body;
+  const { code, message, details, ...extra } = body && typeof body === "object" ? body : { message: body };
+  const text = message || http.STATUS_CODES[status] || "Request failed";
+  return {
+    error: {
+      code: code || DEFAULT_ERROR_CODES[status] || (status >= 500 ? "internal_error" : "request_failed"),
+      message: text,
+      ...(details ? { details } : {}),
+    },
+    message: text,
+    ...extra,
+  };
+}